@@ -1,89 +1,486 @@
-// ai.js
-const OpenAI = require("openai");
+// ai.js — Texto libre -> { intent, ... } con un modelo de lenguaje
+// Lo que no resuelven localRouter ni las reglas (rules.js) llega aquí. Capas, de afuera hacia adentro:
+//  - caché por texto en minúsculas ("¿Quién me debe?" == "quién me debe"): una frase repetida no llama al API
+//  - circuit breaker: tras varias fallas seguidas deja de llamar un rato y contesta el parser por reglas
+//  - timeout por intento + reintentos acotados (solo red, 429 y 5xx)
+//  - proveedor (AI_PROVIDER): openai (default), local (servidor compatible con OpenAI: Ollama, LM Studio,
+//    vLLM…) o rules (sin modelo). registerProvider() agrega otros.
+//  - contrato: JSON Schema estricto (structured outputs) + validación propia de lo que regresa
+//
+// Modos (AI_MODE), para poder probar sin red:
+//  - live (default): el proveedor configurado
+//  - record: igual, y guarda cada respuesta del modelo en AI_RECORDINGS_FILE (las del parser por reglas no)
+//  - replay: solo respuestas grabadas; lo que no esté grabado pasa al stub
+//  - stub: sin red; solo el parser por reglas (rules.js) y si no, unknown
+const fs = require("fs");
+const path = require("path");
+const { metric } = require("./log");
+const { SUPPORTED_CURRENCIES, normalizeCurrency } = require("./money");
+const { PRESETS, DEFAULT_WEIGHTS } = require("./priority");
+const { normalizeText } = require("./router");
+const { ruleParse, RULES_USABLE } = require("./rules");
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const AI_MODE = String(process.env.AI_MODE || "live").toLowerCase();
+const AI_PROVIDER = String(process.env.AI_PROVIDER || "openai").toLowerCase();
+const RECORDINGS_FILE = process.env.AI_RECORDINGS_FILE || path.join(__dirname, "fixtures", "ai-recordings.json");
 
-const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+// Twilio espera la respuesta del webhook ~15 s: timeout * (reintentos + 1) + backoff tiene que caber
+const TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS || 5000);
+const MAX_RETRIES = Number(process.env.AI_MAX_RETRIES || 1);
+const RETRY_BACKOFF_MS = 300;
 
+const BREAKER_THRESHOLD = Number(process.env.AI_BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.AI_BREAKER_COOLDOWN_MS || 60 * 1000);
+
+const CACHE_SIZE = Number(process.env.AI_CACHE_SIZE || 1000);
+const CACHE_TTL_MS = Number(process.env.AI_CACHE_TTL_MS || 24 * 60 * 60 * 1000);
+
+// -------------------------
+// Contrato de salida
+// -------------------------
+// Todo lo que la conversación sabe atender (los de admin no: esos solo por comando exacto)
+const INTENTS = [
+  "add_debt",
+  "list_debts",
+  "prioritize",
+  "remind",
+  "register_payment",
+  "mark_paid",
+  "client_statement",
+  "export_debts",
+  "export_statement",
+  "dashboard_link",
+  "edit_debt",
+  "rename_debt",
+  "delete_debt",
+  "reopen_debt",
+  "undo",
+  "save_phone",
+  "add_alias",
+  "list_scheduled",
+  "cancel_scheduled",
+  "priority_show",
+  "priority_preset",
+  "priority_weight",
+  "currency_show",
+  "currency_set",
+  "pricing",
+  "want_pro",
+  "pay",
+  "support_start",
+  "support_inline",
+  "delete_account_start",
+  "help",
+  "unknown",
+];
+
+const nullable = (type, extra = {}) => ({ type: [type, "null"], ...extra });
+const nullableEnum = (values) => ({ type: ["string", "null"], enum: [...values, null] });
+
+const FIELDS = {
+  client_name: nullable("string"),
+  new_client_name: nullable("string"),
+  alias: nullable("string"),
+  phone: nullable("string"),
+  amount_due: nullable("number"),
+  amount_paid: nullable("number"),
+  currency: nullableEnum(SUPPORTED_CURRENCIES),
+  since_text: nullable("string"),
+  due_when_text: nullable("string"),
+  remind_when_text: nullable("string"),
+  tone: nullableEnum(["amable", "firme", "urgente"]),
+  id: nullable("integer"),
+  preset: nullableEnum(Object.keys(PRESETS)),
+  factor: nullableEnum(Object.keys(DEFAULT_WEIGHTS)),
+  value: nullable("number"),
+  message: nullable("string"),
+};
+
+// Structured outputs (modo strict): todas las llaves requeridas, las que no apliquen en null
+const PARSE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: { intent: { type: "string", enum: INTENTS }, ...FIELDS },
+  required: ["intent", ...Object.keys(FIELDS)],
+};
+
+function typeOk(type, v) {
+  if (v === null) return true;
+  if (type === "integer") return Number.isInteger(v);
+  if (type === "number") return typeof v === "number" && Number.isFinite(v);
+  return typeof v === type;
+}
+
+// Lo que regrese el modelo (aunque ignore el schema) -> objeto con todas las llaves y tipos correctos
+function validateParsed(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return null;
+  const out = { intent: INTENTS.includes(obj.intent) ? obj.intent : "unknown" };
+
+  for (const [key, spec] of Object.entries(FIELDS)) {
+    let v = obj[key] === undefined ? null : obj[key];
+    if (key === "currency") v = normalizeCurrency(v);
+    const type = spec.type[0];
+    if (type === "number" && typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) v = Number(v);
+    if (!typeOk(type, v)) v = null;
+    if (spec.enum && !spec.enum.includes(v)) v = null;
+    if (typeof v === "string") v = normalizeText(v) || null;
+    out[key] = v;
+  }
+  if (out.value !== null && (out.value < 0 || out.value > 1)) out.value = null;
+  return out;
+}
+
+const SYSTEM_PROMPT = `
+Eres un parser para un asistente de cobranza por WhatsApp en México (micro/pyme informal).
+Convierte el mensaje del usuario a JSON según el schema. Campos que no apliquen: null.
+
+Intents:
+- add_debt: describe una deuda ("Juan me debe 8500", "me deben 2k", "Pedro quedó a deber 300"). Monto en amount_due.
+- list_debts: "¿Quién me debe?", "mis deudores".
+- prioritize: "¿A quién cobro primero?" o similar.
+- remind: recordar/cobrar a un cliente ("Recuérdale a Juan mañana"). remind_when_text: "mañana", "el viernes", "en 3 días".
+- register_payment: abono o pago parcial ("Juan me abonó 2000", "abono de 300 de Ana"). Monto en amount_paid.
+- mark_paid: el cliente liquidó todo ("ya pagó Pepe", "Pepe ya me pagó todo").
+- client_statement: pregunta por un cliente ("¿Cuánto me debe Pepe?", "estado de cuenta de Pepe").
+- export_debts: quiere su lista en archivo ("exportar", "mándame mis deudas en Excel").
+- export_statement: quiere el estado de cuenta de un cliente en PDF ("pásame el PDF de Pepe").
+- dashboard_link: quiere ver su información en la web / en la computadora ("panel", "¿lo puedo ver en la compu?").
+- edit_debt: corregir el monto de la deuda de un cliente (nuevo monto en amount_due).
+- rename_debt: corregir el nombre de un cliente (nuevo en new_client_name).
+- delete_debt: borrar una deuda (client_name null = la última).
+- reopen_debt: "Pepe siempre no pagó".
+- undo: deshacer lo último.
+- save_phone: guardar teléfono de un cliente (client_name y phone).
+- add_alias: a un cliente también le dicen de otra forma (client_name y alias).
+- list_scheduled / cancel_scheduled: ver o cancelar recordatorios programados (id = número del recordatorio).
+- priority_show / priority_preset / priority_weight: ver o cambiar el criterio de prioridad
+  (preset: ${Object.keys(PRESETS).join(", ")}; factor: ${Object.keys(DEFAULT_WEIGHTS).join(", ")}; value de 0 a 1).
+- currency_show / currency_set: ver o cambiar la moneda por defecto.
+- pricing (precio), want_pro (quiere Pro), pay (quiere pagar), help (ayuda).
+- support_start (quiere reportar un problema) / support_inline (el reporte viene en el mensaje, va en message).
+- delete_account_start: quiere borrar su cuenta.
+- unknown: nada de lo anterior.
+
+Reglas:
+- currency: solo si el mensaje dice la moneda ("300 dólares", "USD 300", "50 euros", "500 pesos"). Si no, null (no asumas).
+- Interpreta "2k" como 2000 y "mil quinientos" como 1500. "8,5" no lo uses; si no es claro, null.
+- client_name: nombre corto ("Juan", "Juan Pérez"). Si no hay, null.
+- since_text: lo que sigue a "desde..." ("desde agosto" -> "agosto", "hace 2 semanas" -> "hace 2 semanas").
+- due_when_text: vencimiento o fecha prometida ("vence el viernes", "me paga el 15") -> "el viernes", "el 15".
+- tone: solo si el usuario lo pide (amable, firme, urgente; "formal" = firme).
+`.trim();
+
+// -------------------------
+// Proveedores
+// -------------------------
+// Un proveedor: { name, model, async complete({ system, user, schema, timeoutMs }) -> { text, usage } }
+// usage: { prompt_tokens, completion_tokens } si el proveedor lo reporta.
+function createOpenAICompatibleProvider({ name, apiKey, baseURL, model, structured }) {
+  let client = null;
+  // Se crea al primer uso: en modo stub/replay no hace falta el paquete ni la API key
+  function getClient() {
+    if (!client) {
+      const OpenAI = require("openai");
+      // Los reintentos los hacemos aquí (con métricas y breaker), no en el SDK
+      client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+    }
+    return client;
+  }
+
+  return {
+    name,
+    model,
+    configured: () => Boolean(apiKey),
+    async complete({ system, user, schema, timeoutMs }) {
+      const resp = await getClient().chat.completions.create(
+        {
+          model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          temperature: 0,
+          response_format: structured
+            ? { type: "json_schema", json_schema: { name: "parsed_message", strict: true, schema } }
+            : { type: "json_object" },
+        },
+        { timeout: timeoutMs }
+      );
+      return { text: resp.choices?.[0]?.message?.content || "", usage: resp.usage || null };
+    },
+  };
+}
+
+const PROVIDERS = {
+  openai: () =>
+    createOpenAICompatibleProvider({
+      name: "openai",
+      apiKey: process.env.OPENAI_API_KEY || "",
+      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+      structured: true,
+    }),
+  // Modelo propio con API compatible con OpenAI (Ollama: http://localhost:11434/v1)
+  local: () =>
+    createOpenAICompatibleProvider({
+      name: "local",
+      apiKey: process.env.AI_API_KEY || "local",
+      baseURL: process.env.AI_BASE_URL || "http://localhost:11434/v1",
+      model: process.env.AI_MODEL || "llama3.1",
+      structured: process.env.AI_STRUCTURED_OUTPUTS === "true",
+    }),
+  // Sin modelo: todo lo contesta rules.js
+  rules: () => ({
+    name: "rules",
+    model: null,
+    configured: () => true,
+    async complete({ user }) {
+      return { text: JSON.stringify(stubParse(user)), usage: null };
+    },
+  }),
+};
+
+function registerProvider(name, factory) {
+  PROVIDERS[String(name).toLowerCase()] = factory;
+  provider = null;
+}
+
+let provider = null;
+function getProvider() {
+  if (!provider) {
+    const factory = PROVIDERS[AI_PROVIDER];
+    if (!factory) throw new Error(`AI_PROVIDER desconocido: ${AI_PROVIDER} (usa ${Object.keys(PROVIDERS).join(", ")})`);
+    provider = factory();
+  }
+  return provider;
+}
+
+// -------------------------
+// Reintentos y circuit breaker
+// -------------------------
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Timeout, red caída, 429 y 5xx se reintentan; un 400/401 no se arregla reintentando
+function isRetryable(err) {
+  const status = Number(err?.status || 0);
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+const breaker = { failures: 0, openUntil: 0, halfOpen: false };
+
+function breakerAllows(now = Date.now()) {
+  if (!breaker.openUntil) return true;
+  if (now < breaker.openUntil) return false;
+  // Ya pasó el enfriamiento: dejamos pasar una llamada de prueba
+  if (breaker.halfOpen) return false;
+  breaker.halfOpen = true;
+  return true;
+}
+
+function breakerSuccess() {
+  if (breaker.openUntil) metric("AI_BREAKER_CLOSED", { provider: getProvider().name });
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+  breaker.halfOpen = false;
+}
+
+function breakerFailure() {
+  breaker.failures += 1;
+  if (breaker.halfOpen || breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    breaker.halfOpen = false;
+    metric("AI_BREAKER_OPEN", { provider: getProvider().name, failures: breaker.failures, cooldown_ms: BREAKER_COOLDOWN_MS });
+  }
+}
+
+async function callProvider(text) {
+  const p = getProvider();
+  let lastErr = null;
+
+  for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const { text: content, usage } = await p.complete({
+        system: SYSTEM_PROMPT,
+        user: `Mensaje: ${text}`,
+        schema: PARSE_SCHEMA,
+        timeoutMs: TIMEOUT_MS,
+      });
+      metric("AI_CALL", {
+        provider: p.name,
+        model: p.model,
+        attempt,
+        ok: true,
+        ms: Date.now() - startedAt,
+        prompt_tokens: usage?.prompt_tokens ?? null,
+        completion_tokens: usage?.completion_tokens ?? null,
+        total_tokens: usage?.total_tokens ?? null,
+      });
+      return content;
+    } catch (err) {
+      lastErr = err;
+      const retry = attempt <= MAX_RETRIES && isRetryable(err);
+      metric("AI_CALL", {
+        provider: p.name,
+        model: p.model,
+        attempt,
+        ok: false,
+        ms: Date.now() - startedAt,
+        status: err?.status || null,
+        error: err?.name || "Error",
+        message: err?.message || "unknown",
+        will_retry: retry,
+      });
+      if (!retry) break;
+      await sleep(RETRY_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+  throw lastErr;
+}
+
+// -------------------------
+// Caché (LRU en memoria, por proceso)
+// -------------------------
+const cache = new Map();
+
+// Solo se quita lo que no cambia lo que devuelve el modelo: mayúsculas, espacios de más y los signos
+// de las orillas. Acentos y dígitos se quedan ("Peña" no es "Pena", "desde 15/03" no es "desde 1503").
+function cacheKey(text) {
+  return normalizeText(text)
+    .toLowerCase()
+    .replace(/^[¿¡\s]+|[?!.\s]+$/g, "");
+}
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at > CACHE_TTL_MS) {
+    cache.delete(key);
+    return null;
+  }
+  // LRU: el Map conserva orden de inserción; lo movemos al final
+  cache.delete(key);
+  cache.set(key, hit);
+  return { ...hit.parsed };
+}
+
+function cacheSet(key, parsed) {
+  cache.set(key, { parsed: { ...parsed }, at: Date.now() });
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+// -------------------------
+// API
+// -------------------------
 /**
- * Devuelve un objeto JSON con:
- *  - intent: add_debt | list_debts | prioritize | remind | help | unknown
- *  - client_name (opcional)
- *  - amount_due (opcional number)
- *  - since_text (opcional string)
- *  - remind_when_text (opcional string: "mañana", "hoy", "en 2 días")
- *  - tone (opcional: "amable" | "firme" | "formal")
+ * Devuelve { intent, ...campos } con todas las llaves de FIELDS (null si no aplican).
+ * Nunca lanza: si el proveedor no está, falla o el breaker está abierto, contesta el parser por reglas.
  */
 async function parseMessage(userText) {
-  if (!process.env.OPENAI_API_KEY) {
-    return { intent: "unknown" };
+  if (AI_MODE === "stub") return stubParse(userText);
+  if (AI_MODE === "replay") return replayParse(userText);
+
+  return parseLive(userText);
+}
+
+async function parseLive(userText) {
+  const key = cacheKey(userText);
+  const cached = cacheGet(key);
+  if (cached) {
+    metric("AI_CACHE_HIT", { provider: AI_PROVIDER, intent: cached.intent });
+    return cached;
   }
 
-  const system = `
-Eres un parser para un asistente de cobranza por WhatsApp en México (micro/pyme informal).
-Tu trabajo es convertir mensajes informales a un JSON ESTRICTO.
+  const p = getProvider();
+  if (!p.configured()) return fallback(userText, p, "not_configured");
+  if (!breakerAllows()) return fallback(userText, p, "breaker_open");
 
-Reglas:
-- Responde ÚNICAMENTE con JSON válido (sin markdown, sin texto extra).
-- Si el usuario pide "¿Quién me debe?" -> intent="list_debts"
-- Si el usuario describe una deuda ("Juan me debe 8500", "me deben 2k", "Pedro quedó a deber 300") -> intent="add_debt"
-- Si el usuario pide "¿A quién cobro primero?" o similar -> intent="prioritize"
-- Si el usuario pide recordar/cobrar ("Recuérdale a Juan mañana") -> intent="remind"
-- Si el usuario pide ayuda -> intent="help"
-- Si falta el monto en add_debt, deja amount_due = null
-- Interpreta "2k" como 2000. "8,5" no lo uses; si no es claro, null.
-- client_name: intenta extraer nombre corto ("Juan", "Juan Pérez"). Si no hay, null.
-- since_text: extrae lo que sigue a "desde..." si existe.
-- Para recordatorios, remind_when_text: "mañana", "hoy", "en 3 días", etc. Si no hay, null.
-- tone: si el usuario pide "amable/firme/formal", inclúyelo; si no, null.
-
-Formato EXACTO:
-{
-  "intent": "add_debt|list_debts|prioritize|remind|help|unknown",
-  "client_name": string|null,
-  "amount_due": number|null,
-  "since_text": string|null,
-  "remind_when_text": string|null,
-  "tone": "amable|firme|formal"|null
+  let content;
+  try {
+    content = await callProvider(userText);
+    breakerSuccess();
+  } catch (err) {
+    breakerFailure();
+    return fallback(userText, p, "error");
+  }
+
+  let parsed = null;
+  try {
+    parsed = validateParsed(JSON.parse(content));
+  } catch (_) {
+    parsed = null;
+  }
+  if (!parsed) {
+    // El API sí respondió: no cuenta para el breaker, pero tampoco se cachea
+    metric("AI_INVALID_OUTPUT", { provider: p.name, sample: String(content).slice(0, 200) });
+    return fallback(userText, p, "invalid_output");
+  }
+
+  cacheSet(key, parsed);
+  if (AI_MODE === "record") saveRecording(userText, parsed);
+  return parsed;
 }
-`.trim();
 
-  const user = `Mensaje: ${userText}`;
+// Sin modelo disponible contesta el parser por reglas (no se cachea: el API puede volver)
+function fallback(userText, p, reason) {
+  const parsed = stubParse(userText);
+  metric("AI_FALLBACK", { provider: p.name, reason, intent: parsed.intent });
+  return parsed;
+}
 
-  const resp = await client.chat.completions.create({
-    model: MODEL,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: user },
-    ],
-    temperature: 0,
-  });
+// -------------------------
+// Grabaciones y stub (desarrollo local / pruebas)
+// -------------------------
+// Llave de las grabaciones, sin acentos ni signos: "¿Quién me debe?" y "quien me debe" son la misma
+// frase. Solo para record/replay (pruebas); la caché usa cacheKey, que no junta frases distintas.
+function recordingKey(text) {
+  return normalizeText(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9$.,+ ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  const content = resp.choices?.[0]?.message?.content?.trim() || "{}";
+let recordings = null;
+function loadRecordings() {
+  if (recordings) return recordings;
+  try {
+    recordings = JSON.parse(fs.readFileSync(RECORDINGS_FILE, "utf8"));
+  } catch (_) {
+    recordings = {};
+  }
+  return recordings;
+}
 
-  // Parse robusto
+function saveRecording(text, parsed) {
+  const all = loadRecordings();
+  all[recordingKey(text)] = parsed;
   try {
-    const obj = JSON.parse(content);
-    if (!obj || typeof obj !== "object") return { intent: "unknown" };
-
-    // Normaliza intent
-    const allowed = new Set(["add_debt", "list_debts", "prioritize", "remind", "help", "unknown"]);
-    if (!allowed.has(obj.intent)) obj.intent = "unknown";
-
-    // Normaliza campos
-    if (!("client_name" in obj)) obj.client_name = null;
-    if (!("amount_due" in obj)) obj.amount_due = null;
-    if (!("since_text" in obj)) obj.since_text = null;
-    if (!("remind_when_text" in obj)) obj.remind_when_text = null;
-    if (!("tone" in obj)) obj.tone = null;
-
-    // amount_due debe ser number o null
-    if (obj.amount_due !== null && typeof obj.amount_due !== "number") obj.amount_due = null;
-
-    return obj;
-  } catch {
-    return { intent: "unknown" };
+    fs.mkdirSync(path.dirname(RECORDINGS_FILE), { recursive: true });
+    fs.writeFileSync(RECORDINGS_FILE, JSON.stringify(all, null, 2) + "\n");
+  } catch (err) {
+    console.error("⚠️ No pude guardar la grabación de OpenAI:", err?.message);
   }
 }
 
-module.exports = { parseMessage };
+// eval-intents.js cuenta las frases sin grabación: en replay esas las contesta el parser por reglas
+function hasRecording(text) {
+  return Boolean(loadRecordings()[recordingKey(text)]);
+}
+
+function replayParse(text) {
+  const hit = loadRecordings()[recordingKey(text)];
+  return hit ? validateParsed(hit) : stubParse(text);
+}
+
+// Sin red: el parser por reglas, si está razonablemente seguro
+function stubParse(text) {
+  const { parsed, confidence } = ruleParse(text);
+  return validateParsed(parsed && confidence >= RULES_USABLE ? parsed : { intent: "unknown" });
+}
+
+module.exports = { parseMessage, registerProvider, hasRecording, validateParsed, PARSE_SCHEMA, INTENTS };
@@ -0,0 +1,584 @@
+// api.js — API REST /api/v1 para conectar el POS y los scripts de contabilidad
+// Lo mismo que se hace por el chat (clientes, deudas, abonos y "ya pagó"), sobre las mismas funciones
+// de db.js: el historial de cambios y DESHACER ven igual lo que entra por la API.
+//
+// Autenticación: "Authorization: Bearer cbk_..." con una llave por usuario que se crea en WhatsApp
+// (API KEY). Se muestra una sola vez; en la base solo queda su SHA-256 y el prefijo para revocarla.
+//
+// Convenciones (descritas en openapi.json, que se sirve en /api/v1/openapi.json):
+//  - Respuestas { data } y listas { data, next_cursor }; los errores siempre { error: { code, message, details? } }
+//  - Listas de la más nueva a la más vieja, paginadas con ?cursor=<next_cursor>&limit=N
+//  - Los POST aceptan Idempotency-Key: el reintento con la misma llave repite la respuesta guardada
+//
+//   createApiKey(user, { name }) -> { key, prefix } | { error: "limit", max }   (lo usa conversation.js)
+//   createWebhook(user, { url, events }) -> { endpoint, secret } | { error }    (lo usa conversation.js)
+//   mountApi(app)                                                               (lo monta index.js)
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { metric } = require("./log");
+const { DEFAULT_TZ, zonedToDate, toYmdParts } = require("./dates");
+const { normalizeCurrency, userCurrency } = require("./money");
+const { normalizePhoneToWhatsApp } = require("./router");
+const { clientJson, debtJson, paymentJson, paymentResultJson, endpointJson, deliveryJson } = require("./resources");
+const { EVENT_TYPES, newWebhookSecret, validateEndpointUrl, parseEventTypes } = require("./webhooks");
+const OPENAPI = require("./openapi.json");
+const {
+  findClientByName,
+  getClientById,
+  listClientsPage,
+  upsertClient,
+  setClientPhone,
+  deleteClient,
+  addDebt,
+  getDebtById,
+  listDebtsPage,
+  updateDebt,
+  deleteDebt,
+  registerPayment,
+  listPaymentsPage,
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  getWebhookEndpoint,
+  disableWebhookEndpoint,
+  listWebhookDeliveries,
+  createApiKey: saveApiKey,
+  listApiKeys,
+  getApiKeyUser,
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
+} = require("./db");
+
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const API_KEYS_MAX = Number(process.env.API_KEYS_MAX || 5);
+const API_IDEMPOTENCY_TTL_H = Number(process.env.API_IDEMPOTENCY_TTL_H || 24);
+const WEBHOOK_ENDPOINTS_MAX = Number(process.env.WEBHOOK_ENDPOINTS_MAX || 5);
+
+const KEY_PREFIX = "cbk_";
+const PAGE_SIZE = 50;
+const PAGE_SIZE_MAX = 200;
+const DEBT_STATUSES = ["pending", "paid"];
+const DELIVERY_STATUSES = ["pending", "delivered", "failed", "canceled"];
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Hex y no base64: un "_" de más haría cursiva en WhatsApp al copiar la llave
+async function createApiKey(user, { name = null } = {}) {
+  const active = await listApiKeys(user.id);
+  if (active.length >= API_KEYS_MAX) return { error: "limit", max: API_KEYS_MAX };
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  const prefix = key.slice(0, KEY_PREFIX.length + 8);
+  await saveApiKey(user.id, { name, prefix, keyHash: hashKey(key) });
+  return { key, prefix, name, baseUrl: PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/api/v1` : null };
+}
+
+// El secreto se regresa una sola vez; después solo se ve el endpoint (endpointJson)
+async function createWebhook(user, { url, events = null } = {}) {
+  const active = await listWebhookEndpoints(user.id);
+  if (active.length >= WEBHOOK_ENDPOINTS_MAX) return { error: "limit", max: WEBHOOK_ENDPOINTS_MAX };
+
+  const checked = validateEndpointUrl(url);
+  if (checked.error) return { error: checked.error };
+  const parsed = parseEventTypes(events);
+  if (parsed.error) return parsed;
+
+  const secret = newWebhookSecret();
+  const endpoint = await createWebhookEndpoint(user.id, { url: checked.url, secret, events: parsed.events });
+  metric("WEBHOOK_ENDPOINT_CREATED", { user_id: user.id, endpoint_id: endpoint.id, events: parsed.events || "all" });
+  return { endpoint, secret };
+}
+
+// -------------------------
+// Errores: { error: { code, message, details? } }
+// -------------------------
+function apiError(status, code, message, details = null) {
+  return Object.assign(new Error(message), { status, code, details });
+}
+
+const invalid = (field, message) => apiError(400, "invalid_request", message, [{ field, message }]);
+const notFound = (message) => apiError(404, "not_found", message);
+
+function errorOut(err) {
+  if (err?.status && err?.code) {
+    const error = { code: err.code, message: err.message };
+    if (err.details) error.details = err.details;
+    return { status: err.status, body: { error } };
+  }
+  console.error("❌ API error:", err);
+  metric("ERROR", { stage: "api", message: err?.message || "unknown" });
+  return { status: 500, body: { error: { code: "internal_error", message: "Error interno. Intenta de nuevo en un momento." } } };
+}
+
+function send(res, { status, body }) {
+  if (status === 204) return res.status(204).end();
+  return res.status(status).json(body);
+}
+
+// -------------------------
+// Entrada: parámetros y cuerpo
+// -------------------------
+// ?x=1&x=2 llega como arreglo: solo se acepta un valor
+function queryParam(req, name) {
+  const v = req.query[name];
+  if (v === undefined || v === "") return null;
+  if (typeof v !== "string") throw invalid(name, `${name} solo acepta un valor.`);
+  return v.trim();
+}
+
+function parseId(raw) {
+  const s = String(raw ?? "");
+  return /^[1-9]\d{0,15}$/.test(s) ? s : null;
+}
+
+function parseLimit(raw) {
+  if (raw === null) return PAGE_SIZE;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > PAGE_SIZE_MAX) throw invalid("limit", `limit debe ser un entero entre 1 y ${PAGE_SIZE_MAX}.`);
+  return n;
+}
+
+// El cursor es opaco para el cliente; por dentro es el último id de la página
+function encodeCursor(id) {
+  return Buffer.from(String(id)).toString("base64url");
+}
+
+function decodeCursor(raw) {
+  if (raw === null) return null;
+  const id = parseId(Buffer.from(raw, "base64url").toString());
+  if (!id) throw invalid("cursor", "cursor no es válido; usa el next_cursor de la página anterior.");
+  return id;
+}
+
+// "2025-02-30" no: la fecha tiene que existir en el calendario
+function ymdParts(raw) {
+  const parts = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? toYmdParts(raw) : null;
+  if (!parts) return null;
+  const d = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  return d.getUTCMonth() === parts.month - 1 && d.getUTCDate() === parts.day ? parts : null;
+}
+
+// YYYY-MM-DD en la zona del usuario; `to` incluye el día completo
+function parseDateRange(req, timeZone) {
+  const day = (name) => {
+    const raw = queryParam(req, name);
+    if (raw === null) return null;
+    const parts = ymdParts(raw);
+    if (!parts) throw invalid(name, `${name} debe ser una fecha YYYY-MM-DD.`);
+    return parts;
+  };
+  const from = day("from");
+  const to = day("to");
+  let toNext = null;
+  if (to) {
+    const d = new Date(Date.UTC(to.year, to.month - 1, to.day + 1));
+    toNext = { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+  }
+  return {
+    from: from ? zonedToDate(from, timeZone) : null,
+    to: toNext ? zonedToDate(toNext, timeZone) : null,
+  };
+}
+
+function jsonBody(req) {
+  const b = req.body;
+  if (!b || typeof b !== "object" || Array.isArray(b)) {
+    throw apiError(400, "invalid_request", "El cuerpo debe ser un objeto JSON (Content-Type: application/json).");
+  }
+  return b;
+}
+
+function optionalString(body, field, max = 200) {
+  const v = body[field];
+  if (v === undefined || v === null) return null;
+  if (typeof v !== "string") throw invalid(field, `${field} debe ser texto.`);
+  const s = v.trim();
+  if (s.length > max) throw invalid(field, `${field} admite hasta ${max} caracteres.`);
+  return s || null;
+}
+
+function requiredString(body, field, max = 200) {
+  const s = optionalString(body, field, max);
+  if (!s) throw invalid(field, `${field} es obligatorio.`);
+  return s;
+}
+
+function parseAmountField(body, field, { required = true } = {}) {
+  const v = body[field];
+  if (v === undefined || v === null) {
+    if (required) throw invalid(field, `${field} es obligatorio.`);
+    return null;
+  }
+  const n = typeof v === "string" && /^\d+(\.\d+)?$/.test(v.trim()) ? Number(v) : v;
+  if (typeof n !== "number" || !Number.isFinite(n) || n <= 0 || n >= 1e12) {
+    throw invalid(field, `${field} debe ser un número mayor a 0.`);
+  }
+  return Math.round(n * 100) / 100;
+}
+
+function parseCurrencyField(body, field = "currency") {
+  const raw = optionalString(body, field, 20);
+  if (!raw) return null;
+  const currency = normalizeCurrency(raw);
+  if (!currency) throw invalid(field, `${field} no es una moneda soportada (MXN, USD, EUR).`);
+  return currency;
+}
+
+function parseDateField(body, field) {
+  const raw = optionalString(body, field, 10);
+  if (!raw) return null;
+  if (!ymdParts(raw)) throw invalid(field, `${field} debe ser una fecha YYYY-MM-DD.`);
+  return raw;
+}
+
+// -------------------------
+// Salida (forma pública en resources.js)
+// -------------------------
+// Pide un registro de más para saber si hay otra página
+async function paged(req, fetchRows, toJson) {
+  const limit = parseLimit(queryParam(req, "limit"));
+  const cursor = decodeCursor(queryParam(req, "cursor"));
+  const rows = await fetchRows({ cursor, limit: limit + 1 });
+  const page = rows.slice(0, limit);
+  return {
+    status: 200,
+    body: {
+      data: page.map(toJson),
+      next_cursor: rows.length > limit ? encodeCursor(page[page.length - 1].id) : null,
+    },
+  };
+}
+
+// ?client=Pepe o ?client_id=12 (un id que no existe = lista vacía)
+async function clientFilter(req) {
+  const name = queryParam(req, "client");
+  const rawId = queryParam(req, "client_id");
+  if (rawId === null) return { clientName: name, none: false };
+  const id = parseId(rawId);
+  if (!id) throw invalid("client_id", "client_id debe ser un id numérico.");
+  const client = await getClientById(req.apiUser.id, id);
+  return { clientName: client?.name || null, none: !client };
+}
+
+// -------------------------
+// Rutas: cada una regresa { status, body }
+// -------------------------
+async function findClientOr404(req) {
+  const id = parseId(req.params.id);
+  const client = id ? await getClientById(req.apiUser.id, id) : null;
+  if (!client) throw notFound("El cliente no existe.");
+  return client;
+}
+
+async function findWebhookOr404(req) {
+  const id = parseId(req.params.id);
+  const endpoint = id ? await getWebhookEndpoint(req.apiUser.id, id) : null;
+  if (!endpoint) throw notFound("El webhook no existe.");
+  return endpoint;
+}
+
+const WEBHOOK_ERRORS = {
+  invalid: "url no es una URL válida.",
+  insecure: "url debe empezar con https://.",
+  private: "url no puede apuntar a una red privada o local.",
+};
+
+async function findDebtOr404(req) {
+  const id = parseId(req.params.id);
+  const debt = id ? await getDebtById(req.apiUser.id, id) : null;
+  if (!debt) throw notFound("La deuda no existe.");
+  return debt;
+}
+
+const routes = {
+  async listClients(req) {
+    const q = queryParam(req, "q");
+    return paged(req, (page) => listClientsPage(req.apiUser.id, { q, ...page }), clientJson);
+  },
+
+  async getClient(req) {
+    return { status: 200, body: { data: clientJson(await findClientOr404(req)) } };
+  },
+
+  // Si ya existe (sin importar mayúsculas/acentos) se regresa el mismo con 200
+  async createClient(req) {
+    const body = jsonBody(req);
+    const userId = req.apiUser.id;
+    const name = requiredString(body, "name", 80);
+    const rawPhone = optionalString(body, "phone", 30);
+    const phone = rawPhone ? normalizePhoneToWhatsApp(rawPhone) : null;
+    if (rawPhone && !phone) throw invalid("phone", "phone no es un teléfono válido.");
+
+    const existed = await findClientByName(userId, name);
+    let client = existed || (await upsertClient(userId, name));
+    if (phone) client = await setClientPhone(userId, client.name, phone);
+    return { status: existed ? 200 : 201, body: { data: clientJson(client) } };
+  },
+
+  // El nombre no se cambia aquí: las deudas van ligadas por nombre (PATCH /debts/{id} con client_name)
+  async updateClient(req) {
+    const body = jsonBody(req);
+    const client = await findClientOr404(req);
+    if (body.name !== undefined) throw invalid("name", "name no se puede cambiar; usa PATCH /debts/{id} con client_name.");
+    const rawPhone = requiredString(body, "phone", 30);
+    const phone = normalizePhoneToWhatsApp(rawPhone);
+    if (!phone) throw invalid("phone", "phone no es un teléfono válido.");
+    const updated = await setClientPhone(req.apiUser.id, client.name, phone);
+    return { status: 200, body: { data: clientJson(updated) } };
+  },
+
+  async deleteClient(req) {
+    const client = await findClientOr404(req);
+    const deleted = await deleteClient(req.apiUser.id, client.id);
+    if (!deleted) throw apiError(409, "client_has_pending_debts", "El cliente tiene deudas pendientes; liquídalas o bórralas primero.");
+    return { status: 204 };
+  },
+
+  async listDebts(req) {
+    const status = queryParam(req, "status");
+    if (status && !DEBT_STATUSES.includes(status)) throw invalid("status", `status debe ser ${DEBT_STATUSES.join(" o ")}.`);
+    const { clientName, none } = await clientFilter(req);
+    const { from, to } = parseDateRange(req, req.apiUser.timezone || DEFAULT_TZ);
+    if (none) return { status: 200, body: { data: [], next_cursor: null } };
+    return paged(req, (page) => listDebtsPage(req.apiUser.id, { status, clientName, from, to, ...page }), debtJson);
+  },
+
+  async getDebt(req) {
+    return { status: 200, body: { data: debtJson(await findDebtOr404(req)) } };
+  },
+
+  async createDebt(req) {
+    const body = jsonBody(req);
+    const user = req.apiUser;
+    const clientName = requiredString(body, "client_name", 80);
+    const amount = parseAmountField(body, "amount_due");
+    const currency = parseCurrencyField(body) || userCurrency(user);
+    const note = optionalString(body, "note", 200);
+    const sinceDate = parseDateField(body, "since_date");
+    const dueDate = parseDateField(body, "due_date");
+
+    await upsertClient(user.id, clientName);
+    const debt = await addDebt(user.id, clientName, amount, note, { sinceDate, dueDate, currency });
+    metric("API_DEBT_CREATED", { user_id: user.id, debt_id: debt.id, amount_due: amount, currency });
+    return { status: 201, body: { data: debtJson(await getDebtById(user.id, debt.id)) } };
+  },
+
+  // Cambia monto/moneda, cliente y/o status (pending <-> paid) en una sola transacción (db.updateDebt)
+  async updateDebt(req) {
+    const body = jsonBody(req);
+    const userId = req.apiUser.id;
+    const debt = await findDebtOr404(req);
+
+    const amount = parseAmountField(body, "amount_due", { required: false });
+    const currency = parseCurrencyField(body);
+    const clientName = body.client_name === undefined ? null : requiredString(body, "client_name", 80);
+    const status = body.status === undefined ? null : body.status;
+    if (status !== null && !DEBT_STATUSES.includes(status)) throw invalid("status", `status debe ser ${DEBT_STATUSES.join(" o ")}.`);
+    if (amount === null && !currency && !clientName && status === null) {
+      throw apiError(400, "invalid_request", "Manda al menos uno: amount_due, currency, client_name o status.");
+    }
+
+    const before = await updateDebt(userId, debt.id, { amountDue: amount, currency, clientName, status });
+    if (!before) throw notFound("La deuda no existe.");
+    if (before.error === "paid_by_payments") {
+      throw apiError(409, "debt_paid_by_payments", "La deuda se pagó con abonos; no hay liquidación que quitar para reabrirla.");
+    }
+
+    return { status: 200, body: { data: debtJson(await getDebtById(userId, debt.id)) } };
+  },
+
+  // Borrado lógico (se puede DESHACER desde el chat)
+  async deleteDebt(req) {
+    const debt = await findDebtOr404(req);
+    await deleteDebt(req.apiUser.id, debt.id);
+    return { status: 204 };
+  },
+
+  async listPayments(req) {
+    const rawDebtId = queryParam(req, "debt_id");
+    const debtId = rawDebtId === null ? null : parseId(rawDebtId);
+    if (rawDebtId !== null && !debtId) throw invalid("debt_id", "debt_id debe ser un id numérico.");
+    const { clientName, none } = await clientFilter(req);
+    const { from, to } = parseDateRange(req, req.apiUser.timezone || DEFAULT_TZ);
+    if (none) return { status: 200, body: { data: [], next_cursor: null } };
+    return paged(req, (page) => listPaymentsPage(req.apiUser.id, { clientName, debtId, from, to, ...page }), paymentJson);
+  },
+
+  // Igual que "Pepe me abonó 500": se reparte de la deuda más vieja a la más nueva
+  async createPayment(req) {
+    const body = jsonBody(req);
+    const user = req.apiUser;
+    const clientName = requiredString(body, "client_name", 80);
+    const amount = parseAmountField(body, "amount");
+    const currency = parseCurrencyField(body) || userCurrency(user);
+    const note = optionalString(body, "note", 200);
+
+    const result = await registerPayment(user.id, clientName, amount, note, currency);
+    if (!result) throw apiError(409, "no_pending_debts", `${clientName} no tiene deudas pendientes en ${currency}.`);
+    metric("API_PAYMENT_REGISTERED", { user_id: user.id, amount: result.applied, currency, paid_debts: result.paidDebtIds.length });
+    return { status: 201, body: { data: paymentResultJson(result) } };
+  },
+
+  async listWebhooks(req) {
+    const endpoints = await listWebhookEndpoints(req.apiUser.id);
+    return { status: 200, body: { data: endpoints.map(endpointJson) } };
+  },
+
+  // Única respuesta que trae el secreto (para verificar CobranzaBot-Signature)
+  async createWebhook(req) {
+    const body = jsonBody(req);
+    const url = requiredString(body, "url", 500);
+    const created = await createWebhook(req.apiUser, { url, events: body.events });
+    if (created.error === "limit") {
+      throw apiError(409, "webhook_limit", `Ya tienes ${created.max} webhooks activos; borra uno antes de agregar otro.`);
+    }
+    if (created.error === "invalid_event") throw invalid("events", `events solo acepta: ${EVENT_TYPES.join(", ")}.`);
+    if (created.error) throw invalid("url", WEBHOOK_ERRORS[created.error]);
+    return { status: 201, body: { data: { ...endpointJson(created.endpoint), secret: created.secret } } };
+  },
+
+  // Se desactiva: lo pendiente se cancela, la bitácora se conserva
+  async deleteWebhook(req) {
+    const endpoint = await findWebhookOr404(req);
+    await disableWebhookEndpoint(req.apiUser.id, endpoint.id);
+    metric("WEBHOOK_ENDPOINT_DISABLED", { user_id: req.apiUser.id, endpoint_id: endpoint.id });
+    return { status: 204 };
+  },
+
+  async listWebhookDeliveries(req) {
+    const endpoint = await findWebhookOr404(req);
+    const status = queryParam(req, "status");
+    if (status && !DELIVERY_STATUSES.includes(status)) throw invalid("status", `status debe ser ${DELIVERY_STATUSES.join(", ")}.`);
+    return paged(req, (page) => listWebhookDeliveries(req.apiUser.id, endpoint.id, { status, ...page }), deliveryJson);
+  },
+};
+
+// -------------------------
+// Idempotency-Key (POST): la primera respuesta (< 500) se guarda y se repite en los reintentos
+// -------------------------
+async function idempotent(req, run) {
+  const key = String(req.get("Idempotency-Key") || "").trim();
+  if (!key || key.length > 255) throw invalid("Idempotency-Key", "Idempotency-Key debe tener entre 1 y 255 caracteres.");
+
+  const userId = req.apiUser.id;
+  const requestHash = hashKey(JSON.stringify([req.method, req.baseUrl + req.path, req.body ?? null]));
+  const { claimed, row } = await claimIdempotencyKey(userId, key, requestHash, API_IDEMPOTENCY_TTL_H);
+
+  if (!claimed) {
+    if (row && row.request_hash !== requestHash) {
+      throw apiError(422, "idempotency_key_reused", "Esa Idempotency-Key ya se usó con otra petición.");
+    }
+    if (!row || row.status_code === null) {
+      throw apiError(409, "idempotency_in_progress", "Hay otra petición con esa Idempotency-Key en proceso; reintenta en un momento.");
+    }
+    return { out: { status: row.status_code, body: row.response }, replayed: true };
+  }
+
+  let out;
+  try {
+    out = await run();
+  } catch (err) {
+    out = errorOut(err);
+  }
+  if (out.status >= 500) await releaseIdempotencyKey(userId, key);
+  else await saveIdempotentResponse(userId, key, out.status, out.body ?? null);
+  return { out, replayed: false };
+}
+
+const handle = (fn) => async (req, res) => {
+  const startedAt = Date.now();
+  let out;
+  let replayed = false;
+  try {
+    if (req.method === "POST" && req.get("Idempotency-Key") !== undefined) ({ out, replayed } = await idempotent(req, () => fn(req)));
+    else out = await fn(req);
+  } catch (err) {
+    out = errorOut(err);
+  }
+
+  metric("API_REQUEST", {
+    user_id: req.apiUser.id,
+    method: req.method,
+    route: req.route?.path || req.path,
+    status: out.status,
+    replayed,
+    ms: Date.now() - startedAt,
+  });
+  if (replayed) res.set("Idempotent-Replayed", "true");
+  return send(res, out);
+};
+
+async function authenticate(req, res, next) {
+  const m = String(req.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+  const key = m && m[1].startsWith(KEY_PREFIX) ? m[1] : null;
+
+  let user = null;
+  try {
+    user = key ? await getApiKeyUser(hashKey(key)) : null;
+  } catch (err) {
+    return send(res, errorOut(err));
+  }
+
+  if (!user) {
+    metric("API_AUTH_REJECTED", { reason: m ? "invalid_key" : "missing_key", ip: req.ip });
+    res.set("WWW-Authenticate", 'Bearer realm="api"');
+    return send(res, errorOut(apiError(401, "unauthorized", "Falta la API key o no es válida. Escribe API KEY en WhatsApp para crear una.")));
+  }
+  req.apiUser = user;
+  return next();
+}
+
+function openapiDocument() {
+  return PUBLIC_BASE_URL ? { ...OPENAPI, servers: [{ url: `${PUBLIC_BASE_URL}/api/v1` }] } : OPENAPI;
+}
+
+function mountApi(app) {
+  const api = express.Router();
+
+  api.use((_req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    next();
+  });
+  api.use(express.json({ limit: "100kb" }));
+
+  api.get("/openapi.json", (_req, res) => res.json(openapiDocument()));
+
+  api.use(authenticate);
+
+  api.get("/clients", handle(routes.listClients));
+  api.post("/clients", handle(routes.createClient));
+  api.get("/clients/:id", handle(routes.getClient));
+  api.patch("/clients/:id", handle(routes.updateClient));
+  api.delete("/clients/:id", handle(routes.deleteClient));
+
+  api.get("/debts", handle(routes.listDebts));
+  api.post("/debts", handle(routes.createDebt));
+  api.get("/debts/:id", handle(routes.getDebt));
+  api.patch("/debts/:id", handle(routes.updateDebt));
+  api.delete("/debts/:id", handle(routes.deleteDebt));
+
+  api.get("/payments", handle(routes.listPayments));
+  api.post("/payments", handle(routes.createPayment));
+
+  api.get("/webhooks", handle(routes.listWebhooks));
+  api.post("/webhooks", handle(routes.createWebhook));
+  api.delete("/webhooks/:id", handle(routes.deleteWebhook));
+  api.get("/webhooks/:id/deliveries", handle(routes.listWebhookDeliveries));
+
+  api.use((_req, res) => send(res, errorOut(notFound("Esa ruta no existe en /api/v1."))));
+
+  // JSON mal formado o cuerpo demasiado grande (express.json)
+  api.use((err, _req, res, _next) => {
+    if (err?.type === "entity.parse.failed") return send(res, errorOut(apiError(400, "invalid_json", "El cuerpo no es JSON válido.")));
+    if (err?.type === "entity.too.large") return send(res, errorOut(apiError(413, "payload_too_large", "El cuerpo es demasiado grande.")));
+    return send(res, errorOut(err));
+  });
+
+  app.use("/api/v1", api);
+}
+
+module.exports = { createApiKey, createWebhook, mountApi };
@@ -0,0 +1,508 @@
+// channels.js — Canales de mensajería: Twilio (WhatsApp), Meta WhatsApp Cloud API y Telegram
+// Cada adaptador sabe cuatro cosas:
+//  - verificar que el webhook viene del proveedor (firma / secreto),
+//  - convertir lo que llega a un mensaje común: { channel, id, from, text, media, raw },
+//  - descargar los adjuntos de `media` (downloadMedia -> { buffer, contentType, filename }),
+//  - enviar texto (con reintentos) a una dirección guardada en la base,
+//  - enviar un archivo por URL pública (sendMedia, p. ej. lo que arma exporter.js).
+//
+// Direcciones (users.phone, clients.phone): "whatsapp:+5215512345678" para WhatsApp (Twilio o Meta,
+// el mismo usuario sirve en ambos) y "telegram:<chat_id>" para Telegram.
+//
+// La conversación no sabe nada de esto; cada deploy elige su canal con CHANNEL=twilio|meta|telegram
+// (CHANNEL=console para el simulador local).
+
+const crypto = require("crypto");
+const twilio = require("twilio");
+
+const { metric } = require("./log");
+
+const CHANNEL = String(process.env.CHANNEL || "twilio").toLowerCase();
+
+// Solo para probar en tu máquina (curl, simulador): NODE_ENV=development y la petición desde localhost
+const SIGNATURE_BYPASS =
+  (process.env.CHANNEL_SIGNATURE_BYPASS || process.env.TWILIO_SIGNATURE_BYPASS) === "local" &&
+  process.env.NODE_ENV === "development";
+const LOOPBACK_IPS = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+// La firma de Twilio se calcula sobre la URL pública que llama (no la que ve Express detrás del proxy)
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+const SEND_ATTEMPTS = 3;
+const SEND_BACKOFF_MS = 400;
+
+// Adjuntos (p. ej. el CSV/Excel que importa importer.js): más grande que esto no se descarga
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 5 * 1024 * 1024);
+
+// -------------------------
+// Helpers
+// -------------------------
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Reintenta errores de red, 429 y 5xx; un 4xx (número inválido, token malo) no se reintenta
+function isRetryable(err) {
+  const status = Number(err?.status || err?.statusCode || 0);
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+async function withRetry(fn, { channel, attempts = SEND_ATTEMPTS, backoffMs = SEND_BACKOFF_MS } = {}) {
+  let lastErr = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastErr = err;
+      if (attempt === attempts || !isRetryable(err)) break;
+      metric("CHANNEL_SEND_RETRY", { channel, attempt, status: err?.status || null, message: err?.message || "unknown" });
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+  throw lastErr;
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data?.error?.message || data?.description || `HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+async function getJson(url, headers = {}) {
+  const res = await fetch(url, { headers });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data?.error?.message || data?.description || `HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+// Descarga un adjunto con tope de tamaño; err.code = "too_large" si se pasa
+async function fetchMedia(url, headers = {}) {
+  const res = await fetch(url, { headers });
+  if (!res.ok) {
+    const err = new Error(`HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  const tooLarge = () => Object.assign(new Error("Adjunto demasiado grande"), { code: "too_large", status: 413 });
+  if (Number(res.headers.get("content-length") || 0) > MEDIA_MAX_BYTES) throw tooLarge();
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (buffer.length > MEDIA_MAX_BYTES) throw tooLarge();
+  return { buffer, contentType: res.headers.get("content-type") || null };
+}
+
+function isLocalBypass(req, channel) {
+  if (!SIGNATURE_BYPASS || !LOOPBACK_IPS.has(req.socket?.remoteAddress)) return false;
+  metric("WEBHOOK_SIGNATURE_BYPASS", { channel });
+  return true;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// "5215512345678" / "+52 1 55..." -> "whatsapp:+5215512345678"
+function whatsappAddress(raw) {
+  const digits = String(raw || "").replace(/^whatsapp:/i, "").replace(/[^\d]/g, "");
+  return digits ? `whatsapp:+${digits}` : null;
+}
+
+function whatsappDigits(address) {
+  return String(address || "").replace(/^whatsapp:/i, "").replace(/[^\d]/g, "");
+}
+
+// -------------------------
+// Twilio (WhatsApp)
+// -------------------------
+const MESSAGE_SID_RE = /^(SM|MM)[0-9a-f]{32}$/i;
+
+function createTwilioChannel() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID || "";
+  const authToken = process.env.TWILIO_AUTH_TOKEN || "";
+  const from = process.env.TWILIO_WHATSAPP_FROM || "whatsapp:+14155238886";
+  const client = accountSid && authToken ? twilio(accountSid, authToken) : null;
+
+  return {
+    name: "twilio",
+    webhookPath: "/webhook/whatsapp",
+    // Twilio acepta la respuesta en el mismo request (TwiML)
+    replyInline: true,
+
+    configured: () => Boolean(client),
+    webhookConfigured: () => Boolean(authToken && PUBLIC_BASE_URL),
+    handles: (address) => String(address || "").startsWith("whatsapp:"),
+
+    // null = válida; si no, la razón del rechazo
+    verifyRequest(req) {
+      if (isLocalBypass(req, "twilio")) return null;
+      if (!authToken || !PUBLIC_BASE_URL) return "not_configured";
+      const signature = req.headers["x-twilio-signature"];
+      if (!signature) return "missing_signature";
+      const url = `${PUBLIC_BASE_URL}${req.originalUrl}`;
+      if (!twilio.validateRequest(authToken, signature, url, req.body || {})) return "bad_signature";
+      if (!req.body?.From || !MESSAGE_SID_RE.test(req.body?.MessageSid || "")) return "invalid_message_sid";
+      return null;
+    },
+
+    parseInbound(req) {
+      const b = req.body || {};
+      const media = [];
+      for (let i = 0; i < Number(b.NumMedia || 0); i++) {
+        media.push({ url: b[`MediaUrl${i}`], contentType: b[`MediaContentType${i}`] || null });
+      }
+      return [{ channel: "twilio", id: b.MessageSid, from: b.From, text: String(b.Body || "").trim(), media, raw: b }];
+    },
+
+    // MediaUrl de Twilio pide las credenciales de la cuenta (Basic auth)
+    async downloadMedia(media) {
+      if (!media?.url) return null;
+      const auth = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+      const file = await withRetry(() => fetchMedia(media.url, { Authorization: `Basic ${auth}` }), { channel: "twilio" });
+      return { ...file, contentType: media.contentType || file.contentType, filename: media.filename || null };
+    },
+
+    renderReplies(res, replies) {
+      const twiml = new twilio.twiml.MessagingResponse();
+      for (const text of replies) twiml.message(text);
+      return res.type("text/xml").send(twiml.toString());
+    },
+
+    async send(to, text) {
+      if (!to || !client) return null;
+      const msg = await withRetry(() => client.messages.create({ from, to, body: text }), { channel: "twilio" });
+      return msg?.sid || null;
+    },
+
+    // Twilio baja el archivo de la URL (tiene que ser pública) y lo manda como documento
+    async sendMedia(to, { url, caption = "" }) {
+      if (!to || !client || !url) return null;
+      const msg = await withRetry(() => client.messages.create({ from, to, body: caption, mediaUrl: [url] }), { channel: "twilio" });
+      return msg?.sid || null;
+    },
+  };
+}
+
+// -------------------------
+// Meta WhatsApp Cloud API
+// -------------------------
+function createMetaChannel() {
+  const token = process.env.META_ACCESS_TOKEN || "";
+  const phoneNumberId = process.env.META_PHONE_NUMBER_ID || "";
+  const appSecret = process.env.META_APP_SECRET || "";
+  const verifyToken = process.env.META_VERIFY_TOKEN || "";
+  const apiVersion = process.env.META_API_VERSION || "v20.0";
+
+  return {
+    name: "meta",
+    webhookPath: "/webhook/meta",
+    replyInline: false,
+
+    configured: () => Boolean(token && phoneNumberId),
+    webhookConfigured: () => Boolean(appSecret && verifyToken),
+    handles: (address) => String(address || "").startsWith("whatsapp:"),
+
+    // GET de verificación al dar de alta el webhook en el panel de Meta
+    handleVerification(req, res) {
+      const q = req.query || {};
+      if (q["hub.mode"] === "subscribe" && verifyToken && safeEqual(q["hub.verify_token"], verifyToken)) {
+        return res.status(200).send(String(q["hub.challenge"] || ""));
+      }
+      metric("WEBHOOK_REJECTED", { channel: "meta", reason: "bad_verify_token" });
+      return res.sendStatus(403);
+    },
+
+    verifyRequest(req) {
+      if (isLocalBypass(req, "meta")) return null;
+      if (!appSecret) return "not_configured";
+      const signature = req.headers["x-hub-signature-256"];
+      if (!signature) return "missing_signature";
+      if (!req.rawBody) return "bad_signature";
+      const expected = "sha256=" + crypto.createHmac("sha256", appSecret).update(req.rawBody).digest("hex");
+      if (!safeEqual(signature, expected)) return "bad_signature";
+      return null;
+    },
+
+    // Un POST puede traer varios mensajes; los "statuses" (entregado/leído) se ignoran
+    parseInbound(req) {
+      const out = [];
+      for (const entry of req.body?.entry || []) {
+        for (const change of entry.changes || []) {
+          for (const m of change.value?.messages || []) {
+            const doc = m.document || m.image || null;
+            out.push({
+              channel: "meta",
+              id: m.id,
+              from: whatsappAddress(m.from),
+              text: String(m.text?.body || doc?.caption || "").trim(),
+              media: doc ? [{ id: doc.id, contentType: doc.mime_type || null, filename: doc.filename || null }] : [],
+              raw: m,
+            });
+          }
+        }
+      }
+      return out;
+    },
+
+    // Dos pasos: el id del adjunto da una URL temporal, que también pide el token
+    async downloadMedia(media) {
+      if (!media?.id || !token) return null;
+      const headers = { Authorization: `Bearer ${token}` };
+      const info = await withRetry(() => getJson(`https://graph.facebook.com/${apiVersion}/${media.id}`, headers), { channel: "meta" });
+      const file = await withRetry(() => fetchMedia(info.url, headers), { channel: "meta" });
+      return { ...file, contentType: media.contentType || info.mime_type || file.contentType, filename: media.filename || null };
+    },
+
+    async send(to, text) {
+      const digits = whatsappDigits(to);
+      if (!digits || !token || !phoneNumberId) return null;
+      const data = await withRetry(
+        () =>
+          postJson(
+            `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+            { messaging_product: "whatsapp", to: digits, type: "text", text: { body: text } },
+            { Authorization: `Bearer ${token}` }
+          ),
+        { channel: "meta" }
+      );
+      return data?.messages?.[0]?.id || null;
+    },
+
+    async sendMedia(to, { url, filename = null, caption = "" }) {
+      const digits = whatsappDigits(to);
+      if (!digits || !token || !phoneNumberId || !url) return null;
+      const document = { link: url, ...(filename && { filename }), ...(caption && { caption }) };
+      const data = await withRetry(
+        () =>
+          postJson(
+            `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+            { messaging_product: "whatsapp", to: digits, type: "document", document },
+            { Authorization: `Bearer ${token}` }
+          ),
+        { channel: "meta" }
+      );
+      return data?.messages?.[0]?.id || null;
+    },
+  };
+}
+
+// -------------------------
+// Telegram
+// -------------------------
+function createTelegramChannel() {
+  const token = process.env.TELEGRAM_BOT_TOKEN || "";
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET || "";
+
+  return {
+    name: "telegram",
+    webhookPath: "/webhook/telegram",
+    replyInline: false,
+
+    configured: () => Boolean(token),
+    webhookConfigured: () => Boolean(secret),
+    handles: (address) => String(address || "").startsWith("telegram:"),
+
+    // Secreto que se registra con setWebhook(secret_token=...)
+    verifyRequest(req) {
+      if (isLocalBypass(req, "telegram")) return null;
+      if (!secret) return "not_configured";
+      const header = req.headers["x-telegram-bot-api-secret-token"];
+      if (!header) return "missing_signature";
+      if (!safeEqual(header, secret)) return "bad_signature";
+      return null;
+    },
+
+    parseInbound(req) {
+      const u = req.body || {};
+      const m = u.message || u.edited_message;
+      if (!m?.chat?.id) return [];
+      const doc = m.document || null;
+      return [
+        {
+          channel: "telegram",
+          id: `tg:${u.update_id}`,
+          from: `telegram:${m.chat.id}`,
+          text: String(m.text || m.caption || "").trim(),
+          media: doc ? [{ id: doc.file_id, contentType: doc.mime_type || null, filename: doc.file_name || null }] : [],
+          raw: m,
+        },
+      ];
+    },
+
+    // getFile da la ruta; el archivo se baja de /file/bot<token>/<ruta> (máx. 20 MB del lado de Telegram)
+    async downloadMedia(media) {
+      if (!media?.id || !token) return null;
+      const info = await withRetry(
+        () => getJson(`https://api.telegram.org/bot${token}/getFile?file_id=${encodeURIComponent(media.id)}`),
+        { channel: "telegram" }
+      );
+      const file = await withRetry(() => fetchMedia(`https://api.telegram.org/file/bot${token}/${info.result.file_path}`), {
+        channel: "telegram",
+      });
+      return { ...file, contentType: media.contentType || file.contentType, filename: media.filename || null };
+    },
+
+    async send(to, text) {
+      const chatId = String(to || "").replace(/^telegram:/, "");
+      if (!chatId || !token) return null;
+      const data = await withRetry(
+        () => postJson(`https://api.telegram.org/bot${token}/sendMessage`, { chat_id: chatId, text }),
+        { channel: "telegram" }
+      );
+      return data?.result?.message_id ? String(data.result.message_id) : null;
+    },
+
+    // Por URL Telegram solo acepta PDF y ZIP: el archivo se baja aquí y se sube como multipart
+    async sendMedia(to, { url, filename = null, contentType = null, caption = "" }) {
+      const chatId = String(to || "").replace(/^telegram:/, "");
+      if (!chatId || !token || !url) return null;
+      const file = await fetchMedia(url);
+      const data = await withRetry(
+        async () => {
+          const form = new FormData();
+          form.append("chat_id", chatId);
+          if (caption) form.append("caption", caption);
+          form.append("document", new Blob([file.buffer], { type: contentType || file.contentType || "application/octet-stream" }), filename || "archivo");
+          const res = await fetch(`https://api.telegram.org/bot${token}/sendDocument`, { method: "POST", body: form });
+          const json = await res.json().catch(() => ({}));
+          if (!res.ok) throw Object.assign(new Error(json?.description || `HTTP ${res.status}`), { status: res.status });
+          return json;
+        },
+        { channel: "telegram" }
+      );
+      return data?.result?.message_id ? String(data.result.message_id) : null;
+    },
+  };
+}
+
+// -------------------------
+// Consola (desarrollo local, ver dev.js): nada sale a internet
+// -------------------------
+function createConsoleChannel() {
+  // Todo lo que el bot "manda" (recordatorios, avisos de Stripe, cron) queda aquí y en stdout
+  const outbox = [];
+
+  return {
+    name: "console",
+    webhookPath: "/webhook/console",
+    replyInline: true,
+    outbox,
+
+    configured: () => true,
+    webhookConfigured: () => process.env.NODE_ENV === "development",
+    handles: () => true,
+
+    // Nunca en producción y solo desde esta máquina
+    verifyRequest(req) {
+      if (process.env.NODE_ENV !== "development") return "not_configured";
+      if (!LOOPBACK_IPS.has(req.socket?.remoteAddress)) return "not_local";
+      return null;
+    },
+
+    parseInbound(req) {
+      const b = req.body || {};
+      return [
+        {
+          channel: "console",
+          id: b.id || `dev:${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+          from: b.from || "whatsapp:+5215500000000",
+          text: String(b.text || "").trim(),
+          media: Array.isArray(b.media) ? b.media : [],
+          raw: b,
+        },
+      ];
+    },
+
+    renderReplies(res, replies) {
+      return res.json({ replies });
+    },
+
+    // El simulador manda el archivo en base64 ({ data, filename, contentType }) o una URL (también data:)
+    async downloadMedia(media) {
+      if (media?.data) {
+        const buffer = Buffer.from(media.data, "base64");
+        if (buffer.length > MEDIA_MAX_BYTES) throw Object.assign(new Error("Adjunto demasiado grande"), { code: "too_large", status: 413 });
+        return { buffer, contentType: media.contentType || null, filename: media.filename || null };
+      }
+      if (!media?.url) return null;
+      const file = await fetchMedia(media.url);
+      return { ...file, contentType: media.contentType || file.contentType, filename: media.filename || null };
+    },
+
+    async send(to, text) {
+      const id = `dev-${outbox.length + 1}`;
+      outbox.push({ id, to, text, at: new Date().toISOString() });
+      console.log(`[OUTBOX] → ${to}\n${text}`);
+      return id;
+    },
+
+    async sendMedia(to, { url, filename = null, contentType = null, caption = "" }) {
+      const id = `dev-${outbox.length + 1}`;
+      outbox.push({ id, to, text: caption, media: { url, filename, contentType }, at: new Date().toISOString() });
+      console.log(`[OUTBOX] → ${to}\n📎 ${filename || url}\n${url}${caption ? `\n${caption}` : ""}`);
+      return id;
+    },
+  };
+}
+
+// -------------------------
+// Registro
+// -------------------------
+const FACTORIES = {
+  twilio: createTwilioChannel,
+  meta: createMetaChannel,
+  telegram: createTelegramChannel,
+  console: createConsoleChannel,
+};
+
+const instances = new Map();
+
+function getChannel(name = CHANNEL) {
+  const key = String(name || "").toLowerCase();
+  if (!FACTORIES[key]) throw new Error(`Canal desconocido: ${name} (usa twilio, meta, telegram o console)`);
+  if (!instances.has(key)) instances.set(key, FACTORIES[key]());
+  return instances.get(key);
+}
+
+// Canal para una dirección guardada: el del deploy si la maneja; si no, el primero configurado que la maneje
+// (p. ej. un bot en Telegram manda los recordatorios a clientes por WhatsApp).
+function channelFor(address) {
+  const primary = getChannel();
+  if (primary.handles(address)) return primary;
+  for (const key of Object.keys(FACTORIES)) {
+    if (key === "console") continue;
+    const ch = getChannel(key);
+    if (ch.handles(address) && ch.configured()) return ch;
+  }
+  return null;
+}
+
+// Devuelve el id del mensaje del proveedor, o null si no hay canal configurado para esa dirección.
+async function sendMessage(to, text) {
+  const ch = channelFor(to);
+  if (!ch) return null;
+  return ch.send(to, text);
+}
+
+// Archivo por URL: { url, filename, contentType, caption }; null si no hay canal para esa dirección
+async function sendMedia(to, media) {
+  const ch = channelFor(to);
+  if (!ch || !ch.sendMedia) return null;
+  return ch.sendMedia(to, media);
+}
+
+module.exports = { CHANNEL, getChannel, channelFor, sendMessage, sendMedia, whatsappAddress };
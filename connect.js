@@ -0,0 +1,309 @@
+// connect.js — Cobro a los deudores con Stripe Connect (opcional, por usuario)
+// El usuario conecta su propia cuenta de Stripe (Express) con CONECTAR STRIPE. Cuando Stripe la activa
+// (account.updated con charges_enabled), cada recordatorio lleva un link /pagar/<token> al saldo de ese
+// cliente. El cobro es un Checkout directo en la cuenta del usuario: el dinero le llega a él, no a nosotros.
+//
+// El link no trae el monto: al abrirlo se cobra el saldo pendiente de ese momento (si abonó en efectivo
+// después del recordatorio, no paga de más). Como dashboard.js, la página pide confirmar con un botón (POST)
+// para que la vista previa de WhatsApp no abra sesiones de Checkout.
+//
+// Los eventos de las cuentas conectadas llegan a /webhook/stripe (index.js) firmados con
+// STRIPE_CONNECT_WEBHOOK_SECRET; traen event.account y se atienden aquí (handleEvent): el pago se registra
+// como un abono normal (registerPayment) y se le avisa al dueño por WhatsApp.
+//
+//   const connect = createStripeConnect({ stripe, sendMessage })   (index.js)
+//   connect.createOnboardingLink(user) -> { url } | { active: true }   (CONECTAR STRIPE, conversation.js)
+//   connect.createPayLink(user, { clientName, currency }) -> url | null   (al mandar un recordatorio; ver paylinks.js)
+//   connect.handleEvent(event) -> bool
+//   connect.mount(app)
+
+const { metric } = require("./log");
+const { COPY } = require("./copy");
+const { formatMoney, normalizeCurrency } = require("./money");
+const { hashPayToken, issuePayLink } = require("./paylinks");
+const {
+  pool,
+  getUserById,
+  updateUser,
+  getUserByStripeAccount,
+  listDebtsByClient,
+  registerPayment,
+  findPaymentLink,
+  markPaymentLinkOpened,
+  markPaymentLinkPaid,
+} = require("./db");
+
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const STRIPE_CONNECT_WEBHOOK_SECRET = process.env.STRIPE_CONNECT_WEBHOOK_SECRET || "";
+const STRIPE_CONNECT_COUNTRY = process.env.STRIPE_CONNECT_COUNTRY || "MX";
+
+const PAYMENT_KIND = "debt_payment";
+
+function round2(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+// -------------------------
+// HTML (páginas sueltas, sin sesión)
+// -------------------------
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 480px; margin: 0 auto; padding: 2rem 1rem; color: #222; text-align: center; }
+  .amount { font-size: 2em; font-weight: bold; margin: .5rem 0 1.5rem; }
+  button { font-size: 1.1em; padding: .6rem 1.6rem; background: #075e54; color: #fff; border: 0; border-radius: 6px; }
+  .muted { color: #777; font-size: .9em; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function message(res, status, title, text) {
+  return res.status(status).type("html").send(page(title, `<h2>${esc(title)}</h2>\n<p>${esc(text)}</p>`));
+}
+
+function createStripeConnect({ stripe, sendMessage = async () => null } = {}) {
+  function ready() {
+    return Boolean(stripe && STRIPE_CONNECT_WEBHOOK_SECRET && PUBLIC_BASE_URL);
+  }
+
+  // -------------------------
+  // Alta de la cuenta conectada
+  // -------------------------
+  // Reusa la cuenta si ya la empezó; si el webhook no ha llegado, pregunta a Stripe si ya quedó activa
+  async function createOnboardingLink(user) {
+    let accountId = user.stripe_account_id;
+
+    if (!accountId) {
+      const account = await stripe.accounts.create({
+        type: "express",
+        country: STRIPE_CONNECT_COUNTRY,
+        capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+        ...(user.business_name && { business_profile: { name: user.business_name } }),
+        metadata: { user_id: String(user.id), phone: user.phone },
+      });
+      accountId = account.id;
+      await updateUser(user.phone, { stripe_account_id: accountId, stripe_charges_enabled: false });
+      metric("STRIPE_CONNECT_ACCOUNT_CREATED", { user_id: user.id, account: accountId });
+    } else {
+      const account = await stripe.accounts.retrieve(accountId);
+      if (account.charges_enabled) {
+        if (!user.stripe_charges_enabled) await updateUser(user.phone, { stripe_charges_enabled: true });
+        return { active: true };
+      }
+    }
+
+    const link = await stripe.accountLinks.create({
+      account: accountId,
+      type: "account_onboarding",
+      refresh_url: `${PUBLIC_BASE_URL}/stripe/connect/refresh`,
+      return_url: `${PUBLIC_BASE_URL}/stripe/connect/return`,
+    });
+    return { url: link.url };
+  }
+
+  // -------------------------
+  // Links de pago
+  // -------------------------
+  // null = el recordatorio sale sin link (cuenta sin activar, o varias monedas)
+  async function createPayLink(user, { clientName, currency }) {
+    if (!ready()) return null;
+    return issuePayLink(pool, user, { clientName, currency });
+  }
+
+  // Link vigente + saldo del cliente en esa moneda; { error } con la página que toca mostrar
+  async function loadPayLink(token) {
+    const link = await findPaymentLink(hashPayToken(token));
+    if (!link) return { error: [404, "Link no encontrado", "Revisa que el link esté completo."] };
+    if (new Date(link.expires_at) <= new Date()) {
+      return { error: [410, "Este link ya venció", "Pídele a quien te cobra que te mande otro recordatorio."] };
+    }
+    if (!link.stripe_account_id || !link.stripe_charges_enabled) {
+      return { error: [409, "Pago en línea no disponible", "Este negocio ya no recibe pagos en línea; ponte en contacto directamente."] };
+    }
+
+    const debts = await listDebtsByClient(link.user_id, link.client_name);
+    const balance = round2(
+      debts.filter((d) => normalizeCurrency(d.currency) === link.currency).reduce((sum, d) => sum + Number(d.balance || 0), 0)
+    );
+    if (balance <= 0) return { error: [200, "No tienes saldo pendiente", "Ya no hay nada por pagar. ¡Gracias!"] };
+    return { link, balance };
+  }
+
+  async function createCheckout(link, balance, token) {
+    const business = link.business_name || "CobranzaBot";
+    const metadata = {
+      kind: PAYMENT_KIND,
+      user_id: String(link.user_id),
+      client_name: link.client_name,
+      currency: link.currency,
+      payment_link_id: String(link.id),
+    };
+    return stripe.checkout.sessions.create(
+      {
+        mode: "payment",
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: link.currency.toLowerCase(),
+              unit_amount: Math.round(balance * 100),
+              product_data: { name: `Saldo pendiente con ${business}` },
+            },
+          },
+        ],
+        success_url: `${PUBLIC_BASE_URL}/pagar/gracias`,
+        cancel_url: `${PUBLIC_BASE_URL}/pagar/${token}`,
+        metadata,
+        payment_intent_data: { metadata },
+      },
+      { stripeAccount: link.stripe_account_id }
+    );
+  }
+
+  // -------------------------
+  // Eventos de las cuentas conectadas (event.account)
+  // -------------------------
+  async function recordCheckoutPayment(event) {
+    const session = event.data.object;
+    const meta = session?.metadata || {};
+    if (meta.kind !== PAYMENT_KIND) return false;
+    // checkout.session.completed con OXXO/transferencia llega sin pagar; se registra con async_payment_succeeded
+    if (session.payment_status !== "paid") {
+      metric("DEBTOR_PAYMENT_PENDING", { user_id: meta.user_id, session: session.id });
+      return true;
+    }
+
+    const user = await getUserById(meta.user_id);
+    // Que el evento venga de la cuenta de ese usuario: nadie registra abonos en otra cuenta con metadata inventada
+    if (!user || user.stripe_account_id !== event.account) {
+      metric("DEBTOR_PAYMENT_REJECTED", { user_id: meta.user_id, account: event.account, session: session.id });
+      return true;
+    }
+
+    const amount = round2(Number(session.amount_total || 0) / 100);
+    const currency = normalizeCurrency(session.currency) || meta.currency;
+    const clientName = meta.client_name;
+    const result = await registerPayment(user.id, clientName, amount, `Stripe ${session.payment_intent || session.id}`, currency);
+    await markPaymentLinkPaid(user.id, meta.payment_link_id);
+
+    metric("DEBTOR_PAID_STRIPE", {
+      user_id: user.id,
+      amount,
+      currency,
+      applied: result?.applied ?? 0,
+      excess: result ? result.excess : amount,
+      paid_debts: result?.paidDebtIds.length ?? 0,
+    });
+
+    // Sin deudas pendientes (ya había pagado por otro lado) no hay a qué aplicarlo: se le avisa al dueño
+    const fmt = (n) => formatMoney(n, currency);
+    await sendMessage(
+      user.phone,
+      COPY.debtorPaidStripe({
+        clientName,
+        amount: fmt(amount),
+        remaining: result?.remaining > 0 ? fmt(result.remaining) : null,
+        excess: result?.excess > 0 ? fmt(result.excess) : null,
+        noDebts: !result,
+      })
+    );
+    return true;
+  }
+
+  async function updateAccount(event) {
+    const account = event.data.object;
+    const user = await getUserByStripeAccount(account?.id || event.account);
+    if (!user) return true;
+
+    const enabled = Boolean(account.charges_enabled);
+    if (enabled === Boolean(user.stripe_charges_enabled)) return true;
+
+    await updateUser(user.phone, { stripe_charges_enabled: enabled });
+    metric("STRIPE_CONNECT_UPDATED", { user_id: user.id, account: account.id, charges_enabled: enabled });
+    await sendMessage(user.phone, enabled ? COPY.stripeConnectActive : COPY.stripeConnectDisabled);
+    return true;
+  }
+
+  async function handleEvent(event) {
+    if (event.type === "checkout.session.completed" || event.type === "checkout.session.async_payment_succeeded") {
+      return recordCheckoutPayment(event);
+    }
+    if (event.type === "account.updated") return updateAccount(event);
+    return false;
+  }
+
+  // -------------------------
+  // Rutas
+  // -------------------------
+  function mount(app) {
+    app.get("/stripe/connect/return", (_req, res) =>
+      message(res, 200, "¡Listo!", "Stripe está revisando tus datos. Te aviso por WhatsApp en cuanto puedas cobrar con tarjeta.")
+    );
+    app.get("/stripe/connect/refresh", (_req, res) =>
+      message(res, 200, "El link ya venció", "Escribe CONECTAR STRIPE en WhatsApp para pedir otro.")
+    );
+    app.get("/pagar/gracias", (_req, res) =>
+      message(res, 200, "¡Gracias por tu pago!", "Ya le avisamos a quien te cobra. Puedes cerrar esta página.")
+    );
+
+    app.get("/pagar/:token", async (req, res) => {
+      res.set("Cache-Control", "no-store");
+      try {
+        const { link, balance, error } = await loadPayLink(req.params.token);
+        if (error) return message(res, ...error);
+        return res.type("html").send(
+          page(
+            "Pagar",
+            `<h2>${esc(link.business_name || "Pago pendiente")}</h2>
+<p>Saldo pendiente de ${esc(link.client_name)}</p>
+<div class="amount">${esc(formatMoney(balance, link.currency))}</div>
+<form method="post" action="/pagar/${esc(req.params.token)}"><button>Pagar con tarjeta</button></form>
+<p class="muted">El pago se procesa con Stripe.</p>`
+          )
+        );
+      } catch (err) {
+        console.error("❌ Pay link error:", err);
+        metric("ERROR", { stage: "pay_link", message: err?.message || "unknown" });
+        return message(res, 500, "Algo salió mal", "Intenta de nuevo en un momento.");
+      }
+    });
+
+    app.post("/pagar/:token", async (req, res) => {
+      try {
+        const { link, balance, error } = await loadPayLink(req.params.token);
+        if (error) return message(res, ...error);
+        const session = await createCheckout(link, balance, req.params.token);
+        await markPaymentLinkOpened(link.id);
+        metric("PAY_LINK_CHECKOUT", { user_id: link.user_id, link_id: link.id, amount: balance, currency: link.currency });
+        return res.redirect(303, session.url);
+      } catch (err) {
+        console.error("❌ Pay checkout error:", err);
+        metric("ERROR", { stage: "pay_checkout", message: err?.message || "unknown" });
+        return message(res, 502, "No se pudo abrir el pago", "Intenta de nuevo en un momento.");
+      }
+    });
+  }
+
+  return { ready, createOnboardingLink, createPayLink, handleEvent, mount };
+}
+
+module.exports = { createStripeConnect, STRIPE_CONNECT_WEBHOOK_SECRET };
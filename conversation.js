@@ -0,0 +1,1816 @@
+// conversation.js — La conversación de CobranzaBot, sin Express ni proveedor de mensajería
+// Registra en el motor (engine.js) los flujos de varios pasos y un handler por intent.
+// index.js (o cualquier otro canal) solo llama handleMessage(user, text) y envía las respuestas.
+
+const { parseMessage } = require("./ai");
+const { ruleParse, RULES_CONFIDENT, RULES_USABLE } = require("./rules");
+const { createEngine } = require("./engine");
+const { COPY } = require("./copy");
+const { dayKey, metric } = require("./log");
+const {
+  normalizeText,
+  normalizePhoneToWhatsApp,
+  isYes,
+  isNo,
+  parseTone,
+  parseCycle,
+  isDeleteConfirm,
+  looksLikeNewCommand,
+  localRouter,
+} = require("./router");
+const { matchClients, normalizeName } = require("./names");
+const { readTable, parseImport, markDuplicates, describeColumns, MAX_ROWS: IMPORT_MAX_ROWS } = require("./importer");
+const { EXPORT_URL_TTL_MIN } = require("./exporter");
+const { PRESETS, normalizeWeights, rankClients } = require("./priority");
+const { EVENT_TYPES } = require("./webhooks");
+const {
+  DEFAULT_TZ,
+  resolveWhen,
+  formatLocalDateTime,
+  formatLocalDate,
+  parseDebtDates,
+  debtAge,
+  summarizeAging,
+} = require("./dates");
+const {
+  CURRENCY_LABELS,
+  normalizeCurrency,
+  detectCurrency,
+  userCurrency,
+  currencyOf,
+  formatMoney,
+  totalsByCurrency,
+  formatTotals,
+} = require("./money");
+const {
+  pool,
+  updateUser,
+  addDebt,
+  importDebts,
+  listPendingDebts,
+  listAllDebts,
+  listDebtsByClient,
+  listClientDebtHistory,
+  markLatestDebtPaid,
+  findLatestDebt,
+  updateDebtAmount,
+  updateDebtClient,
+  deleteDebt,
+  reopenDebt,
+  undoLastDebtAction,
+  listDebtEventsByClient,
+  registerPayment,
+  listPaymentsByClient,
+  listPaymentSummary,
+  findClientByName,
+  listClients,
+  upsertClient,
+  addClientAlias,
+  setClientPhone,
+  logReminder,
+  listRemindersByClient,
+  listRecentReminders,
+  scheduleReminder,
+  listScheduledReminders,
+  cancelScheduledReminder,
+  listApiKeys,
+  revokeApiKey,
+  listWebhookEndpoints,
+  disableWebhookEndpoint,
+} = require("./db");
+
+// -------------------------
+// Admin controls
+// -------------------------
+const ADMIN_PHONES_RAW = process.env.ADMIN_PHONES || "";
+const ADMIN_PHONES = ADMIN_PHONES_RAW
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+function isAdminPhone(waPhone) {
+  if (!ADMIN_PHONES.length) return false;
+  return ADMIN_PHONES.includes(String(waPhone || "").trim());
+}
+
+// -------------------------
+// Minimal DB observability (optional tables)
+// -------------------------
+async function bumpDailyUserMetric(day, userId, phone, field, inc = 1) {
+  try {
+    await pool.query(
+      `
+      insert into public.daily_user_metrics (day, user_id, phone, messages, billable, unknown)
+      values ($1, $2, $3, 0, 0, 0)
+      on conflict (day, user_id) do nothing
+      `,
+      [day, userId, phone]
+    );
+
+    const col =
+      field === "messages" ? "messages" : field === "billable" ? "billable" : "unknown";
+
+    await pool.query(
+      `update public.daily_user_metrics set ${col} = ${col} + $1, phone = $2 where day = $3 and user_id = $4`,
+      [inc, phone, day, userId]
+    );
+  } catch (err) {
+    metric("OBS_DB_FAIL", { stage: "bumpDailyUserMetric", message: err?.message || "unknown" });
+  }
+}
+
+async function bumpDailyEvent(day, eventName, meta = null, inc = 1) {
+  try {
+    await pool.query(
+      `
+      insert into public.daily_event_counters (day, event, count, last_ts, last_meta)
+      values ($1, $2, $3, now(), $4)
+      on conflict (day, event)
+      do update set
+        count = public.daily_event_counters.count + $3,
+        last_ts = now(),
+        last_meta = coalesce($4, public.daily_event_counters.last_meta)
+      `,
+      [day, eventName, inc, meta]
+    );
+  } catch (err) {
+    metric("OBS_DB_FAIL", { stage: "bumpDailyEvent", message: err?.message || "unknown" });
+  }
+}
+
+// -------------------------
+// Support tickets
+// -------------------------
+async function createSupportTicket({ userId, phone, message, lastIntent }) {
+  await pool.query(
+    `
+    insert into public.support_tickets (user_id, phone, message, last_intent, status)
+    values ($1, $2, $3, $4, 'open')
+    `,
+    [userId, phone, message, lastIntent || null]
+  );
+}
+
+async function getTicketsToday(limit = 10) {
+  const today = dayKey();
+  const r = await pool.query(
+    `
+    select id, created_at, phone, message, status
+    from public.support_tickets
+    where created_at::date = $1::date
+    order by created_at desc
+    limit $2
+    `,
+    [today, limit]
+  );
+  return r.rows || [];
+}
+
+async function getTicketsOpen(limit = 10) {
+  const r = await pool.query(
+    `
+    select id, created_at, phone, message, status
+    from public.support_tickets
+    where status = 'open'
+    order by created_at desc
+    limit $1
+    `,
+    [limit]
+  );
+  return r.rows || [];
+}
+
+
+async function deleteUserAccount(userId, phone) {
+  // ⚠️ This deletes user-owned records. Stripe subscriptions must be canceled separately by the user.
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    await client.query("delete from public.debt_events where user_id = $1", [userId]);
+    await client.query("delete from public.payments where user_id = $1", [userId]);
+    await client.query("delete from public.debts where user_id = $1", [userId]);
+    await client.query("delete from public.clients where user_id = $1", [userId]);
+    await client.query("delete from public.support_tickets where user_id = $1", [userId]);
+    await client.query("delete from public.reminders where user_id = $1", [userId]);
+    await client.query("delete from public.scheduled_reminders where user_id = $1", [userId]);
+    await client.query("delete from public.daily_user_metrics where user_id = $1", [userId]);
+    // Keep stripe_events / inbound_messages (global dedup) and pro_trials (one trial per phone) as-is.
+
+    // Finally remove user row
+    await client.query("delete from public.users where id = $1", [userId]);
+
+    await client.query("commit");
+  } catch (err) {
+    await client.query("rollback");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// -------------------------
+// Helpers
+// -------------------------
+function addDaysISO(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + Number(days || 0));
+  return d.toISOString();
+}
+
+// Antigüedad legible: "45 días", "vence en 3 días", "12 días vencida"
+function ageLabel(debt, timeZone) {
+  const age = debtAge(debt, { timeZone });
+  if (age.dueInDays) return `vence en ${age.dueInDays} días`;
+  if (debt.due_date) return age.days ? `${age.days} días vencida` : "vence hoy";
+  return `${age.days} días`;
+}
+
+// "Antigüedad: 0-30 días $1,200 (2) · 90+ días $9,500 + USD 300 (2)"
+function agingSummaryText(debts, timeZone, primary) {
+  const rows = summarizeAging(debts, { timeZone }).filter((r) => r.count);
+  if (!rows.length) return "";
+  return (
+    "Antigüedad: " +
+    rows.map((r) => `${r.bucket} días ${formatTotals(totalsByCurrency(r.debts, { primary }))} (${r.count})`).join(" · ")
+  );
+}
+
+function userTimeZone(user) {
+  return user?.timezone || DEFAULT_TZ;
+}
+
+function reminderPreviewFor(user, payload) {
+  const sendLabel = payload.sendAt ? formatLocalDateTime(new Date(payload.sendAt), userTimeZone(user)) : null;
+  const message = payload.payLink ? `${payload.message}\n\n${COPY.reminderPayLinePending}` : payload.message;
+  return COPY.reminderPreview(payload.clientName, payload.toPhone, message, sendLabel);
+}
+
+// -------------------------
+// Clientes: coincidencia difusa + desambiguación
+// -------------------------
+async function resolveClient(userId, name) {
+  const clients = await listClients(userId);
+  const matches = matchClients(clients, name);
+  if (!matches.length) return { status: "none" };
+
+  const exact = matches.filter((m) => m.exact);
+  if (exact.length === 1) return { status: "match", client: exact[0].client };
+  if (matches.length === 1) return { status: "match", client: matches[0].client };
+  // Un candidato claramente mejor que el resto (p. ej. alias exacto vs. parecido)
+  if (!exact.length && matches[0].score - matches[1].score >= 0.1) return { status: "match", client: matches[0].client };
+
+  const shortlist = exact.length > 1 ? exact : matches;
+  return { status: "ambiguous", candidates: shortlist.slice(0, 5).map((m) => ({ id: m.client.id, name: m.client.name })) };
+}
+
+// Línea de monto para el recordatorio, a partir de las deudas pendientes del cliente.
+// Con varias monedas se listan por separado y `amount` queda en null.
+async function buildReminderDebtLine(user, clientName) {
+  const debts = await listDebtsByClient(user.id, clientName);
+  const totals = totalsByCurrency(debts, { primary: userCurrency(user) }).filter((t) => t.total > 0);
+  if (!totals.length) return { amount: null, currency: null, debtLine: "" };
+  const single = totals.length === 1 ? totals[0] : null;
+  return {
+    amount: single ? single.total : null,
+    currency: single ? single.currency : null,
+    debtLine: COPY.reminderDebtLine(totals),
+  };
+}
+
+// Correcciones que se muestran en el estado de cuenta (altas y abonos ya salen por su cuenta)
+function debtEventLabel(ev, fmt) {
+  const before = ev.before || {};
+  const after = ev.after || {};
+  const mark = ev.undone_at ? " (deshecho)" : "";
+  if (ev.action === "amount_changed") return `✏️ Deuda corregida: ${fmt(before.amount_due, before.currency)} → ${fmt(after.amount_due, after.currency)}${mark}`;
+  if (ev.action === "client_changed") return `✏️ Deuda movida de ${before.client_name} a ${after.client_name}${mark}`;
+  if (ev.action === "deleted") return `🗑️ Deuda borrada${mark}`;
+  if (ev.action === "reopened") return `↩️ Deuda reabierta (no pagó)${mark}`;
+  return null;
+}
+
+// "¿Quién me debe?" muestra las más recientes; la lista completa sale con EXPORTAR
+const LIST_MAX_LINES = Number(process.env.LIST_MAX_LINES || 30);
+
+// Estado de cuenta: deudas, abonos y recordatorios del cliente en orden cronológico
+const STATEMENT_MAX_LINES = 25;
+
+async function buildClientStatement(user, clientName) {
+  const [debts, payments, reminders, changes] = await Promise.all([
+    listClientDebtHistory(user.id, clientName),
+    listPaymentsByClient(user.id, clientName),
+    listRemindersByClient(user.id, clientName),
+    listDebtEventsByClient(user.id, clientName),
+  ]);
+  if (!debts.length) return null;
+
+  const tz = userTimeZone(user);
+  const primary = userCurrency(user);
+  const currencyByDebt = new Map(debts.map((d) => [String(d.id), currencyOf(d, primary)]));
+
+  const events = [
+    ...debts.map((d) => ({
+      at: new Date(d.created_at),
+      text:
+        `Deuda ${formatMoney(d.amount_due, currencyOf(d, primary))}` +
+        (d.due_text ? ` (desde ${d.due_text})` : "") +
+        (d.status === "paid" ? " ✅" : ""),
+    })),
+    ...payments.map((p) => ({ at: new Date(p.created_at), text: `Abono ${formatMoney(p.amount, currencyOf(p, primary))}` })),
+    ...reminders
+      .filter((r) => r.status === "sent")
+      .map((r) => ({ at: new Date(r.created_at), text: `Recordatorio enviado${r.tone ? ` (${r.tone})` : ""}` })),
+    ...changes
+      .map((c) => ({
+        at: new Date(c.created_at),
+        text: debtEventLabel(c, (n, cur) => formatMoney(n, cur || currencyByDebt.get(String(c.debt_id)) || primary)),
+      }))
+      .filter((e) => e.text),
+  ].sort((a, b) => a.at - b.at);
+
+  const shown = events.slice(-STATEMENT_MAX_LINES);
+  const hidden = events.length - shown.length;
+  const lines = shown.map((e) => `${formatLocalDate(e.at, tz)} · ${e.text}`);
+
+  const pending = debts.filter((d) => d.status === "pending");
+  const name = debts[debts.length - 1].client_name || clientName;
+
+  let msg = `📄 *Estado de cuenta — ${name}*\n\n`;
+  if (hidden > 0) msg += `…${hidden} movimientos anteriores\n`;
+  msg += lines.join("\n");
+  msg += `\n\nTotal pendiente: *${formatTotals(totalsByCurrency(pending, { primary }))}*`;
+  if (pending.length) {
+    const oldest = pending.reduce((a, d) => (debtAge(d, { timeZone: tz }).days > debtAge(a, { timeZone: tz }).days ? d : a));
+    msg += `\nDías con saldo: ${debtAge(oldest, { timeZone: tz }).days}`;
+    if (pending.length > 1) msg += `\n${agingSummaryText(pending, tz, primary)}`;
+  } else {
+    msg += `\n✅ Sin saldo pendiente.`;
+  }
+  return msg;
+}
+
+// -------------------------
+// Importar clientes y deudas desde un archivo (importer.js)
+// -------------------------
+// Más filas que esto se importan después de responder (el webhook de Twilio espera ~15 s)
+const IMPORT_INLINE_ROWS = 50;
+
+// Números para la vista previa y el resumen final
+function importCounts(items, user) {
+  const primary = userCurrency(user);
+  const debts = items.filter((it) => it.amount && !it.duplicate);
+  return {
+    clients: new Set(items.map((it) => normalizeName(it.name))).size,
+    debts: debts.length,
+    total: formatTotals(totalsByCurrency(debts, { amountOf: (it) => it.amount, primary })),
+    phones: items.filter((it) => it.phone).length,
+    duplicates: items.filter((it) => it.duplicate).length,
+  };
+}
+
+// Vuelve a revisar duplicados contra lo pendiente al momento de confirmar (pudo cambiar desde la vista previa)
+async function applyImport(user, items) {
+  const currency = userCurrency(user);
+  const checked = markDuplicates(items, await listPendingDebts(user.id), { currency });
+
+  // Todo o nada: si truena a media importación no queda nada aplicado y se puede reintentar
+  await importDebts(
+    user.id,
+    checked.map((it) => ({
+      name: it.name,
+      phone: it.phone || null,
+      debt:
+        !it.amount || it.duplicate
+          ? null
+          : { amount: it.amount, dueText: it.dateText, sinceDate: it.sinceDate, currency: normalizeCurrency(it.currency) || currency },
+    }))
+  );
+  return importCounts(checked, user);
+}
+
+// -------------------------
+// Paywall + Pro logic
+// -------------------------
+const LIMITS = { free_daily_actions: 15 };
+const TRIAL_DAYS_DEFAULT = Number(process.env.TRIAL_DAYS || 7);
+
+const PRIORITY_TOP_N = Number(process.env.PRIORITY_TOP_N || 3);
+
+function isPro(user) {
+  const plan = String(user.plan || "").toLowerCase();
+  const proUntilOk = user.pro_until ? new Date(user.pro_until).getTime() > Date.now() : false;
+
+  if (plan !== "pro") return proUntilOk;
+
+  const source = String(user.pro_source || "").toLowerCase();
+  if (source === "stripe") {
+    const status = String(user.stripe_status || "").toLowerCase();
+
+    if (status === "active" || status === "trialing") return true;
+
+    const periodOk = (() => {
+      if (!user.stripe_current_period_end) return false;
+      try {
+        return new Date(user.stripe_current_period_end).getTime() > Date.now();
+      } catch (_) {
+        return false;
+      }
+    })();
+
+    if (status === "past_due" || status === "unpaid") return periodOk || proUntilOk;
+    if (status === "canceled" || status === "incomplete_expired") return proUntilOk;
+
+    return periodOk || proUntilOk;
+  }
+
+  // Trial (o Pro manual con vencimiento): vale hasta pro_until aunque el cron no haya corrido
+  if (user.pro_until) return proUntilOk;
+
+  return true;
+}
+
+// -------------------------
+// Pro trial (una sola prueba por teléfono; sobrevive a "borrar mi cuenta")
+// -------------------------
+async function hasUsedTrial(phone) {
+  const r = await pool.query(`select 1 from public.pro_trials where phone = $1 limit 1`, [phone]);
+  return (r.rows || []).length > 0;
+}
+
+async function acquireTrial(userId, phone, endsAtISO) {
+  const r = await pool.query(
+    `
+    insert into public.pro_trials (phone, user_id, ends_at)
+    values ($1, $2, $3)
+    on conflict (phone) do nothing
+    returning phone
+    `,
+    [phone, userId, endsAtISO]
+  );
+  return (r.rows || []).length > 0;
+}
+
+async function ensureDailyCounter(user) {
+  const today = dayKey();
+  if (user.daily_count_day !== today) {
+    const updated = await updateUser(user.phone, {
+      daily_count_day: today,
+      daily_count: 0,
+    });
+    return updated || user;
+  }
+  return user;
+}
+
+async function incrementUsage(ctx, user, intent) {
+  if (isPro(user)) return user;
+
+  const next = (user.daily_count || 0) + 1;
+  const updated = await updateUser(user.phone, { daily_count: next });
+  ctx.metric("USAGE_INCREMENT", { intent, daily_count: next });
+  return updated || { ...user, daily_count: next };
+}
+
+// Solo se llama para intents registrados con { billable: true }
+async function enforcePaywallIfNeeded(ctx, intent) {
+  const u = await ensureDailyCounter(ctx.user);
+  if (isPro(u)) return { blocked: false, user: u, lowActionsWarning: false };
+
+  const limit = LIMITS.free_daily_actions;
+  if ((u.daily_count || 0) >= limit) {
+    ctx.metric("PAYWALL_HIT", { intent, daily_count: u.daily_count, limit });
+    ctx.reply(COPY.paywallHit);
+    return { blocked: true, user: u, lowActionsWarning: false };
+  }
+
+  const u2 = await incrementUsage(ctx, u, intent);
+  const remaining = limit - (u2.daily_count || 0);
+  const lowActionsWarning = remaining === 3;
+
+  return { blocked: false, user: u2, lowActionsWarning };
+}
+
+// -------------------------
+// Conversación: motor + flujos + intents
+// -------------------------
+/**
+ * Dependencias de salida (las pone index.js; en pruebas/simulador se pueden omitir):
+ *  - sendMessage(to, text) -> id | null       recordatorios al cliente (channels.js)
+ *  - sendMedia(to, { url, filename, contentType, caption }) -> id | null   archivos de EXPORTAR
+ *  - createExportLink(user, { kind, format, client }) -> { url, filename, contentType }   exporter.js
+ *  - createDashboardLink(user) -> { url, minutes }   link de entrada al panel web (dashboard.js)
+ *  - createApiKey(user, { name }) -> { key, prefix, baseUrl } | { error: "limit", max }   llaves de la API (api.js)
+ *  - createWebhook(user, { url }) -> { endpoint, secret } | { error }   webhooks salientes (api.js)
+ *  - createConnectLink(user) -> { url } | { active: true }   alta en Stripe Connect (connect.js)
+ *  - createPayLink(user, { clientName, currency }) -> url | null   link de pago, al mandar el recordatorio (connect.js)
+ *  - createCheckoutSession(user, cycle) -> { url }
+ *  - paymentsReady() -> bool                  Stripe configurado
+ *  - downloadMedia(media) -> { buffer, contentType, filename }   adjuntos del canal (channels.js)
+ */
+function createConversation({
+  sendMessage = async () => null,
+  sendMedia = async () => null,
+  createExportLink = null,
+  createDashboardLink = null,
+  createApiKey = null,
+  createWebhook = null,
+  createConnectLink = null,
+  createPayLink = null,
+  createCheckoutSession = null,
+  paymentsReady = () => false,
+  downloadMedia = null,
+} = {}) {
+  const engine = createEngine({
+    parse: parseIntent,
+    saveState: (ctx, { action, payload, patch }) =>
+      updateUser(ctx.phone, { ...patch, pending_action: action, pending_payload: payload }),
+    isNewCommand: looksLikeNewCommand,
+    // El aviso de "te quedan 3 acciones" solo va en respuestas de intents facturables
+    formatReply: (text, { appendLowActions } = {}, ctx) =>
+      appendLowActions && ctx.lowActions ? `${text}\n\n${COPY.lowActionsWarning}` : text,
+    fallback: handleFallback,
+    metric,
+  });
+
+  // Intents donde "ninguno de esos" significa registrar un cliente nuevo
+  const createsClient = (intent) => engine.intents.get(intent)?.options.client === "create";
+
+  // -------------------------
+  // Antes de todo: actividad, onboarding y "cancelar"
+  // -------------------------
+  engine.use("before", async (ctx) => {
+    ctx.metric("USER_ACTIVE", { day: dayKey(), phone: ctx.phone });
+    bumpDailyUserMetric(dayKey(), ctx.user.id, ctx.phone, "messages", 1).catch(() => {});
+    return false;
+  });
+
+  engine.use("before", async (ctx) => {
+    if (ctx.user.seen_onboarding) return false;
+    await updateUser(ctx.phone, { seen_onboarding: true });
+    ctx.reply(COPY.onboarding);
+    return true;
+  });
+
+  // Cancel in any state
+  engine.use("before", async (ctx) => {
+    if (!isNo(ctx.body)) return false;
+    await ctx.endFlow().catch(() => {});
+    ctx.reply("Cancelado ✅");
+    return true;
+  });
+
+  // -------------------------
+  // Flujos de varios pasos (estado en users.pending_action / pending_payload)
+  // -------------------------
+  engine.registerFlow({
+    name: "support",
+    start: ["support_collect"],
+    timeoutMs: 2 * 60 * 60 * 1000,
+    states: {
+      support_collect: {
+        async handle(ctx, payload) {
+          const msg = normalizeText(ctx.body);
+          if (!msg) {
+            ctx.reply(COPY.supportAsk);
+            return;
+          }
+
+          await createSupportTicket({
+            userId: ctx.user.id,
+            phone: ctx.phone,
+            message: msg.slice(0, 1200),
+            lastIntent: payload.last_intent || null,
+          });
+          ctx.metric("SUPPORT_TICKET_CREATED");
+
+          await ctx.endFlow();
+          ctx.reply(COPY.supportThanks);
+        },
+      },
+    },
+  });
+
+  engine.registerFlow({
+    name: "delete_account",
+    start: ["delete_confirm"],
+    timeoutMs: 10 * 60 * 1000,
+    states: {
+      delete_confirm: {
+        async handle(ctx) {
+          // Not confirmed yet
+          if (!isDeleteConfirm(ctx.body)) {
+            ctx.reply(COPY.deleteStart);
+            return;
+          }
+
+          try {
+            await deleteUserAccount(ctx.user.id, ctx.phone);
+            ctx.metric("ACCOUNT_DELETED");
+            ctx.reply(COPY.deleteDone);
+          } catch (err) {
+            ctx.metric("ACCOUNT_DELETE_FAIL", { message: err?.message || "unknown" });
+            ctx.reply("⚠️ No pude borrar tu cuenta por el momento. Intenta más tarde o escribe REPORTAR.");
+          }
+          // No need to reset pending; user row may be deleted, but keep it safe
+          await ctx.endFlow().catch(() => {});
+        },
+      },
+    },
+  });
+
+  // Pro trial: nombre -> ciclo -> activación
+  engine.registerFlow({
+    name: "trial",
+    start: ["pro_ask_name"],
+    timeoutMs: 24 * 60 * 60 * 1000,
+    escapable: true,
+    states: {
+      pro_ask_name: {
+        next: ["pro_ask_cycle"],
+        async handle(ctx, payload) {
+          const businessName = normalizeText(ctx.body).slice(0, 80);
+          if (!businessName) {
+            ctx.reply(COPY.wantProAskName);
+            return;
+          }
+
+          await ctx.goto(
+            "pro_ask_cycle",
+            { ...payload, business_name: businessName },
+            { business_name: businessName, pro_lead_status: "name_captured" }
+          );
+          ctx.metric("PRO_LEAD_NAME");
+
+          ctx.reply(COPY.wantProAskCycle(businessName));
+        },
+      },
+      pro_ask_cycle: {
+        async handle(ctx, payload) {
+          const { user, phone } = ctx;
+          const cycle = parseCycle(ctx.body);
+          if (!cycle) {
+            ctx.reply(COPY.wantProAskCycle(payload.business_name || user.business_name || "tu negocio"));
+            return;
+          }
+
+          const proUntilISO = addDaysISO(TRIAL_DAYS_DEFAULT);
+          const granted = await acquireTrial(user.id, phone, proUntilISO);
+
+          if (!granted) {
+            await ctx.endFlow({ pro_lead_cycle: cycle, pro_lead_status: "trial_denied" });
+            ctx.metric("PRO_TRIAL_DENIED", { cycle });
+            ctx.reply(COPY.proTrialAlreadyUsed);
+            return;
+          }
+
+          await ctx.endFlow({
+            plan: "pro",
+            pro_source: "trial",
+            pro_until: proUntilISO,
+            pro_lead_cycle: cycle,
+            pro_lead_status: "trial_active",
+          });
+          ctx.metric("PRO_TRIAL_STARTED", { cycle, days: TRIAL_DAYS_DEFAULT });
+
+          ctx.reply(COPY.proTrialActivated(TRIAL_DAYS_DEFAULT, proUntilISO));
+        },
+      },
+    },
+  });
+
+  // Link de pago al final del recordatorio, recién al mandarlo: los borradores que no se confirman no dejan
+  // links vivos. En la bitácora queda el mensaje sin el link (el token no se guarda en claro)
+  async function withPayLink(ctx, payload) {
+    if (!payload.payLink || !createPayLink) return payload.message;
+    try {
+      const url = await createPayLink(ctx.user, { clientName: payload.clientName, currency: payload.currency });
+      return url ? `${payload.message}\n\n${COPY.reminderPayLine(url)}` : payload.message;
+    } catch (err) {
+      ctx.metric("ERROR", { stage: "pay_link_create", message: err?.message || "unknown" });
+      return payload.message;
+    }
+  }
+
+  // Recordatorio: tono -> (teléfono) -> vista previa -> enviar o programar
+  engine.registerFlow({
+    name: "remind",
+    start: ["remind_choose_tone"],
+    escapable: true,
+    states: {
+      remind_choose_tone: {
+        next: ["remind_ask_phone", "remind_confirm"],
+        async handle(ctx, payload) {
+          const clientName = payload.clientName;
+          const tone = parseTone(ctx.body);
+
+          if (!tone) {
+            ctx.reply(COPY.reminderChooseTone(clientName));
+            return;
+          }
+
+          const { amount, currency, debtLine } = await buildReminderDebtLine(ctx.user, clientName);
+          const message = COPY.reminderMessage(tone, clientName, debtLine);
+          // Solo con una moneda: el link cobra el saldo de esa moneda. Se crea al mandarlo (withPayLink)
+          const payLink = Boolean(amount && createPayLink && ctx.user.stripe_charges_enabled);
+          const next = { ...payload, tone, amount, currency, message, payLink };
+
+          ctx.metric("REMINDER_TONE_CHOSEN", { client: clientName, tone });
+
+          if (!payload.toPhone) {
+            await ctx.goto("remind_ask_phone", next);
+            ctx.reply(COPY.reminderAskPhone(clientName));
+          } else {
+            await ctx.goto("remind_confirm", next);
+            ctx.reply(reminderPreviewFor(ctx.user, next));
+          }
+        },
+      },
+      remind_ask_phone: {
+        next: ["remind_confirm"],
+        async handle(ctx, payload) {
+          const clientName = payload.clientName;
+          const normalized = normalizePhoneToWhatsApp(ctx.body);
+
+          if (!normalized || !/^whatsapp:\+\d{10,15}$/.test(normalized)) {
+            ctx.reply(COPY.reminderAskPhone(clientName));
+            return;
+          }
+
+          await setClientPhone(ctx.user.id, clientName, normalized);
+          ctx.metric("PHONE_SAVED", { client: clientName, source: "reminder_flow" });
+
+          const next = { ...payload, toPhone: normalized };
+          await ctx.goto("remind_confirm", next);
+          ctx.reply(reminderPreviewFor(ctx.user, next));
+        },
+      },
+      remind_confirm: {
+        async handle(ctx, payload) {
+          const { user } = ctx;
+          const clientName = payload.clientName;
+
+          if (!isYes(ctx.body)) {
+            ctx.reply(reminderPreviewFor(user, payload));
+            return;
+          }
+
+          // Programado: se encola y lo despacha cron-reminders.js
+          if (payload.sendAt) {
+            const scheduled = await scheduleReminder({
+              userId: user.id,
+              clientName,
+              toPhone: payload.toPhone,
+              tone: payload.tone,
+              amount: payload.amount,
+              currency: payload.currency,
+              message: payload.message,
+              whenText: payload.whenText,
+              sendAt: payload.sendAt,
+            });
+            await ctx.endFlow();
+
+            ctx.metric("REMINDER_SCHEDULED", { client: clientName, send_at: payload.sendAt });
+            const sendLabel = formatLocalDateTime(new Date(payload.sendAt), userTimeZone(user));
+            ctx.reply(COPY.reminderScheduled(clientName, sendLabel, scheduled.id));
+            return;
+          }
+
+          let providerSid = null;
+          let sendError = null;
+          try {
+            providerSid = await sendMessage(payload.toPhone, await withPayLink(ctx, payload));
+            if (!providerSid) sendError = "channel_not_configured";
+          } catch (err) {
+            sendError = err?.message || "unknown";
+          }
+
+          try {
+            await logReminder({
+              userId: user.id,
+              clientName,
+              toPhone: payload.toPhone,
+              tone: payload.tone,
+              amount: payload.amount,
+              currency: payload.currency,
+              message: payload.message,
+              status: sendError ? "failed" : "sent",
+              providerSid,
+            });
+          } catch (err) {
+            ctx.metric("ERROR", { stage: "reminder_log", message: err?.message || "unknown" });
+          }
+
+          await ctx.endFlow();
+
+          if (sendError) {
+            ctx.metric("REMINDER_SEND_FAIL", { client: clientName, message: sendError });
+            ctx.reply(COPY.reminderSendFailed);
+          } else {
+            ctx.metric("REMINDER_SENT", { client: clientName, tone: payload.tone });
+            ctx.reply(COPY.reminderSent(clientName));
+          }
+        },
+      },
+    },
+  });
+
+  // Importar archivo: vista previa (al recibirlo) -> confirmar
+  engine.registerFlow({
+    name: "import",
+    start: ["import_confirm"],
+    escapable: true,
+    states: {
+      import_confirm: {
+        async handle(ctx, payload) {
+          const { user, phone } = ctx;
+          const items = payload.items || [];
+
+          if (!isYes(ctx.body)) {
+            ctx.reply(COPY.importPreview({ ...payload.preview, errors: payload.errors || [] }));
+            return;
+          }
+
+          await ctx.endFlow();
+          ctx.metric("IMPORT_CONFIRMED", { rows: items.length });
+
+          if (items.length <= IMPORT_INLINE_ROWS) {
+            const counts = await applyImport(user, items);
+            ctx.metric("IMPORT_DONE", counts);
+            ctx.reply(COPY.importDone(counts));
+            return;
+          }
+
+          ctx.reply(COPY.importWorking(items.length));
+          applyImport(user, items)
+            .then((counts) => {
+              metric("IMPORT_DONE", { reqId: ctx.reqId, user_id: user.id, ...counts });
+              return sendMessage(phone, COPY.importDone(counts));
+            })
+            .catch((err) => {
+              metric("ERROR", { reqId: ctx.reqId, user_id: user.id, stage: "import_apply", message: err?.message || "unknown" });
+              return sendMessage(phone, COPY.importFailed("apply_failed")).catch(() => {});
+            });
+        },
+      },
+    },
+  });
+
+  // Elegir cliente cuando el nombre coincidió con varios; luego sigue el intent original
+  engine.registerFlow({
+    name: "client_choose",
+    start: ["client_choose"],
+    escapable: true,
+    states: {
+      client_choose: {
+        async handle(ctx, payload) {
+          const candidates = payload.candidates || [];
+          const original = payload.parsed || {};
+          const allowNew = createsClient(original.intent);
+          const t = normalizeText(ctx.body);
+
+          let chosen = null;
+          if (/^\d+$/.test(t)) {
+            const n = Number(t);
+            if (n === 0 && allowNew) chosen = { id: null, name: original.client_name };
+            else chosen = candidates[n - 1] || null;
+          } else {
+            const m = matchClients(candidates, t);
+            if (m.length) chosen = m[0].client;
+          }
+
+          if (!chosen) {
+            ctx.reply(COPY.clientChoose(original.client_name, candidates, allowNew));
+            return;
+          }
+
+          await ctx.endFlow();
+          ctx.metric("CLIENT_DISAMBIGUATED", { intent: original.intent, is_new: !chosen.id });
+          ctx.metric("INTENT", { intent: original.intent, source: "client_choose" });
+          return {
+            continueWith: { ...original, client_name: chosen.name, client_id: chosen.id, client_resolved: true },
+          };
+        },
+      },
+    },
+  });
+
+  // -------------------------
+  // Intent parse: hard-guard PAGAR -> local -> reglas (si están seguras) -> LLM (ai.js) -> reglas (si el LLM no entendió)
+  // -------------------------
+  async function parseIntent(ctx) {
+    // Un adjunto (Excel/CSV con la lista de deudores) manda sobre el texto que lo acompañe
+    if (ctx.meta.media?.length) {
+      ctx.metric("INTENT", { intent: "import_file", source: "media" });
+      return { intent: "import_file", media: ctx.meta.media[0] };
+    }
+
+    if (normalizeText(ctx.body).toLowerCase() === "pagar") {
+      ctx.metric("INTENT", { intent: "pay", source: "hard_guard" });
+      return { intent: "pay" };
+    }
+
+    const local = localRouter(ctx.body);
+    if (local) {
+      ctx.metric("INTENT", { intent: local.intent, source: "local_router" });
+      return local;
+    }
+
+    const rules = ruleParse(ctx.body);
+    if (rules.parsed && rules.confidence >= RULES_CONFIDENT) {
+      ctx.metric("INTENT", { intent: rules.parsed.intent, source: "rules", confidence: rules.confidence });
+      return rules.parsed;
+    }
+
+    // parseMessage ya cae a las reglas si el proveedor falla; el catch es por configuración inválida (AI_PROVIDER)
+    let parsed = null;
+    try {
+      parsed = await parseMessage(ctx.body);
+    } catch (err) {
+      ctx.metric("ERROR", { stage: "parse_message", message: err?.message || "unknown" });
+    }
+
+    if ((!parsed || parsed.intent === "unknown") && rules.parsed && rules.confidence >= RULES_USABLE) {
+      ctx.metric("INTENT", { intent: rules.parsed.intent, source: "rules_fallback", confidence: rules.confidence });
+      return rules.parsed;
+    }
+
+    parsed = parsed || { intent: "unknown" };
+    ctx.metric("INTENT", { intent: parsed.intent || "unknown", source: "llm" });
+    return parsed;
+  }
+
+  // Cliente mencionado: nombre canónico (acentos, errores de dedo, alias) o pregunta "¿Cuál?"
+  engine.use("intent", async (ctx, entry) => {
+    const parsed = ctx.parsed;
+    if (!entry.options.client || !parsed.client_name || parsed.client_resolved) return false;
+
+    const match = await resolveClient(ctx.user.id, parsed.client_name);
+
+    if (match.status === "ambiguous") {
+      await ctx.goto("client_choose", { parsed, candidates: match.candidates });
+      ctx.metric("CLIENT_AMBIGUOUS", { intent: parsed.intent, candidates: match.candidates.length });
+      ctx.reply(COPY.clientChoose(parsed.client_name, match.candidates, entry.options.client === "create"));
+      return true;
+    }
+
+    if (match.status === "match") {
+      if (match.client.name !== parsed.client_name) {
+        ctx.metric("CLIENT_FUZZY_MATCH", { typed: parsed.client_name, client: match.client.name });
+      }
+      ctx.parsed = { ...parsed, client_name: match.client.name, client_id: match.client.id, client_resolved: true };
+    }
+    return false;
+  });
+
+  // Paywall for billable intents
+  engine.use("intent", async (ctx, entry) => {
+    if (!entry.options.billable) return false;
+    const gate = await enforcePaywallIfNeeded(ctx, entry.name);
+    ctx.user = gate.user;
+    ctx.lowActions = Boolean(gate.lowActionsWarning);
+    return gate.blocked;
+  });
+
+  // -------------------------
+  // Intents (opciones: client = pasa por resolveClient, "create" si puede ser cliente nuevo;
+  // billable = cuenta para el límite diario del plan gratis)
+  // -------------------------
+  // Admin commands
+  engine.registerIntent("admin_tickets_today", async (ctx) => {
+    if (!isAdminPhone(ctx.phone)) {
+      ctx.reply("No autorizado.");
+      return;
+    }
+    const rows = await getTicketsToday(10);
+    if (!rows.length) {
+      ctx.reply("✅ No hay tickets hoy.");
+    } else {
+      const lines = rows.map((t) => {
+        const hhmm = new Date(t.created_at).toISOString().slice(11, 16);
+        return `#${t.id} ${hhmm} ${t.phone}\n${String(t.message).slice(0, 120)}`;
+      });
+      ctx.reply(`🛠️ Tickets HOY (${rows.length}):\n\n` + lines.join("\n\n"));
+    }
+  });
+
+  engine.registerIntent("admin_tickets_open", async (ctx) => {
+    if (!isAdminPhone(ctx.phone)) {
+      ctx.reply("No autorizado.");
+      return;
+    }
+    const rows = await getTicketsOpen(10);
+    if (!rows.length) {
+      ctx.reply("✅ No hay tickets abiertos.");
+    } else {
+      const lines = rows.map((t) => {
+        const d = new Date(t.created_at).toISOString().slice(0, 10);
+        return `#${t.id} ${d} ${t.phone}\n${String(t.message).slice(0, 120)}`;
+      });
+      ctx.reply(`🛠️ Tickets ABIERTOS (${rows.length}):\n\n` + lines.join("\n\n"));
+    }
+  });
+
+  // Support start
+  engine.registerIntent("support_start", async (ctx) => {
+    await ctx.goto("support_collect", { last_intent: ctx.user.last_intent || null });
+    ctx.metric("SUPPORT_FLOW_STARTED");
+    ctx.reply(COPY.supportAsk);
+  });
+
+  // Support inline: "REPORTAR algo..."
+  engine.registerIntent("support_inline", async (ctx, parsed) => {
+    const { user } = ctx;
+    const msg = normalizeText(parsed.message || "");
+    if (!msg) {
+      await ctx.goto("support_collect", { last_intent: user.last_intent || null });
+      ctx.reply(COPY.supportAsk);
+    } else {
+      await createSupportTicket({ userId: user.id, phone: user.phone, message: msg.slice(0, 1200), lastIntent: user.last_intent || null });
+      ctx.metric("SUPPORT_TICKET_CREATED", { inline: true });
+      ctx.reply(COPY.supportThanks);
+    }
+  });
+
+  // MONEDA (moneda por defecto de la cuenta)
+  async function handleCurrency(ctx, parsed) {
+    const { user, phone } = ctx;
+    if (parsed.intent === "currency_show") {
+      ctx.reply(COPY.currencyCurrent(userCurrency(user)));
+      return;
+    }
+
+    if (!parsed.currency) {
+      ctx.reply(COPY.currencyUnknown);
+      return;
+    }
+
+    await updateUser(phone, { currency: parsed.currency });
+    ctx.metric("CURRENCY_SET", { currency: parsed.currency });
+    ctx.reply(COPY.currencySaved(parsed.currency));
+  }
+  engine.registerIntent("currency_show", handleCurrency);
+  engine.registerIntent("currency_set", handleCurrency);
+
+  // Alias: "Pepe = José López"
+  engine.registerIntent("add_alias", { client: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const alias = normalizeText(parsed.alias || "").slice(0, 60);
+    if (!parsed.client_id || !alias) {
+      ctx.reply(
+        `No encontré a *${parsed.client_name || "ese cliente"}*.\nPrimero registra una deuda o su teléfono, y luego: "Pepe = José López"`
+      );
+      return;
+    }
+
+    await addClientAlias(user.id, parsed.client_id, alias);
+    ctx.metric("CLIENT_ALIAS_ADDED", { client: parsed.client_name });
+    ctx.reply(COPY.aliasSaved(alias, parsed.client_name));
+  });
+
+  // Delete account start
+  engine.registerIntent("delete_account_start", async (ctx) => {
+    await ctx.goto("delete_confirm");
+    ctx.metric("ACCOUNT_DELETE_STARTED");
+    ctx.reply(COPY.deleteStart);
+  });
+
+  engine.registerIntent("pricing", async (ctx) => {
+    ctx.reply(COPY.pricing);
+  });
+
+  engine.registerIntent("want_pro", async (ctx) => {
+    const { user, phone } = ctx;
+    if (isPro(user)) {
+      ctx.reply(COPY.proAlreadyActive);
+      return;
+    }
+
+    if (await hasUsedTrial(phone)) {
+      ctx.metric("PRO_TRIAL_DENIED");
+      ctx.reply(COPY.proTrialAlreadyUsed);
+      return;
+    }
+
+    await ctx.goto("pro_ask_name", {}, { pro_lead_status: "interested" });
+    ctx.metric("PRO_INTEREST");
+
+    ctx.reply(COPY.wantProAskName);
+  });
+
+  engine.registerIntent("pay", async (ctx) => {
+    const { user, phone } = ctx;
+    if (!paymentsReady()) {
+      ctx.metric("PAY_NOT_CONFIGURED");
+      ctx.reply("⚠️ Pagos no configurados todavía. Revisa variables STRIPE_* en Render (Web Service).");
+      return;
+    }
+
+    const cycle = user.pro_lead_cycle || "mensual";
+    const session = await createCheckoutSession(user, cycle);
+
+    await updateUser(phone, { pro_lead_status: "payment_link_sent" });
+    ctx.metric("PAY_LINK_CREATED", { cycle });
+
+    ctx.reply(COPY.payLink(session.url));
+  });
+
+  // IMPORT FILE (la confirmación está en el flujo "import")
+  engine.registerIntent("import_file", { billable: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const fail = (reason, data = {}) => {
+      ctx.metric("IMPORT_FAILED", { reason, ...data });
+      ctx.reply(COPY.importFailed(reason, IMPORT_MAX_ROWS));
+    };
+
+    if (!downloadMedia) return fail("unavailable");
+
+    let file;
+    try {
+      file = await downloadMedia(parsed.media);
+    } catch (err) {
+      return fail(err?.code === "too_large" ? "too_large" : "download_failed", { message: err?.message || "unknown" });
+    }
+    if (!file) return fail("download_failed");
+
+    const table = readTable(file.buffer, file);
+    if (table.error) return fail(table.error, { content_type: file.contentType, message: table.message });
+
+    const parsedFile = parseImport(table.rows, { timeZone: userTimeZone(user) });
+    if (parsedFile.tooManyRows) return fail("too_many_rows", { rows: parsedFile.tooManyRows });
+    if (parsedFile.missingColumns) return fail("missing_columns");
+    if (!parsedFile.items.length && !parsedFile.errors.length) return fail("empty");
+
+    const items = markDuplicates(parsedFile.items, await listPendingDebts(user.id), { currency: userCurrency(user) });
+    const preview = {
+      filename: file.filename,
+      columns: describeColumns(table.rows, parsedFile),
+      ...importCounts(items, user),
+    };
+
+    ctx.metric("IMPORT_PREVIEW", {
+      rows: items.length,
+      errors: parsedFile.errors.length,
+      duplicates: preview.duplicates,
+      content_type: file.contentType,
+    });
+
+    if (!items.length) {
+      ctx.reply(COPY.importPreview({ ...preview, errors: parsedFile.errors }));
+      return;
+    }
+
+    await ctx.goto("import_confirm", { items, errors: parsedFile.errors, preview });
+    ctx.reply(COPY.importPreview({ ...preview, errors: parsedFile.errors }), { appendLowActions: true });
+  });
+
+  // SAVE PHONE
+  engine.registerIntent("save_phone", { client: "create", billable: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    const normalized = normalizePhoneToWhatsApp(parsed.phone);
+
+    if (!clientName || !normalized) {
+      ctx.reply(`Ejemplo:\n"Guarda teléfono de Pepe +5218331112222"`);
+      return;
+    }
+
+    await upsertClient(user.id, clientName);
+    await setClientPhone(user.id, clientName, normalized);
+
+    ctx.metric("PHONE_SAVED", { client: clientName });
+    ctx.reply(
+      `✅ Guardado.\n• Cliente: ${clientName}\n• Tel: ${normalized.replace("whatsapp:", "")}`,
+      { appendLowActions: true }
+    );
+  });
+
+  // LIST DEBTS
+  engine.registerIntent("list_debts", async (ctx) => {
+    const { user } = ctx;
+    const debts = await listPendingDebts(user.id);
+    ctx.metric("DEBTS_LISTED", { count: debts.length });
+
+    if (!debts.length) {
+      ctx.reply("✅ No tienes deudas registradas por cobrar.");
+      return;
+    }
+
+    const tz = userTimeZone(user);
+    const primary = userCurrency(user);
+    const shown = debts.slice(0, LIST_MAX_LINES);
+    const lines = shown.map((d, i) => {
+      const cur = currencyOf(d, primary);
+      const amt = formatMoney(d.balance, cur);
+      const orig = Number(d.amount_paid || 0) ? ` de ${formatMoney(d.amount_due, cur)}` : "";
+      const since = d.due_text ? ` (desde ${d.due_text})` : "";
+      return `${i + 1}) ${d.client_name}: ${amt}${orig}${since} · ${ageLabel(d, tz)}`;
+    });
+
+    if (debts.length > shown.length) lines.push(COPY.listTruncated(debts.length - shown.length));
+
+    ctx.reply(
+      "📌 Te deben:\n" +
+        lines.join("\n") +
+        `\n\nTotal: *${formatTotals(totalsByCurrency(debts, { primary }))}*` +
+        `\n${agingSummaryText(debts, tz, primary)}`
+    );
+  });
+
+  // EXPORTAR: el archivo sale como documento por el canal; si no se puede, se responde con el link
+  async function deliverExport(ctx, spec, caption) {
+    const link = createExportLink(ctx.user, spec);
+    let sent = null;
+    try {
+      sent = await sendMedia(ctx.phone, { url: link.url, filename: link.filename, contentType: link.contentType, caption });
+    } catch (err) {
+      ctx.metric("ERROR", { stage: "export_send", message: err?.message || "unknown" });
+    }
+    ctx.metric("EXPORT_SENT", { kind: spec.kind, format: spec.format, delivered: Boolean(sent) });
+    if (!sent) ctx.reply(COPY.exportLink({ url: link.url, minutes: EXPORT_URL_TTL_MIN }));
+  }
+
+  engine.registerIntent("export_debts", async (ctx, parsed) => {
+    if (!createExportLink) {
+      ctx.reply(COPY.exportUnavailable);
+      ctx.metric("EXPORT_UNAVAILABLE");
+      return;
+    }
+    const debts = await listAllDebts(ctx.user.id);
+    if (!debts.length) {
+      ctx.reply(COPY.exportEmpty);
+      return;
+    }
+    const format = parsed.format === "csv" ? "csv" : "xlsx";
+    await deliverExport(ctx, { kind: "debts", format }, COPY.exportCaption({ kind: "debts", rows: debts.length }));
+  });
+
+  engine.registerIntent("export_statement", { client: true }, async (ctx, parsed) => {
+    const clientName = parsed.client_name;
+    if (!clientName) {
+      ctx.reply(COPY.exportAskClient);
+      return;
+    }
+    if (!createExportLink) {
+      ctx.reply(COPY.exportUnavailable);
+      ctx.metric("EXPORT_UNAVAILABLE");
+      return;
+    }
+    const debts = await listClientDebtHistory(ctx.user.id, clientName);
+    if (!debts.length) {
+      ctx.reply(COPY.exportNoClient(clientName));
+      return;
+    }
+    const name = debts[debts.length - 1].client_name || clientName;
+    await deliverExport(ctx, { kind: "statement", format: "pdf", client: name }, COPY.exportCaption({ kind: "statement", client: name }));
+  });
+
+  // PANEL: link mágico al panel web de solo lectura
+  engine.registerIntent("dashboard_link", async (ctx) => {
+    if (!createDashboardLink) {
+      ctx.reply(COPY.dashboardUnavailable);
+      ctx.metric("DASHBOARD_UNAVAILABLE");
+      return;
+    }
+    const link = await createDashboardLink(ctx.user);
+    ctx.metric("DASHBOARD_LINK_SENT");
+    ctx.reply(COPY.dashboardLink(link));
+  });
+
+  // API KEYS (solo por comando exacto: la llave se muestra una vez y no se vuelve a poder ver)
+  engine.registerIntent("api_key_create", async (ctx, parsed) => {
+    if (!createApiKey) {
+      ctx.reply(COPY.apiUnavailable);
+      ctx.metric("API_UNAVAILABLE");
+      return;
+    }
+    const created = await createApiKey(ctx.user, { name: parsed.key_name || null });
+    if (created.error === "limit") {
+      ctx.metric("API_KEY_LIMIT", { max: created.max });
+      ctx.reply(COPY.apiKeyLimit(created.max));
+      return;
+    }
+    ctx.metric("API_KEY_CREATED", { prefix: created.prefix });
+    ctx.reply(COPY.apiKeyCreated(created));
+  });
+
+  engine.registerIntent("api_key_list", async (ctx) => {
+    const keys = await listApiKeys(ctx.user.id);
+    if (!keys.length) {
+      ctx.reply(COPY.apiKeysEmpty);
+      return;
+    }
+    const tz = userTimeZone(ctx.user);
+    const lines = keys.map(
+      (k) =>
+        `• ${k.prefix}…${k.name ? ` "${k.name}"` : ""} — creada ${formatLocalDate(k.created_at, tz)}` +
+        (k.last_used_at ? `, último uso ${formatLocalDate(k.last_used_at, tz)}` : ", sin usar")
+    );
+    ctx.reply(COPY.apiKeysList(lines));
+  });
+
+  engine.registerIntent("api_key_revoke", async (ctx, parsed) => {
+    // Acepta el prefijo (cbk_1a2b3c4d), con "…" al final, o la llave completa
+    const prefix = String(parsed.key_prefix || "").toLowerCase().replace(/[….]+$/, "").slice(0, 12);
+    if (!/^cbk_[0-9a-f]{8}$/.test(prefix)) {
+      ctx.reply(COPY.apiKeyAskPrefix);
+      return;
+    }
+    const revoked = await revokeApiKey(ctx.user.id, prefix);
+    if (!revoked) {
+      ctx.reply(COPY.apiKeyNotFound(prefix));
+      return;
+    }
+    ctx.metric("API_KEY_REVOKED", { prefix });
+    ctx.reply(COPY.apiKeyRevoked(prefix));
+  });
+
+  // WEBHOOKS (comando exacto, como API KEY: el secreto se muestra una sola vez)
+  engine.registerIntent("webhook_create", async (ctx, parsed) => {
+    if (!createWebhook) {
+      ctx.reply(COPY.apiUnavailable);
+      ctx.metric("API_UNAVAILABLE");
+      return;
+    }
+    if (!parsed.webhook_url) {
+      ctx.reply(COPY.webhookAskUrl);
+      return;
+    }
+    const created = await createWebhook(ctx.user, { url: parsed.webhook_url });
+    if (created.error === "limit") {
+      ctx.reply(COPY.webhookLimit(created.max));
+      return;
+    }
+    if (created.error) {
+      ctx.metric("WEBHOOK_URL_REJECTED", { reason: created.error });
+      ctx.reply(COPY.webhookInvalidUrl(created.error));
+      return;
+    }
+    const { endpoint, secret } = created;
+    ctx.reply(COPY.webhookCreated({ id: endpoint.id, url: endpoint.url, secret, events: endpoint.events || EVENT_TYPES }));
+  });
+
+  engine.registerIntent("webhook_list", async (ctx) => {
+    const endpoints = await listWebhookEndpoints(ctx.user.id);
+    if (!endpoints.length) {
+      ctx.reply(COPY.webhooksEmpty);
+      return;
+    }
+    const tz = userTimeZone(ctx.user);
+    const lines = endpoints.map((w) => {
+      let line = `#${w.id} ${w.url}\n✅ ${w.delivered} entregados · ⏳ ${w.pending} pendientes · ❌ ${w.failed} fallidos`;
+      if (w.last_attempt_at && w.last_error) line += `\nÚltimo error (${formatLocalDateTime(new Date(w.last_attempt_at), tz)}): ${w.last_error}`;
+      return line;
+    });
+    ctx.reply(COPY.webhooksList(lines));
+  });
+
+  engine.registerIntent("webhook_delete", async (ctx, parsed) => {
+    const id = /^\d{1,15}$/.test(String(parsed.webhook_id || "")) ? parsed.webhook_id : null;
+    if (!id) {
+      ctx.reply(COPY.webhookAskId);
+      return;
+    }
+    const disabled = await disableWebhookEndpoint(ctx.user.id, id);
+    if (!disabled) {
+      ctx.reply(COPY.webhookNotFound(id));
+      return;
+    }
+    ctx.metric("WEBHOOK_ENDPOINT_DISABLED", { endpoint_id: disabled.id });
+    ctx.reply(COPY.webhookDeleted(disabled.id));
+  });
+
+  // STRIPE CONNECT: cobro a los deudores con el link del recordatorio
+  engine.registerIntent("stripe_connect", async (ctx) => {
+    if (!createConnectLink) {
+      ctx.reply(COPY.stripeConnectUnavailable);
+      ctx.metric("STRIPE_CONNECT_UNAVAILABLE");
+      return;
+    }
+    const link = await createConnectLink(ctx.user);
+    if (link.active) {
+      ctx.reply(COPY.stripeConnectAlready);
+      return;
+    }
+    ctx.metric("STRIPE_CONNECT_LINK_SENT");
+    ctx.reply(COPY.stripeConnectLink(link.url));
+  });
+
+  engine.registerIntent("stripe_disconnect", async (ctx) => {
+    if (!ctx.user.stripe_account_id) {
+      ctx.reply(COPY.stripeNotConnected);
+      return;
+    }
+    await updateUser(ctx.phone, { stripe_account_id: null, stripe_charges_enabled: false });
+    ctx.metric("STRIPE_CONNECT_DISCONNECTED", { account: ctx.user.stripe_account_id });
+    ctx.reply(COPY.stripeDisconnected);
+  });
+
+  // ADD DEBT
+  engine.registerIntent("add_debt", { client: "create", billable: true }, async (ctx, parsed) => {
+    const { user, body } = ctx;
+    const clientName = parsed.client_name || "Cliente";
+    const amount = parsed.amount_due;
+
+    if (!amount) {
+      ctx.reply(`No pude identificar el monto. Ejemplo: "Pepe me debe 9500 desde agosto"`);
+      ctx.metric("DEBT_AMOUNT_MISSING", { client: clientName });
+      return;
+    }
+
+    const since = parsed.since_text || null;
+    const dueWhen = parsed.due_when_text || null;
+    const tz = userTimeZone(user);
+    const dates = parseDebtDates({ sinceText: since, dueText: dueWhen, timeZone: tz });
+    // Moneda: la que diga el mensaje; si no dice, la del usuario
+    const currency = normalizeCurrency(parsed.currency) || detectCurrency(body) || userCurrency(user);
+
+    await upsertClient(user.id, clientName);
+    const debt = await addDebt(user.id, clientName, amount, since, {
+      sinceDate: dates.since_date,
+      dueDate: dates.due_date,
+      dueWhenText: dueWhen,
+      currency,
+    });
+
+    ctx.metric("DEBT_CREATED", {
+      client: clientName,
+      amount_due: Number(amount),
+      currency,
+      since_date: dates.since_date,
+      due_date: dates.due_date,
+      since_unparsed: Boolean(since && !dates.since_date),
+    });
+
+    // Fechas de calendario: se muestran a mediodía UTC para no brincar de día por zona horaria
+    const showYmd = (ymd) => formatLocalDate(new Date(`${ymd}T12:00:00Z`), "UTC");
+    const amt = formatMoney(debt.amount_due, debt.currency);
+    ctx.reply(
+      `Registrado ✅\n• Cliente: ${debt.client_name}\n• Monto: ${amt}\n` +
+        (debt.due_text ? `• Desde: ${debt.due_text}${dates.since_date ? ` (${showYmd(dates.since_date)})` : ""}\n` : "") +
+        (dates.due_date ? `• Vence: ${showYmd(dates.due_date)}\n` : "") +
+        `\n¿Quieres agregar otro o preguntar "¿Quién me debe?"\n${COPY.undoHint}`,
+      { appendLowActions: true }
+    );
+  });
+
+  // PRIORITIZE
+  engine.registerIntent("prioritize", { billable: true }, async (ctx) => {
+    const { user } = ctx;
+    const debts = await listPendingDebts(user.id);
+    ctx.metric("PRIORITIZE_USED", { pending_count: debts.length });
+
+    if (!debts.length) {
+      ctx.reply("✅ No tienes deudas registradas por cobrar.");
+      return;
+    }
+
+    const [clients, payments, reminders] = await Promise.all([
+      listClients(user.id),
+      listPaymentSummary(user.id),
+      listRecentReminders(user.id),
+    ]);
+    const ranked = rankClients({
+      debts,
+      clients,
+      payments,
+      reminders,
+      weights: user.priority_weights,
+      timeZone: userTimeZone(user),
+      currency: userCurrency(user),
+      limit: PRIORITY_TOP_N,
+    });
+
+    const lines = ranked.map(
+      (r, i) =>
+        `${i + 1}) *${r.client_name}* — ` +
+        formatTotals(Object.entries(r.balances).map(([currency, total]) => ({ currency, total }))) +
+        (r.reason ? `\n   ${r.reason}` : "")
+    );
+
+    ctx.reply(
+      `📌 *Recomendación de cobranza*\n\n` +
+        lines.join("\n") +
+        `\n\nCriterio: escribe "prioridad" para verlo o cambiarlo.`,
+      { appendLowActions: true }
+    );
+  });
+
+  // PRIORITY CONFIG (pesos por cuenta)
+  engine.registerIntent("priority_show", async (ctx) => {
+    const { user } = ctx;
+    ctx.reply(COPY.priorityWeights(user.priority_weights));
+  });
+
+  async function handlePriorityConfig(ctx, parsed) {
+    const { user, phone } = ctx;
+    const weights =
+      parsed.intent === "priority_preset"
+        ? { ...PRESETS[parsed.preset] }
+        : { ...normalizeWeights(user.priority_weights), [parsed.factor]: parsed.value };
+
+    await updateUser(phone, { priority_weights: weights });
+    ctx.metric("PRIORITY_WEIGHTS_UPDATED", { preset: parsed.preset || null, factor: parsed.factor || null });
+
+    ctx.reply(`✅ Criterio actualizado.\n\n` + COPY.priorityWeights(weights));
+  }
+  engine.registerIntent("priority_preset", handlePriorityConfig);
+  engine.registerIntent("priority_weight", handlePriorityConfig);
+
+  // UNDO (deshacer la última escritura)
+  engine.registerIntent("undo", async (ctx) => {
+    const { user } = ctx;
+    const r = await undoLastDebtAction(user.id);
+    if (!r) {
+      ctx.reply(COPY.undoNothing);
+      return;
+    }
+
+    ctx.metric("DEBT_ACTION_UNDONE", { action: r.event.action, debt_id: r.event.debt_id });
+
+    const fmt = (n) => formatMoney(n, currencyOf(r.debt, userCurrency(user)));
+    const name = r.debt?.client_name || r.event.client_name;
+    const labels = {
+      created: `Quité la deuda de *${name}* que acababas de registrar.`,
+      amount_changed: `La deuda de *${name}* volvió a ${formatMoney(r.event.before?.amount_due, r.event.before?.currency || r.debt?.currency)}.`,
+      client_changed: `La deuda volvió a *${r.event.before?.client_name}*.`,
+      deleted: `Recuperé la deuda de *${name}*.`,
+      paid: `La deuda de *${name}* volvió a pendiente.`,
+      reopened: `La deuda de *${name}* quedó pagada otra vez.`,
+      payment: `Quité el abono de ${fmt(r.event.after?.amount)} de *${name}*.`,
+    };
+    ctx.reply(`↩️ Listo, deshecho. ${labels[r.event.action] || ""}`.trim(), { appendLowActions: true });
+  });
+
+  // EDIT DEBT (corrige monto)
+  engine.registerIntent("edit_debt", { client: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    const amount = Number(parsed.amount_due || 0);
+    if (!clientName || !(amount > 0)) {
+      ctx.reply(`Ejemplo: "Corrige la deuda de Pepe a 9000"`);
+      return;
+    }
+
+    const debt = await findLatestDebt(user.id, { clientName });
+    const r = debt ? await updateDebtAmount(user.id, debt.id, amount, normalizeCurrency(parsed.currency)) : null;
+    if (!r) {
+      ctx.metric("DEBT_EDIT_NOT_FOUND", { client: clientName });
+      ctx.reply(`No encontré deudas pendientes de *${clientName}*.`);
+      return;
+    }
+
+    ctx.metric("DEBT_EDITED", { debt_id: debt.id, field: "amount_due" });
+    ctx.reply(
+      `✏️ Deuda corregida\n• Cliente: ${r.debt.client_name}\n` +
+        `• Antes: ${formatMoney(r.before.amount_due, r.before.currency)}\n` +
+        `• Ahora: ${formatMoney(r.debt.amount_due, r.debt.currency)}\n\n${COPY.undoHint}`,
+      { appendLowActions: true }
+    );
+  });
+
+  // RENAME DEBT (el parser se equivocó de cliente)
+  engine.registerIntent("rename_debt", { client: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    const newName = parsed.new_client_name;
+    if (!clientName || !newName) {
+      ctx.reply(`Ejemplo: "Cambia el nombre de Pepe a José"`);
+      return;
+    }
+
+    const debt = await findLatestDebt(user.id, { clientName });
+    const r = debt ? await updateDebtClient(user.id, debt.id, newName) : null;
+    if (!r) {
+      ctx.metric("DEBT_EDIT_NOT_FOUND", { client: clientName });
+      ctx.reply(`No encontré deudas pendientes de *${clientName}*.`);
+      return;
+    }
+
+    await upsertClient(user.id, newName);
+    ctx.metric("DEBT_EDITED", { debt_id: debt.id, field: "client_name" });
+    ctx.reply(`✏️ La deuda de *${r.before.client_name}* ahora es de *${newName}*.\n\n${COPY.undoHint}`, {
+      appendLowActions: true,
+    });
+  });
+
+  // DELETE DEBT ("borra la última deuda" / "borra la deuda de Pepe")
+  engine.registerIntent("delete_debt", { client: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name || null;
+    const debt = await findLatestDebt(user.id, { clientName });
+    const deleted = debt ? await deleteDebt(user.id, debt.id) : null;
+    if (!deleted) {
+      ctx.metric("DEBT_DELETE_NOT_FOUND", { client: clientName });
+      ctx.reply(clientName ? `No encontré deudas pendientes de *${clientName}*.` : `No tienes deudas pendientes para borrar.`);
+      return;
+    }
+
+    ctx.metric("DEBT_DELETED", { debt_id: deleted.id });
+    ctx.reply(`🗑️ Borré la deuda de *${deleted.client_name}* por ${formatMoney(deleted.amount_due, deleted.currency)}.\n\n${COPY.undoHint}`, {
+      appendLowActions: true,
+    });
+  });
+
+  // REOPEN DEBT ("Pepe no pagó")
+  engine.registerIntent("reopen_debt", { client: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    const debt = clientName ? await findLatestDebt(user.id, { clientName, status: "paid" }) : null;
+    const reopened = debt ? await reopenDebt(user.id, debt.id) : null;
+    if (!reopened) {
+      ctx.metric("DEBT_REOPEN_NOT_FOUND", { client: clientName });
+      ctx.reply(`No encontré deudas pagadas de *${clientName || "ese cliente"}*.`);
+      return;
+    }
+    if (reopened.error === "paid_by_payments") {
+      ctx.metric("DEBT_REOPEN_PAID_BY_PAYMENTS", { debt_id: debt.id });
+      ctx.reply(`La deuda de *${debt.client_name}* se pagó con abonos y siguen registrados, así que no la reabrí.`);
+      return;
+    }
+
+    ctx.metric("DEBT_REOPENED", { debt_id: reopened.id });
+    ctx.reply(`↩️ La deuda de *${reopened.client_name}* volvió a pendiente.\n\n${COPY.undoHint}`, { appendLowActions: true });
+  });
+
+  // MARK PAID
+  engine.registerIntent("mark_paid", { client: true, billable: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    if (!clientName) {
+      ctx.reply(`¿De quién? Ejemplo: "Ya pagó Pepe"`);
+      ctx.metric("PAID_MISSING_CLIENT");
+      return;
+    }
+
+    const r = await markLatestDebtPaid(user.id, clientName);
+    if (!r) {
+      ctx.metric("DEBT_PAID_NOT_FOUND", { client: clientName });
+      ctx.reply(`No encontré deudas pendientes de *${clientName}*.`);
+      return;
+    }
+
+    ctx.metric("DEBT_MARKED_PAID", { client: clientName });
+    ctx.reply(`✅ Marcado como pagado: *${clientName}*\n\n${COPY.undoHint}`, { appendLowActions: true });
+  });
+
+  // CLIENT STATEMENT (estado de cuenta)
+  engine.registerIntent("client_statement", { client: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    if (!clientName) {
+      ctx.reply(`¿De quién? Ejemplo: "Estado de cuenta de Pepe"`);
+      return;
+    }
+
+    const statement = await buildClientStatement(user, clientName);
+    ctx.metric("STATEMENT_VIEWED", { client: clientName, found: Boolean(statement) });
+
+    ctx.reply(statement || `No tengo movimientos registrados de *${clientName}*.`);
+  });
+
+  // REGISTER PAYMENT (abono)
+  engine.registerIntent("register_payment", { client: true, billable: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name;
+    const amount = Number(parsed.amount_paid || 0);
+
+    if (!clientName || !(amount > 0)) {
+      ctx.reply(`Ejemplo: "Pepe me abonó 2000"`);
+      ctx.metric("PAYMENT_MISSING_FIELDS");
+      return;
+    }
+
+    // Moneda del abono: la que diga el mensaje; si no, la única en que debe el cliente
+    const clientDebts = await listDebtsByClient(user.id, clientName);
+    const owed = totalsByCurrency(clientDebts, { primary: userCurrency(user) });
+    let currency = normalizeCurrency(parsed.currency);
+    if (!currency && owed.length > 1) {
+      ctx.reply(COPY.paymentAskCurrency(clientName, formatTotals(owed)));
+      ctx.metric("PAYMENT_CURRENCY_AMBIGUOUS", { client: clientName });
+      return;
+    }
+    currency = currency || owed[0]?.currency || userCurrency(user);
+
+    const r = await registerPayment(user.id, clientName, amount, null, currency);
+    if (!r) {
+      ctx.metric("PAYMENT_DEBT_NOT_FOUND", { client: clientName });
+      ctx.reply(
+        owed.length
+          ? `No encontré deudas pendientes de *${clientName}* en ${CURRENCY_LABELS[currency] || currency}.`
+          : `No encontré deudas pendientes de *${clientName}*.`
+      );
+      return;
+    }
+
+    ctx.metric("PAYMENT_RECORDED", {
+      client: clientName,
+      amount: r.applied,
+      currency,
+      debts_paid: r.paidDebtIds.length,
+    });
+
+    const fmt = (n) => formatMoney(n, currency);
+    const otherCurrencies = owed.filter((t) => t.currency !== currency);
+    let msg = `💵 Abono registrado\n• Cliente: ${clientName}\n• Abono: ${fmt(r.applied)}\n`;
+    if (r.remaining > 0) msg += `• Resta: ${fmt(r.remaining)}`;
+    else if (otherCurrencies.length) msg += `\n✅ Saldo en ${currency} liquidado. Aún debe ${formatTotals(otherCurrencies)}.`;
+    else msg += `\n✅ *${clientName}* quedó liquidado.`;
+    if (r.excess > 0) msg += `\n\nℹ️ Sobraron ${fmt(r.excess)} (no había más saldo pendiente).`;
+
+    ctx.reply(msg, { appendLowActions: true });
+  });
+
+  // REMIND (start flow)
+  engine.registerIntent("remind", { client: true, billable: true }, async (ctx, parsed) => {
+    const { user } = ctx;
+    const clientName = parsed.client_name || null;
+    if (!clientName) {
+      ctx.reply(`¿A quién le mando recordatorio? Ejemplo: "Manda recordatorio a Pepe"`);
+      ctx.metric("REMINDER_MISSING_CLIENT");
+      return;
+    }
+
+    // "Recuérdale a Juan mañana": se programa en vez de enviarse al confirmar
+    const whenText = parsed.remind_when_text || null;
+    let sendAt = null;
+    if (whenText) {
+      const when = resolveWhen(whenText, { timeZone: userTimeZone(user) });
+      if (!when) {
+        ctx.metric("REMINDER_WHEN_UNKNOWN", { when_text: whenText });
+        ctx.reply(COPY.reminderWhenUnknown(whenText), { appendLowActions: true });
+        return;
+      }
+      // Si ya toca (p. ej. "hoy"), se manda de inmediato
+      if (when.sendAt.getTime() - Date.now() > 5 * 60 * 1000) sendAt = when.sendAt.toISOString();
+    }
+
+    let toPhone = null;
+    const client = await findClientByName(user.id, clientName);
+    if (client?.phone) toPhone = client.phone;
+
+    await ctx.goto("remind_choose_tone", { clientName, amount: null, toPhone, sendAt, whenText });
+
+    ctx.metric("REMINDER_FLOW_STARTED", {
+      client: clientName,
+      has_client_phone: Boolean(toPhone),
+      scheduled: Boolean(sendAt),
+    });
+
+    ctx.reply(COPY.reminderChooseTone(clientName), { appendLowActions: true });
+  });
+
+  // SCHEDULED REMINDERS (listar / cancelar)
+  engine.registerIntent("list_scheduled", async (ctx) => {
+    const { user } = ctx;
+    const rows = await listScheduledReminders(user.id);
+    if (!rows.length) {
+      ctx.reply(`⏰ No tienes recordatorios programados.\n\nEjemplo: "Recuérdale a Pepe el viernes"`);
+    } else {
+      const tz = userTimeZone(user);
+      const lines = rows.map((r) => `#${r.id} ${r.client_name} — ${formatLocalDateTime(new Date(r.send_at), tz)}`);
+      ctx.reply(
+        `⏰ *Recordatorios programados* (${rows.length}):\n\n` +
+          lines.join("\n") +
+          `\n\nPara cancelar: "cancelar recordatorio ${rows[0].id}"`
+      );
+    }
+    ctx.metric("SCHEDULED_LISTED", { count: rows.length });
+  });
+
+  engine.registerIntent("cancel_scheduled", async (ctx, parsed) => {
+    const { user } = ctx;
+    const r = await cancelScheduledReminder(user.id, parsed.id);
+    if (!r) {
+      ctx.reply(`No encontré el recordatorio #${parsed.id} pendiente. Escribe "mis recordatorios".`);
+    } else {
+      ctx.metric("SCHEDULED_CANCELED", { id: r.id });
+      ctx.reply(`✅ Cancelé el recordatorio #${r.id} a *${r.client_name}*.`);
+    }
+  });
+
+  // HELP
+  engine.registerIntent("help", async (ctx) => {
+    ctx.reply(COPY.help);
+    ctx.metric("HELP_USED");
+  });
+
+  function handleFallback(ctx) {
+    ctx.metric("FALLBACK_DEFAULT");
+    ctx.reply(
+      `Te leo. Prueba:\n` +
+        `• "Pepe me debe 9500 desde agosto"\n` +
+        `• "¿Quién me debe?"\n` +
+        `• "¿A quién cobro primero?"\n` +
+        `• "Guarda teléfono de Pepe +52..."\n` +
+        `• "Manda recordatorio a Pepe"\n` +
+        `• AYUDA\n` +
+        `• PRECIO\n` +
+        `• PAGAR\n` +
+        `• REPORTAR`
+    );
+  }
+
+  return { handleMessage: engine.handleMessage, engine };
+}
+
+module.exports = { createConversation };
@@ -0,0 +1,411 @@
+// copy.js — Textos que ve el usuario en WhatsApp (UX comercial)
+// Los usan la conversación, el webhook de Stripe y los crons.
+
+const { describeWeights } = require("./priority");
+const { SUPPORTED_CURRENCIES, CURRENCY_LABELS, formatTotals } = require("./money");
+
+const COPY = {
+  onboarding:
+    `👋 Hola, soy *CobranzaBot*.\n\n` +
+    `Te ayudo a cobrar mejor por WhatsApp:\n` +
+    `• Registrar deudas\n` +
+    `• Saber quién te debe\n` +
+    `• Priorizar a quién cobrar\n` +
+    `• Enviar recordatorios\n\n` +
+    `Prueba escribiendo:\n` +
+    `• "Pepe me debe 9500 desde agosto"\n` +
+    `• "¿Quién me debe?"\n` +
+    `• "¿A quién cobro primero?"\n` +
+    `• "Guarda teléfono de Pepe +52..."\n` +
+    `• "Manda recordatorio a Pepe"\n\n` +
+    `Comandos útiles:\n` +
+    `• AYUDA\n` +
+    `• PRECIO\n` +
+    `• PAGAR\n` +
+    `• REPORTAR`,
+
+  help:
+    `🤖 *Así puedo ayudarte:*\n\n` +
+    `Cobranza:\n` +
+    `• "Pepe me debe 9500 desde agosto"\n` +
+    `• "Ana me debe 300 dólares"\n` +
+    `• "¿Quién me debe?"\n` +
+    `• "¿A quién cobro primero?"\n` +
+    `• "¿Cuánto me debe Pepe?"\n` +
+    `• "Pepe me abonó 2000"\n` +
+    `• "Ya pagó Pepe"\n` +
+    `• "Corrige la deuda de Pepe a 9000"\n` +
+    `• "Borra la última deuda"\n` +
+    `• "Pepe no pagó" (reabrir)\n` +
+    `• DESHACER → revierte el último cambio\n` +
+    `• "Manda recordatorio a Pepe"\n` +
+    `• "Recuérdale a Pepe el viernes"\n` +
+    `• "Mis recordatorios"\n` +
+    `• "Guarda teléfono de Pepe +52..."\n` +
+    `• "Pepe = José López" (apodo)\n` +
+    `• Manda tu lista en Excel o CSV → la importo\n` +
+    `• EXPORTAR → tu lista completa en Excel (o EXPORTAR CSV)\n` +
+    `• "Estado de cuenta PDF de Pepe"\n` +
+    `• PANEL → ve todo en la compu (link de un solo uso)\n` +
+    `• API KEY → conecta tu punto de venta o tus scripts\n` +
+    `• WEBHOOK https://... → avisos a tu sistema cuando algo cambia\n` +
+    `• CONECTAR STRIPE → tus clientes te pagan con tarjeta desde el recordatorio\n` +
+    `• MONEDA USD → cambia tu moneda por defecto\n\n` +
+    `Planes:\n` +
+    `• PRECIO → ver planes\n` +
+    `• QUIERO PRO → prueba gratis\n` +
+    `• PAGAR → activar Pro\n\n` +
+    `Soporte:\n` +
+    `• REPORTAR → enviar un problema\n\n` +
+    `Escribe tal cual, yo me encargo del resto 😉`,
+
+  pricing:
+    `💳 *Planes CobranzaBot*\n\n` +
+    `🆓 *Gratis*\n` +
+    `• Hasta 15 acciones al día\n` +
+    `• Ideal para uso ocasional\n\n` +
+    `🚀 *Pro*\n` +
+    `• Acciones ilimitadas\n` +
+    `• Resumen diario automático\n` +
+    `• Ideal si cobras todos los días\n\n` +
+    `👉 Escribe *QUIERO PRO* para probar gratis\n` +
+    `👉 Escribe *PAGAR* para activar Pro`,
+
+  wantProAskName:
+    `🚀 ¡Excelente decisión!\n\n` +
+    `Te activaré *CobranzaBot Pro* con una prueba gratis.\n` +
+    `Antes dime:\n\n` +
+    `👉 ¿Cómo te llamas o cómo se llama tu negocio?\n` +
+    `(Ejemplo: "Tienda Pepe")`,
+
+  wantProAskCycle: (businessName) =>
+    `Gracias, *${businessName}* 🙌\n\n` +
+    `¿Cómo prefieres pagar Pro cuando termine tu prueba?\n` +
+    `1) Mensual\n` +
+    `2) Anual\n\n` +
+    `Responde *mensual* o *anual*.`,
+
+  proTrialAlreadyUsed:
+    `ℹ️ Ya usaste tu prueba gratis de *CobranzaBot Pro*.\n\n` +
+    `Para seguir sin límites:\n👉 Escribe *PAGAR*`,
+
+  proAlreadyActive:
+    `✅ Ya tienes *CobranzaBot Pro* activo.\n\n` +
+    `Escribe *AYUDA* para ver todo lo que puedes hacer.`,
+
+  proTrialActivated: (days, proUntilISO) =>
+    `✅ *CobranzaBot Pro activado*\n\n` +
+    `Tienes acceso completo durante tu prueba de ${days} días:\n` +
+    `• Acciones ilimitadas\n` +
+    `• Recordatorios sin límite\n` +
+    `• Resumen diario\n\n` +
+    `Tu prueba vence: ${String(proUntilISO || "").slice(0, 10)}\n\n` +
+    `Cuando quieras continuar:\n👉 Escribe *PAGAR*`,
+
+  lowActionsWarning:
+    `ℹ️ Aviso rápido\n\n` +
+    `Te quedan *3 acciones gratis* hoy.\n` +
+    `Si usas CobranzaBot a diario, Pro te evita límites.\n\n` +
+    `👉 Escribe *PRECIO* o *QUIERO PRO*`,
+
+  paywallHit:
+    `⚠️ Límite alcanzado por hoy\n\n` +
+    `Usaste tus acciones gratis.\n` +
+    `Con *CobranzaBot Pro* puedes seguir sin límites.\n\n` +
+    `👉 Escribe *PAGAR* para activar Pro\n` +
+    `👉 O *PRECIO* para ver planes`,
+
+  payLink: (link) =>
+    `💳 *Activar CobranzaBot Pro*\n\n` +
+    `Aquí tienes tu link de pago seguro:\n👇\n` +
+    `${link}\n\n` +
+    `En cuanto se confirme el pago, yo te activo Pro automáticamente ✅`,
+
+  payConfirmed:
+    `✅ *Pago confirmado*\n\n` +
+    `Tu suscripción *CobranzaBot Pro* ya está activa.\n` +
+    `Ahora puedes usar CobranzaBot sin límites.\n\n` +
+    `¡Gracias por confiar! 🚀`,
+
+  payFailed:
+    `⚠️ Pago no realizado\n\n` +
+    `No se pudo procesar tu pago.\n` +
+    `Para evitar interrupciones en Pro, actualiza tu método de pago.\n\n` +
+    `👉 Escribe *PAGAR* para intentarlo de nuevo`,
+
+  proEnded:
+    `ℹ️ Tu suscripción Pro terminó\n\n` +
+    `Ahora sigues usando *CobranzaBot Gratis* con límite diario.\n` +
+    `Cuando quieras volver a Pro:\n\n` +
+    `👉 Escribe *PAGAR*`,
+
+  supportAsk:
+    `🛠️ *Soporte CobranzaBot*\n\n` +
+    `Cuéntame qué pasó (en una sola frase si puedes).\n` +
+    `Ejemplo: "No detecta 'Guarda teléfono'"\n\n` +
+    `Escribe tu reporte ahora, o "cancelar".`,
+
+  supportThanks:
+    `✅ Gracias. Ya registré tu reporte.\n` +
+    `Lo revisaré y te aviso aquí mismo. 🙌`,
+
+  clientChoose: (typedName, candidates, allowNew) =>
+    `🤔 Tengo varios clientes parecidos a "${typedName}". ¿Cuál?\n\n` +
+    candidates.map((c, i) => `${i + 1}) ${c.name}`).join("\n") +
+    (allowNew ? `\n0) Es otro cliente (nuevo)` : "") +
+    `\n\nResponde con el número (o "cancelar").`,
+
+  aliasSaved: (alias, clientName) =>
+    `✅ Listo. Cuando digas "${alias}" entenderé que es *${clientName}*.`,
+
+  reminderChooseTone: (clientName) =>
+    `¿Qué tono quieres para el recordatorio a *${clientName}*?\n• amable\n• firme\n• urgente\n\n(O escribe "cancelar")`,
+
+  reminderAskPhone: (clientName) =>
+    `📱 No tengo el teléfono de *${clientName}*.\n\n` +
+    `Escríbelo para mandarle el recordatorio.\n` +
+    `Ejemplo: +5218331112222\n\n` +
+    `(O escribe "cancelar")`,
+
+  // Lo que le llega al deudor. El cron lo vuelve a armar al despachar uno programado, con el saldo de ese momento
+  reminderMessage: (tone, clientName, debtLine) => {
+    const name = clientName || "hola";
+    const extra = debtLine ? `\n\n${debtLine}` : "";
+    if (tone === "firme")
+      return `Hola ${name}.\nTe escribo para solicitar el pago pendiente. ¿Me confirmas hoy tu fecha y hora de pago?${extra}`;
+    if (tone === "urgente")
+      return `Hola ${name}.\nEste es un recordatorio URGENTE del pago pendiente. Necesito confirmación inmediata de cuándo lo vas a cubrir.${extra}`;
+    return `Hola ${name} 👋\nTe escribo para recordarte un pago pendiente. ¿Me confirmas cuándo podrás cubrirlo?${extra}`;
+  },
+
+  reminderDebtLine: (totals) => `Monto pendiente: ${formatTotals(totals, " y ")}`,
+
+  reminderPreview: (clientName, toPhone, message, sendLabel) =>
+    `📝 *Vista previa* para ${clientName} (${String(toPhone || "").replace("whatsapp:", "")}):\n\n` +
+    `${message}\n\n` +
+    (sendLabel ? `⏰ Se enviará: *${sendLabel}*\n\n¿Lo programo? Responde *SI* o "cancelar".` : `¿Lo envío? Responde *SI* o "cancelar".`),
+
+  reminderScheduled: (clientName, sendLabel, id) =>
+    `⏰ Listo. Recordatorio a *${clientName}* programado para *${sendLabel}* (#${id}).\n\n` +
+    `Ver pendientes: "mis recordatorios"\n` +
+    `Cancelar: "cancelar recordatorio ${id}"`,
+
+  reminderWhenUnknown: (whenText) =>
+    `🤔 No entendí cuándo mandarlo ("${whenText}").\n\n` +
+    `Prueba con: mañana, el viernes, el 15, fin de mes, en 2 semanas, mañana a las 5.`,
+
+  reminderSent: (clientName) =>
+    `✅ Recordatorio enviado a *${clientName}*.\n\n` +
+    `Cuando te pague escribe: "Ya pagó ${clientName}"`,
+
+  currencyCurrent: (code) =>
+    `💱 Tu moneda por defecto es *${CURRENCY_LABELS[code] || code}*.\n` +
+    `Las deudas sin moneda se registran así. Para cambiarla: *MONEDA USD* (o MXN, EUR).`,
+
+  currencySaved: (code) =>
+    `✅ Listo. Tu moneda por defecto ahora es *${CURRENCY_LABELS[code] || code}*.\n` +
+    `Tus deudas anteriores conservan su moneda.`,
+
+  currencyUnknown: `No reconocí esa moneda. Opciones: ${SUPPORTED_CURRENCIES.join(", ")}.`,
+
+  paymentAskCurrency: (clientName, totals) =>
+    `*${clientName}* te debe en varias monedas (${totals}).\n` +
+    `¿En cuál fue el abono? Ejemplo: "${clientName} me abonó 300 dólares"`,
+
+  undoHint: `↩️ ¿Te equivocaste? Escribe *DESHACER*.`,
+
+  undoNothing: `No hay cambios recientes para deshacer.`,
+
+  reminderSendFailed:
+    `⚠️ No pude enviar el recordatorio en este momento.\n` +
+    `Intenta más tarde o escribe REPORTAR.`,
+
+  priorityWeights: (weights) =>
+    `⚖️ *Cómo priorizo tu cobranza* (0-100):\n\n` +
+    `${describeWeights(weights)}\n\n` +
+    `Cambia el criterio:\n` +
+    `• "prioridad antigüedad" (primero lo más viejo)\n` +
+    `• "prioridad monto" (primero lo más grande)\n` +
+    `• "prioridad normal"\n` +
+    `• "peso monto 50" (ajuste fino)`,
+
+  importPreview: ({ filename, clients, errors, debts, total, phones, duplicates, columns }) =>
+    `📥 *Importar ${filename || "archivo"}*\n\n` +
+    `Encontré *${clients} ${clients === 1 ? "cliente" : "clientes"}*, ` +
+    (errors.length ? `${errors.length} ${errors.length === 1 ? "fila" : "filas"} con errores.\n` : `sin errores.\n`) +
+    (debts ? `• ${debts} ${debts === 1 ? "deuda" : "deudas"} por *${total}*\n` : "") +
+    (phones ? `• ${phones} ${phones === 1 ? "teléfono" : "teléfonos"}\n` : "") +
+    (duplicates ? `• ${duplicates} ya ${duplicates === 1 ? "estaba registrada" : "estaban registradas"} (no se duplican)\n` : "") +
+    `\nColumnas: ${columns}\n` +
+    (errors.length
+      ? `\n⚠️ No se importan:\n` +
+        errors.slice(0, 5).map((e) => `• Fila ${e.row}: ${e.reason}`).join("\n") +
+        (errors.length > 5 ? `\n…y ${errors.length - 5} más` : "") +
+        `\n`
+      : "") +
+    (clients ? `\n¿Los registro? Responde *SI* o "cancelar".` : `\nCorrige el archivo y mándalo de nuevo.`),
+
+  importDone: ({ clients, debts, phones, duplicates }) =>
+    `✅ Importación lista.\n\n` +
+    `• Clientes: ${clients}\n` +
+    `• Deudas nuevas: ${debts}\n` +
+    (phones ? `• Teléfonos guardados: ${phones}\n` : "") +
+    (duplicates ? `• Ya registradas (omitidas): ${duplicates}\n` : "") +
+    `\nPregunta "¿Quién me debe?" para ver tu lista.`,
+
+  importWorking: (rows) => `⏳ Importando ${rows} filas… te aviso aquí cuando termine.`,
+
+  importFailed: (reason, maxRows) =>
+    ({
+      unsupported: `📎 Para importar tu lista mándala como archivo *Excel (.xlsx)* o *CSV*.\nFotos y PDF todavía no los leo.`,
+      legacy_xls: `📎 Ese Excel es de formato antiguo (.xls). Ábrelo y guárdalo como *.xlsx* o *CSV* y mándalo de nuevo.`,
+      too_large: `📎 El archivo es muy grande. Pártelo en varios y mándalos uno por uno.`,
+      too_many_rows: `📎 Tu archivo tiene más de ${maxRows} filas. Pártelo en varios y mándalos uno por uno.`,
+      missing_columns:
+        `🤔 No encontré las columnas de tu lista.\n\n` +
+        `Pon encabezados en la primera fila, por ejemplo:\n` +
+        `*Nombre* | *Teléfono* | *Monto* | *Fecha*\n\n` +
+        `Con el nombre y el monto (o el teléfono) es suficiente.`,
+      empty: `🤔 No encontré filas con clientes en ese archivo.`,
+      apply_failed: `⚠️ Tuve un problema al importar tu lista y no se registró nada. Mándame el archivo de nuevo en un rato.`,
+    })[reason] || `⚠️ No pude leer ese archivo. Revisa que sea Excel (.xlsx) o CSV, o escribe REPORTAR.`,
+
+  exportCaption: ({ kind, client, rows }) =>
+    kind === "statement"
+      ? `📄 Estado de cuenta de *${client}*`
+      : `📊 Tus deudas: ${rows} ${rows === 1 ? "registro" : "registros"} (pendientes y pagadas, con abonos y teléfonos).`,
+
+  exportLink: ({ url, minutes }) =>
+    `📎 No pude mandarte el archivo por aquí. Descárgalo en este link (vale ${minutes} min):\n${url}`,
+
+  exportEmpty: `✅ No tienes deudas registradas para exportar.`,
+
+  exportNoClient: (clientName) => `No tengo movimientos registrados de *${clientName}* para el estado de cuenta.`,
+
+  exportAskClient: `¿De quién? Ejemplo: "Estado de cuenta PDF de Pepe"`,
+
+  exportUnavailable: `⚠️ La exportación no está disponible en este momento. Escribe REPORTAR si la necesitas.`,
+
+  listTruncated: (hidden) => `…y ${hidden} más. Escribe *EXPORTAR* para recibir la lista completa en Excel.`,
+
+  dashboardLink: ({ url, minutes }) =>
+    `🖥️ *Tu panel de CobranzaBot*\n\n` +
+    `Ábrelo aquí (sirve una sola vez y vence en ${minutes} min):\n${url}\n\n` +
+    `Ahí ves tu resumen, todos tus deudores y los recordatorios. No compartas este link.`,
+
+  dashboardUnavailable: `⚠️ El panel web no está disponible en este momento. Escribe REPORTAR si lo necesitas.`,
+
+  apiKeyCreated: ({ key, prefix, baseUrl }) =>
+    `🔑 *Tu API key*\n\n` +
+    `\`\`\`${key}\`\`\`\n\n` +
+    `Guárdala ahora: no la vuelvo a mostrar. Mándala en cada petición como\n` +
+    `Authorization: Bearer <tu llave>\n\n` +
+    (baseUrl ? `API: ${baseUrl}\nDocumentación: ${baseUrl}/openapi.json\n\n` : "") +
+    `Quien la tenga puede ver y cambiar tus deudas: no la compartas.\n` +
+    `Para desactivarla: REVOCAR API KEY ${prefix}`,
+
+  apiKeyLimit: (max) =>
+    `Ya tienes ${max} API keys activas. Desactiva una con REVOCAR API KEY <prefijo> (escribe MIS API KEYS para verlas).`,
+
+  apiKeysList: (lines) =>
+    `🔑 *Tus API keys activas*\n\n${lines.join("\n")}\n\nPara desactivar una: REVOCAR API KEY <prefijo>`,
+
+  apiKeysEmpty: `No tienes API keys activas. Escribe *API KEY* para crear una (por ejemplo "API KEY caja").`,
+
+  apiKeyRevoked: (prefix) => `✅ API key ${prefix}… desactivada. Lo que la siga usando recibirá un error 401.`,
+
+  apiKeyNotFound: (prefix) => `No encontré una API key activa que empiece con ${prefix}. Escribe MIS API KEYS para verlas.`,
+
+  apiKeyAskPrefix: `¿Cuál? Ejemplo: REVOCAR API KEY cbk_1a2b3c4d (escribe MIS API KEYS para verlas)`,
+
+  apiUnavailable: `⚠️ La API no está disponible en este momento. Escribe REPORTAR si la necesitas.`,
+
+  webhookCreated: ({ id, url, secret, events }) =>
+    `🔔 *Webhook #${id} activo*\n\n` +
+    `Te mando un POST con JSON a:\n${url}\n\n` +
+    `Eventos: ${events.join(", ")}\n\n` +
+    `Secreto para verificar la firma (cabecera CobranzaBot-Signature, igual que la de Stripe):\n` +
+    `\`\`\`${secret}\`\`\`\n\n` +
+    `Guárdalo ahora: no lo vuelvo a mostrar. Si tu servidor falla, reintento varias horas.\n` +
+    `Para ver cómo van: MIS WEBHOOKS`,
+
+  webhookAskUrl: `¿A dónde te aviso? Ejemplo: WEBHOOK https://tu-sistema.com/cobranzabot`,
+
+  webhookInvalidUrl: (reason) =>
+    reason === "insecure"
+      ? `La dirección debe empezar con https:// (por seguridad no mando avisos por http).`
+      : reason === "private"
+        ? `Esa dirección es de una red local o privada; necesito una que se pueda abrir desde internet.`
+        : `Esa dirección no es válida. Ejemplo: WEBHOOK https://tu-sistema.com/cobranzabot`,
+
+  webhookLimit: (max) =>
+    `Ya tienes ${max} webhooks activos. Borra uno con BORRAR WEBHOOK <número> (escribe MIS WEBHOOKS para verlos).`,
+
+  webhooksList: (lines) =>
+    `🔔 *Tus webhooks*\n\n${lines.join("\n\n")}\n\nPara quitar uno: BORRAR WEBHOOK <número>`,
+
+  webhooksEmpty: `No tienes webhooks. Escribe WEBHOOK y la dirección de tu sistema (https://...) para recibir avisos.`,
+
+  webhookDeleted: (id) => `✅ Webhook #${id} desactivado. Ya no le mando avisos (los pendientes se cancelaron).`,
+
+  webhookNotFound: (id) => `No encontré el webhook #${id}. Escribe MIS WEBHOOKS para verlos.`,
+
+  webhookAskId: `¿Cuál? Ejemplo: BORRAR WEBHOOK 3 (escribe MIS WEBHOOKS para ver los números)`,
+
+  // Stripe Connect (connect.js): cobro a los deudores
+  stripeConnectLink: (url) =>
+    `💳 *Cobra con tarjeta desde tus recordatorios*\n\n` +
+    `Conecta tu cuenta de Stripe aquí (tus datos y tu cuenta bancaria):\n${url}\n\n` +
+    `El dinero te llega directo a ti. Te aviso en cuanto Stripe la active; desde ahí cada recordatorio ` +
+    `lleva un link para que tu cliente pague su saldo.`,
+
+  stripeConnectAlready: `✅ Tu cuenta de Stripe ya está activa: tus recordatorios llevan link de pago.\n\nPara quitarlo: DESCONECTAR STRIPE`,
+
+  stripeConnectActive:
+    `✅ *Stripe activó tu cuenta.*\n\n` +
+    `Desde ahora cada recordatorio lleva un link para que tu cliente pague con tarjeta. Te aviso aquí cuando alguien pague.`,
+
+  stripeConnectDisabled: `⚠️ Stripe pausó los cobros de tu cuenta; tus recordatorios saldrán sin link de pago. Escribe CONECTAR STRIPE para revisar qué falta.`,
+
+  stripeConnectUnavailable: `⚠️ El cobro con tarjeta no está disponible en este momento. Escribe REPORTAR si lo necesitas.`,
+
+  stripeDisconnected: `Listo: tus recordatorios ya no llevan link de pago y los links que ya mandaste dejan de funcionar. Para volver: CONECTAR STRIPE`,
+
+  stripeNotConnected: `No tienes una cuenta de Stripe conectada. Escribe CONECTAR STRIPE para cobrar con tarjeta.`,
+
+  reminderPayLine: (url) => `Puedes pagar aquí con tarjeta:\n${url}`,
+  // En la vista previa: el link se crea hasta mandarlo (paylinks.js)
+  reminderPayLinePending: `Puedes pagar aquí con tarjeta:\n🔗 _(el link se agrega al enviarlo)_`,
+
+  debtorPaidStripe: ({ clientName, amount, remaining, excess, noDebts }) =>
+    `💰 ${clientName} pagó ${amount}\n\n` +
+    (noDebts
+      ? `Lo pagó con el link del recordatorio (Stripe), pero ya no tenía deudas pendientes en esa moneda: revisa si hay que devolverle el dinero.`
+      : `Lo pagó con el link del recordatorio (Stripe) y ya quedó registrado como abono.` +
+        (excess ? `\nPagó ${excess} de más.` : "") +
+        (remaining ? `\nTodavía te debe ${remaining}.` : `\nYa no te debe nada 🎉`)),
+
+  deleteStart:
+    `🗑️ *Borrar mi cuenta*
+
+` +
+    `Esto eliminará tus clientes y deudas guardadas en CobranzaBot.
+` +
+    `⚠️ Si tienes una suscripción Pro por Stripe, *debes cancelarla también* desde el link de Stripe/tu banco.
+
+` +
+    `Para confirmar escribe: *BORRAR*
+` +
+    `Para cancelar escribe: *cancelar*`,
+
+  deleteDone:
+    `✅ Cuenta borrada.
+
+` +
+    `Eliminé tus datos de CobranzaBot.
+` +
+    `Si algún día quieres volver, solo escribe: *HOLA*`,
+
+};
+
+module.exports = { COPY };
@@ -1,22 +1,29 @@
 // cron-reminders.js
-// Render Cron: Resumen diario + Downgrade automático (trial/stripe)
+// Render Cron: Resumen diario + Downgrade automático (trial/stripe) + Recordatorios programados
 // + Anti-duplicados con tabla notifications (dedupe por user_id + type + dedupe_key)
 //
+// Como todo está deduplicado, el cron puede correr cada pocos minutos (p. ej. */15)
+// para que los recordatorios programados salgan a tiempo.
+//
 // Requisitos DB:
-// - public.notifications con unique(user_id, type, dedupe_key)
+// - public.notifications con unique(user_id, type, dedupe_key) (ver migrations/, `npm run migrate`)
+// - public.scheduled_reminders (status: queued | sent | failed | skipped | canceled)
 
 require("dotenv").config();
 
-const twilio = require("twilio");
 const { Pool } = require("pg");
+const { DEFAULT_TZ, debtAge, summarizeAging } = require("./dates");
+const { userCurrency, currencyOf, formatMoney, totalsByCurrency, formatTotals } = require("./money");
+const { sendMessage } = require("./channels");
+const { enqueueWebhookEvent } = require("./webhooks");
+const { reminderJson } = require("./resources");
+const { issuePayLink } = require("./paylinks");
+const { COPY } = require("./copy");
 
 // =========================
 // ENV
 // =========================
 const DATABASE_URL = process.env.DATABASE_URL;
-const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM || "whatsapp:+14155238886";
 
 // Si existe, limita el cron solo a estos teléfonos (ideal en test):
 // ADMIN_PHONES="whatsapp:+5218332455220,whatsapp:+5218330000000"
@@ -26,11 +33,20 @@ const ADMIN_PHONES = ADMIN_PHONES_RAW
   .map((s) => s.trim())
   .filter(Boolean);
 
+// Intentos por recordatorio programado si el canal falla (uno por corrida del cron)
+const SCHEDULED_REMINDER_MAX_ATTEMPTS = Number(process.env.SCHEDULED_REMINDER_MAX_ATTEMPTS || 3);
+
+// Reloj del cron. CRON_NOW="2026-01-15T14:00:00Z" lo congela (pruebas, o volver a correr un día pasado):
+// decide qué venció, qué recordatorios tocan y la llave de dedupe del día.
+function cronNow() {
+  return process.env.CRON_NOW ? new Date(process.env.CRON_NOW) : new Date();
+}
+
 function isoNow() {
   return new Date().toISOString();
 }
 function dayKey() {
-  return new Date().toISOString().slice(0, 10);
+  return cronNow().toISOString().slice(0, 10);
 }
 
 function metric(event, data = {}) {
@@ -41,11 +57,6 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-function fmtMoneyMXN(n) {
-  const num = Number(n || 0);
-  return num.toLocaleString("es-MX", { style: "currency", currency: "MXN" });
-}
-
 // =========================
 // DB Pool (Supabase Transaction Pooler 6543)
 // =========================
@@ -56,7 +67,7 @@ if (!DATABASE_URL) {
 
 const pool = new Pool({
   connectionString: DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
+  ssl: process.env.DATABASE_SSL === "false" ? false : { rejectUnauthorized: false },
   max: 5,
   idleTimeoutMillis: 30_000,
   connectionTimeoutMillis: 12_000,
@@ -116,20 +127,11 @@ async function tryAcquireNotification({ user_id, phone, type, dedupe_key, meta =
 }
 
 // =========================
-// Twilio
+// Mensajes (canal del deploy: Twilio, Meta o Telegram — ver channels.js)
 // =========================
-const twilioClient =
-  TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
-
-async function sendWhatsApp(to, body) {
-  if (!twilioClient) return false;
+async function sendText(to, body) {
   if (!to) return false;
-  await twilioClient.messages.create({
-    from: TWILIO_WHATSAPP_FROM,
-    to,
-    body,
-  });
-  return true;
+  return Boolean(await sendMessage(to, body));
 }
 
 // =========================
@@ -137,21 +139,21 @@ async function sendWhatsApp(to, body) {
 // =========================
 async function downgradeExpiredPro() {
   // A) Trial expirado (plan=pro pero NO stripe, y pro_until ya pasó)
-  const af = buildAdminFilterSql(1);
+  const af = buildAdminFilterSql(2);
   const qTrial = `
     select id, phone, pro_until
     from users
     where plan = 'pro'
       and (pro_source is null or pro_source <> 'stripe')
       and pro_until is not null
-      and pro_until < now()
+      and pro_until < $1
       ${af.sql}
     limit 200
   `;
 
   let rTrial = { rows: [] };
   try {
-    rTrial = await queryWithRetry(qTrial, af.params, 3);
+    rTrial = await queryWithRetry(qTrial, [cronNow(), ...af.params], 3);
   } catch (err) {
     metric("ERROR", { stage: "downgrade_trial_select", message: err?.message || "unknown" });
   }
@@ -200,7 +202,7 @@ async function downgradeExpiredPro() {
 
       if (msgLock) {
         try {
-          await sendWhatsApp(
+          await sendText(
             u.phone,
             `⏳ Tu prueba de *FlowSense Pro* terminó.\n\n` +
               `Sigues en plan gratis (con límite diario).\n` +
@@ -219,22 +221,22 @@ async function downgradeExpiredPro() {
   }
 
   // B) Stripe no-activo y ya venció periodo/gracia
-  const bf = buildAdminFilterSql(1);
+  const bf = buildAdminFilterSql(2);
   const qStripe = `
     select id, phone, stripe_status, stripe_current_period_end, pro_until
     from users
     where plan='pro'
       and pro_source='stripe'
       and (coalesce(stripe_status,'') not in ('active','trialing'))
-      and (pro_until is null or pro_until < now())
-      and (stripe_current_period_end is null or stripe_current_period_end < now())
+      and (pro_until is null or pro_until < $1)
+      and (stripe_current_period_end is null or stripe_current_period_end < $1)
       ${bf.sql}
     limit 200
   `;
 
   let rStripe = { rows: [] };
   try {
-    rStripe = await queryWithRetry(qStripe, bf.params, 3);
+    rStripe = await queryWithRetry(qStripe, [cronNow(), ...bf.params], 3);
   } catch (err) {
     metric("ERROR", { stage: "downgrade_stripe_select", message: err?.message || "unknown" });
   }
@@ -287,7 +289,7 @@ async function downgradeExpiredPro() {
 
       if (msgLock) {
         try {
-          await sendWhatsApp(
+          await sendText(
             u.phone,
             `📌 Tu suscripción *FlowSense Pro* ya no está activa.\n\n` +
               `Te pasé al plan gratis (con límite diario).\n` +
@@ -310,14 +312,189 @@ async function downgradeExpiredPro() {
 }
 
 // =========================
-// 2) Resumen diario de deudas (anti-duplicados)
+// 2) Recordatorios programados ("Recuérdale a Juan mañana")
+// =========================
+// Bitácora del recordatorio + evento reminder.sent en la misma transacción (outbox de webhooks.js)
+async function logScheduledReminder(r, status) {
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    const { rows } = await client.query(
+      `
+      insert into reminders (user_id, client_name, to_phone, tone, amount, currency, message, status)
+      values ($1, $2, $3, $4, $5, $6, $7, $8)
+      returning *
+      `,
+      [r.user_id, r.client_name, r.to_phone, r.tone, r.amount, r.currency, r.message, status]
+    );
+    if (status === "sent") await enqueueWebhookEvent(client, r.user_id, "reminder.sent", reminderJson(rows[0]));
+    await client.query("commit");
+  } catch (err) {
+    await client.query("rollback").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function dispatchScheduledReminders() {
+  const f = buildAdminFilterSql(2);
+  const q = `
+    select r.id, r.user_id, r.client_name, r.to_phone, r.tone, r.amount, r.currency, r.message, r.send_at, r.attempts,
+           u.currency as user_currency, u.stripe_account_id, u.stripe_charges_enabled
+    from scheduled_reminders r
+    join users u on u.id = r.user_id
+    where r.status = 'queued'
+      and r.send_at <= $1
+      ${f.sql}
+    order by r.send_at asc
+    limit 200
+  `;
+
+  let due = [];
+  try {
+    const r = await queryWithRetry(q, [cronNow(), ...f.params], 3);
+    due = r.rows || [];
+  } catch (err) {
+    metric("ERROR", { stage: "scheduled_select", message: err?.message || "unknown" });
+    return { scheduledSent: 0, scheduledSkipped: 0 };
+  }
+
+  let scheduledSent = 0;
+  let scheduledSkipped = 0;
+
+  const setStatus = (id, status) =>
+    queryWithRetry(
+      `update scheduled_reminders set status = $2, sent_at = case when $2 = 'sent' then now() else sent_at end, updated_at = now() where id = $1`,
+      [id, status],
+      3
+    );
+
+  // Falló el canal: vuelve a la cola (y se suelta el lock de dedupe) hasta agotar los intentos
+  const recordFailure = async (r, error) => {
+    const attempts = Number(r.attempts || 0) + 1;
+    const retry = attempts < SCHEDULED_REMINDER_MAX_ATTEMPTS;
+    await queryWithRetry(
+      `update scheduled_reminders set status = $2, attempts = $3, last_error = $4, updated_at = now() where id = $1`,
+      [r.id, retry ? "queued" : "failed", attempts, error],
+      3
+    );
+    if (retry) {
+      await queryWithRetry(
+        `delete from public.notifications where user_id = $1 and type = 'scheduled_reminder' and dedupe_key = $2`,
+        [r.user_id, String(r.id)],
+        3
+      );
+    }
+    return retry;
+  };
+
+  for (const r of due) {
+    let sent = false;
+    try {
+      // Dedupe: cada recordatorio programado se envía una sola vez
+      const lock = await tryAcquireNotification({
+        user_id: r.user_id,
+        phone: r.to_phone,
+        type: "scheduled_reminder",
+        dedupe_key: String(r.id),
+        meta: { client_name: r.client_name, send_at: r.send_at },
+      });
+
+      if (!lock) {
+        metric("DEDUP_SKIPPED", { type: "scheduled_reminder", user_id: r.user_id, id: r.id });
+        await setStatus(r.id, "skipped");
+        scheduledSkipped++;
+        continue;
+      }
+
+      // Saldo de hoy, no el de cuando se programó: si abonó entre medio, el recordatorio lo refleja.
+      // El nombre se compara sin mayúsculas ni acentos, como db.sameNameSql ("Pepe" == "Pepé")
+      const balanceR = await queryWithRetry(
+        `
+        select d.currency, d.amount_due - coalesce((select sum(amount) from payments p where p.debt_id = d.id), 0) as balance
+        from debts d
+        where d.user_id = $1
+          and translate(lower(d.client_name), 'áéíóúüàèìòù', 'aeiouuaeiou') = translate(lower($2), 'áéíóúüàèìòù', 'aeiouuaeiou')
+          and d.status = 'pending'
+        `,
+        [r.user_id, r.client_name],
+        2
+      );
+      const totals = totalsByCurrency(balanceR.rows || [], { primary: userCurrency({ currency: r.user_currency }) }).filter(
+        (t) => t.total > 0
+      );
+
+      // Si ya no hay nada pendiente con ese cliente, no molestamos al deudor
+      if (!totals.length) {
+        await setStatus(r.id, "skipped");
+        scheduledSkipped++;
+        metric("SCHEDULED_REMINDER_SKIPPED_NO_DEBTS", { user_id: r.user_id, id: r.id });
+        continue;
+      }
+
+      const single = totals.length === 1 ? totals[0] : null;
+      const reminder = {
+        ...r,
+        amount: single ? single.total : null,
+        currency: single ? single.currency : null,
+        message: COPY.reminderMessage(r.tone, r.client_name, COPY.reminderDebtLine(totals)),
+      };
+
+      // El link de pago se crea ahora y no al programarlo: vence a los PAY_LINK_TTL_DAYS (paylinks.js)
+      let message = reminder.message;
+      if (reminder.amount) {
+        try {
+          const user = { id: r.user_id, stripe_account_id: r.stripe_account_id, stripe_charges_enabled: r.stripe_charges_enabled };
+          const url = await issuePayLink(pool, user, { clientName: r.client_name, currency: reminder.currency });
+          if (url) message = `${message}\n\n${COPY.reminderPayLine(url)}`;
+        } catch (err2) {
+          metric("ERROR", { stage: "scheduled_pay_link", message: err2?.message || "unknown", id: r.id });
+        }
+      }
+
+      let ok = false;
+      let error = "channel_not_configured";
+      try {
+        ok = await sendText(r.to_phone, message);
+      } catch (err2) {
+        error = err2?.message || "unknown";
+        metric("ERROR", { stage: "twilio_scheduled_reminder", message: error, id: r.id });
+      }
+
+      if (ok) {
+        sent = true;
+        await setStatus(r.id, "sent");
+        await logScheduledReminder(reminder, "sent");
+        scheduledSent++;
+        metric("SCHEDULED_REMINDER_SENT", { user_id: r.user_id, id: r.id });
+      } else if (await recordFailure(r, error)) {
+        metric("SCHEDULED_REMINDER_RETRY", { user_id: r.user_id, id: r.id, attempts: Number(r.attempts || 0) + 1 });
+      } else {
+        await logScheduledReminder(reminder, "failed");
+        metric("SCHEDULED_REMINDER_FAILED", { user_id: r.user_id, id: r.id });
+      }
+
+      await sleep(200);
+    } catch (err) {
+      metric("ERROR", { stage: "scheduled_send_loop", message: err?.message || "unknown", id: r.id });
+      // Lo que truene antes de mandarlo (p. ej. la base) también vuelve a la cola; ya mandado, nunca
+      if (!sent) await recordFailure(r, err?.message || "unknown").catch(() => {});
+    }
+  }
+
+  return { scheduledSent, scheduledSkipped };
+}
+
+// =========================
+// 3) Resumen diario de deudas (anti-duplicados)
 // =========================
 async function sendDailySummaries() {
   const f = buildAdminFilterSql(1);
 
   // Usuarios con onboarding visto
   const qUsers = `
-    select id, phone
+    select id, phone, timezone, currency
     from users
     where phone is not null
       and seen_onboarding = true
@@ -355,12 +532,21 @@ async function sendDailySummaries() {
       // Trae deudas pendientes
       const debtsR = await queryWithRetry(
         `
-        select client_name, amount_due, due_text
-        from debts
-        where user_id = $1
-          and status = 'pending'
-        order by amount_due desc, created_at desc
-        limit 20
+        select d.client_name,
+               d.amount_due - coalesce(p.paid, 0) as balance,
+               d.currency,
+               d.due_text,
+               d.since_date,
+               d.due_date,
+               d.created_at
+        from debts d
+        left join lateral (
+          select sum(amount) as paid from payments where payments.debt_id = d.id
+        ) p on true
+        where d.user_id = $1
+          and d.status = 'pending'
+        order by balance desc, d.created_at desc
+        limit 500
         `,
         [u.id],
         2
@@ -376,21 +562,32 @@ async function sendDailySummaries() {
       const top = debts.slice(0, 5);
       const extra = Math.max(0, debts.length - top.length);
 
+      const tz = u.timezone || DEFAULT_TZ;
+      const now = cronNow();
+      const primary = userCurrency(u);
       const lines = top.map((d, i) => {
         const name = d.client_name || "Cliente";
-        const amt = fmtMoneyMXN(d.amount_due);
+        const amt = formatMoney(d.balance, currencyOf(d, primary));
         const since = d.due_text ? ` (desde ${d.due_text})` : "";
-        return `${i + 1}) ${name}: ${amt}${since}`;
+        const age = debtAge(d, { now, timeZone: tz });
+        const ageText = age.dueInDays ? `vence en ${age.dueInDays} días` : `${age.days} días`;
+        return `${i + 1}) ${name}: ${amt}${since} · ${ageText}`;
       });
 
+      const aging = summarizeAging(debts, { now, timeZone: tz })
+        .filter((r) => r.count)
+        .map((r) => `${r.bucket} días ${formatTotals(totalsByCurrency(r.debts, { primary }))} (${r.count})`)
+        .join(" · ");
+
       const msg =
         `📌 *Resumen de cobranza — ${dayKey()}*\n\n` +
-        `Pendientes: *${debts.length}*\n\n` +
+        `Pendientes: *${debts.length}* · Total: *${formatTotals(totalsByCurrency(debts, { primary }))}*\n\n` +
         lines.join("\n") +
         (extra ? `\n…y ${extra} más.` : "") +
+        (aging ? `\n\nAntigüedad: ${aging}` : "") +
         `\n\nTip: escribe *¿A quién cobro primero?*`;
 
-      await sendWhatsApp(u.phone, msg);
+      await sendText(u.phone, msg);
       sent++;
       metric("DAILY_SUMMARY_SENT", { user_id: u.id, phone: u.phone, debt_count: debts.length });
 
@@ -408,15 +605,18 @@ async function sendDailySummaries() {
 // MAIN
 // =========================
 async function main() {
-  metric("CRON_START", { admin_only: Boolean(ADMIN_PHONES.length), admin_phones_count: ADMIN_PHONES.length });
+  metric("CRON_START", { now: cronNow().toISOString(), admin_only: Boolean(ADMIN_PHONES.length), admin_phones_count: ADMIN_PHONES.length });
 
   // 1) Downgrade automático
   const d = await downgradeExpiredPro();
 
-  // 2) Resumen diario
+  // 2) Recordatorios programados
+  const s = await dispatchScheduledReminders();
+
+  // 3) Resumen diario
   const daily = await sendDailySummaries();
 
-  console.log("Cron done.", { ...d, dailySummariesSent: daily });
+  console.log("Cron done.", { ...d, ...s, dailySummariesSent: daily });
 }
 
 main()
@@ -0,0 +1,444 @@
+// dashboard.js — Panel web de solo lectura para el dueño del negocio (/panel)
+// Las listas largas no se leen bien en WhatsApp; aquí se ven resumen, deudores, historial por cliente
+// y la bitácora de recordatorios. No se puede cambiar nada desde el panel.
+//
+// Entrada con link mágico: el comando PANEL manda por WhatsApp /panel/entrar/<token> (un solo uso,
+// DASHBOARD_LINK_TTL_MIN). La página pide confirmar con un botón (POST) para que las vistas previas
+// de links y los antivirus que abren URLs no gasten el token; al entrar queda una cookie de sesión
+// (HttpOnly, DASHBOARD_SESSION_DAYS). En la base solo se guarda el SHA-256 del token y de la cookie.
+//
+//   createDashboardLink(user) -> { url, expiresAt }   (lo usa conversation.js)
+//   mountDashboard(app)                               (lo monta index.js)
+
+const crypto = require("crypto");
+
+const { metric } = require("./log");
+const { DEFAULT_TZ, localParts, zonedToDate, formatLocalDate, formatLocalDateTime, debtAge, summarizeAging } = require("./dates");
+const { userCurrency, currencyOf, formatMoney, totalsByCurrency, formatTotals } = require("./money");
+const { normalizeName } = require("./names");
+const { exportsReady, exportUrl, statementMovements } = require("./exporter");
+const {
+  listPendingDebts,
+  listClients,
+  listClientDebtHistory,
+  listPaymentsByClient,
+  listRemindersByClient,
+  listPaymentSummary,
+  sumPaymentsSince,
+  listReminderLog,
+  createDashboardLink: saveDashboardLink,
+  findDashboardLink,
+  consumeDashboardLink,
+  createDashboardSession,
+  getDashboardSessionUser,
+  revokeDashboardSession,
+} = require("./db");
+
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const DASHBOARD_LINK_TTL_MIN = Number(process.env.DASHBOARD_LINK_TTL_MIN || 15);
+const DASHBOARD_SESSION_DAYS = Number(process.env.DASHBOARD_SESSION_DAYS || 7);
+
+const COOKIE_NAME = "cb_panel";
+const REMINDERS_PAGE_SIZE = 50;
+
+function dashboardReady() {
+  return Boolean(PUBLIC_BASE_URL);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function createDashboardLink(user, { now = new Date() } = {}) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = new Date(now.getTime() + DASHBOARD_LINK_TTL_MIN * 60000);
+  await saveDashboardLink(user.id, hashToken(token), expiresAt);
+  return { url: `${PUBLIC_BASE_URL}/panel/entrar/${token}`, expiresAt, minutes: DASHBOARD_LINK_TTL_MIN };
+}
+
+// -------------------------
+// Cookies
+// -------------------------
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function sessionCookie(value, maxAgeSec) {
+  const secure = PUBLIC_BASE_URL.startsWith("https://") ? "; Secure" : "";
+  return `${COOKIE_NAME}=${encodeURIComponent(value)}; Path=/panel; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSec}${secure}`;
+}
+
+// -------------------------
+// HTML
+// -------------------------
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function clientHref(name) {
+  return `/panel/cliente?nombre=${encodeURIComponent(name)}`;
+}
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 0 auto; padding: 1rem; color: #222; }
+  nav { display: flex; gap: 1rem; align-items: center; border-bottom: 1px solid #ddd; padding-bottom: .5rem; margin-bottom: 1rem; }
+  nav a { color: #075e54; text-decoration: none; }
+  nav a.on { font-weight: bold; }
+  nav form { margin-left: auto; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; }
+  .card { border: 1px solid #ddd; border-radius: 8px; padding: .75rem 1rem; min-width: 180px; }
+  .card b { display: block; font-size: 1.3em; margin-top: .25rem; }
+  table { border-collapse: collapse; width: 100%; margin: .5rem 0 1.5rem; }
+  th, td { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  td.n, th.n { text-align: right; white-space: nowrap; }
+  .muted { color: #777; font-size: .9em; }
+  .failed { color: #b00020; }
+  input[type=search] { padding: .35rem; width: 260px; }
+  button { padding: .35rem .8rem; }
+`;
+
+function page({ title, user, active = "", body }) {
+  const on = (name) => (active === name ? ` class="on"` : "");
+  const nav = user
+    ? `<nav>
+  <strong>${esc(user.business_name || "CobranzaBot")}</strong>
+  <a href="/panel"${on("resumen")}>Resumen</a>
+  <a href="/panel/deudores"${on("deudores")}>Deudores</a>
+  <a href="/panel/recordatorios"${on("recordatorios")}>Recordatorios</a>
+  <form method="post" action="/panel/salir"><button>Salir</button></form>
+</nav>`
+    : "";
+  return `<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${esc(title)} — CobranzaBot</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${nav}
+${body}
+</body>
+</html>`;
+}
+
+function table(headers, rows, empty = "Nada por aquí todavía.") {
+  if (!rows.length) return `<p class="muted">${esc(empty)}</p>`;
+  const cls = (h) => (h.num ? ` class="n"` : "");
+  const th = headers.map((h) => `<th${cls(h)}>${esc(h.title)}</th>`).join("");
+  const tr = rows.map((cells) => `<tr>${cells.map((c, i) => `<td${cls(headers[i])}>${c}</td>`).join("")}</tr>`).join("\n");
+  return `<table><thead><tr>${th}</tr></thead><tbody>\n${tr}\n</tbody></table>`;
+}
+
+// -------------------------
+// Datos
+// -------------------------
+// Deudas pendientes agrupadas por cliente, la más vieja primero
+function groupDebtors(debts, clients, paymentSummary, { timeZone, primary }) {
+  const phones = new Map(clients.map((c) => [normalizeName(c.name), c.phone]));
+  const lastPaid = new Map(paymentSummary.map((p) => [normalizeName(p.client_name), p.last_at]));
+
+  const byClient = new Map();
+  for (const d of debts) {
+    const key = normalizeName(d.client_name);
+    if (!byClient.has(key)) byClient.set(key, { name: d.client_name, debts: [], days: 0 });
+    const row = byClient.get(key);
+    row.debts.push(d);
+    row.days = Math.max(row.days, debtAge(d, { timeZone }).days);
+  }
+
+  return [...byClient.entries()]
+    .map(([key, row]) => ({
+      ...row,
+      phone: phones.get(key) || null,
+      lastPaidAt: lastPaid.get(key) || null,
+      totals: totalsByCurrency(row.debts, { primary }),
+    }))
+    .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+}
+
+function monthStart(now, timeZone) {
+  const { year, month } = localParts(now, timeZone);
+  return zonedToDate({ year, month, day: 1 }, timeZone);
+}
+
+function phoneLabel(phone) {
+  return String(phone || "").replace(/^whatsapp:/, "").replace(/^telegram:/, "Telegram ");
+}
+
+// -------------------------
+// Páginas
+// -------------------------
+async function overviewPage(user, { now = new Date() } = {}) {
+  const timeZone = user.timezone || DEFAULT_TZ;
+  const primary = userCurrency(user);
+  const [debts, collected, reminders] = await Promise.all([
+    listPendingDebts(user.id),
+    sumPaymentsSince(user.id, monthStart(now, timeZone)),
+    listReminderLog(user.id, { limit: 5 }),
+  ]);
+
+  const debtors = new Set(debts.map((d) => normalizeName(d.client_name))).size;
+  const collectedTotals = totalsByCurrency(collected, { amountOf: (r) => Number(r.total), primary });
+  const month = new Intl.DateTimeFormat("es-MX", { timeZone, month: "long" }).format(now);
+
+  const aging = summarizeAging(debts, { now, timeZone }).map((r) => [
+    `${esc(r.bucket)} días`,
+    String(r.count),
+    esc(r.count ? formatTotals(totalsByCurrency(r.debts, { primary })) : "—"),
+  ]);
+
+  const recent = reminders.map((r) => [
+    esc(formatLocalDateTime(new Date(r.created_at), timeZone)),
+    `<a href="${esc(clientHref(r.client_name))}">${esc(r.client_name)}</a>`,
+    r.status === "sent" ? "Enviado" : `<span class="failed">${esc(r.status)}</span>`,
+  ]);
+
+  const body = `
+<h2>Resumen</h2>
+<div class="cards">
+  <div class="card">Te deben<b>${esc(formatTotals(totalsByCurrency(debts, { primary })))}</b></div>
+  <div class="card">Deudores<b>${debtors}</b><span class="muted">${debts.length} ${debts.length === 1 ? "deuda" : "deudas"} pendientes</span></div>
+  <div class="card">Cobrado en ${esc(month)}<b>${esc(formatTotals(collectedTotals))}</b><span class="muted">${collected.reduce((n, r) => n + r.payments, 0)} abonos</span></div>
+</div>
+<h3>Antigüedad</h3>
+${table([{ title: "Rango" }, { title: "Deudas", num: true }, { title: "Saldo", num: true }], aging)}
+<h3>Últimos recordatorios</h3>
+${table([{ title: "Fecha" }, { title: "Cliente" }, { title: "Estado" }], recent, "Aún no has mandado recordatorios.")}
+<p><a href="/panel/recordatorios">Ver todos</a></p>`;
+
+  return page({ title: "Resumen", user, active: "resumen", body });
+}
+
+async function debtorsPage(user, { q = "", now = new Date() } = {}) {
+  const timeZone = user.timezone || DEFAULT_TZ;
+  const primary = userCurrency(user);
+  const [debts, clients, paymentSummary] = await Promise.all([listPendingDebts(user.id), listClients(user.id), listPaymentSummary(user.id)]);
+
+  const all = groupDebtors(debts, clients, paymentSummary, { timeZone, primary });
+  const needle = normalizeName(q);
+  const shown = needle ? all.filter((r) => normalizeName(r.name).includes(needle) || String(r.phone || "").includes(q.trim())) : all;
+
+  const rows = shown.map((r) => [
+    `<a href="${esc(clientHref(r.name))}">${esc(r.name)}</a>`,
+    esc(phoneLabel(r.phone)),
+    String(r.debts.length),
+    esc(formatTotals(r.totals)),
+    `${r.days} días`,
+    esc(r.lastPaidAt ? formatLocalDate(new Date(r.lastPaidAt), timeZone) : "—"),
+  ]);
+
+  const download = exportsReady()
+    ? `<p><a href="${esc(exportUrl(user, { kind: "debts", format: "xlsx" }, { now }).url)}">Descargar Excel</a> · ` +
+      `<a href="${esc(exportUrl(user, { kind: "debts", format: "csv" }, { now }).url)}">CSV</a></p>`
+    : "";
+
+  const body = `
+<h2>Deudores</h2>
+<form method="get" action="/panel/deudores">
+  <input type="search" name="q" value="${esc(q)}" placeholder="Buscar por nombre o teléfono" autofocus>
+  <button>Buscar</button>
+</form>
+<p class="muted">${needle ? `${shown.length} de ${all.length} deudores` : `${all.length} deudores`} · Total: ${esc(formatTotals(totalsByCurrency(shown.flatMap((r) => r.debts), { primary })))}</p>
+${table(
+  [{ title: "Cliente" }, { title: "Teléfono" }, { title: "Deudas", num: true }, { title: "Saldo", num: true }, { title: "Antigüedad", num: true }, { title: "Último abono" }],
+  rows,
+  needle ? "Nadie coincide con tu búsqueda." : "No tienes deudas pendientes."
+)}
+${download}`;
+
+  return page({ title: "Deudores", user, active: "deudores", body });
+}
+
+async function clientPage(user, clientName, { now = new Date() } = {}) {
+  const timeZone = user.timezone || DEFAULT_TZ;
+  const primary = userCurrency(user);
+  const [debts, payments, reminders] = await Promise.all([
+    listClientDebtHistory(user.id, clientName),
+    listPaymentsByClient(user.id, clientName),
+    listRemindersByClient(user.id, clientName),
+  ]);
+  if (!debts.length) return null;
+
+  const name = debts[debts.length - 1].client_name || clientName;
+  const pending = debts.filter((d) => d.status === "pending");
+
+  const moves = statementMovements(debts, payments, { timeZone, primary }).map((m) => [
+    esc(m.date),
+    esc(m.text),
+    m.charge ? esc(formatMoney(m.charge, m.currency)) : "",
+    m.credit ? esc(formatMoney(m.credit, m.currency)) : "",
+    esc(formatMoney(m.balance, m.currency)),
+  ]);
+
+  const sent = [...reminders].reverse().map((r) => [
+    esc(formatLocalDateTime(new Date(r.created_at), timeZone)),
+    esc(r.tone || "—"),
+    r.amount ? esc(formatMoney(r.amount, currencyOf(r, primary))) : "—",
+    r.status === "sent" ? "Enviado" : `<span class="failed">${esc(r.status)}</span>`,
+  ]);
+
+  const pdf = exportsReady()
+    ? `<p><a href="${esc(exportUrl(user, { kind: "statement", format: "pdf", client: name }, { now }).url)}">Descargar estado de cuenta (PDF)</a></p>`
+    : "";
+
+  const body = `
+<p><a href="/panel/deudores">← Deudores</a></p>
+<h2>${esc(name)}</h2>
+<div class="cards">
+  <div class="card">Saldo pendiente<b>${esc(formatTotals(totalsByCurrency(pending, { primary })))}</b></div>
+  <div class="card">Deudas<b>${pending.length} / ${debts.length}</b><span class="muted">pendientes / total</span></div>
+</div>
+<h3>Movimientos</h3>
+${table(
+  [{ title: "Fecha" }, { title: "Concepto" }, { title: "Cargo", num: true }, { title: "Abono", num: true }, { title: "Saldo", num: true }],
+  moves
+)}
+<h3>Recordatorios</h3>
+${table([{ title: "Fecha" }, { title: "Tono" }, { title: "Monto", num: true }, { title: "Estado" }], sent, "No le has mandado recordatorios.")}
+${pdf}`;
+
+  return page({ title: name, user, active: "deudores", body });
+}
+
+async function remindersPage(user, { pageNo = 1 } = {}) {
+  const timeZone = user.timezone || DEFAULT_TZ;
+  const primary = userCurrency(user);
+  const offset = (pageNo - 1) * REMINDERS_PAGE_SIZE;
+  // Uno de más para saber si hay otra página
+  const rows = await listReminderLog(user.id, { limit: REMINDERS_PAGE_SIZE + 1, offset });
+  const more = rows.length > REMINDERS_PAGE_SIZE;
+
+  const cells = rows.slice(0, REMINDERS_PAGE_SIZE).map((r) => [
+    esc(formatLocalDateTime(new Date(r.created_at), timeZone)),
+    `<a href="${esc(clientHref(r.client_name))}">${esc(r.client_name)}</a>`,
+    esc(phoneLabel(r.to_phone)),
+    esc(r.tone || "—"),
+    r.amount ? esc(formatMoney(r.amount, currencyOf(r, primary))) : "—",
+    r.status === "sent" ? "Enviado" : `<span class="failed">${esc(r.status)}</span>`,
+    `<span class="muted">${esc(r.message)}</span>`,
+  ]);
+
+  const pager = [
+    pageNo > 1 ? `<a href="/panel/recordatorios?pagina=${pageNo - 1}">← Anteriores</a>` : "",
+    more ? `<a href="/panel/recordatorios?pagina=${pageNo + 1}">Más viejos →</a>` : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const body = `
+<h2>Recordatorios</h2>
+${table(
+  [{ title: "Fecha" }, { title: "Cliente" }, { title: "Teléfono" }, { title: "Tono" }, { title: "Monto", num: true }, { title: "Estado" }, { title: "Mensaje" }],
+  cells,
+  "Aún no has mandado recordatorios."
+)}
+<p>${pager}</p>`;
+
+  return page({ title: "Recordatorios", user, active: "recordatorios", body });
+}
+
+function messagePage(title, text) {
+  return page({ title, body: `<h2>${esc(title)}</h2><p>${esc(text)}</p>` });
+}
+
+// -------------------------
+// Rutas
+// -------------------------
+function mountDashboard(app) {
+  // Nada del panel se cachea, se enmarca ni manda Referer (el token va en la URL de entrada)
+  app.use("/panel", (_req, res, next) => {
+    res.set({
+      "Cache-Control": "private, no-store",
+      "X-Frame-Options": "DENY",
+      "X-Content-Type-Options": "nosniff",
+      "Referrer-Policy": "no-referrer",
+      "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; base-uri 'none'; frame-ancestors 'none'",
+    });
+    next();
+  });
+
+  const expiredLink = () =>
+    messagePage("Link vencido", `Este link ya se usó o expiró. Escribe PANEL en WhatsApp para recibir uno nuevo.`);
+
+  app.get("/panel/entrar/:token", async (req, res) => {
+    const link = await findDashboardLink(hashToken(req.params.token));
+    if (!link) return res.status(410).type("html").send(expiredLink());
+    return res.type("html").send(
+      page({
+        title: "Entrar",
+        body: `<h2>Tu panel de CobranzaBot</h2>
+<form method="post" action="/panel/entrar/${esc(req.params.token)}"><button>Entrar</button></form>
+<p class="muted">El link sirve una sola vez.</p>`,
+      })
+    );
+  });
+
+  app.post("/panel/entrar/:token", async (req, res) => {
+    const userId = await consumeDashboardLink(hashToken(req.params.token));
+    if (!userId) {
+      metric("DASHBOARD_LOGIN_REJECTED", { ip: req.ip });
+      return res.status(410).type("html").send(expiredLink());
+    }
+    const session = crypto.randomBytes(32).toString("base64url");
+    await createDashboardSession(userId, hashToken(session), new Date(Date.now() + DASHBOARD_SESSION_DAYS * 86400000));
+    metric("DASHBOARD_LOGIN", { user_id: userId });
+    res.set("Set-Cookie", sessionCookie(session, DASHBOARD_SESSION_DAYS * 86400));
+    return res.redirect(303, "/panel");
+  });
+
+  app.post("/panel/salir", async (req, res) => {
+    const session = readCookie(req, COOKIE_NAME);
+    if (session) await revokeDashboardSession(hashToken(session));
+    res.set("Set-Cookie", sessionCookie("", 0));
+    return res.type("html").send(messagePage("Sesión cerrada", "Escribe PANEL en WhatsApp cuando quieras volver a entrar."));
+  });
+
+  // Todo lo demás pide sesión
+  async function requireSession(req, res, next) {
+    const session = readCookie(req, COOKIE_NAME);
+    const user = session ? await getDashboardSessionUser(hashToken(session)) : null;
+    if (!user) return res.status(401).type("html").send(messagePage("Entra desde WhatsApp", "Escribe PANEL en WhatsApp para recibir tu link de entrada."));
+    req.panelUser = user;
+    return next();
+  }
+
+  const render = (fn) => async (req, res) => {
+    try {
+      const html = await fn(req);
+      if (!html) return res.status(404).type("html").send(messagePage("No encontrado", "No hay nada registrado con ese nombre."));
+      metric("DASHBOARD_VIEW", { user_id: req.panelUser.id, path: req.path });
+      return res.type("html").send(html);
+    } catch (err) {
+      console.error("❌ Dashboard error:", err);
+      metric("ERROR", { stage: "dashboard", user_id: req.panelUser?.id, message: err?.message || "unknown" });
+      return res.status(500).type("html").send(messagePage("Error", "Hubo un problema temporal. Intenta de nuevo en un momento."));
+    }
+  };
+
+  app.get("/panel", requireSession, render((req) => overviewPage(req.panelUser)));
+  app.get("/panel/deudores", requireSession, render((req) => debtorsPage(req.panelUser, { q: String(req.query.q || "").slice(0, 80) })));
+  app.get(
+    "/panel/cliente",
+    requireSession,
+    render((req) => (req.query.nombre ? clientPage(req.panelUser, String(req.query.nombre).slice(0, 120)) : null))
+  );
+  app.get(
+    "/panel/recordatorios",
+    requireSession,
+    render((req) => remindersPage(req.panelUser, { pageNo: Math.max(1, Math.min(1000, Number.parseInt(req.query.pagina, 10) || 1)) }))
+  );
+}
+
+module.exports = { dashboardReady, createDashboardLink, mountDashboard };
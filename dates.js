@@ -0,0 +1,454 @@
+// dates.js — Fechas en español para CobranzaBot
+// Convierte expresiones como "mañana", "el viernes", "el 15", "fin de mes" o "en 2 semanas"
+// en un instante concreto, interpretado en la hora local del usuario.
+// También resuelve fechas pasadas de deudas ("desde agosto", "hace 2 semanas") y su antigüedad.
+
+const DEFAULT_TZ = process.env.DEFAULT_TIMEZONE || "America/Mexico_City";
+const DEFAULT_HOUR = Number(process.env.REMINDER_DEFAULT_HOUR || 10);
+
+const WEEKDAYS = {
+  domingo: 0,
+  lunes: 1,
+  martes: 2,
+  miercoles: 3,
+  jueves: 4,
+  viernes: 5,
+  sabado: 6,
+};
+
+const MONTHS = {
+  enero: 1,
+  febrero: 2,
+  marzo: 3,
+  abril: 4,
+  mayo: 5,
+  junio: 6,
+  julio: 7,
+  agosto: 8,
+  septiembre: 9,
+  setiembre: 9,
+  octubre: 10,
+  noviembre: 11,
+  diciembre: 12,
+};
+
+const NUMBER_WORDS = {
+  un: 1,
+  una: 1,
+  uno: 1,
+  dos: 2,
+  tres: 3,
+  cuatro: 4,
+  cinco: 5,
+  seis: 6,
+  siete: 7,
+  ocho: 8,
+  nueve: 9,
+  diez: 10,
+  once: 11,
+  doce: 12,
+  quince: 15,
+  veinte: 20,
+  treinta: 30,
+};
+
+// -------------------------
+// Helpers de zona horaria (sin dependencias: Intl)
+// -------------------------
+function stripAccents(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function cleanText(s) {
+  return stripAccents(s).toLowerCase().replace(/[¿?¡!.,]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function toNumber(token) {
+  if (token == null) return null;
+  if (/^\d+$/.test(token)) return Number(token);
+  return NUMBER_WORDS[token] ?? null;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Partes de calendario del instante `date` vistas desde `timeZone`
+function localParts(date, timeZone = DEFAULT_TZ) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+
+  const year = get("year");
+  const month = get("month");
+  const day = get("day");
+  return {
+    year,
+    month,
+    day,
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+}
+
+function tzOffsetMinutes(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Hora local (año, mes, día, hora, minuto) en `timeZone` -> Date (UTC)
+function zonedToDate({ year, month, day, hour = 0, minute = 0 }, timeZone = DEFAULT_TZ) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = tzOffsetMinutes(new Date(guess), timeZone);
+  const first = guess - offset * 60000;
+  // Segunda pasada por si el offset cambia entre la suposición y el resultado (DST)
+  const offset2 = tzOffsetMinutes(new Date(first), timeZone);
+  return new Date(guess - offset2 * 60000);
+}
+
+function addLocalDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function addLocalMonths({ year, month, day }, n) {
+  const idx = year * 12 + (month - 1) + n;
+  const y = Math.floor(idx / 12);
+  const m = (idx % 12) + 1;
+  return { year: y, month: m, day: Math.min(day, daysInMonth(y, m)) };
+}
+
+function compareLocalDates(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+function formatLocalDateTime(date, timeZone = DEFAULT_TZ) {
+  return new Intl.DateTimeFormat("es-MX", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(date);
+}
+
+function formatLocalDate(date, timeZone = DEFAULT_TZ) {
+  return new Intl.DateTimeFormat("es-MX", {
+    timeZone,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  }).format(date);
+}
+
+// -------------------------
+// Hora del día: "a las 5", "a las 17:30", "6pm", "en la tarde"
+// Con una hora fuera de rango ("a las 25") devuelve { invalid: true } para no caer en la hora por defecto
+// -------------------------
+function parseTimeOfDay(t) {
+  let m = t.match(/\ba\s+las?\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm|de la manana|de la tarde|de la noche)?/);
+  if (!m) m = t.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  if (m) {
+    let hour = Number(m[1]);
+    const minute = Number(m[2] || 0);
+    const suffix = m[3] || "";
+    if ((suffix === "pm" || suffix === "de la tarde" || suffix === "de la noche") && hour < 12) hour += 12;
+    if ((suffix === "am" || suffix === "de la manana") && hour === 12) hour = 0;
+    // "a las 5" sin sufijo: en horario de negocio casi siempre es de la tarde
+    if (!suffix && hour >= 1 && hour <= 7) hour += 12;
+    if (hour > 23 || minute > 59) return { invalid: true, matched: m[0] };
+    return { hour, minute, matched: m[0] };
+  }
+  if (/\ben la tarde\b/.test(t)) return { hour: 16, minute: 0, matched: "en la tarde" };
+  if (/\ben la noche\b/.test(t)) return { hour: 20, minute: 0, matched: "en la noche" };
+  if (/\ben la manana\b|\btemprano\b/.test(t)) return { hour: 9, minute: 0, matched: "en la manana" };
+  return null;
+}
+
+// -------------------------
+// Fechas futuras (recordatorios programados)
+// -------------------------
+/**
+ * Resuelve una expresión de fecha futura en español.
+ * Devuelve { sendAt: Date, text } o null si no se entiende.
+ *  - "hoy", "mañana", "pasado mañana"
+ *  - "el viernes", "el próximo lunes", "la próxima semana"
+ *  - "el 15", "el 15 de marzo", "fin de mes"
+ *  - "en 3 días", "en 2 semanas", "en un mes", "en 2 horas"
+ *  - opcionalmente con hora: "mañana a las 5", "el viernes 10am"
+ */
+function resolveWhen(text, { now = new Date(), timeZone = DEFAULT_TZ } = {}) {
+  const original = String(text || "").trim();
+  let t = cleanText(original);
+  if (!t) return null;
+
+  const today = localParts(now, timeZone);
+  const time = parseTimeOfDay(t);
+  if (time?.invalid) return null;
+  if (time) t = t.replace(time.matched, " ").replace(/\s+/g, " ").trim();
+
+  // Relativos en horas/minutos: no usan hora por defecto
+  let m = t.match(/\ben\s+(\d+|[a-z]+)\s+(horas?|minutos?)\b/);
+  if (m) {
+    const n = toNumber(m[1]);
+    if (!n) return null;
+    const ms = m[2].startsWith("hora") ? n * 3600000 : n * 60000;
+    return { sendAt: new Date(now.getTime() + ms), text: original };
+  }
+
+  let date = null;
+
+  if (/\bpasado\s+manana\b/.test(t)) {
+    date = addLocalDays(today, 2);
+  } else if (/\bmanana\b/.test(t)) {
+    date = addLocalDays(today, 1);
+  } else if (/\bhoy\b/.test(t)) {
+    date = { year: today.year, month: today.month, day: today.day };
+  } else if ((m = t.match(/\ben\s+(\d+|[a-z]+)\s+(dias?|semanas?|mes|meses)\b/))) {
+    const n = toNumber(m[1]);
+    if (!n) return null;
+    if (m[2].startsWith("dia")) date = addLocalDays(today, n);
+    else if (m[2].startsWith("semana")) date = addLocalDays(today, n * 7);
+    else date = addLocalMonths(today, n);
+  } else if (/\bfin\s+de\s+mes\b/.test(t)) {
+    date = { year: today.year, month: today.month, day: daysInMonth(today.year, today.month) };
+  } else if (/\b(la\s+)?(proxima|siguiente)\s+semana\b/.test(t)) {
+    // Próxima semana = el lunes que viene
+    const delta = (1 - today.weekday + 7) % 7 || 7;
+    date = addLocalDays(today, delta);
+  } else if ((m = t.match(/\b(domingo|lunes|martes|miercoles|jueves|viernes|sabado)\b/))) {
+    const wd = WEEKDAYS[m[1]];
+    const delta = (wd - today.weekday + 7) % 7 || 7;
+    date = addLocalDays(today, delta);
+  } else if ((m = t.match(/\b(\d{1,2})\s+de\s+([a-z]+)(?:\s+(?:de\s+)?(\d{4}))?\b/)) && MONTHS[m[2]]) {
+    const month = MONTHS[m[2]];
+    let year = m[3] ? Number(m[3]) : today.year;
+    const day = Math.min(Number(m[1]), daysInMonth(year, month));
+    date = { year, month, day };
+    if (!m[3] && compareLocalDates(date, today) < 0) {
+      year += 1;
+      date = { year, month, day: Math.min(Number(m[1]), daysInMonth(year, month)) };
+    }
+  } else if ((m = t.match(/\b(?:el|este|dia)\s+(\d{1,2})\b/))) {
+    const n = Number(m[1]);
+    if (n < 1 || n > 31) return null;
+    date = { year: today.year, month: today.month, day: Math.min(n, daysInMonth(today.year, today.month)) };
+    if (compareLocalDates(date, today) < 0) {
+      const next = addLocalMonths({ year: today.year, month: today.month, day: 1 }, 1);
+      date = { ...next, day: Math.min(n, daysInMonth(next.year, next.month)) };
+    }
+  }
+
+  if (!date) {
+    if (!time) return null;
+    date = { year: today.year, month: today.month, day: today.day };
+  }
+
+  const hour = time ? time.hour : DEFAULT_HOUR;
+  const minute = time ? time.minute : 0;
+  let sendAt = zonedToDate({ ...date, hour, minute }, timeZone);
+
+  if (sendAt.getTime() < now.getTime()) {
+    const isToday = compareLocalDates(date, today) === 0;
+    if (!isToday) return null;
+    // Hoy con la hora ya pasada: se manda de inmediato, salvo "a las 9" a secas, que es mañana
+    const saidToday = /\bhoy\b/.test(t) || /\bfin\s+de\s+mes\b/.test(t) || /\b(?:el|este|dia)\s+\d/.test(t);
+    sendAt = time && !saidToday ? zonedToDate({ ...addLocalDays(date, 1), hour, minute }, timeZone) : new Date(now.getTime());
+  }
+
+  return { sendAt, text: original };
+}
+
+// -------------------------
+// Fechas pasadas (desde cuándo se debe)
+// -------------------------
+function formatYmd({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Resuelve una expresión de fecha pasada, relativa a `now` (cuando se registró la deuda).
+ * El año se infiere: "desde diciembre" dicho en marzo es diciembre del año anterior.
+ * Devuelve { year, month, day } o null.
+ *  - "hoy", "ayer", "antier"
+ *  - "hace 3 días", "hace 2 semanas", "hace un mes", "la semana pasada", "el mes pasado"
+ *  - "agosto", "15 de marzo", "15/03", "15/03/2025"
+ *  - "el lunes", "el 15"
+ */
+function parsePastDate(text, { now = new Date(), timeZone = DEFAULT_TZ } = {}) {
+  const t = cleanText(text);
+  if (!t) return null;
+
+  const today = localParts(now, timeZone);
+  const base = { year: today.year, month: today.month, day: today.day };
+  const notFuture = (d) => compareLocalDates(d, base) <= 0;
+  let m;
+
+  if (/\b(antier|anteayer)\b/.test(t)) return addLocalDays(base, -2);
+  if (/\bayer\b/.test(t)) return addLocalDays(base, -1);
+  if (/\bhoy\b/.test(t)) return base;
+
+  if ((m = t.match(/\bhace\s+(\d+|[a-z]+)\s+(dias?|semanas?|mes|meses|anos?)\b/))) {
+    const n = toNumber(m[1]);
+    if (!n) return null;
+    if (m[2].startsWith("dia")) return addLocalDays(base, -n);
+    if (m[2].startsWith("semana")) return addLocalDays(base, -7 * n);
+    if (m[2].startsWith("mes")) return addLocalMonths(base, -n);
+    return addLocalMonths(base, -12 * n);
+  }
+  if (/\bhace\s+(una\s+)?semana\b/.test(t) || /\bsemana\s+pasada\b/.test(t)) return addLocalDays(base, -7);
+  if (/\bhace\s+(un\s+)?mes\b/.test(t) || /\bmes\s+pasado\b/.test(t)) return addLocalMonths(base, -1);
+  if (/\bano\s+pasado\b/.test(t)) return addLocalMonths(base, -12);
+
+  if ((m = t.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    const day = Number(m[1]);
+    const month = Number(m[2]);
+    if (month < 1 || month > 12 || day < 1) return null;
+    let year = m[3] ? Number(m[3].length === 2 ? `20${m[3]}` : m[3]) : today.year;
+    let d = { year, month, day: Math.min(day, daysInMonth(year, month)) };
+    if (!m[3] && !notFuture(d)) d = { year: year - 1, month, day: Math.min(day, daysInMonth(year - 1, month)) };
+    return d;
+  }
+
+  if ((m = t.match(/\b(\d{1,2})\s+de\s+([a-z]+)(?:\s+(?:de|del)?\s*(\d{4}))?\b/)) && MONTHS[m[2]]) {
+    const month = MONTHS[m[2]];
+    const year = m[3] ? Number(m[3]) : today.year;
+    let d = { year, month, day: Math.min(Number(m[1]), daysInMonth(year, month)) };
+    if (!m[3] && !notFuture(d)) d = { year: year - 1, month, day: Math.min(Number(m[1]), daysInMonth(year - 1, month)) };
+    return d;
+  }
+
+  if ((m = t.match(/\b(enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|setiembre|octubre|noviembre|diciembre)\b(?:\s+(?:de|del)?\s*(\d{4}))?/))) {
+    const month = MONTHS[m[1]];
+    let year = m[2] ? Number(m[2]) : today.year;
+    if (!m[2] && month > today.month) year -= 1;
+    return { year, month, day: 1 };
+  }
+
+  if ((m = t.match(/\b(domingo|lunes|martes|miercoles|jueves|viernes|sabado)\b/))) {
+    const delta = (today.weekday - WEEKDAYS[m[1]] + 7) % 7 || 7;
+    return addLocalDays(base, -delta);
+  }
+
+  if ((m = t.match(/\b(?:el|dia)\s+(\d{1,2})\b/))) {
+    const n = Number(m[1]);
+    if (n < 1 || n > 31) return null;
+    if (n <= today.day) return { ...base, day: n };
+    const prev = addLocalMonths({ ...base, day: 1 }, -1);
+    return { ...prev, day: Math.min(n, daysInMonth(prev.year, prev.month)) };
+  }
+
+  return null;
+}
+
+/**
+ * Fechas de una deuda a partir del texto libre.
+ *  - sinceText: "agosto", "hace 2 semanas" -> since_date (pasado)
+ *  - dueText: "vence el viernes", "el 15" -> due_date (futuro)
+ * Devuelve { since_date, due_date } como "YYYY-MM-DD" (o null).
+ */
+function parseDebtDates({ sinceText, dueText, recordedAt = new Date(), timeZone = DEFAULT_TZ } = {}) {
+  const since = sinceText ? parsePastDate(sinceText, { now: recordedAt, timeZone }) : null;
+
+  let due = null;
+  if (dueText) {
+    const when = resolveWhen(dueText, { now: recordedAt, timeZone });
+    if (when) {
+      const p = localParts(when.sendAt, timeZone);
+      due = { year: p.year, month: p.month, day: p.day };
+    }
+  }
+
+  return {
+    since_date: since ? formatYmd(since) : null,
+    due_date: due ? formatYmd(due) : null,
+  };
+}
+
+// -------------------------
+// Antigüedad de deudas (aging)
+// -------------------------
+const AGING_BUCKETS = ["0-30", "31-60", "61-90", "90+"];
+
+function agingBucket(days) {
+  if (days <= 30) return "0-30";
+  if (days <= 60) return "31-60";
+  if (days <= 90) return "61-90";
+  return "90+";
+}
+
+// Columna DATE (string "YYYY-MM-DD" o Date de node-pg a medianoche local) -> { year, month, day }
+function toYmdParts(v) {
+  if (!v) return null;
+  if (v instanceof Date) return { year: v.getFullYear(), month: v.getMonth() + 1, day: v.getDate() };
+  const m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) } : null;
+}
+
+/**
+ * Antigüedad de una deuda.
+ *  - Con due_date: días de atraso desde el vencimiento (0 si aún no vence; dueInDays dice cuánto falta)
+ *  - Sin due_date: días desde since_date, o desde que se registró
+ * Devuelve { days, dueInDays, bucket }.
+ */
+function debtAge(debt, { now = new Date(), timeZone = DEFAULT_TZ } = {}) {
+  const today = localParts(now, timeZone);
+  const diff = (d) => Math.round(compareLocalDates(today, d) / 86400000);
+
+  const due = toYmdParts(debt.due_date);
+  if (due) {
+    const d = diff(due);
+    const days = Math.max(0, d);
+    return { days, dueInDays: d < 0 ? -d : 0, bucket: agingBucket(days) };
+  }
+
+  const since = toYmdParts(debt.since_date) || (debt.created_at ? localParts(new Date(debt.created_at), timeZone) : null);
+  const days = since ? Math.max(0, diff(since)) : 0;
+  return { days, dueInDays: 0, bucket: agingBucket(days) };
+}
+
+// Deudas por rango de antigüedad. No suma montos: pueden venir en monedas distintas,
+// el llamador totaliza cada rango con money.totalsByCurrency(row.debts).
+function summarizeAging(debts, { now = new Date(), timeZone = DEFAULT_TZ } = {}) {
+  const out = AGING_BUCKETS.map((bucket) => ({ bucket, count: 0, debts: [] }));
+  for (const d of debts || []) {
+    const { bucket } = debtAge(d, { now, timeZone });
+    const row = out.find((r) => r.bucket === bucket);
+    row.count += 1;
+    row.debts.push(d);
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  resolveWhen,
+  localParts,
+  zonedToDate,
+  formatLocalDateTime,
+  formatLocalDate,
+  stripAccents,
+  parsePastDate,
+  formatYmd,
+  toYmdParts,
+  parseDebtDates,
+  AGING_BUCKETS,
+  agingBucket,
+  debtAge,
+  summarizeAging,
+};
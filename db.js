@@ -1,5 +1,8 @@
 // db.js — FlowSense
 const { Pool } = require("pg");
+const { DEFAULT_CURRENCY } = require("./money");
+const { enqueueWebhookEvent } = require("./webhooks");
+const { clientJson, debtJson, paymentResultJson, reminderJson } = require("./resources");
 
 if (!process.env.DATABASE_URL) {
   throw new Error("DATABASE_URL is not set");
@@ -7,9 +10,8 @@ if (!process.env.DATABASE_URL) {
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false,
-  },
+  // DATABASE_SSL=false para un Postgres local sin TLS
+  ssl: process.env.DATABASE_SSL === "false" ? false : { rejectUnauthorized: false },
   max: 5,
   idleTimeoutMillis: 10000,
   connectionTimeoutMillis: 8000,
@@ -32,6 +34,22 @@ async function safeQuery(fn, retries = 2) {
   }
 }
 
+// Ejecuta fn(client) dentro de BEGIN/COMMIT; ROLLBACK si algo truena
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 // -------------------------
 // USERS
 // -------------------------
@@ -51,6 +69,14 @@ async function getOrCreateUser(phone) {
   });
 }
 
+async function getUserById(id) {
+  if (!id) return null;
+  return safeQuery(async () => {
+    const { rows } = await pool.query(`SELECT * FROM users WHERE id = $1`, [id]);
+    return rows[0] || null;
+  });
+}
+
 async function updateUser(phone, patch) {
   const keys = Object.keys(patch || {});
   if (!keys.length) return getOrCreateUser(phone);
@@ -73,6 +99,26 @@ async function updateUser(phone, patch) {
   });
 }
 
+// Comparación de nombres sin mayúsculas ni acentos ("Pepé" = "pepe")
+function sameNameSql(column, param) {
+  const from = "'áéíóúüàèìòù'";
+  const to = "'aeiouuaeiou'";
+  return `TRANSLATE(LOWER(${column}), ${from}, ${to}) = TRANSLATE(LOWER(${param}), ${from}, ${to})`;
+}
+
+// Igual, pero "contiene" (búsquedas de la API: ?q=pep)
+function nameContainsSql(column, param) {
+  const from = "'áéíóúüàèìòù'";
+  const to = "'aeiouuaeiou'";
+  return `STRPOS(TRANSLATE(LOWER(${column}), ${from}, ${to}), TRANSLATE(LOWER(${param}), ${from}, ${to})) > 0`;
+}
+
+// Filtros opcionales con parámetros posicionales: "$?" se vuelve el siguiente $n
+function pushFilter(where, values, sql, value) {
+  values.push(value);
+  where.push(sql.replace(/\$\?/g, () => `$${values.length}`));
+}
+
 // -------------------------
 // CLIENTS
 // -------------------------
@@ -83,7 +129,7 @@ async function findClientByName(userId, name) {
       `
       SELECT *
       FROM clients
-      WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+      WHERE user_id = $1 AND ${sameNameSql("name", "$2")}
       LIMIT 1
       `,
       [userId, name]
@@ -92,27 +138,59 @@ async function findClientByName(userId, name) {
   });
 }
 
-async function upsertClient(userId, name) {
-  if (!userId || !name) return null;
+async function listClients(userId) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM clients
+      WHERE user_id = $1
+      ORDER BY name ASC
+      `,
+      [userId]
+    );
+    return rows;
+  });
+}
 
+async function getClientById(userId, id) {
+  if (!userId || !id) return null;
   return safeQuery(async () => {
-    // 1) intenta encontrar
-    const existing = await findClientByName(userId, name);
-    if (existing) return existing;
+    const { rows } = await pool.query(`SELECT * FROM clients WHERE user_id = $1 AND id = $2`, [userId, id]);
+    return rows[0] || null;
+  });
+}
 
-    // 2) inserta si no existe (sin depender de constraints)
+// Página de clientes para la API: más nuevos primero, cursor = último id visto
+async function listClientsPage(userId, { q = null, cursor = null, limit = 50 } = {}) {
+  if (!userId) return [];
+  const where = ["user_id = $1"];
+  const values = [userId];
+  if (q) pushFilter(where, values, `(${nameContainsSql("name", "$?")} OR STRPOS(COALESCE(phone, ''), $?) > 0)`, q);
+  if (cursor) pushFilter(where, values, "id < $?", cursor);
+  values.push(limit);
+
+  return safeQuery(async () => {
     const { rows } = await pool.query(
       `
-      INSERT INTO clients (user_id, name)
-      VALUES ($1, $2)
-      RETURNING *
+      SELECT *
+      FROM clients
+      WHERE ${where.join(" AND ")}
+      ORDER BY id DESC
+      LIMIT $${values.length}
       `,
-      [userId, name]
+      values
     );
-    return rows[0] || null;
+    return rows;
   });
 }
 
+async function upsertClient(userId, name) {
+  if (!userId || !name) return null;
+  return safeQuery(() => ensureClient(pool, userId, name));
+}
+
 async function setClientPhone(userId, name, phone) {
   if (!userId || !name || !phone) return null;
 
@@ -120,17 +198,89 @@ async function setClientPhone(userId, name, phone) {
     // asegura cliente
     const client = await upsertClient(userId, name);
     if (!client) return null;
+    return withTransaction((db) => writeClientPhone(db, userId, name, phone));
+  });
+}
+
+// `db` puede ser el pool o un client dentro de withTransaction (importDebts crea varios en la misma)
+async function ensureClient(db, userId, name) {
+  const find = async () => {
+    const { rows } = await db.query(`SELECT * FROM clients WHERE user_id = $1 AND ${sameNameSql("name", "$2")} LIMIT 1`, [
+      userId,
+      name,
+    ]);
+    return rows[0] || null;
+  };
 
+  // 1) intenta encontrar
+  const existing = await find();
+  if (existing) return existing;
+
+  // 2) inserta; si otro mensaje lo creó en paralelo, el UNIQUE (user_id, lower(name)) lo frena
+  const { rows } = await db.query(
+    `
+    INSERT INTO clients (user_id, name)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id, (LOWER(name))) DO NOTHING
+    RETURNING *
+    `,
+    [userId, name]
+  );
+  return rows[0] || (await find());
+}
+
+async function writeClientPhone(db, userId, name, phone) {
+  const { rows } = await db.query(
+    `
+    UPDATE clients
+    SET phone = $1, updated_at = NOW()
+    WHERE user_id = $2 AND ${sameNameSql("name", "$3")}
+    RETURNING *
+    `,
+    [phone, userId, name]
+  );
+  if (rows[0]) await enqueueWebhookEvent(db, userId, "client.updated", clientJson(rows[0]));
+  return rows[0] || null;
+}
+
+// Apodos del cliente ("Pepe" = "José López"); se guardan sin duplicar
+async function addClientAlias(userId, clientId, alias) {
+  if (!userId || !clientId || !alias) return null;
+
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `
+        UPDATE clients
+        SET aliases = ARRAY(SELECT DISTINCT UNNEST(ARRAY_APPEND(COALESCE(aliases, '{}'), $3::text))),
+            updated_at = NOW()
+        WHERE user_id = $1 AND id = $2
+        RETURNING *
+        `,
+        [userId, clientId, alias]
+      );
+      if (rows[0]) await enqueueWebhookEvent(db, userId, "client.updated", clientJson(rows[0]));
+      return rows[0] || null;
+    })
+  );
+}
+
+// Solo se borra si no le quedan deudas pendientes (el historial de deudas y abonos se conserva)
+async function deleteClient(userId, clientId) {
+  if (!userId || !clientId) return null;
+  return safeQuery(async () => {
     const { rows } = await pool.query(
       `
-      UPDATE clients
-      SET phone = $1, updated_at = NOW()
-      WHERE user_id = $2 AND LOWER(name) = LOWER($3)
+      DELETE FROM clients c
+      WHERE c.user_id = $1 AND c.id = $2
+        AND NOT EXISTS (
+          SELECT 1 FROM debts d
+          WHERE d.user_id = c.user_id AND ${sameNameSql("d.client_name", "c.name")} AND d.status = 'pending'
+        )
       RETURNING *
       `,
-      [phone, userId, name]
+      [userId, clientId]
     );
-
     return rows[0] || null;
   });
 }
@@ -143,28 +293,171 @@ async function saveClientPhone(userId, name, phone) {
 // -------------------------
 // DEBTS
 // -------------------------
-async function addDebt(userId, clientName, amountDue, dueText) {
+// Saldo = monto original - abonos registrados en payments
+const DEBT_BALANCE_SELECT = `
+  SELECT d.*,
+         COALESCE(p.paid, 0) AS amount_paid,
+         d.amount_due - COALESCE(p.paid, 0) AS balance
+  FROM debts d
+  LEFT JOIN LATERAL (
+    SELECT SUM(amount) AS paid FROM payments WHERE payments.debt_id = d.id
+  ) p ON TRUE
+`;
+
+function round2(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+// details: { sinceDate, dueDate, dueWhenText, currency }
+async function addDebt(userId, clientName, amountDue, dueText, details = {}) {
+  return safeQuery(() => withTransaction((db) => insertDebt(db, userId, clientName, amountDue, dueText, details)));
+}
+
+async function insertDebt(db, userId, clientName, amountDue, dueText, details = {}) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO debts (user_id, client_name, amount_due, currency, due_text, since_date, due_date, due_when_text, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending')
+    RETURNING *
+    `,
+    [
+      userId,
+      clientName,
+      amountDue,
+      details.currency || DEFAULT_CURRENCY,
+      dueText,
+      details.sinceDate || null,
+      details.dueDate || null,
+      details.dueWhenText || null,
+    ]
+  );
+  const debt = rows[0];
+  await recordDebtEvent(db, {
+    userId,
+    debtId: debt.id,
+    clientName: debt.client_name,
+    action: "created",
+    after: { amount_due: debt.amount_due, currency: debt.currency },
+  });
+  await enqueueWebhookEvent(db, userId, "debt.created", debtJson({ ...debt, amount_paid: 0, balance: debt.amount_due }));
+  return debt;
+}
+
+// Importación de un archivo (importer.js): todas las filas entran en una sola transacción o ninguna,
+// así un error a media importación no deja la mitad registrada.
+// rows: [{ name, phone, debt: { amount, dueText, sinceDate, currency } | null }]
+async function importDebts(userId, rows) {
+  if (!userId || !rows?.length) return [];
+
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const debts = [];
+      for (const row of rows) {
+        await ensureClient(db, userId, row.name);
+        if (row.phone) await writeClientPhone(db, userId, row.name, row.phone);
+        if (!row.debt) continue;
+        const { amount, dueText, ...details } = row.debt;
+        debts.push(await insertDebt(db, userId, row.name, amount, dueText, details));
+      }
+      return debts;
+    })
+  );
+}
+
+async function listPendingDebts(userId) {
   return safeQuery(async () => {
     const { rows } = await pool.query(
       `
-      INSERT INTO debts (user_id, client_name, amount_due, due_text, status)
-      VALUES ($1, $2, $3, $4, 'pending')
-      RETURNING *
+      ${DEBT_BALANCE_SELECT}
+      WHERE d.user_id = $1 AND d.status = 'pending'
+      ORDER BY d.created_at DESC
       `,
-      [userId, clientName, amountDue, dueText]
+      [userId]
     );
-    return rows[0];
+    return rows;
   });
 }
 
-async function listPendingDebts(userId) {
+async function listDebtsByClient(userId, clientName) {
+  if (!userId || !clientName) return [];
   return safeQuery(async () => {
     const { rows } = await pool.query(
       `
-      SELECT *
-      FROM debts
-      WHERE user_id = $1 AND status = 'pending'
-      ORDER BY created_at DESC
+      ${DEBT_BALANCE_SELECT}
+      WHERE d.user_id = $1
+        AND ${sameNameSql("d.client_name", "$2")}
+        AND d.status = 'pending'
+      ORDER BY d.created_at DESC
+      `,
+      [userId, clientName]
+    );
+    return rows;
+  });
+}
+
+async function getDebtById(userId, debtId) {
+  if (!userId || !debtId) return null;
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      ${DEBT_BALANCE_SELECT}
+      WHERE d.user_id = $1 AND d.id = $2 AND d.status <> 'deleted'
+      `,
+      [userId, debtId]
+    );
+    return rows[0] || null;
+  });
+}
+
+// Página de deudas para la API: más nuevas primero, cursor = último id visto.
+// from/to (Date) filtran por fecha de registro; `to` es exclusivo.
+async function listDebtsPage(userId, { status = null, clientName = null, from = null, to = null, cursor = null, limit = 50 } = {}) {
+  if (!userId) return [];
+  const where = ["d.user_id = $1", "d.status <> 'deleted'"];
+  const values = [userId];
+  if (status) pushFilter(where, values, "d.status = $?", status);
+  if (clientName) pushFilter(where, values, sameNameSql("d.client_name", "$?"), clientName);
+  if (from) pushFilter(where, values, "d.created_at >= $?", from);
+  if (to) pushFilter(where, values, "d.created_at < $?", to);
+  if (cursor) pushFilter(where, values, "d.id < $?", cursor);
+  values.push(limit);
+
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      ${DEBT_BALANCE_SELECT}
+      WHERE ${where.join(" AND ")}
+      ORDER BY d.id DESC
+      LIMIT $${values.length}
+      `,
+      values
+    );
+    return rows;
+  });
+}
+
+// Todas las deudas (pendientes y pagadas) con sus abonos y el teléfono del cliente, para exportar
+async function listAllDebts(userId) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT d.*,
+             COALESCE(p.paid, 0) AS amount_paid,
+             d.amount_due - COALESCE(p.paid, 0) AS balance,
+             COALESCE(p.payments, 0) AS payments,
+             p.last_paid_at,
+             c.phone AS client_phone
+      FROM debts d
+      LEFT JOIN LATERAL (
+        SELECT SUM(amount) AS paid, COUNT(*)::int AS payments, MAX(created_at) AS last_paid_at
+        FROM payments WHERE payments.debt_id = d.id
+      ) p ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT phone FROM clients WHERE clients.user_id = d.user_id AND ${sameNameSql("clients.name", "d.client_name")} LIMIT 1
+      ) c ON TRUE
+      WHERE d.user_id = $1 AND d.status <> 'deleted'
+      ORDER BY d.created_at ASC, d.id ASC
       `,
       [userId]
     );
@@ -172,17 +465,17 @@ async function listPendingDebts(userId) {
   });
 }
 
-async function listDebtsByClient(userId, clientName) {
+// Todas las deudas del cliente (pendientes y pagadas), de la más vieja a la más nueva
+async function listClientDebtHistory(userId, clientName) {
   if (!userId || !clientName) return [];
   return safeQuery(async () => {
     const { rows } = await pool.query(
       `
-      SELECT *
-      FROM debts
-      WHERE user_id = $1
-        AND LOWER(client_name) = LOWER($2)
-        AND status = 'pending'
-      ORDER BY created_at DESC
+      ${DEBT_BALANCE_SELECT}
+      WHERE d.user_id = $1
+        AND ${sameNameSql("d.client_name", "$2")}
+        AND d.status <> 'deleted'
+      ORDER BY d.created_at ASC
       `,
       [userId, clientName]
     );
@@ -193,46 +486,1105 @@ async function listDebtsByClient(userId, clientName) {
 async function markLatestDebtPaid(userId, clientName) {
   if (!userId || !clientName) return null;
 
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `
+        SELECT d.id,
+               d.client_name,
+               d.currency,
+               d.amount_due - COALESCE((SELECT SUM(amount) FROM payments WHERE payments.debt_id = d.id), 0) AS balance
+        FROM debts d
+        WHERE d.user_id = $1
+          AND ${sameNameSql("d.client_name", "$2")}
+          AND d.status = 'pending'
+        ORDER BY d.created_at DESC
+        LIMIT 1
+        FOR UPDATE
+        `,
+        [userId, clientName]
+      );
+      if (!rows[0]) return null;
+      return settleDebt(db, userId, rows[0]);
+    })
+  );
+}
+
+// Igual que markLatestDebtPaid pero sobre una deuda en particular (PATCH de la API, ver updateDebt)
+async function settleDebtById(db, userId, debtId) {
+  const { rows } = await db.query(
+    `
+    SELECT d.id,
+           d.client_name,
+           d.currency,
+           d.amount_due - COALESCE((SELECT SUM(amount) FROM payments WHERE payments.debt_id = d.id), 0) AS balance
+    FROM debts d
+    WHERE d.user_id = $1 AND d.id = $2 AND d.status = 'pending'
+    FOR UPDATE
+    `,
+    [userId, debtId]
+  );
+  if (!rows[0]) return null;
+  return settleDebt(db, userId, rows[0]);
+}
+
+// Liquida una deuda pendiente ya bloqueada: el saldo restante queda en el ledger como pago final
+async function settleDebt(db, userId, debt) {
+  const paymentIds = [];
+  if (round2(debt.balance) > 0) {
+    const { rows: p } = await db.query(
+      `
+      INSERT INTO payments (user_id, debt_id, client_name, amount, currency, note, kind)
+      VALUES ($1, $2, $3, $4, $5, 'liquidado', 'settlement')
+      RETURNING id
+      `,
+      [userId, debt.id, debt.client_name, round2(debt.balance), debt.currency]
+    );
+    paymentIds.push(p[0].id);
+  }
+
+  const { rows: updated } = await db.query(
+    `UPDATE debts SET status = 'paid', updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [debt.id]
+  );
+
+  await recordDebtEvent(db, {
+    userId,
+    debtId: debt.id,
+    clientName: debt.client_name,
+    action: "paid",
+    before: { status: "pending" },
+    after: { status: "paid", payment_ids: paymentIds },
+  });
+  await enqueueWebhookEvent(db, userId, "debt.paid", debtJson({ ...updated[0], amount_paid: updated[0].amount_due, balance: 0 }));
+
+  return updated[0] || null;
+}
+
+// -------------------------
+// DEBT EVENTS (historial de cambios + deshacer)
+// -------------------------
+// Cada escritura sobre deudas deja un evento con lo necesario para revertirla.
+// `db` puede ser el pool o un client dentro de withTransaction.
+async function recordDebtEvent(db, { userId, debtId, clientName, action, before = null, after = null }) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO debt_events (user_id, debt_id, client_name, action, before, after)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+    `,
+    [userId, debtId || null, clientName || null, action, before, after]
+  );
+  return rows[0];
+}
+
+// Webhook con el estado de la deuda (y su saldo) tal como queda en la transacción
+async function enqueueDebtWebhook(db, userId, type, debtId) {
+  const { rows } = await db.query(`${DEBT_BALANCE_SELECT} WHERE d.id = $1`, [debtId]);
+  if (rows[0]) await enqueueWebhookEvent(db, userId, type, debtJson(rows[0]));
+}
+
+// Deuda más reciente del usuario (opcionalmente de un cliente y/o con cierto status)
+async function findLatestDebt(userId, { clientName = null, status = "pending" } = {}) {
+  if (!userId) return null;
   return safeQuery(async () => {
+    const params = [userId, status];
+    let where = `d.user_id = $1 AND d.status = $2`;
+    if (clientName) {
+      params.push(clientName);
+      where += ` AND ${sameNameSql("d.client_name", "$3")}`;
+    }
     const { rows } = await pool.query(
       `
-      WITH latest AS (
-        SELECT id
-        FROM debts
-        WHERE user_id = $1
-          AND LOWER(client_name) = LOWER($2)
-          AND status = 'pending'
-        ORDER BY created_at DESC
+      ${DEBT_BALANCE_SELECT}
+      WHERE ${where}
+      ORDER BY d.created_at DESC
+      LIMIT 1
+      `,
+      params
+    );
+    return rows[0] || null;
+  });
+}
+
+// currency opcional: "corrige la deuda de Pepe a 300 dólares" también corrige la moneda
+async function updateDebtAmount(userId, debtId, amountDue, currency = null) {
+  return safeQuery(() => withTransaction((db) => changeDebtAmount(db, userId, debtId, amountDue, currency)));
+}
+
+async function changeDebtAmount(db, userId, debtId, amountDue, currency = null) {
+  const { rows: prev } = await db.query(
+    `SELECT * FROM debts WHERE user_id = $1 AND id = $2 FOR UPDATE`,
+    [userId, debtId]
+  );
+  if (!prev[0]) return null;
+
+  const { rows } = await db.query(
+    `
+    UPDATE debts
+    SET amount_due = $3, currency = COALESCE($4, currency), updated_at = NOW()
+    WHERE user_id = $1 AND id = $2
+    RETURNING *
+    `,
+    [userId, debtId, amountDue, currency]
+  );
+  await recordDebtEvent(db, {
+    userId,
+    debtId,
+    clientName: prev[0].client_name,
+    action: "amount_changed",
+    before: { amount_due: prev[0].amount_due, currency: prev[0].currency },
+    after: { amount_due: rows[0].amount_due, currency: rows[0].currency },
+  });
+  await enqueueDebtWebhook(db, userId, "debt.updated", debtId);
+  return { before: prev[0], debt: rows[0] };
+}
+
+async function updateDebtClient(userId, debtId, clientName) {
+  return safeQuery(() => withTransaction((db) => changeDebtClient(db, userId, debtId, clientName)));
+}
+
+async function changeDebtClient(db, userId, debtId, clientName) {
+  const { rows: prev } = await db.query(
+    `SELECT * FROM debts WHERE user_id = $1 AND id = $2 FOR UPDATE`,
+    [userId, debtId]
+  );
+  if (!prev[0]) return null;
+
+  const { rows } = await db.query(
+    `UPDATE debts SET client_name = $3, updated_at = NOW() WHERE user_id = $1 AND id = $2 RETURNING *`,
+    [userId, debtId, clientName]
+  );
+  await db.query(`UPDATE payments SET client_name = $3 WHERE user_id = $1 AND debt_id = $2`, [userId, debtId, clientName]);
+  await recordDebtEvent(db, {
+    userId,
+    debtId,
+    clientName,
+    action: "client_changed",
+    before: { client_name: prev[0].client_name },
+    after: { client_name: clientName },
+  });
+  await enqueueDebtWebhook(db, userId, "debt.updated", debtId);
+  return { before: prev[0], debt: rows[0] };
+}
+
+// Borrado lógico: la deuda queda con status 'deleted' para poder deshacer y auditar
+async function deleteDebt(userId, debtId) {
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows: prev } = await db.query(
+        `SELECT * FROM debts WHERE user_id = $1 AND id = $2 AND status <> 'deleted' FOR UPDATE`,
+        [userId, debtId]
+      );
+      if (!prev[0]) return null;
+
+      const { rows } = await db.query(
+        `UPDATE debts SET status = 'deleted', updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [debtId]
+      );
+      await recordDebtEvent(db, {
+        userId,
+        debtId,
+        clientName: prev[0].client_name,
+        action: "deleted",
+        before: { status: prev[0].status },
+        after: { status: "deleted" },
+      });
+      await enqueueDebtWebhook(db, userId, "debt.deleted", debtId);
+      return rows[0];
+    })
+  );
+}
+
+// "Pepe no pagó": la deuda pagada vuelve a pendiente y se quita el pago de liquidación.
+// Si se pagó solo con abonos no hay liquidación que quitar: no se reabre y devuelve { error: "paid_by_payments" }.
+async function reopenDebt(userId, debtId) {
+  return safeQuery(() => withTransaction((db) => reopenPaidDebt(db, userId, debtId)));
+}
+
+async function reopenPaidDebt(db, userId, debtId) {
+  const { rows: prev } = await db.query(
+    `SELECT * FROM debts WHERE user_id = $1 AND id = $2 AND status = 'paid' FOR UPDATE`,
+    [userId, debtId]
+  );
+  if (!prev[0]) return null;
+
+  const { rows: removed } = await db.query(
+    `DELETE FROM payments WHERE debt_id = $1 AND kind = 'settlement' RETURNING *`,
+    [debtId]
+  );
+  if (!removed.length) return { error: "paid_by_payments" };
+
+  const { rows } = await db.query(
+    `UPDATE debts SET status = 'pending', updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [debtId]
+  );
+  await recordDebtEvent(db, {
+    userId,
+    debtId,
+    clientName: prev[0].client_name,
+    action: "reopened",
+    before: {
+      status: "paid",
+      payments: removed.map((p) => ({ amount: p.amount, currency: p.currency, note: p.note, kind: p.kind, created_at: p.created_at })),
+    },
+    after: { status: "pending" },
+  });
+  await enqueueDebtWebhook(db, userId, "debt.updated", debtId);
+  return rows[0];
+}
+
+// PATCH /debts/{id} de la API: monto/moneda, cliente y status en una sola transacción
+// (si un paso truena no queda a medias y reintentar el mismo PATCH aplica todo).
+// Devuelve la deuda como estaba antes, null si no existe o { error: "paid_by_payments" } si no se puede
+// reabrir (ver reopenPaidDebt; en ese caso no se aplica ningún cambio).
+async function updateDebt(userId, debtId, { amountDue = null, currency = null, clientName = null, status = null } = {}) {
+  if (!userId || !debtId) return null;
+
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `SELECT * FROM debts WHERE user_id = $1 AND id = $2 AND status <> 'deleted' FOR UPDATE`,
+        [userId, debtId]
+      );
+      const debt = rows[0];
+      if (!debt) return null;
+
+      // Reabrir va primero: si se rechaza, todavía no se cambió nada
+      if (status === "pending" && debt.status === "paid") {
+        const reopened = await reopenPaidDebt(db, userId, debtId);
+        if (reopened.error) return reopened;
+      }
+      if (amountDue !== null || currency) await changeDebtAmount(db, userId, debtId, amountDue ?? debt.amount_due, currency);
+      if (clientName && clientName !== debt.client_name) {
+        await ensureClient(db, userId, clientName);
+        await changeDebtClient(db, userId, debtId, clientName);
+      }
+      if (status === "paid" && debt.status === "pending") await settleDebtById(db, userId, debtId);
+      return debt;
+    })
+  );
+}
+
+/**
+ * Revierte la última escritura del usuario (solo entre sus últimos `historySize` eventos).
+ * Devuelve { event, debt } del evento revertido, o null si no hay nada que deshacer.
+ */
+async function undoLastDebtAction(userId, historySize = 10) {
+  if (!userId) return null;
+
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows: evs } = await db.query(
+        `
+        SELECT *
+        FROM debt_events
+        WHERE id IN (
+          SELECT id FROM debt_events
+          WHERE user_id = $1 AND action <> 'undo'
+          ORDER BY id DESC
+          LIMIT $2
+        )
+          AND undone_at IS NULL
+        ORDER BY id DESC
         LIMIT 1
+        FOR UPDATE
+        `,
+        [userId, historySize]
+      );
+      const ev = evs[0];
+      if (!ev) return null;
+
+      const before = ev.before || {};
+      const after = ev.after || {};
+
+      if (ev.action === "created") {
+        await db.query(`UPDATE debts SET status = 'deleted', updated_at = NOW() WHERE id = $1`, [ev.debt_id]);
+      } else if (ev.action === "amount_changed") {
+        await db.query(
+          `UPDATE debts SET amount_due = $2, currency = COALESCE($3, currency), updated_at = NOW() WHERE id = $1`,
+          [ev.debt_id, before.amount_due, before.currency || null]
+        );
+      } else if (ev.action === "client_changed") {
+        await db.query(`UPDATE debts SET client_name = $2, updated_at = NOW() WHERE id = $1`, [ev.debt_id, before.client_name]);
+        await db.query(`UPDATE payments SET client_name = $2 WHERE debt_id = $1`, [ev.debt_id, before.client_name]);
+      } else if (ev.action === "deleted") {
+        await db.query(`UPDATE debts SET status = $2, updated_at = NOW() WHERE id = $1`, [ev.debt_id, before.status || "pending"]);
+      } else if (ev.action === "paid") {
+        // Por kind y no por payment_ids: si entre medio se deshizo un "no pagó", el pago de liquidación
+        // se volvió a insertar con otro id
+        await db.query(`DELETE FROM payments WHERE debt_id = $1 AND kind = 'settlement'`, [ev.debt_id]);
+        await db.query(`UPDATE debts SET status = 'pending', updated_at = NOW() WHERE id = $1`, [ev.debt_id]);
+      } else if (ev.action === "reopened") {
+        for (const p of before.payments || []) {
+          await db.query(
+            `
+            INSERT INTO payments (user_id, debt_id, client_name, amount, currency, note, kind, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `,
+            // Eventos anteriores a payments.kind: solo guardaban liquidaciones
+            [userId, ev.debt_id, ev.client_name, p.amount, p.currency || DEFAULT_CURRENCY, p.note, p.kind || "settlement", p.created_at]
+          );
+        }
+        await db.query(`UPDATE debts SET status = 'paid', updated_at = NOW() WHERE id = $1`, [ev.debt_id]);
+      } else if (ev.action === "payment") {
+        const { rows: removed } = await db.query(`DELETE FROM payments WHERE id = ANY($1::bigint[]) RETURNING debt_id`, [
+          after.payment_ids || [],
+        ]);
+        await db.query(
+          `UPDATE debts SET status = 'pending', updated_at = NOW() WHERE id = ANY($1::bigint[])`,
+          [after.paid_debt_ids || []]
+        );
+        // El abono pudo repartirse en varias deudas: cada una cambia de saldo
+        for (const debtId of new Set(removed.map((p) => String(p.debt_id)))) {
+          if (debtId !== String(ev.debt_id)) await enqueueDebtWebhook(db, userId, "debt.updated", debtId);
+        }
+      }
+
+      await db.query(`UPDATE debt_events SET undone_at = NOW() WHERE id = $1`, [ev.id]);
+      await recordDebtEvent(db, {
+        userId,
+        debtId: ev.debt_id,
+        clientName: ev.client_name,
+        action: "undo",
+        after: { undone_event_id: ev.id, undone_action: ev.action },
+      });
+
+      const { rows: debtRows } = await db.query(`SELECT * FROM debts WHERE id = $1`, [ev.debt_id]);
+      if (debtRows[0]) {
+        await enqueueDebtWebhook(db, userId, debtRows[0].status === "deleted" ? "debt.deleted" : "debt.updated", ev.debt_id);
+      }
+      return { event: ev, debt: debtRows[0] || null };
+    })
+  );
+}
+
+async function listDebtEventsByClient(userId, clientName) {
+  if (!userId || !clientName) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM debt_events
+      WHERE user_id = $1 AND ${sameNameSql("client_name", "$2")}
+      ORDER BY created_at ASC
+      `,
+      [userId, clientName]
+    );
+    return rows;
+  });
+}
+
+// -------------------------
+// PAYMENTS (abonos)
+// -------------------------
+// Aplica un abono a las deudas pendientes del cliente, de la más vieja a la más nueva.
+// Una deuda pasa a 'paid' cuando su saldo llega a cero.
+// Devuelve null si el cliente no tiene deudas pendientes.
+async function registerPayment(userId, clientName, amount, note = null, currency = DEFAULT_CURRENCY) {
+  if (!userId || !clientName || !(Number(amount) > 0)) return null;
+
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      // Solo se abona a deudas en la misma moneda del pago
+      const { rows: debts } = await db.query(
+        `
+        SELECT d.id,
+               d.client_name,
+               d.currency,
+               d.amount_due - COALESCE((SELECT SUM(amount) FROM payments WHERE payments.debt_id = d.id), 0) AS balance
+        FROM debts d
+        WHERE d.user_id = $1
+          AND ${sameNameSql("d.client_name", "$2")}
+          AND d.status = 'pending'
+          AND d.currency = $3
+        ORDER BY d.created_at ASC
+        FOR UPDATE
+        `,
+        [userId, clientName, currency]
+      );
+
+      if (!debts.length) return null;
+
+      let left = round2(amount);
+      const payments = [];
+      const paidDebtIds = [];
+      const paidDebts = [];
+
+      for (const d of debts) {
+        if (left <= 0) break;
+        const balance = round2(d.balance);
+        if (balance <= 0) continue;
+
+        const applied = Math.min(left, balance);
+        const { rows } = await db.query(
+          `
+          INSERT INTO payments (user_id, debt_id, client_name, amount, currency, note)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+          `,
+          [userId, d.id, d.client_name, applied, d.currency, note]
+        );
+        payments.push(rows[0]);
+        left = round2(left - applied);
+
+        if (applied >= balance) {
+          const { rows: paid } = await db.query(`UPDATE debts SET status = 'paid', updated_at = NOW() WHERE id = $1 RETURNING *`, [d.id]);
+          paidDebts.push(paid[0]);
+          paidDebtIds.push(d.id);
+        }
+      }
+
+      const totalBefore = debts.reduce((acc, d) => acc + round2(d.balance), 0);
+      const applied = round2(Number(amount) - left);
+
+      await recordDebtEvent(db, {
+        userId,
+        debtId: payments[0]?.debt_id || debts[0].id,
+        clientName: debts[0].client_name,
+        action: "payment",
+        after: { amount: applied, currency, payment_ids: payments.map((p) => p.id), paid_debt_ids: paidDebtIds },
+      });
+
+      const result = {
+        payments,
+        currency,
+        applied,
+        excess: left,
+        remaining: round2(totalBefore - applied),
+        paidDebtIds,
+      };
+      await enqueueWebhookEvent(db, userId, "payment.recorded", paymentResultJson(result));
+      for (const debt of paidDebts) {
+        await enqueueWebhookEvent(db, userId, "debt.paid", debtJson({ ...debt, amount_paid: debt.amount_due, balance: 0 }));
+      }
+      return result;
+    })
+  );
+}
+
+async function listPaymentsByClient(userId, clientName) {
+  if (!userId || !clientName) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM payments
+      WHERE user_id = $1 AND ${sameNameSql("client_name", "$2")}
+      ORDER BY created_at ASC
+      `,
+      [userId, clientName]
+    );
+    return rows;
+  });
+}
+
+// Página de abonos para la API (mismos filtros y cursor que listDebtsPage)
+async function listPaymentsPage(userId, { clientName = null, debtId = null, from = null, to = null, cursor = null, limit = 50 } = {}) {
+  if (!userId) return [];
+  const where = ["user_id = $1"];
+  const values = [userId];
+  if (clientName) pushFilter(where, values, sameNameSql("client_name", "$?"), clientName);
+  if (debtId) pushFilter(where, values, "debt_id = $?", debtId);
+  if (from) pushFilter(where, values, "created_at >= $?", from);
+  if (to) pushFilter(where, values, "created_at < $?", to);
+  if (cursor) pushFilter(where, values, "id < $?", cursor);
+  values.push(limit);
+
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM payments
+      WHERE ${where.join(" AND ")}
+      ORDER BY id DESC
+      LIMIT $${values.length}
+      `,
+      values
+    );
+    return rows;
+  });
+}
+
+// Cobrado desde `since` (p. ej. el inicio del mes), por moneda
+async function sumPaymentsSince(userId, since) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT currency, SUM(amount)::float AS total, COUNT(*)::int AS payments
+      FROM payments
+      WHERE user_id = $1 AND created_at >= $2
+      GROUP BY currency
+      `,
+      [userId, since]
+    );
+    return rows;
+  });
+}
+
+async function listAllPayments(userId) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM payments
+      WHERE user_id = $1
+      ORDER BY created_at ASC, id ASC
+      `,
+      [userId]
+    );
+    return rows;
+  });
+}
+
+// Último abono por cliente (para priorizar)
+async function listPaymentSummary(userId) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT client_name, COUNT(*)::int AS payments, MAX(created_at) AS last_at
+      FROM payments
+      WHERE user_id = $1
+      GROUP BY client_name
+      `,
+      [userId]
+    );
+    return rows;
+  });
+}
+
+// -------------------------
+// REMINDERS (bitácora de recordatorios enviados a deudores)
+// -------------------------
+async function logReminder({ userId, clientName, toPhone, tone, amount, currency, message, status, providerSid }) {
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `
+        INSERT INTO reminders (user_id, client_name, to_phone, tone, amount, currency, message, status, provider_sid)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+        `,
+        [userId, clientName, toPhone, tone || null, amount ?? null, currency || null, message, status, providerSid || null]
+      );
+      if (rows[0]?.status === "sent") await enqueueWebhookEvent(db, userId, "reminder.sent", reminderJson(rows[0]));
+      return rows[0] || null;
+    })
+  );
+}
+
+async function listRemindersByClient(userId, clientName) {
+  if (!userId || !clientName) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM reminders
+      WHERE user_id = $1 AND ${sameNameSql("client_name", "$2")}
+      ORDER BY created_at ASC
+      `,
+      [userId, clientName]
+    );
+    return rows;
+  });
+}
+
+// Bitácora completa (enviados y fallidos), la más nueva primero
+async function listReminderLog(userId, { limit = 50, offset = 0 } = {}) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM reminders
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+      `,
+      [userId, limit, offset]
+    );
+    return rows;
+  });
+}
+
+async function listRecentReminders(userId, days = 180) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT client_name, created_at
+      FROM reminders
+      WHERE user_id = $1
+        AND status = 'sent'
+        AND created_at > NOW() - ($2::int * INTERVAL '1 day')
+      ORDER BY created_at DESC
+      `,
+      [userId, days]
+    );
+    return rows;
+  });
+}
+
+// -------------------------
+// SCHEDULED REMINDERS (cola que despacha cron-reminders.js)
+// -------------------------
+async function scheduleReminder({ userId, clientName, toPhone, tone, amount, currency, message, whenText, sendAt }) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO scheduled_reminders (user_id, client_name, to_phone, tone, amount, currency, message, when_text, send_at, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'queued')
+      RETURNING *
+      `,
+      [userId, clientName, toPhone, tone || null, amount ?? null, currency || null, message, whenText || null, sendAt]
+    );
+    return rows[0] || null;
+  });
+}
+
+async function listScheduledReminders(userId, limit = 20) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT *
+      FROM scheduled_reminders
+      WHERE user_id = $1 AND status = 'queued'
+      ORDER BY send_at ASC
+      LIMIT $2
+      `,
+      [userId, limit]
+    );
+    return rows;
+  });
+}
+
+async function cancelScheduledReminder(userId, id) {
+  if (!userId || !id) return null;
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      UPDATE scheduled_reminders
+      SET status = 'canceled', updated_at = NOW()
+      WHERE user_id = $1 AND id = $2 AND status = 'queued'
+      RETURNING *
+      `,
+      [userId, id]
+    );
+    return rows[0] || null;
+  });
+}
+
+// -------------------------
+// PANEL WEB (dashboard.js): links mágicos y sesiones, guardados como hash
+// -------------------------
+async function createDashboardLink(userId, tokenHash, expiresAt) {
+  return safeQuery(async () => {
+    await pool.query(`INSERT INTO dashboard_links (token_hash, user_id, expires_at) VALUES ($1, $2, $3)`, [
+      tokenHash,
+      userId,
+      expiresAt,
+    ]);
+  });
+}
+
+// Sin gastarlo (la página de "Entrar" solo revisa que siga vigente)
+async function findDashboardLink(tokenHash) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `SELECT * FROM dashboard_links WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  });
+}
+
+// Un solo uso: el primero que lo marca se queda con el user_id
+async function consumeDashboardLink(tokenHash) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      UPDATE dashboard_links
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+      `,
+      [tokenHash]
+    );
+    return rows[0]?.user_id || null;
+  });
+}
+
+async function createDashboardSession(userId, sessionHash, expiresAt) {
+  return safeQuery(async () => {
+    await pool.query(`INSERT INTO dashboard_sessions (session_hash, user_id, expires_at) VALUES ($1, $2, $3)`, [
+      sessionHash,
+      userId,
+      expiresAt,
+    ]);
+  });
+}
+
+// Sesión vigente -> el usuario dueño (y marca la última visita)
+async function getDashboardSessionUser(sessionHash) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      WITH s AS (
+        UPDATE dashboard_sessions
+        SET last_seen_at = NOW()
+        WHERE session_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
       )
-      UPDATE debts
-      SET status = 'paid', updated_at = NOW()
-      WHERE id IN (SELECT id FROM latest)
+      SELECT u.* FROM users u JOIN s ON s.user_id = u.id
+      `,
+      [sessionHash]
+    );
+    return rows[0] || null;
+  });
+}
+
+async function revokeDashboardSession(sessionHash) {
+  return safeQuery(async () => {
+    await pool.query(`UPDATE dashboard_sessions SET revoked_at = NOW() WHERE session_hash = $1 AND revoked_at IS NULL`, [sessionHash]);
+  });
+}
+
+// -------------------------
+// STRIPE CONNECT (connect.js): cuenta conectada del usuario y links de pago para sus deudores
+// -------------------------
+async function getUserByStripeAccount(accountId) {
+  if (!accountId) return null;
+  return safeQuery(async () => {
+    const { rows } = await pool.query(`SELECT * FROM users WHERE stripe_account_id = $1`, [accountId]);
+    return rows[0] || null;
+  });
+}
+
+// Vigente o no (la página distingue "venció" de "no existe"); con lo que hace falta del dueño para cobrar
+async function findPaymentLink(tokenHash) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT l.*, u.phone AS user_phone, u.business_name, u.stripe_account_id, u.stripe_charges_enabled
+      FROM payment_links l
+      JOIN users u ON u.id = l.user_id
+      WHERE l.token_hash = $1
+      `,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  });
+}
+
+async function markPaymentLinkOpened(id) {
+  return safeQuery(async () => {
+    await pool.query(`UPDATE payment_links SET last_opened_at = NOW() WHERE id = $1`, [id]);
+  });
+}
+
+async function markPaymentLinkPaid(userId, id) {
+  if (!userId || !id) return;
+  return safeQuery(async () => {
+    await pool.query(`UPDATE payment_links SET paid_at = NOW() WHERE user_id = $1 AND id = $2`, [userId, id]);
+  });
+}
+
+// -------------------------
+// WEBHOOKS salientes (webhooks.js): endpoints del usuario y bitácora de entregas
+// -------------------------
+async function createWebhookEndpoint(userId, { url, secret, events = null }) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_endpoints (user_id, url, secret, events) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [userId, url, secret, events]
+    );
+    return rows[0];
+  });
+}
+
+// Endpoints activos con el resumen de sus entregas (lo que queda en la bitácora) y el último intento
+async function listWebhookEndpoints(userId) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT w.*,
+             s.delivered, s.failed, s.pending,
+             l.status AS last_status, l.last_status_code, l.last_error, l.last_attempt_at
+      FROM webhook_endpoints w
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE status = 'delivered')::int AS delivered,
+               COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+               COUNT(*) FILTER (WHERE status = 'pending')::int AS pending
+        FROM webhook_deliveries WHERE endpoint_id = w.id
+      ) s ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT status, last_status_code, last_error, last_attempt_at
+        FROM webhook_deliveries
+        WHERE endpoint_id = w.id AND last_attempt_at IS NOT NULL
+        ORDER BY last_attempt_at DESC
+        LIMIT 1
+      ) l ON TRUE
+      WHERE w.user_id = $1 AND w.disabled_at IS NULL
+      ORDER BY w.id ASC
+      `,
+      [userId]
+    );
+    return rows;
+  });
+}
+
+async function getWebhookEndpoint(userId, id) {
+  if (!userId || !id) return null;
+  return safeQuery(async () => {
+    const { rows } = await pool.query(`SELECT * FROM webhook_endpoints WHERE user_id = $1 AND id = $2 AND disabled_at IS NULL`, [
+      userId,
+      id,
+    ]);
+    return rows[0] || null;
+  });
+}
+
+// Se desactiva (no se borra: la bitácora sigue consultable) y lo pendiente ya no se manda
+async function disableWebhookEndpoint(userId, id) {
+  if (!userId || !id) return null;
+  return safeQuery(() =>
+    withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `
+        UPDATE webhook_endpoints
+        SET disabled_at = NOW(), updated_at = NOW()
+        WHERE user_id = $1 AND id = $2 AND disabled_at IS NULL
+        RETURNING *
+        `,
+        [userId, id]
+      );
+      if (!rows[0]) return null;
+      await db.query(
+        `UPDATE webhook_deliveries SET status = 'canceled', last_error = 'endpoint desactivado' WHERE endpoint_id = $1 AND status = 'pending'`,
+        [id]
+      );
+      return rows[0];
+    })
+  );
+}
+
+// Bitácora de un endpoint, más nuevas primero (cursor = último id visto)
+async function listWebhookDeliveries(userId, endpointId, { status = null, cursor = null, limit = 50 } = {}) {
+  if (!userId || !endpointId) return [];
+  const where = ["d.user_id = $1", "d.endpoint_id = $2"];
+  const values = [userId, endpointId];
+  if (status) pushFilter(where, values, "d.status = $?", status);
+  if (cursor) pushFilter(where, values, "d.id < $?", cursor);
+  values.push(limit);
+
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      SELECT d.*, e.type, e.created_at AS event_created_at
+      FROM webhook_deliveries d
+      JOIN webhook_events e ON e.id = d.event_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY d.id DESC
+      LIMIT $${values.length}
+      `,
+      values
+    );
+    return rows;
+  });
+}
+
+// -------------------------
+// API REST (api.js): llaves por usuario (solo el hash) e idempotencia de los POST
+// -------------------------
+async function createApiKey(userId, { name = null, prefix, keyHash }) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `INSERT INTO api_keys (user_id, name, prefix, key_hash) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [userId, name, prefix, keyHash]
+    );
+    return rows[0];
+  });
+}
+
+async function listApiKeys(userId) {
+  if (!userId) return [];
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `SELECT * FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL ORDER BY created_at DESC`,
+      [userId]
+    );
+    return rows;
+  });
+}
+
+async function revokeApiKey(userId, prefix) {
+  if (!userId || !prefix) return null;
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      UPDATE api_keys
+      SET revoked_at = NOW()
+      WHERE user_id = $1 AND prefix = $2 AND revoked_at IS NULL
       RETURNING *
       `,
-      [userId, clientName]
+      [userId, prefix]
     );
+    return rows[0] || null;
+  });
+}
 
+// Llave vigente -> el usuario dueño (y marca el último uso)
+async function getApiKeyUser(keyHash) {
+  return safeQuery(async () => {
+    const { rows } = await pool.query(
+      `
+      WITH k AS (
+        UPDATE api_keys
+        SET last_used_at = NOW()
+        WHERE key_hash = $1 AND revoked_at IS NULL
+        RETURNING user_id
+      )
+      SELECT u.* FROM users u JOIN k ON k.user_id = u.id
+      `,
+      [keyHash]
+    );
     return rows[0] || null;
   });
 }
 
+// El primero que inserta (usuario, llave) ejecuta el POST; los demás reciben la fila guardada.
+// Las llaves de más de ttlHours se liberan para no crecer sin fin.
+async function claimIdempotencyKey(userId, key, requestHash, ttlHours = 24) {
+  return safeQuery(async () => {
+    await pool.query(
+      `DELETE FROM api_idempotency_keys WHERE user_id = $1 AND created_at < NOW() - make_interval(hours => $2)`,
+      [userId, ttlHours]
+    );
+    const { rows } = await pool.query(
+      `
+      INSERT INTO api_idempotency_keys (user_id, idem_key, request_hash)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, idem_key) DO NOTHING
+      RETURNING *
+      `,
+      [userId, key, requestHash]
+    );
+    if (rows[0]) return { claimed: true, row: rows[0] };
+
+    const { rows: existing } = await pool.query(`SELECT * FROM api_idempotency_keys WHERE user_id = $1 AND idem_key = $2`, [
+      userId,
+      key,
+    ]);
+    return { claimed: false, row: existing[0] || null };
+  });
+}
+
+async function saveIdempotentResponse(userId, key, statusCode, body) {
+  return safeQuery(async () => {
+    await pool.query(
+      `UPDATE api_idempotency_keys SET status_code = $3, response = $4 WHERE user_id = $1 AND idem_key = $2`,
+      [userId, key, statusCode, body]
+    );
+  });
+}
+
+// Si el POST truena, la llave se suelta para que el reintento sí se procese
+async function releaseIdempotencyKey(userId, key) {
+  return safeQuery(async () => {
+    await pool.query(`DELETE FROM api_idempotency_keys WHERE user_id = $1 AND idem_key = $2 AND status_code IS NULL`, [
+      userId,
+      key,
+    ]);
+  });
+}
+
 module.exports = {
   pool,
 
   // users
   getOrCreateUser,
+  getUserById,
   updateUser,
 
   // clients
   findClientByName,
+  getClientById,
+  listClients,
+  listClientsPage,
   upsertClient,
+  addClientAlias,
   setClientPhone,
   saveClientPhone,
+  deleteClient,
 
   // debts
   addDebt,
+  importDebts,
+  getDebtById,
   listPendingDebts,
+  listDebtsPage,
+  listAllDebts,
   listDebtsByClient,
+  listClientDebtHistory,
   markLatestDebtPaid,
+  findLatestDebt,
+  updateDebtAmount,
+  updateDebtClient,
+  deleteDebt,
+  reopenDebt,
+  updateDebt,
+  undoLastDebtAction,
+  listDebtEventsByClient,
+
+  // payments
+  registerPayment,
+  listPaymentsByClient,
+  listPaymentsPage,
+  listAllPayments,
+  sumPaymentsSince,
+  listPaymentSummary,
+
+  // reminders
+  logReminder,
+  listRemindersByClient,
+  listRecentReminders,
+  listReminderLog,
+  scheduleReminder,
+  listScheduledReminders,
+  cancelScheduledReminder,
+
+  // panel web
+  createDashboardLink,
+  findDashboardLink,
+  consumeDashboardLink,
+  createDashboardSession,
+  getDashboardSessionUser,
+  revokeDashboardSession,
+
+  // stripe connect
+  getUserByStripeAccount,
+  findPaymentLink,
+  markPaymentLinkOpened,
+  markPaymentLinkPaid,
+
+  // webhooks salientes
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  getWebhookEndpoint,
+  disableWebhookEndpoint,
+  listWebhookDeliveries,
+
+  // API REST
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getApiKeyUser,
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
 };
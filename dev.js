@@ -0,0 +1,272 @@
+// dev.js — Consola local: platicar con el bot sin Twilio, sin OpenAI y sin Stripe
+//
+// 1) Levanta el servidor con el canal de consola:
+//      npm run dev   (= CHANNEL=console NODE_ENV=development AI_MODE=stub node index.js)
+//    (AI_MODE=replay usa fixtures/ai-recordings.json; AI_MODE=record graba respuestas reales de OpenAI)
+// 2) Chatea desde la terminal:   npm run dev:chat   (node dev.js)
+//    o desde el navegador:       http://localhost:3000/dev
+//
+// Los mensajes entran por /webhook/console, que pasa por el mismo pipeline que /webhook/whatsapp
+// (dedupe, getOrCreateUser, conversación). Lo que el bot "envía" (recordatorios, avisos de Stripe)
+// queda en el outbox en memoria del canal de consola.
+
+const fs = require("fs");
+const { spawn } = require("child_process");
+const path = require("path");
+const { metric } = require("./log");
+
+const DEFAULT_PHONE = "whatsapp:+5215500000000";
+const CRON_TIMEOUT_MS = 60 * 1000;
+
+// -------------------------
+// Eventos falsos de Stripe (mismo shape que usa handleStripeEvent)
+// -------------------------
+const STRIPE_EVENTS = {
+  checkout: "checkout.session.completed",
+  invoice_paid: "invoice.paid",
+  payment_failed: "invoice.payment_failed",
+  past_due: "customer.subscription.updated",
+  canceled: "customer.subscription.deleted",
+};
+
+function fakeStripeEvent(kind, phone, cycle = "mensual") {
+  const type = STRIPE_EVENTS[kind];
+  if (!type) return null;
+
+  const metadata = { phone, user_id: "", cycle };
+  const periodEnd = Math.floor(Date.now() / 1000) + (cycle === "anual" ? 365 : 30) * 86400;
+  let object;
+
+  if (kind === "checkout") {
+    // Sin subscription: handleStripeEvent no intenta consultar a Stripe
+    object = { id: `cs_dev_${Date.now()}`, customer: "cus_dev", subscription: null, metadata };
+  } else if (kind === "invoice_paid" || kind === "payment_failed") {
+    object = { id: `in_dev_${Date.now()}`, subscription: null, subscription_details: { metadata } };
+  } else {
+    object = {
+      id: "sub_dev",
+      status: kind === "past_due" ? "past_due" : "canceled",
+      current_period_end: periodEnd,
+      metadata,
+    };
+  }
+
+  return { id: `evt_dev_${Date.now()}`, type, created: Math.floor(Date.now() / 1000), livemode: false, data: { object } };
+}
+
+// En consola no hay Stripe: el link de pago apunta a /dev/checkout, que simula el pago completado
+function createCheckoutSession(user, cycle) {
+  const base = process.env.DEV_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const qs = new URLSearchParams({ phone: user.phone, cycle: String(cycle || "mensual") });
+  return { id: `cs_dev_${Date.now()}`, url: `${base}/dev/checkout?${qs}` };
+}
+
+function runCron() {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, "cron-reminders.js")], { env: process.env });
+    let output = "";
+    const timer = setTimeout(() => child.kill(), CRON_TIMEOUT_MS);
+    child.stdout.on("data", (d) => (output += d));
+    child.stderr.on("data", (d) => (output += d));
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+// -------------------------
+// Rutas /dev (solo se montan con CHANNEL=console)
+// -------------------------
+function mountDevRoutes(app, { channel, handleStripeEvent }) {
+  // Mismas reglas que el webhook de consola: development y loopback
+  function guard(req, res, next) {
+    const reason = channel.verifyRequest(req);
+    if (reason) return res.status(403).send("Forbidden");
+    return next();
+  }
+
+  app.get("/dev", guard, (_req, res) => res.type("html").send(CHAT_PAGE));
+
+  app.get("/dev/outbox", guard, (req, res) => {
+    const since = Number(req.query.since || 0);
+    res.json({ items: channel.outbox.slice(since), next: channel.outbox.length });
+  });
+
+  app.post("/dev/stripe", guard, async (req, res) => {
+    const phone = req.body?.phone || DEFAULT_PHONE;
+    const event = fakeStripeEvent(String(req.body?.type || ""), phone, req.body?.cycle);
+    if (!event) return res.status(400).json({ error: "unknown_event", types: Object.keys(STRIPE_EVENTS) });
+    metric("DEV_STRIPE_EVENT", { type: event.type, phone });
+    const handled = await handleStripeEvent(event);
+    return res.json({ type: event.type, handled });
+  });
+
+  app.get("/dev/checkout", guard, async (req, res) => {
+    const event = fakeStripeEvent("checkout", String(req.query.phone || DEFAULT_PHONE), String(req.query.cycle || "mensual"));
+    await handleStripeEvent(event);
+    res.send("Pago simulado ✅ Regresa al chat.");
+  });
+
+  app.post("/dev/cron", guard, async (_req, res) => {
+    res.json(await runCron());
+  });
+}
+
+const CHAT_PAGE = `<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>CobranzaBot — consola</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 640px; margin: 2rem auto; }
+  #log { border: 1px solid #ccc; height: 60vh; overflow-y: auto; padding: .5rem; white-space: pre-wrap; }
+  .me { text-align: right; color: #075e54; margin: .4rem 0; }
+  .bot { color: #222; margin: .4rem 0; }
+  .out { color: #8a6d00; margin: .4rem 0; font-size: .9em; }
+  form, .tools { display: flex; gap: .5rem; margin-top: .5rem; }
+  #text { flex: 1; }
+</style>
+</head>
+<body>
+<h3>CobranzaBot — consola local</h3>
+<div class="tools">
+  <input id="from" value="${DEFAULT_PHONE}" size="28">
+  <select id="event">${Object.keys(STRIPE_EVENTS).map((k) => `<option>${k}</option>`).join("")}</select>
+  <button id="stripe" type="button">Stripe</button>
+  <button id="cron" type="button">Cron</button>
+</div>
+<div id="log"></div>
+<form id="f"><input id="text" autocomplete="off" autofocus><button>Enviar</button></form>
+<script>
+  const log = document.getElementById("log");
+  let since = 0;
+  function add(cls, text) {
+    const div = document.createElement("div");
+    div.className = cls;
+    div.textContent = text;
+    log.appendChild(div);
+    log.scrollTop = log.scrollHeight;
+  }
+  async function post(url, body) {
+    const r = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    return r.json();
+  }
+  async function pollOutbox() {
+    const r = await (await fetch("/dev/outbox?since=" + since)).json();
+    since = r.next;
+    for (const m of r.items) add("out", "📤 → " + m.to + "\\n" + m.text);
+  }
+  document.getElementById("f").onsubmit = async (e) => {
+    e.preventDefault();
+    const input = document.getElementById("text");
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = "";
+    add("me", text);
+    const r = await post("/webhook/console", { from: document.getElementById("from").value, text });
+    for (const reply of r.replies || []) add("bot", reply);
+    await pollOutbox();
+  };
+  document.getElementById("stripe").onclick = async () => {
+    const type = document.getElementById("event").value;
+    const r = await post("/dev/stripe", { type, phone: document.getElementById("from").value });
+    add("out", "⚙️ Stripe " + r.type + (r.handled ? " ✅" : " (ignorado)"));
+    await pollOutbox();
+  };
+  document.getElementById("cron").onclick = async () => {
+    const r = await post("/dev/cron", {});
+    add("out", "⚙️ cron (exit " + r.code + ")\\n" + r.output);
+  };
+  setInterval(pollOutbox, 3000);
+</script>
+</body>
+</html>`;
+
+// -------------------------
+// REPL de terminal: node dev.js
+// -------------------------
+const HELP = `Comandos:
+  /as <teléfono>        cambia de usuario (p. ej. /as +5215511111111)
+  /stripe <evento>      ${Object.keys(STRIPE_EVENTS).join(" | ")}
+  /archivo <ruta>       manda un Excel/CSV como adjunto (importar deudores)
+  /cron                 corre cron-reminders.js
+  /outbox               muestra lo enviado
+  /help, /quit
+Cualquier otro texto se manda como mensaje de WhatsApp.`;
+
+async function repl() {
+  const readline = require("readline");
+  const base = process.env.DEV_URL || `http://localhost:${process.env.PORT || 3000}`;
+  let from = DEFAULT_PHONE;
+  let since = 0;
+
+  async function call(method, url, body) {
+    const r = await fetch(base + url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!r.ok) throw new Error(`${r.status} ${await r.text()}`);
+    return r.json();
+  }
+
+  async function printOutbox() {
+    const r = await call("GET", `/dev/outbox?since=${since}`);
+    since = r.next;
+    for (const m of r.items) console.log(`📤 → ${m.to}\n${m.text}\n`);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  console.log(`Consola de CobranzaBot → ${base}  (usuario ${from})\n${HELP}\n`);
+  rl.setPrompt("tú> ");
+  rl.prompt();
+
+  rl.on("line", async (line) => {
+    const text = line.trim();
+    rl.pause();
+    try {
+      if (!text) {
+        // nada
+      } else if (text === "/quit" || text === "/exit") {
+        return rl.close();
+      } else if (text === "/help") {
+        console.log(HELP);
+      } else if (text.startsWith("/as ")) {
+        const phone = text.slice(4).trim().replace(/^whatsapp:/, "");
+        from = `whatsapp:${phone.startsWith("+") ? phone : `+${phone}`}`;
+        console.log(`Ahora eres ${from}`);
+      } else if (text.startsWith("/stripe")) {
+        const r = await call("POST", "/dev/stripe", { type: text.split(/\s+/)[1] || "", phone: from });
+        console.log(`⚙️ ${r.type}${r.handled ? " ✅" : " (ignorado)"}`);
+        await printOutbox();
+      } else if (text.startsWith("/archivo ")) {
+        const file = text.slice(9).trim();
+        const media = [{ data: fs.readFileSync(file).toString("base64"), filename: path.basename(file), contentType: null }];
+        const r = await call("POST", "/webhook/console", { from, text: "", media });
+        for (const reply of r.replies || []) console.log(`bot> ${reply}\n`);
+        await printOutbox();
+      } else if (text === "/cron") {
+        const r = await call("POST", "/dev/cron");
+        console.log(r.output.trim() || `(sin salida, exit ${r.code})`);
+      } else if (text === "/outbox") {
+        since = 0;
+        await printOutbox();
+      } else {
+        const r = await call("POST", "/webhook/console", { from, text });
+        for (const reply of r.replies || []) console.log(`bot> ${reply}\n`);
+        await printOutbox();
+      }
+    } catch (err) {
+      console.error("❌", err?.message || err);
+    }
+    rl.resume();
+    rl.prompt();
+  });
+
+  rl.on("close", () => process.exit(0));
+}
+
+if (require.main === module) repl();
+
+module.exports = { mountDevRoutes, createCheckoutSession, fakeStripeEvent };
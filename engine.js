@@ -0,0 +1,186 @@
+// engine.js — Motor de conversación (sin Express ni Twilio)
+// Recibe un usuario y un texto y devuelve las respuestas a enviar:
+//   handleMessage(user, text) -> ["Registrado ✅ ...", ...]
+//
+// Piezas:
+//  - Pasos previos (`use("before")`): onboarding, "cancelar", etc. Si responden, se corta ahí.
+//  - Flujos de varios pasos: máquina de estados guardada en users.pending_action/pending_payload,
+//    con transiciones declaradas, tiempo de expiración y opción de abandonarse con otro comando.
+//  - Registro de intents: handler + opciones (p. ej. { billable, client }) que leen los pasos
+//    de intent (`use("intent")`), como la resolución de cliente o el paywall.
+
+const DEFAULT_FLOW_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * options:
+ *  - parse(ctx) -> parsed             convierte el texto en { intent, ... }
+ *  - saveState(ctx, { action, payload, patch }) -> user   persiste el estado (null = sin flujo)
+ *  - isNewCommand(text) -> bool       para abandonar flujos `escapable`
+ *  - formatReply(text, opts, ctx)     decora cada respuesta (opcional)
+ *  - fallback(ctx, parsed)            handler cuando ningún intent coincide
+ *  - metric(event, data)              observabilidad
+ *  - now() -> ms                      reloj (inyectable en pruebas)
+ */
+function createEngine({
+  parse,
+  saveState,
+  isNewCommand = () => false,
+  formatReply = (text) => text,
+  fallback = null,
+  metric = () => {},
+  now = () => Date.now(),
+}) {
+  const flows = new Map();
+  const states = new Map();
+  const intents = new Map();
+  const steps = { before: [], intent: [] };
+
+  /**
+   * flow: {
+   *   name, start: [estados de entrada], timeoutMs, escapable,
+   *   states: { [estado]: { next: [estados], handle(ctx, payload) } }
+   * }
+   * handle puede devolver { continueWith: parsed } para seguir con ese intent (p. ej. tras elegir cliente).
+   */
+  function registerFlow(flow) {
+    if (flows.has(flow.name)) throw new Error(`Flujo duplicado: ${flow.name}`);
+    const def = { timeoutMs: DEFAULT_FLOW_TIMEOUT_MS, escapable: false, start: [], ...flow };
+    for (const [name, state] of Object.entries(def.states || {})) {
+      if (states.has(name)) throw new Error(`Estado duplicado: ${name}`);
+      if (typeof state.handle !== "function") throw new Error(`Estado sin handler: ${name}`);
+      states.set(name, { name, flow: def, next: state.next || [], handle: state.handle });
+    }
+    for (const name of def.start) {
+      if (!def.states?.[name]) throw new Error(`Estado inicial desconocido en ${def.name}: ${name}`);
+    }
+    for (const s of Object.values(def.states || {})) {
+      for (const n of s.next || []) {
+        if (!def.states[n]) throw new Error(`Transición a estado desconocido en ${def.name}: ${n}`);
+      }
+    }
+    flows.set(def.name, def);
+    return def;
+  }
+
+  function registerIntent(name, options, handler) {
+    if (typeof options === "function") {
+      handler = options;
+      options = {};
+    }
+    if (intents.has(name)) throw new Error(`Intent duplicado: ${name}`);
+    intents.set(name, { name, options: options || {}, handler });
+  }
+
+  // stage: "before" (ctx) | "intent" (ctx, entry). Devuelve true si ya respondió y hay que parar.
+  function use(stage, fn) {
+    if (!steps[stage]) throw new Error(`Etapa desconocida: ${stage}`);
+    steps[stage].push(fn);
+  }
+
+  function currentState(user) {
+    const name = user?.pending_action || null;
+    if (!name || !states.has(name)) return null;
+    return { ...states.get(name), payload: user.pending_payload || {} };
+  }
+
+  function isExpired(state) {
+    const at = state.payload?.state_at ? new Date(state.payload.state_at).getTime() : null;
+    if (!at || !Number.isFinite(at)) return false;
+    return now() - at > state.flow.timeoutMs;
+  }
+
+  function assertTransition(from, to) {
+    const target = states.get(to);
+    if (!target) throw new Error(`Estado desconocido: ${to}`);
+    const source = from ? states.get(from) : null;
+    if (source && source.flow === target.flow) {
+      if (from === to || source.next.includes(to)) return;
+      throw new Error(`Transición no declarada: ${from} -> ${to}`);
+    }
+    if (!target.flow.start.includes(to)) throw new Error(`${to} no es un estado inicial de ${target.flow.name}`);
+  }
+
+  function createContext(user, text, meta) {
+    const startedAt = now();
+    const replies = [];
+
+    const ctx = {
+      user,
+      phone: user.phone,
+      body: String(text || "").trim(),
+      meta,
+      reqId: meta.reqId || null,
+      startedAt,
+      replies,
+      parsed: null,
+
+      reply(message, opts = {}) {
+        replies.push(formatReply(message, opts, ctx));
+      },
+
+      metric(event, data = {}) {
+        metric(event, { reqId: ctx.reqId, user_id: ctx.user?.id, ...data });
+      },
+
+      // Entra o avanza en un flujo; valida que la transición esté declarada
+      async goto(action, payload = {}, patch = {}) {
+        assertTransition(ctx.user.pending_action, action);
+        const stamped = { ...payload, state_at: new Date(now()).toISOString() };
+        const updated = await saveState(ctx, { action, payload: stamped, patch });
+        ctx.user = { ...ctx.user, ...(updated || {}), ...patch, pending_action: action, pending_payload: stamped };
+      },
+
+      // Sale del flujo actual (opcionalmente guardando otros campos del usuario)
+      async endFlow(patch = {}) {
+        const updated = await saveState(ctx, { action: null, payload: null, patch });
+        ctx.user = { ...ctx.user, ...(updated || {}), ...patch, pending_action: null, pending_payload: null };
+      },
+    };
+    return ctx;
+  }
+
+  async function handleMessage(user, text, meta = {}) {
+    const ctx = createContext(user, text, meta);
+
+    for (const step of steps.before) {
+      if (await step(ctx)) return finish(ctx);
+    }
+
+    let state = currentState(ctx.user);
+    if (state && isExpired(state)) {
+      ctx.metric("FLOW_TIMEOUT", { flow: state.flow.name, state: state.name });
+      await ctx.endFlow();
+      state = null;
+    } else if (state && state.flow.escapable && isNewCommand(ctx.body)) {
+      // El usuario cambió de tema: soltamos el flujo y procesamos el mensaje normal
+      ctx.metric("FLOW_ESCAPED", { flow: state.flow.name, state: state.name });
+      await ctx.endFlow();
+      state = null;
+    }
+
+    if (state) {
+      const out = await state.handle(ctx, state.payload);
+      if (!out || !out.continueWith) return finish(ctx);
+      ctx.parsed = out.continueWith;
+    }
+
+    if (!ctx.parsed) ctx.parsed = (await parse(ctx)) || { intent: "unknown" };
+
+    const entry = intents.get(ctx.parsed.intent) || { name: ctx.parsed.intent, options: {}, handler: fallback };
+    for (const step of steps.intent) {
+      if (await step(ctx, entry)) return finish(ctx);
+    }
+
+    if (entry.handler) await entry.handler(ctx, ctx.parsed);
+    return finish(ctx);
+  }
+
+  function finish(ctx) {
+    ctx.metric("RESPONSE_SENT", { ms: now() - ctx.startedAt });
+    return ctx.replies;
+  }
+
+  return { registerFlow, registerIntent, use, handleMessage, flows, intents };
+}
+
+module.exports = { createEngine, DEFAULT_FLOW_TIMEOUT_MS };
@@ -0,0 +1,264 @@
+// eval-intents.js — Evaluación del parseo de intents contra un corpus etiquetado
+// Corre cada frase de fixtures/intent-eval.jsonl por localRouter y por parseMessage (ai.js) y reporta:
+//  - precisión / recall por intent
+//  - exactitud de amount_due y client_name (en las frases que los etiquetan)
+//  - diferencias contra la línea base guardada: frases que antes salían bien y ahora no (y al revés)
+//
+// parseMessage corre en AI_MODE=replay por default (grabaciones, y si no hay, el parser por reglas):
+// sin red y reproducible. Con AI_MODE=live se evalúa el modelo de verdad (cuesta tokens).
+// En replay el reporte dice cuántas frases no tienen grabación: esas califican a rules.js y no al prompt.
+// AI_MODE=record node eval-intents.js corre el modelo y graba las respuestas en fixtures/ai-recordings.json.
+//
+// Uso:
+//   node eval-intents.js                    reporte + diff contra la línea base (sale con 1 si hay regresiones)
+//   node eval-intents.js --update-baseline  guarda los resultados actuales como nueva línea base
+//
+// Corpus (una frase por línea): { "text": "...", "expected": { "intent": "add_debt", "client_name": "Pepe", ... } }
+// Solo se califican los campos que trae "expected".
+
+const fs = require("fs");
+const path = require("path");
+
+process.env.AI_MODE = process.env.AI_MODE || "replay";
+
+const { stripAccents } = require("./dates");
+const { localRouter } = require("./router");
+const { parseMessage, hasRecording } = require("./ai");
+
+const CORPUS_FILE = process.env.EVAL_CORPUS_FILE || path.join(__dirname, "fixtures", "intent-eval.jsonl");
+const BASELINE_FILE = process.env.EVAL_BASELINE_FILE || path.join(__dirname, "fixtures", "intent-eval-baseline.json");
+
+const SCORED_FIELDS = ["amount_due", "client_name"];
+
+// localRouter devuelve null cuando no reconoce la frase: cuenta como "sin respuesta" (baja el recall, no la precisión)
+const PARSERS = {
+  local_router: async (text) => localRouter(text),
+  parse_message: async (text) => parseMessage(text),
+};
+
+function loadCorpus(file = CORPUS_FILE) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line && !line.startsWith("//"))
+    .map(([line, lineNo]) => {
+      const row = JSON.parse(line);
+      if (!row.text || !row.expected?.intent) throw new Error(`${path.basename(file)}:${lineNo}: falta text o expected.intent`);
+      return row;
+    });
+}
+
+// "Doña Lupe" == "dona lupe"; 1500 == "1500"; undefined == null
+function sameValue(expected, actual) {
+  const a = actual === undefined ? null : actual;
+  if (expected === null || a === null) return expected === a;
+  if (typeof expected === "number") return Number(a) === expected;
+  if (typeof expected === "string") {
+    const norm = (s) => stripAccents(String(s).toLowerCase()).replace(/\s+/g, " ").trim();
+    return norm(expected) === norm(a);
+  }
+  return expected === a;
+}
+
+function pick(parsed) {
+  if (!parsed) return null;
+  const out = { intent: parsed.intent || "unknown" };
+  for (const f of SCORED_FIELDS) out[f] = parsed[f] === undefined ? null : parsed[f];
+  return out;
+}
+
+async function runParser(name, cases) {
+  const parse = PARSERS[name];
+  const results = [];
+  for (const c of cases) {
+    let parsed = null;
+    try {
+      parsed = await parse(c.text);
+    } catch (err) {
+      parsed = { intent: "error", error: err?.message || "unknown" };
+    }
+    const wrong = Object.keys(c.expected).filter((k) => !sameValue(c.expected[k], parsed ? parsed[k] : null));
+    results.push({ text: c.text, expected: c.expected, parsed, ok: wrong.length === 0, wrong });
+  }
+  return results;
+}
+
+function ratio(n, d) {
+  return d ? Math.round((n / d) * 1000) / 1000 : null;
+}
+
+function score(results) {
+  const intents = new Set();
+  for (const r of results) {
+    intents.add(r.expected.intent);
+    if (r.parsed) intents.add(r.parsed.intent);
+  }
+
+  const perIntent = {};
+  for (const intent of [...intents].sort()) {
+    const predicted = results.filter((r) => r.parsed?.intent === intent);
+    const support = results.filter((r) => r.expected.intent === intent);
+    const tp = predicted.filter((r) => r.expected.intent === intent).length;
+    perIntent[intent] = { support: support.length, predicted: predicted.length, precision: ratio(tp, predicted.length), recall: ratio(tp, support.length) };
+  }
+
+  const fields = {};
+  for (const f of SCORED_FIELDS) {
+    const labeled = results.filter((r) => f in r.expected);
+    const hits = labeled.filter((r) => !r.wrong.includes(f)).length;
+    fields[f] = { n: labeled.length, accuracy: ratio(hits, labeled.length) };
+  }
+
+  return {
+    cases: results.length,
+    answered: results.filter((r) => r.parsed).length,
+    intent_accuracy: ratio(results.filter((r) => r.parsed?.intent === r.expected.intent).length, results.length),
+    exact: ratio(results.filter((r) => r.ok).length, results.length),
+    per_intent: perIntent,
+    fields,
+  };
+}
+
+async function runEval(cases = loadCorpus()) {
+  const report = { ai_mode: process.env.AI_MODE, parsers: {} };
+  if (report.ai_mode === "replay") report.replay_misses = cases.filter((c) => !hasRecording(c.text)).length;
+  for (const name of Object.keys(PARSERS)) {
+    const results = await runParser(name, cases);
+    report.parsers[name] = {
+      summary: score(results),
+      results: Object.fromEntries(results.map((r) => [r.text, { ok: r.ok, wrong: r.wrong, parsed: pick(r.parsed) }])),
+    };
+  }
+  return report;
+}
+
+// Por parser: frases que estaban bien y ya no (regresiones), las que se arreglaron y cambios en las métricas
+function diffBaseline(report, baseline) {
+  const out = {};
+  for (const [name, current] of Object.entries(report.parsers)) {
+    const before = baseline?.parsers?.[name];
+    const d = { regressions: [], fixed: [], added: [], removed: [], deltas: {} };
+    out[name] = d;
+    if (!before) {
+      d.added = Object.keys(current.results);
+      continue;
+    }
+    for (const [text, r] of Object.entries(current.results)) {
+      const b = before.results[text];
+      if (!b) d.added.push(text);
+      else if (b.ok && !r.ok) d.regressions.push({ text, was: b.parsed, now: r.parsed, wrong: r.wrong });
+      else if (!b.ok && r.ok) d.fixed.push(text);
+    }
+    d.removed = Object.keys(before.results).filter((text) => !(text in current.results));
+
+    const pairs = [
+      ["intent_accuracy", current.summary.intent_accuracy, before.summary.intent_accuracy],
+      ["exact", current.summary.exact, before.summary.exact],
+      ...SCORED_FIELDS.map((f) => [f, current.summary.fields[f].accuracy, before.summary.fields?.[f]?.accuracy]),
+    ];
+    for (const [key, now, was] of pairs) {
+      if (now !== was) d.deltas[key] = { was: was ?? null, now };
+    }
+  }
+  return out;
+}
+
+function loadBaseline(file = BASELINE_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveBaseline(report, file = BASELINE_FILE) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + "\n");
+}
+
+// -------------------------
+// Reporte en consola
+// -------------------------
+function pct(x) {
+  return x === null || x === undefined ? "  —  " : `${(x * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport(report, diff) {
+  const names = Object.keys(report.parsers);
+  console.log(`Intents (AI_MODE=${report.ai_mode}) — ${report.parsers[names[0]].summary.cases} frases\n`);
+
+  const intents = new Set();
+  for (const n of names) Object.keys(report.parsers[n].summary.per_intent).forEach((i) => intents.add(i));
+
+  console.log(["intent".padEnd(22), "n".padStart(3), ...names.map((n) => `${n} P / R`.padStart(26))].join("  "));
+  for (const intent of [...intents].sort()) {
+    const cells = names.map((n) => {
+      const s = report.parsers[n].summary.per_intent[intent];
+      return (s ? `${pct(s.precision)} / ${pct(s.recall)}` : "").padStart(26);
+    });
+    const support = Math.max(...names.map((n) => report.parsers[n].summary.per_intent[intent]?.support || 0));
+    console.log([intent.padEnd(22), String(support).padStart(3), ...cells].join("  "));
+  }
+
+  console.log("");
+  for (const n of names) {
+    const s = report.parsers[n].summary;
+    const fields = SCORED_FIELDS.map((f) => `${f} ${pct(s.fields[f].accuracy)} (n=${s.fields[f].n})`).join(" · ");
+    console.log(`${n}: intent ${pct(s.intent_accuracy)} · exactas ${pct(s.exact)} · respondió ${s.answered}/${s.cases} · ${fields}`);
+  }
+  if (report.replay_misses) {
+    const cases = report.parsers[names[0]].summary.cases;
+    console.log(`\n⚠️ ${report.replay_misses}/${cases} frases sin grabación: parse_message las contestó con el parser por reglas.`);
+    console.log(`   Grábalas con AI_MODE=record node eval-intents.js (llama al modelo).`);
+  }
+
+  if (!diff) {
+    console.log("\nSin línea base (node eval-intents.js --update-baseline para crearla).");
+    return;
+  }
+
+  for (const [n, d] of Object.entries(diff)) {
+    const deltas = Object.entries(d.deltas).map(([k, v]) => `${k} ${pct(v.was)} → ${pct(v.now)}`);
+    if (!d.regressions.length && !d.fixed.length && !d.added.length && !d.removed.length && !deltas.length) continue;
+
+    console.log(`\n— ${n} vs línea base`);
+    if (deltas.length) console.log(`  ${deltas.join(" · ")}`);
+    for (const r of d.regressions) {
+      console.log(`  ❌ "${r.text}" (${r.wrong.join(", ")})\n     antes: ${JSON.stringify(r.was)}\n     ahora: ${JSON.stringify(r.now)}`);
+    }
+    for (const text of d.fixed) console.log(`  ✅ "${text}"`);
+    if (d.added.length) console.log(`  + ${d.added.length} frase(s) nueva(s) en el corpus`);
+    if (d.removed.length) console.log(`  - ${d.removed.length} frase(s) ya no están en el corpus`);
+  }
+}
+
+async function main() {
+  const update = process.argv.includes("--update-baseline");
+  const report = await runEval();
+
+  if (update) {
+    saveBaseline(report);
+    printReport(report, null);
+    console.log(`\nLínea base guardada en ${path.relative(process.cwd(), BASELINE_FILE)}`);
+    return 0;
+  }
+
+  const baseline = loadBaseline();
+  const diff = baseline ? diffBaseline(report, baseline) : null;
+  printReport(report, diff);
+
+  const regressions = diff ? Object.values(diff).reduce((n, d) => n + d.regressions.length, 0) : 0;
+  if (regressions) console.log(`\n${regressions} regresión(es) contra la línea base.`);
+  return regressions ? 1 : 0;
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error("❌", err?.message || err);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadCorpus, runEval, score, diffBaseline, loadBaseline };
@@ -0,0 +1,661 @@
+// exporter.js — Exportar deudas (CSV / Excel .xlsx) y estados de cuenta por cliente (PDF)
+// Sin dependencias, igual que importer.js: el .xlsx es un zip con XML armado a mano y el PDF
+// se escribe directo (Helvetica, sin fuentes incrustadas).
+//
+// El archivo no se guarda: el bot manda un link firmado y de vida corta (/exports/<token>/<archivo>)
+// y el archivo se arma con los datos del momento en que el canal (o el usuario) lo descarga.
+//
+//   exportUrl(user, { kind, format, client }) -> { url, filename, contentType, expiresAt }
+//   verifyExportToken(token) -> { spec } | { error: "invalid" | "expired" }
+//   buildExport(spec) -> { buffer, contentType, filename } | null
+//
+// kind: "debts" (todas las deudas, csv o xlsx) | "statement" (un cliente, pdf)
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+const { DEFAULT_TZ, localParts, formatYmd, toYmdParts, formatLocalDate, stripAccents } = require("./dates");
+const { userCurrency, currencyOf, formatMoney, totalsByCurrency, formatTotals } = require("./money");
+const {
+  getUserById,
+  findClientByName,
+  listAllDebts,
+  listAllPayments,
+  listClientDebtHistory,
+  listPaymentsByClient,
+} = require("./db");
+
+const EXPORT_SIGNING_SECRET = process.env.EXPORT_SIGNING_SECRET || "";
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+// Lo que tarda el canal en bajar el archivo, con margen para abrir el link a mano si el envío falla
+const EXPORT_URL_TTL_MIN = Number(process.env.EXPORT_URL_TTL_MIN || 15);
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", ext: "xlsx" },
+  pdf: { contentType: "application/pdf", ext: "pdf" },
+};
+
+const STATUS_LABELS = { pending: "pendiente", paid: "pagada" };
+
+function exportsReady() {
+  return Boolean(EXPORT_SIGNING_SECRET && PUBLIC_BASE_URL);
+}
+
+// -------------------------
+// Links firmados
+// -------------------------
+// <payload base64url>.<HMAC-SHA256 base64url>; payload = { u, k, f, c, exp }
+function sign(data) {
+  return crypto.createHmac("sha256", EXPORT_SIGNING_SECRET).update(data).digest("base64url");
+}
+
+function signExportToken(spec, { now = Date.now(), ttlMin = EXPORT_URL_TTL_MIN } = {}) {
+  const payload = Buffer.from(JSON.stringify({ ...spec, exp: now + ttlMin * 60000 })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+function verifyExportToken(token, { now = Date.now() } = {}) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!EXPORT_SIGNING_SECRET || !payload || !signature || extra !== undefined) return { error: "invalid" };
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { error: "invalid" };
+
+  let spec = null;
+  try {
+    spec = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (_) {
+    return { error: "invalid" };
+  }
+  if (!spec || !spec.u || !FORMATS[spec.f]) return { error: "invalid" };
+  if (!(Number(spec.exp) > now)) return { error: "expired" };
+  return { spec };
+}
+
+// "Doña Lupe" -> "dona-lupe"
+function slug(s) {
+  return (
+    stripAccents(String(s || ""))
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "cliente"
+  );
+}
+
+function exportFilename({ kind, format, client }, { now = new Date(), timeZone = DEFAULT_TZ } = {}) {
+  const day = formatYmd(localParts(now, timeZone));
+  const base = kind === "statement" ? `estado-de-cuenta-${slug(client)}` : "deudas";
+  return `${base}-${day}.${FORMATS[format].ext}`;
+}
+
+function exportUrl(user, { kind, format, client = null }, { now = new Date() } = {}) {
+  const filename = exportFilename({ kind, format, client }, { now, timeZone: user.timezone || DEFAULT_TZ });
+  const token = signExportToken({ u: String(user.id), k: kind, f: format, c: client }, { now: now.getTime() });
+  return {
+    url: `${PUBLIC_BASE_URL}/exports/${token}/${filename}`,
+    filename,
+    contentType: FORMATS[format].contentType,
+    expiresAt: new Date(now.getTime() + EXPORT_URL_TTL_MIN * 60000),
+  };
+}
+
+// -------------------------
+// Tablas
+// -------------------------
+// Columna: { title, type: "text" | "int" | "money" | "date" }; las fechas van como "YYYY-MM-DD"
+function dateOnly(v) {
+  const p = toYmdParts(v);
+  return p ? formatYmd(p) : null;
+}
+
+function localDay(ts, timeZone) {
+  return ts ? formatYmd(localParts(new Date(ts), timeZone)) : null;
+}
+
+function money(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+function debtsTables(debts, payments, { timeZone = DEFAULT_TZ, primary } = {}) {
+  const debtRows = debts.map((d) => [
+    Number(d.id),
+    d.client_name,
+    String(d.client_phone || "").replace(/^whatsapp:/, "") || null,
+    money(d.amount_due),
+    money(d.amount_paid),
+    money(d.balance),
+    currencyOf(d, primary),
+    STATUS_LABELS[d.status] || d.status,
+    localDay(d.created_at, timeZone),
+    dateOnly(d.since_date),
+    dateOnly(d.due_date),
+    d.due_text || null,
+    Number(d.payments || 0),
+    localDay(d.last_paid_at, timeZone),
+  ]);
+
+  const paymentRows = payments.map((p) => [
+    Number(p.id),
+    Number(p.debt_id),
+    p.client_name,
+    money(p.amount),
+    currencyOf(p, primary),
+    localDay(p.created_at, timeZone),
+    p.note || null,
+  ]);
+
+  return [
+    {
+      name: "Deudas",
+      columns: [
+        { title: "ID", type: "int" },
+        { title: "Cliente", type: "text" },
+        { title: "Teléfono", type: "text" },
+        { title: "Monto", type: "money" },
+        { title: "Abonado", type: "money" },
+        { title: "Saldo", type: "money" },
+        { title: "Moneda", type: "text" },
+        { title: "Estado", type: "text" },
+        { title: "Registrada", type: "date" },
+        { title: "Desde", type: "date" },
+        { title: "Vence", type: "date" },
+        { title: "Nota", type: "text" },
+        { title: "Abonos", type: "int" },
+        { title: "Último abono", type: "date" },
+      ],
+      rows: debtRows,
+    },
+    {
+      name: "Abonos",
+      columns: [
+        { title: "ID", type: "int" },
+        { title: "Deuda", type: "int" },
+        { title: "Cliente", type: "text" },
+        { title: "Monto", type: "money" },
+        { title: "Moneda", type: "text" },
+        { title: "Fecha", type: "date" },
+        { title: "Nota", type: "text" },
+      ],
+      rows: paymentRows,
+    },
+  ];
+}
+
+// -------------------------
+// CSV (solo la hoja de deudas; con BOM para que Excel respete los acentos)
+// -------------------------
+// Texto que empieza con = + - @ (o tab/CR) Excel lo corre como fórmula: nombres y notas vienen de archivos
+// importados y de la API, así que se les antepone ' (un número solo, como un teléfono +52..., se deja igual)
+function csvText(s) {
+  return /^[=+\-@\t\r]/.test(s) && !/^[+-]?\d+(\.\d+)?$/.test(s) ? `'${s}` : s;
+}
+
+function csvCell(v, type) {
+  if (v === null || v === undefined) return "";
+  const s = type === "money" ? Number(v).toFixed(2) : type === "text" ? csvText(String(v)) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(table) {
+  const lines = [table.columns.map((c) => csvCell(c.title)).join(",")];
+  for (const row of table.rows) lines.push(row.map((v, i) => csvCell(v, table.columns[i].type)).join(","));
+  return Buffer.from("\ufeff" + lines.join("\r\n") + "\r\n", "utf8");
+}
+
+// -------------------------
+// Zip (para el .xlsx)
+// -------------------------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // nombres en UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(0, 10); // hora/fecha DOS: no importan
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuf, packed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(0, 12);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBuf);
+
+    offset += local.length + nameBuf.length + packed.length;
+  }
+
+  const centralBuf = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralBuf.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralBuf, end]);
+}
+
+// -------------------------
+// Excel (.xlsx): una hoja por tabla, texto en línea (sin sharedStrings)
+// -------------------------
+function xmlEscape(s) {
+  return String(s)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function columnLetter(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// Estilos (cellXfs): 0 normal, 1 encabezado en negritas, 2 dinero (#,##0.00), 3 fecha (formato 14)
+const XLSX_STYLE = { header: 1, money: 2, date: 3 };
+
+// "2026-01-15" -> número de serie de Excel (días desde 1899-12-30)
+function excelSerial(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000 + 25569;
+}
+
+function xlsxCell(ref, v, type, style = 0) {
+  if (v === null || v === undefined || v === "") return "";
+  const s = style ? ` s="${style}"` : "";
+  if (type === "date") return `<c r="${ref}" s="${XLSX_STYLE.date}"><v>${excelSerial(v)}</v></c>`;
+  if (type === "money") return `<c r="${ref}" s="${XLSX_STYLE.money}"><v>${Number(v)}</v></c>`;
+  if (type === "int") return `<c r="${ref}"${s}><v>${Number(v)}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+}
+
+function sheetXml(table) {
+  const widths = table.columns.map((c, i) => {
+    const longest = Math.max(c.title.length, ...table.rows.map((r) => (r[i] === null || r[i] === undefined ? 0 : String(r[i]).length)));
+    return Math.min(40, Math.max(8, longest + 2));
+  });
+  const cols = widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("");
+
+  const header = `<row r="1">${table.columns.map((c, i) => xlsxCell(`${columnLetter(i)}1`, c.title, "text", XLSX_STYLE.header)).join("")}</row>`;
+  const rows = table.rows
+    .map((row, r) => `<row r="${r + 2}">${row.map((v, i) => xlsxCell(`${columnLetter(i)}${r + 2}`, v, table.columns[i].type)).join("")}</row>`)
+    .join("");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<cols>${cols}</cols><sheetData>${header}${rows}</sheetData></worksheet>`
+  );
+}
+
+function toXlsx(tables) {
+  const XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n`;
+  const NS = "http://schemas.openxmlformats.org";
+
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      data:
+        XML +
+        `<Types xmlns="${NS}/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+        `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+        tables
+          .map(
+            (_, i) =>
+              `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join("") +
+        `</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data:
+        XML +
+        `<Relationships xmlns="${NS}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data:
+        XML +
+        `<workbook xmlns="${NS}/spreadsheetml/2006/main" xmlns:r="${NS}/officeDocument/2006/relationships"><sheets>` +
+        tables.map((t, i) => `<sheet name="${xmlEscape(t.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+        `</sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data:
+        XML +
+        `<Relationships xmlns="${NS}/package/2006/relationships">` +
+        tables
+          .map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+          .join("") +
+        `<Relationship Id="rId${tables.length + 1}" Type="${NS}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      data:
+        XML +
+        `<styleSheet xmlns="${NS}/spreadsheetml/2006/main">` +
+        `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+        `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+        `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+        `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+        `<cellXfs count="4">` +
+        `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+        `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+        `<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+        `<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+        `</cellXfs></styleSheet>`,
+    },
+    ...tables.map((t, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(t) })),
+  ];
+
+  return zip(files);
+}
+
+// -------------------------
+// PDF: estado de cuenta de un cliente
+// -------------------------
+const PAGE = { width: 595, height: 842, margin: 48 }; // A4 en puntos
+
+// Helvetica usa WinAnsiEncoding: Latin-1 más algunos signos en 0x80-0x9F; lo demás (emojis) se quita
+const WIN_ANSI_EXTRA = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97 };
+
+function winAnsi(text) {
+  let out = "";
+  for (const ch of String(text || "").normalize("NFC")) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI_EXTRA[ch]) out += String.fromCharCode(WIN_ANSI_EXTRA[ch]);
+    else if (code === 0x202f || code === 0xa0) out += " ";
+    else if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) out += ch;
+  }
+  return out.replace(/ {2,}/g, " ").trim();
+}
+
+function pdfString(text) {
+  return `(${winAnsi(text).replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+// Anchos de Helvetica (milésimas de em) para alinear montos a la derecha; el resto se aproxima
+const HELVETICA_WIDTHS = { " ": 278, ",": 278, ".": 278, "-": 333, $: 556, U: 722, S: 667, D: 722, E: 667, R: 722, M: 833, X: 667, N: 722 };
+
+function textWidth(text, size) {
+  let w = 0;
+  for (const ch of winAnsi(text)) w += /\d/.test(ch) ? 556 : HELVETICA_WIDTHS[ch] || 556;
+  return (w * size) / 1000;
+}
+
+// Cuántos caracteres caben (aprox.) en `width` puntos
+function fitText(text, width, size) {
+  const s = String(text || "");
+  if (textWidth(s, size) <= width) return s;
+  let cut = s;
+  while (cut.length > 1 && textWidth(`${cut}…`, size) > width) cut = cut.slice(0, -1);
+  return `${cut.trimEnd()}…`;
+}
+
+function createPdfPages() {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE.height - PAGE.margin;
+  }
+  newPage();
+
+  return {
+    pages,
+    get y() {
+      return y;
+    },
+    // Salta de página si lo que sigue (height) no cabe
+    ensure(height) {
+      if (y - height < PAGE.margin + 24) newPage();
+    },
+    down(dy) {
+      y -= dy;
+    },
+    text(x, str, { size = 10, bold = false, align = "left" } = {}) {
+      const tx = align === "right" ? x - textWidth(str, size) : x;
+      ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${tx.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(str)} Tj ET`);
+    },
+    line(x1, x2, { gray = 0.75 } = {}) {
+      ops.push(`${gray} G 0.5 w ${x1} ${(y - 4).toFixed(2)} m ${x2} ${(y - 4).toFixed(2)} l S 0 G`);
+    },
+  };
+}
+
+function pdfDocument(pages, { footer = "" } = {}) {
+  // 1 catálogo, 2 páginas, 3-4 fuentes, luego (página, contenido) por cada página
+  const objects = [];
+  const kids = pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ");
+  objects.push(`<< /Type /Catalog /Pages 2 0 R >>`);
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`);
+  objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>`);
+
+  pages.forEach((ops, i) => {
+    const foot =
+      `BT /F1 8 Tf ${PAGE.margin} 28 Td ${pdfString(footer)} Tj ET ` +
+      `BT /F1 8 Tf ${(PAGE.width - PAGE.margin - textWidth(`Página ${i + 1} de ${pages.length}`, 8)).toFixed(2)} 28 Td ` +
+      `${pdfString(`Página ${i + 1} de ${pages.length}`)} Tj ET`;
+    const stream = zlib.deflateSync(Buffer.from([...ops, foot].join("\n"), "latin1"));
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`
+    );
+    objects.push({ stream });
+  });
+
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let size = chunks[0].length;
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(size);
+    const parts =
+      typeof obj === "string"
+        ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, "latin1")]
+        : [
+            Buffer.from(`${i + 1} 0 obj\n<< /Length ${obj.stream.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+            obj.stream,
+            Buffer.from(`\nendstream\nendobj\n`, "latin1"),
+          ];
+    for (const p of parts) {
+      chunks.push(p);
+      size += p.length;
+    }
+  });
+
+  const xref =
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${size}\n%%EOF\n`;
+  chunks.push(Buffer.from(xref, "latin1"));
+  return Buffer.concat(chunks);
+}
+
+// Movimientos (cargos y abonos) en orden, con el saldo corrido de su moneda
+function statementMovements(debts, payments, { timeZone = DEFAULT_TZ, primary } = {}) {
+  const moves = [
+    ...debts.map((d) => ({
+      at: new Date(d.created_at),
+      currency: currencyOf(d, primary),
+      charge: Number(d.amount_due || 0),
+      credit: 0,
+      text: `Deuda${d.due_text ? ` (desde ${d.due_text})` : ""}${d.status === "paid" ? " — pagada" : ""}`,
+    })),
+    ...payments.map((p) => ({
+      at: new Date(p.created_at),
+      currency: currencyOf(p, primary),
+      charge: 0,
+      credit: Number(p.amount || 0),
+      text: p.kind === "settlement" ? "Pago (liquidó)" : `Abono${p.note ? ` — ${p.note}` : ""}`,
+    })),
+  ].sort((a, b) => a.at - b.at || b.charge - a.charge);
+
+  const running = new Map();
+  for (const m of moves) {
+    const balance = (running.get(m.currency) || 0) + m.charge - m.credit;
+    running.set(m.currency, balance);
+    m.balance = money(balance);
+    m.date = formatLocalDate(m.at, timeZone);
+  }
+  return moves;
+}
+
+function statementPdf({ businessName, clientName, phone, debts, payments, timeZone = DEFAULT_TZ, primary, now = new Date() }) {
+  const doc = createPdfPages();
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+  const cols = { date: left, text: left + 78, charge: right - 170, credit: right - 85, balance: right };
+
+  if (businessName) {
+    doc.text(left, businessName, { size: 16, bold: true });
+    doc.down(22);
+  }
+  doc.text(left, `Estado de cuenta — ${clientName}`, { size: 13, bold: true });
+  doc.down(16);
+  if (phone) {
+    doc.text(left, `Teléfono: ${String(phone).replace(/^whatsapp:/, "")}`, { size: 9 });
+    doc.down(12);
+  }
+  doc.text(left, `Fecha: ${formatLocalDate(now, timeZone)}`, { size: 9 });
+  doc.down(22);
+
+  const pending = debts.filter((d) => d.status === "pending");
+  doc.text(left, `Saldo pendiente: ${formatTotals(totalsByCurrency(pending, { primary }))}`, { size: 11, bold: true });
+  doc.down(26);
+
+  const header = () => {
+    doc.text(cols.date, "Fecha", { size: 9, bold: true });
+    doc.text(cols.text, "Concepto", { size: 9, bold: true });
+    doc.text(cols.charge, "Cargo", { size: 9, bold: true, align: "right" });
+    doc.text(cols.credit, "Abono", { size: 9, bold: true, align: "right" });
+    doc.text(cols.balance, "Saldo", { size: 9, bold: true, align: "right" });
+    doc.line(left, right, { gray: 0.4 });
+    doc.down(16);
+  };
+  header();
+
+  for (const m of statementMovements(debts, payments, { timeZone, primary })) {
+    const startPage = doc.pages.length;
+    doc.ensure(14);
+    if (doc.pages.length !== startPage) header();
+    doc.text(cols.date, m.date, { size: 9 });
+    doc.text(cols.text, fitText(m.text, cols.charge - cols.text - 80, 9), { size: 9 });
+    if (m.charge) doc.text(cols.charge, formatMoney(m.charge, m.currency), { size: 9, align: "right" });
+    if (m.credit) doc.text(cols.credit, formatMoney(m.credit, m.currency), { size: 9, align: "right" });
+    doc.text(cols.balance, formatMoney(m.balance, m.currency), { size: 9, align: "right" });
+    doc.line(left, right);
+    doc.down(14);
+  }
+
+  return pdfDocument(doc.pages, { footer: `Generado con CobranzaBot · ${formatLocalDate(now, timeZone)}` });
+}
+
+// -------------------------
+// Armar el archivo de un link
+// -------------------------
+async function buildExport(spec, { now = new Date() } = {}) {
+  const user = await getUserById(spec.u);
+  if (!user) return null;
+
+  const timeZone = user.timezone || DEFAULT_TZ;
+  const primary = userCurrency(user);
+  const kind = spec.k === "statement" ? "statement" : "debts";
+  const filename = exportFilename({ kind, format: spec.f, client: spec.c }, { now, timeZone });
+  const { contentType } = FORMATS[spec.f];
+
+  if (kind === "statement") {
+    if (!spec.c) return null;
+    const [debts, payments, client] = await Promise.all([
+      listClientDebtHistory(user.id, spec.c),
+      listPaymentsByClient(user.id, spec.c),
+      findClientByName(user.id, spec.c),
+    ]);
+    if (!debts.length) return null;
+    const buffer = statementPdf({
+      businessName: user.business_name || null,
+      clientName: client?.name || debts[debts.length - 1].client_name || spec.c,
+      phone: client?.phone || null,
+      debts,
+      payments,
+      timeZone,
+      primary,
+      now,
+    });
+    return { buffer, contentType, filename, rows: debts.length + payments.length };
+  }
+
+  const [debts, payments] = await Promise.all([listAllDebts(user.id), listAllPayments(user.id)]);
+  const tables = debtsTables(debts, payments, { timeZone, primary });
+  const buffer = spec.f === "csv" ? toCsv(tables[0]) : toXlsx(tables);
+  return { buffer, contentType, filename, rows: debts.length };
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_URL_TTL_MIN,
+  exportsReady,
+  exportUrl,
+  signExportToken,
+  verifyExportToken,
+  buildExport,
+  debtsTables,
+  toCsv,
+  toXlsx,
+  statementMovements,
+  statementPdf,
+};
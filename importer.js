@@ -0,0 +1,425 @@
+// importer.js — Importar clientes y deudas desde un archivo (CSV o Excel .xlsx) mandado por WhatsApp
+// Sin dependencias: el CSV se parte a mano y el .xlsx (un zip con XML) se abre con zlib.
+//
+//   readTable(buffer, { contentType, filename }) -> { rows: [[celda, ...], ...] } | { error }
+//   parseImport(rows) -> { items, errors, columns, headerRow }
+//   markDuplicates(items, pendingDebts)   marca lo que ya está registrado (o repetido en el archivo)
+//
+// Columnas: se buscan por encabezado ("Nombre", "Tel", "Monto", "Fecha"...) y, si el archivo no trae
+// encabezados, por contenido (teléfonos, montos, fechas y el resto como nombre).
+
+const zlib = require("zlib");
+
+const { stripAccents, parsePastDate, formatYmd } = require("./dates");
+const { detectCurrency } = require("./money");
+const { normalizeName } = require("./names");
+const { normalizeText, normalizePhoneToWhatsApp, parseAmount } = require("./router");
+
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 500);
+// Un .xlsx de 2 MB puede inflarse mucho; más de esto no es una lista de deudores
+const MAX_UNZIPPED_BYTES = 20 * 1024 * 1024;
+
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// -------------------------
+// Lectura de archivos
+// -------------------------
+function isZip(buf) {
+  return buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50;
+}
+
+// .xls de Excel 97-2003 (OLE): no lo leemos, se pide guardarlo como .xlsx o .csv
+function isLegacyXls(buf) {
+  return buf.length > 8 && buf.readUInt32BE(0) === 0xd0cf11e0 && buf.readUInt32BE(4) === 0xa1b11ae1;
+}
+
+function readTable(buffer, { contentType = null, filename = null } = {}) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || []);
+  if (!buf.length) return { error: "empty" };
+  if (isLegacyXls(buf)) return { error: "legacy_xls" };
+
+  const type = String(contentType || "").toLowerCase();
+  const name = String(filename || "").toLowerCase();
+
+  try {
+    if (isZip(buf)) return { rows: readXlsx(buf) };
+    if (type === XLSX_MIME || name.endsWith(".xlsx")) return { error: "unreadable" };
+    if (/^(image|audio|video)\//.test(type) || type === "application/pdf") return { error: "unsupported" };
+    return { rows: readCsv(decodeText(buf)) };
+  } catch (err) {
+    return { error: "unreadable", message: err?.message || "unknown" };
+  }
+}
+
+// Excel en Windows guarda el CSV en Latin-1/Windows-1252, no en UTF-8
+function decodeText(buf) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf).replace(/^\uFEFF/, "");
+  } catch (_) {
+    return new TextDecoder("windows-1252").decode(buf);
+  }
+}
+
+// Separador: el que más aparece en la primera línea fuera de comillas ("," ";" o tab)
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  let best = ",";
+  let bestCount = 0;
+  for (const d of [",", ";", "\t"]) {
+    const count = firstLine.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function readCsv(text) {
+  const delim = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell) quoted = true;
+    else if (ch === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map((r) => r.map((c) => c.trim()));
+}
+
+// --- .xlsx: zip (directorio central) -> XML de la primera hoja ---
+function unzip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("zip sin directorio central");
+
+  const entries = new Map();
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("zip corrupto");
+    const method = buf.readUInt16LE(p + 10);
+    // Tamaño comprimido: el del encabezado local puede venir en 0 (data descriptor)
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    entries.set(name, { method, size, localOffset });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+
+  let total = 0;
+  return function read(name) {
+    const e = entries.get(name);
+    if (!e) return null;
+    const lp = e.localOffset;
+    const start = lp + 30 + buf.readUInt16LE(lp + 26) + buf.readUInt16LE(lp + 28);
+    const raw = buf.subarray(start, start + e.size);
+    const out = e.method === 0 ? raw : zlib.inflateRawSync(raw, { maxOutputLength: MAX_UNZIPPED_BYTES });
+    total += out.length;
+    if (total > MAX_UNZIPPED_BYTES) throw new Error("archivo demasiado grande");
+    return out.toString("utf8");
+  };
+}
+
+function decodeXml(s) {
+  return String(s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? decodeXml(m[1]) : null;
+}
+
+// Texto de <si> / <is>: puede venir partido en varios <r><t>
+function xmlText(fragment) {
+  return [...String(fragment || "").matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+// Formatos de fecha integrados de Excel (14-22, 45-47) o uno propio con d/m/y
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function dateStyles(stylesXml) {
+  if (!stylesXml) return new Set();
+  const custom = new Map();
+  for (const m of stylesXml.matchAll(/<numFmt\s[^>]*>/g)) {
+    const code = (attr(m[0], "formatCode") || "").replace(/"[^"]*"|\[[^\]]*\]/g, "");
+    custom.set(Number(attr(m[0], "numFmtId")), /[dmy]/i.test(code));
+  }
+  const xfs = (stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || "";
+  const out = new Set();
+  [...xfs.matchAll(/<xf\s[^>]*?\/?>/g)].forEach((m, i) => {
+    const id = Number(attr(m[0], "numFmtId") || 0);
+    if (BUILTIN_DATE_FORMATS.has(id) || custom.get(id)) out.add(i);
+  });
+  return out;
+}
+
+// Serial de Excel (días desde 1899-12-30) -> "dd/mm/aaaa"
+function excelSerialToText(serial) {
+  const d = new Date(Math.round((Number(serial) - 25569) * 86400 * 1000));
+  if (Number.isNaN(d.getTime())) return String(serial);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`;
+}
+
+function columnIndex(ref) {
+  const letters = String(ref || "").replace(/\d+/g, "").toUpperCase();
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function firstSheetPath(read) {
+  const workbook = read("xl/workbook.xml") || "";
+  const rels = read("xl/_rels/workbook.xml.rels") || "";
+  const sheet = workbook.match(/<sheet\s[^>]*>/);
+  const rid = sheet ? attr(sheet[0], "r:id") : null;
+  if (rid) {
+    for (const m of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+      if (attr(m[0], "Id") !== rid) continue;
+      const target = attr(m[0], "Target").replace(/^\/?xl\//, "").replace(/^\//, "");
+      return `xl/${target}`;
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+}
+
+function readXlsx(buf) {
+  const read = unzip(buf);
+  const sheetXml = read(firstSheetPath(read));
+  if (!sheetXml) throw new Error("el archivo no tiene hojas");
+
+  const shared = [...(read("xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => xmlText(m[1]));
+  const dates = dateStyles(read("xl/styles.xml"));
+
+  const rows = [];
+  for (const r of sheetXml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    let next = 0;
+    for (const c of (r[1] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${c[1]}>`;
+      const ref = attr(tag, "r");
+      const col = ref ? columnIndex(ref) : next;
+      next = col + 1;
+
+      const type = attr(tag, "t");
+      const inner = c[2] || "";
+      const v = (inner.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = "";
+      if (type === "s") value = shared[Number(v)] || "";
+      else if (type === "inlineStr") value = xmlText(inner);
+      else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+      else if (v !== undefined && (!type || type === "n") && dates.has(Number(attr(tag, "s") || 0))) value = excelSerialToText(v);
+      else value = decodeXml(v || "");
+
+      while (row.length < col) row.push("");
+      row[col] = String(value).trim();
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// -------------------------
+// Columnas
+// -------------------------
+const HEADER_ALIASES = {
+  name: ["nombre", "cliente", "deudor", "name", "client", "customer", "razon social", "persona"],
+  phone: ["telefono", "tel", "celular", "cel", "whatsapp", "movil", "phone", "numero", "contacto"],
+  amount: ["monto", "importe", "deuda", "saldo", "debe", "adeudo", "total", "cantidad", "amount", "balance", "pendiente"],
+  date: ["fecha", "desde", "dia", "date", "since"],
+};
+
+const FIELD_LABELS = { name: "cliente", phone: "teléfono", amount: "monto", date: "fecha" };
+
+function headerField(cell) {
+  const t = stripAccents(String(cell || "").toLowerCase()).replace(/[^a-z\s]/g, " ").trim();
+  if (!t) return null;
+  const words = t.split(/\s+/);
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    if (aliases.some((a) => (a.includes(" ") ? t.includes(a) : words.includes(a)))) return field;
+  }
+  return null;
+}
+
+// { name: 0, phone: 2, amount: 1, date: null } a partir de una fila de encabezados
+function columnsFromHeader(row) {
+  const cols = {};
+  row.forEach((cell, i) => {
+    const field = headerField(cell);
+    if (field && cols[field] === undefined) cols[field] = i;
+  });
+  return cols;
+}
+
+const looksLikePhone = (v) => /^\+?[\d\s()-]{10,20}$/.test(v) && v.replace(/\D/g, "").length >= 10;
+const looksLikeDate = (v) => /^\d{1,2}\/\d{1,2}(?:\/\d{2,4})?$|^\d{4}-\d{2}-\d{2}/.test(v);
+const looksLikeAmount = (v) => !looksLikePhone(v) && !looksLikeDate(v) && /\d/.test(v) && Boolean(parseAmount(v));
+const looksLikeName = (v) => /[a-záéíóúñü]/i.test(v) && !/\d{3,}/.test(v);
+
+// Sin encabezados: cada columna se etiqueta por lo que tiene la mayoría de sus celdas
+function columnsFromContent(rows) {
+  const sample = rows.slice(0, 20);
+  const width = Math.max(0, ...sample.map((r) => r.length));
+  const cols = {};
+  const checks = [
+    ["phone", looksLikePhone],
+    ["date", looksLikeDate],
+    ["amount", looksLikeAmount],
+    ["name", looksLikeName],
+  ];
+  for (const [field, test] of checks) {
+    for (let i = 0; i < width; i++) {
+      if (Object.values(cols).includes(i)) continue;
+      const values = sample.map((r) => r[i] || "").filter(Boolean);
+      if (values.length && values.filter(test).length / values.length >= 0.6) {
+        cols[field] = i;
+        break;
+      }
+    }
+  }
+  return cols;
+}
+
+function detectColumns(rows) {
+  // El encabezado puede no estar en la primera fila (título, fila vacía)
+  for (let i = 0; i < Math.min(rows.length, 5); i++) {
+    const cols = columnsFromHeader(rows[i]);
+    if (cols.name !== undefined && Object.keys(cols).length >= 2) return { cols, headerRow: i };
+  }
+  return { cols: columnsFromContent(rows), headerRow: -1 };
+}
+
+// -------------------------
+// Filas
+// -------------------------
+// "2025-08-15" -> "15/08/2025" (el formato que entiende parsePastDate)
+function dateText(raw) {
+  const v = normalizeText(raw);
+  const m = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : v;
+}
+
+/**
+ * rows -> {
+ *   items: [{ row, name, phone, amount, currency, dateText, sinceDate }],
+ *   errors: [{ row, reason }],       // row = número de fila como lo ve el usuario (1 = primera)
+ *   columns: { name, phone, amount, date },  // índice de columna o undefined
+ *   headerRow                                // índice de la fila de encabezados (-1 = sin encabezados)
+ * }
+ */
+function parseImport(rows, { now = new Date(), timeZone } = {}) {
+  const { cols, headerRow } = detectColumns(rows);
+  if (cols.name === undefined || (cols.amount === undefined && cols.phone === undefined)) {
+    return { items: [], errors: [], columns: cols, headerRow, missingColumns: true };
+  }
+
+  const items = [];
+  const errors = [];
+  const cell = (r, field) => (cols[field] === undefined ? "" : normalizeText(r[cols[field]]));
+
+  rows.forEach((r, i) => {
+    if (i <= headerRow) return;
+    if (!r.some((c) => normalizeText(c))) return;
+    const row = i + 1;
+
+    const name = cell(r, "name");
+    const rawAmount = cell(r, "amount");
+    const rawPhone = cell(r, "phone");
+    const rawDate = cell(r, "date");
+
+    if (!name) return errors.push({ row, reason: "sin nombre" });
+
+    const amount = rawAmount ? parseAmount(rawAmount) : null;
+    if (rawAmount && !amount) return errors.push({ row, reason: `monto "${rawAmount}" no válido` });
+
+    const phone = rawPhone ? normalizePhoneToWhatsApp(rawPhone) : null;
+    if (rawPhone && !/^whatsapp:\+\d{10,15}$/.test(phone || "")) return errors.push({ row, reason: `teléfono "${rawPhone}" no válido` });
+
+    if (!amount && !phone) return errors.push({ row, reason: "sin monto ni teléfono" });
+
+    const text = rawDate ? dateText(rawDate) : null;
+    const since = text ? parsePastDate(text, { now, ...(timeZone && { timeZone }) }) : null;
+
+    items.push({
+      row,
+      name: name.slice(0, 80),
+      phone,
+      amount,
+      currency: rawAmount ? detectCurrency(rawAmount) : null,
+      dateText: text,
+      sinceDate: since ? formatYmd(since) : null,
+    });
+  });
+
+  if (items.length + errors.length > MAX_ROWS) return { items: [], errors: [], columns: cols, headerRow, tooManyRows: items.length + errors.length };
+  return { items, errors, columns: cols, headerRow };
+}
+
+// Deuda ya registrada = mismo cliente (sin acentos ni mayúsculas), mismo monto original y misma moneda
+function debtKey(name, amount, currency) {
+  return `${normalizeName(name)}|${Math.round(Number(amount) * 100)}|${currency}`;
+}
+
+// Marca item.duplicate en las deudas que ya están pendientes o repetidas en el mismo archivo
+function markDuplicates(items, pendingDebts, { currency: defaultCurrency } = {}) {
+  const seen = new Set(pendingDebts.map((d) => debtKey(d.client_name, d.amount_due, d.currency || defaultCurrency)));
+  return items.map((it) => {
+    if (!it.amount) return { ...it, duplicate: false };
+    const key = debtKey(it.name, it.amount, it.currency || defaultCurrency);
+    const duplicate = seen.has(key);
+    seen.add(key);
+    return { ...it, duplicate };
+  });
+}
+
+// "Nombre → cliente · Tel → teléfono" para que el usuario vea cómo se leyó su archivo
+function describeColumns(rows, { columns, headerRow }) {
+  return Object.entries(columns)
+    .filter(([, i]) => i !== undefined)
+    .sort((a, b) => a[1] - b[1])
+    .map(([field, i]) => {
+      const header = headerRow >= 0 ? normalizeText(rows[headerRow][i]) : `Columna ${String.fromCharCode(65 + i)}`;
+      return `${header} → ${FIELD_LABELS[field]}`;
+    })
+    .join(" · ");
+}
+
+module.exports = { readTable, parseImport, markDuplicates, describeColumns, MAX_ROWS };
@@ -0,0 +1,19 @@
+// log.js — Logs y métricas a stdout (una línea JSON por evento, se leen en Render)
+
+function isoNow() {
+  return new Date().toISOString();
+}
+function dayKey() {
+  return new Date().toISOString().slice(0, 10);
+}
+function makeReqId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+function logEvent(event, data = {}) {
+  console.log(`[${event}]`, JSON.stringify({ ts: isoNow(), ...data }));
+}
+function metric(event, data = {}) {
+  console.log(`[METRIC:${event}]`, JSON.stringify({ ts: isoNow(), ...data }));
+}
+
+module.exports = { isoNow, dayKey, makeReqId, logEvent, metric };
@@ -0,0 +1,166 @@
+// migrate.js — Migraciones SQL versionadas
+// Aplica en orden los archivos de ./migrations (NNN_descripcion.sql) y registra cada uno
+// en schema_migrations. Cada archivo corre en su propia transacción.
+//
+// Uso:
+//   node migrate.js up       aplica las pendientes
+//   node migrate.js status   lista aplicadas / pendientes (y avisa si un archivo aplicado cambió)
+//
+// Base local desde cero:
+//   createdb cobranzabot
+//   DATABASE_URL=postgres://localhost/cobranzabot DATABASE_SSL=false node migrate.js up
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Pool } = require("pg");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.sql$/;
+
+// Evita que dos deploys migren al mismo tiempo
+const LOCK_KEY = 72010011;
+
+function listMigrationFiles() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => f.endsWith(".sql"));
+  const out = [];
+  for (const file of files) {
+    const m = file.match(FILE_RE);
+    if (!m) throw new Error(`Nombre de migración inválido: ${file} (usa NNN_descripcion.sql)`);
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    out.push({
+      version: m[1],
+      name: m[2],
+      file,
+      sql,
+      checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+    });
+  }
+  out.sort((a, b) => a.version.localeCompare(b.version));
+
+  for (let i = 1; i < out.length; i++) {
+    if (out[i].version === out[i - 1].version) {
+      throw new Error(`Versión repetida: ${out[i - 1].file} y ${out[i].file}`);
+    }
+  }
+  return out;
+}
+
+async function ensureHistoryTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    TEXT PRIMARY KEY,
+      name       TEXT NOT NULL,
+      checksum   TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+async function up(client) {
+  await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+  try {
+    await ensureHistoryTable(client);
+    const applied = await appliedMigrations(client);
+    const pending = listMigrationFiles().filter((m) => !applied.has(m.version));
+
+    if (!pending.length) {
+      console.log("✅ Sin migraciones pendientes.");
+      return 0;
+    }
+
+    for (const m of pending) {
+      const startedAt = Date.now();
+      try {
+        await client.query("BEGIN");
+        await client.query(m.sql);
+        await client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`, [
+          m.version,
+          m.name,
+          m.checksum,
+        ]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Falló ${m.file}: ${err?.message || err}`);
+      }
+      console.log(`⬆️  ${m.file} (${Date.now() - startedAt} ms)`);
+    }
+
+    console.log(`✅ ${pending.length} migración(es) aplicada(s).`);
+    return pending.length;
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+  }
+}
+
+async function status(client) {
+  await ensureHistoryTable(client);
+  const applied = await appliedMigrations(client);
+  const files = listMigrationFiles();
+  let pending = 0;
+
+  for (const m of files) {
+    const row = applied.get(m.version);
+    if (!row) {
+      pending++;
+      console.log(`  pendiente  ${m.file}`);
+    } else {
+      const changed = row.checksum !== m.checksum ? "  ⚠️ el archivo cambió después de aplicarse" : "";
+      console.log(`  aplicada   ${m.file}  ${new Date(row.applied_at).toISOString()}${changed}`);
+    }
+  }
+
+  // Aplicadas en la base pero sin archivo (p. ej. otra rama)
+  const known = new Set(files.map((m) => m.version));
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) console.log(`  ⚠️ aplicada sin archivo: ${row.version}_${row.name}`);
+  }
+
+  console.log(`\n${files.length - pending} aplicada(s), ${pending} pendiente(s).`);
+  return pending;
+}
+
+async function main() {
+  const cmd = process.argv[2] || "status";
+  if (!["up", "status"].includes(cmd)) {
+    console.error(`Uso: node migrate.js <up|status>`);
+    process.exit(1);
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error("DATABASE_URL is not set");
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === "false" ? false : { rejectUnauthorized: false },
+    max: 1,
+  });
+
+  const client = await pool.connect();
+  try {
+    if (cmd === "up") await up(client);
+    else await status(client);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌", err?.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { listMigrationFiles, up, status };
@@ -0,0 +1,150 @@
+-- 001 — Esquema base: usuarios, clientes, deudas, paywall, Stripe, soporte y observabilidad.
+-- Idempotente (IF NOT EXISTS) para poder adoptarse sobre una base que ya existía sin migraciones.
+
+CREATE TABLE IF NOT EXISTS users (
+  id                        BIGSERIAL PRIMARY KEY,
+  phone                     TEXT NOT NULL UNIQUE,
+  plan                      TEXT NOT NULL DEFAULT 'free',
+  pro_source                TEXT,
+  pro_until                 TIMESTAMPTZ,
+  pro_lead_status           TEXT,
+  pro_lead_cycle            TEXT,
+  stripe_customer_id        TEXT,
+  stripe_subscription_id    TEXT,
+  stripe_status             TEXT,
+  stripe_current_period_end TIMESTAMPTZ,
+  seen_onboarding           BOOLEAN NOT NULL DEFAULT FALSE,
+  daily_count               INTEGER NOT NULL DEFAULT 0,
+  -- 'YYYY-MM-DD' (UTC); se compara como texto contra dayKey()
+  daily_count_day           TEXT,
+  last_intent               TEXT,
+  pending_action            TEXT,
+  pending_payload           JSONB,
+  created_at                TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pro_lead_status TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pro_lead_cycle TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_count_day TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_intent TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_action TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_payload JSONB;
+
+CREATE INDEX IF NOT EXISTS users_plan_idx ON users (plan, pro_source);
+
+CREATE TABLE IF NOT EXISTS clients (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name       TEXT NOT NULL,
+  phone      TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- upsertClient insertaba sin constraint: si ya hay duplicados por mayúsculas no se borra nada
+-- (cada uno puede tener sus alias, teléfono o deudas). La migración falla con la lista para
+-- que alguien los fusione a mano y vuelva a correr `npm run migrate`.
+DO $$
+DECLARE
+  dups TEXT;
+BEGIN
+  SELECT string_agg(format('user_id=%s "%s" (ids %s)', user_id, name, ids), '; ')
+  INTO dups
+  FROM (
+    SELECT user_id, MIN(name) AS name, string_agg(id::text, ', ' ORDER BY id) AS ids
+    FROM clients
+    GROUP BY user_id, LOWER(name)
+    HAVING COUNT(*) > 1
+  ) d;
+  IF dups IS NOT NULL THEN
+    RAISE EXCEPTION 'Clientes duplicados por mayúsculas, fusiónalos antes de migrar: %', dups;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS clients_user_lower_name_key ON clients (user_id, LOWER(name));
+
+CREATE TABLE IF NOT EXISTS debts (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  client_name TEXT NOT NULL,
+  amount_due  NUMERIC(14, 2) NOT NULL,
+  due_text    TEXT,
+  status      TEXT NOT NULL DEFAULT 'pending',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS debts_user_status_idx ON debts (user_id, status, created_at DESC);
+
+-- Anti-duplicados del cron (cron-reminders.js: tryAcquireNotification)
+CREATE TABLE IF NOT EXISTS notifications (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL,
+  phone      TEXT,
+  type       TEXT NOT NULL,
+  dedupe_key TEXT NOT NULL,
+  meta       JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Igual que con clientes: si ya hay avisos repetidos se reportan en vez de borrarlos
+DO $$
+DECLARE
+  dups TEXT;
+BEGIN
+  SELECT string_agg(format('user_id=%s %s "%s" (ids %s)', user_id, type, dedupe_key, ids), '; ')
+  INTO dups
+  FROM (
+    SELECT user_id, type, dedupe_key, string_agg(id::text, ', ' ORDER BY id) AS ids
+    FROM notifications
+    GROUP BY user_id, type, dedupe_key
+    HAVING COUNT(*) > 1
+  ) d;
+  IF dups IS NOT NULL THEN
+    RAISE EXCEPTION 'Notificaciones duplicadas, depúralas antes de migrar: %', dups;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS notifications_user_type_dedupe_key ON notifications (user_id, type, dedupe_key);
+
+-- Idempotencia de webhooks de Stripe
+CREATE TABLE IF NOT EXISTS stripe_events (
+  event_id     TEXT PRIMARY KEY,
+  type         TEXT NOT NULL,
+  meta         JSONB,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS support_tickets (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT REFERENCES users (id) ON DELETE CASCADE,
+  phone       TEXT,
+  message     TEXT NOT NULL,
+  last_intent TEXT,
+  status      TEXT NOT NULL DEFAULT 'open',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS support_tickets_status_idx ON support_tickets (status, created_at DESC);
+
+-- Observabilidad (bumpDailyUserMetric / bumpDailyEvent)
+CREATE TABLE IF NOT EXISTS daily_user_metrics (
+  day      DATE NOT NULL,
+  user_id  BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  phone    TEXT,
+  messages INTEGER NOT NULL DEFAULT 0,
+  billable INTEGER NOT NULL DEFAULT 0,
+  unknown  INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS daily_event_counters (
+  day       DATE NOT NULL,
+  event     TEXT NOT NULL,
+  count     INTEGER NOT NULL DEFAULT 0,
+  last_ts   TIMESTAMPTZ,
+  last_meta JSONB,
+  PRIMARY KEY (day, event)
+);
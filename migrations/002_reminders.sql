@@ -0,0 +1,40 @@
+-- 002 — Recordatorios enviados, recordatorios programados y zona horaria por usuario.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+CREATE TABLE IF NOT EXISTS reminders (
+  id           BIGSERIAL PRIMARY KEY,
+  user_id      BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  client_name  TEXT NOT NULL,
+  to_phone     TEXT,
+  tone         TEXT,
+  amount       NUMERIC(14, 2),
+  message      TEXT NOT NULL,
+  -- sent | failed
+  status       TEXT NOT NULL,
+  provider_sid TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS reminders_user_created_idx ON reminders (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS scheduled_reminders (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  client_name TEXT NOT NULL,
+  to_phone    TEXT,
+  tone        TEXT,
+  amount      NUMERIC(14, 2),
+  message     TEXT NOT NULL,
+  when_text   TEXT,
+  send_at     TIMESTAMPTZ NOT NULL,
+  -- queued | sent | failed | skipped | canceled
+  status      TEXT NOT NULL DEFAULT 'queued',
+  sent_at     TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- dispatchScheduledReminders busca los que ya tocan
+CREATE INDEX IF NOT EXISTS scheduled_reminders_due_idx ON scheduled_reminders (send_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS scheduled_reminders_user_idx ON scheduled_reminders (user_id, status, send_at);
@@ -0,0 +1,10 @@
+-- 003 — Prueba Pro: una por número de teléfono (sobrevive a borrar la cuenta) y nombre del negocio.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS business_name TEXT;
+
+CREATE TABLE IF NOT EXISTS pro_trials (
+  phone      TEXT PRIMARY KEY,
+  user_id    BIGINT,
+  ends_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
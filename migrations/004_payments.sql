@@ -0,0 +1,15 @@
+-- 004 — Abonos: el saldo de una deuda es amount_due menos la suma de sus pagos.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  debt_id     BIGINT NOT NULL REFERENCES debts (id) ON DELETE CASCADE,
+  client_name TEXT NOT NULL,
+  amount      NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  -- 'liquidado' cuando el pago sale de "ya pagó"
+  note        TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_debt_idx ON payments (debt_id);
+CREATE INDEX IF NOT EXISTS payments_user_created_idx ON payments (user_id, created_at DESC);
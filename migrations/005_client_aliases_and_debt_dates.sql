@@ -0,0 +1,7 @@
+-- 005 — Apodos de clientes y fechas reales de las deudas (desde / vence).
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS since_date DATE;
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS due_when_text TEXT;
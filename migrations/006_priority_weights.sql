@@ -0,0 +1,3 @@
+-- 006 — Pesos de priorización por cuenta (priority.js: normalizeWeights).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS priority_weights JSONB;
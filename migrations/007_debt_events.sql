@@ -0,0 +1,17 @@
+-- 007 — Historial de cambios sobre deudas (corregir, borrar, reabrir, deshacer).
+-- Las deudas borradas quedan con status 'deleted'.
+
+CREATE TABLE IF NOT EXISTS debt_events (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  debt_id     BIGINT REFERENCES debts (id) ON DELETE CASCADE,
+  client_name TEXT,
+  -- created | amount_changed | client_changed | deleted | paid | reopened | payment | undo
+  action      TEXT NOT NULL,
+  before      JSONB,
+  after       JSONB,
+  undone_at   TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS debt_events_user_idx ON debt_events (user_id, id DESC);
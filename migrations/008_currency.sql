@@ -0,0 +1,9 @@
+-- 008 — Moneda por usuario y por deuda; los pagos y recordatorios guardan la suya.
+-- Las filas anteriores eran todas en pesos.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS currency TEXT;
+
+ALTER TABLE debts ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'MXN';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'MXN';
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE scheduled_reminders ADD COLUMN IF NOT EXISTS currency TEXT;
@@ -0,0 +1,10 @@
+-- 009 — Mensajes entrantes de Twilio ya procesados (dedupe por MessageSid).
+-- Twilio reintenta el webhook si tardamos en responder; sin esto un reintento registraba la deuda dos veces.
+-- Las filas no se borran: un MessageSid viejo que vuelve a llegar también es un replay.
+
+CREATE TABLE IF NOT EXISTS inbound_messages (
+  message_sid  TEXT PRIMARY KEY,
+  phone        TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
@@ -0,0 +1,23 @@
+-- 010 — Panel web de solo lectura (dashboard.js): links mágicos de un solo uso y sesiones.
+-- Solo se guarda el SHA-256 del token y de la cookie: con una copia de la base no se puede entrar a nadie.
+
+CREATE TABLE IF NOT EXISTS dashboard_links (
+  token_hash TEXT PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS dashboard_links_user_idx ON dashboard_links (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS dashboard_sessions (
+  session_hash TEXT PRIMARY KEY,
+  user_id      BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  expires_at   TIMESTAMPTZ NOT NULL,
+  revoked_at   TIMESTAMPTZ,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS dashboard_sessions_user_idx ON dashboard_sessions (user_id);
@@ -0,0 +1,33 @@
+-- 011 — API REST /api/v1 (api.js): llaves por usuario e idempotencia de los POST.
+-- De la llave solo se guarda el SHA-256; el prefijo visible (cbk_xxxxxxxx) sirve para listarla y revocarla.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id           BIGSERIAL PRIMARY KEY,
+  user_id      BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name         TEXT,
+  prefix       TEXT NOT NULL,
+  key_hash     TEXT NOT NULL UNIQUE,
+  last_used_at TIMESTAMPTZ,
+  revoked_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_user_idx ON api_keys (user_id, created_at DESC);
+
+-- Idempotency-Key: la respuesta del primer POST se guarda y se repite tal cual en los reintentos.
+-- status_code NULL = todavía en proceso.
+CREATE TABLE IF NOT EXISTS api_idempotency_keys (
+  user_id      BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  idem_key     TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status_code  INTEGER,
+  response     JSONB,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, idem_key)
+);
+
+CREATE INDEX IF NOT EXISTS api_idempotency_keys_created_idx ON api_idempotency_keys (user_id, created_at);
+
+-- Paginación por id de la API
+CREATE INDEX IF NOT EXISTS payments_user_id_idx ON payments (user_id, id DESC);
+CREATE INDEX IF NOT EXISTS debts_user_id_idx ON debts (user_id, id DESC);
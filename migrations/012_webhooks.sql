@@ -0,0 +1,48 @@
+-- 012 — Webhooks salientes (webhooks.js): endpoints HTTPS por usuario, outbox de eventos y bitácora de entregas.
+-- El evento se escribe en la misma transacción que el cambio (db.js); el worker lo entrega después con reintentos.
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  url         TEXT NOT NULL,
+  -- Se necesita en claro para firmar (HMAC); se muestra una sola vez al crear el endpoint
+  secret      TEXT NOT NULL,
+  -- NULL = todos los eventos
+  events      TEXT[],
+  disabled_at TIMESTAMPTZ,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_endpoints_user_idx ON webhook_endpoints (user_id) WHERE disabled_at IS NULL;
+
+-- Outbox: solo se escribe si el usuario tiene algún endpoint activo
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  type       TEXT NOT NULL,
+  data       JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_events_created_idx ON webhook_events (created_at);
+
+-- Una fila por (evento, endpoint). status: pending | delivered | failed | canceled
+-- next_attempt_at también sirve de "lease": el worker lo recorre al tomar la entrega.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               BIGSERIAL PRIMARY KEY,
+  event_id         BIGINT NOT NULL REFERENCES webhook_events (id) ON DELETE CASCADE,
+  endpoint_id      BIGINT NOT NULL REFERENCES webhook_endpoints (id) ON DELETE CASCADE,
+  user_id          BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  status           TEXT NOT NULL DEFAULT 'pending',
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error       TEXT,
+  last_attempt_at  TIMESTAMPTZ,
+  delivered_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_idx ON webhook_deliveries (endpoint_id, id DESC);
@@ -0,0 +1,23 @@
+-- 013 — Cobro a los deudores con Stripe Connect (connect.js): cuenta conectada por usuario y links de pago.
+-- El link (/pagar/<token>) va dentro del recordatorio; al abrirlo se cobra el saldo pendiente de ese momento.
+-- Del token solo se guarda el SHA-256, como en dashboard_links.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_account_id TEXT;
+-- Lo actualiza account.updated: hasta que Stripe termina de verificar la cuenta no se generan links
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_charges_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_stripe_account_idx ON users (stripe_account_id) WHERE stripe_account_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS payment_links (
+  id             BIGSERIAL PRIMARY KEY,
+  user_id        BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  client_name    TEXT NOT NULL,
+  currency       TEXT NOT NULL,
+  token_hash     TEXT NOT NULL UNIQUE,
+  expires_at     TIMESTAMPTZ NOT NULL,
+  last_opened_at TIMESTAMPTZ,
+  paid_at        TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payment_links_user_idx ON payment_links (user_id, created_at DESC);
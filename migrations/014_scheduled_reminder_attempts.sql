@@ -0,0 +1,5 @@
+-- 014 — Reintentos de los recordatorios programados (cron-reminders.js).
+-- Si el canal falla, el recordatorio vuelve a la cola hasta SCHEDULED_REMINDER_MAX_ATTEMPTS; después queda 'failed'.
+
+ALTER TABLE scheduled_reminders ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE scheduled_reminders ADD COLUMN IF NOT EXISTS last_error TEXT;
@@ -0,0 +1,16 @@
+-- 015 — Tipo de pago: 'settlement' es el pago que agrega "ya pagó" (o status paid en la API) por el saldo restante;
+-- 'payment' es un abono registrado. La nota es texto libre y no sirve para distinguirlos.
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'payment'
+  CHECK (kind IN ('payment', 'settlement'));
+
+-- Las liquidaciones que ya existen: nota 'liquidado' y no salieron de un abono (los abonos dejan su id en el evento 'payment')
+UPDATE payments p
+SET kind = 'settlement'
+WHERE p.note = 'liquidado'
+  AND NOT EXISTS (
+    SELECT 1 FROM debt_events e
+    WHERE e.user_id = p.user_id
+      AND e.action = 'payment'
+      AND (e.after -> 'payment_ids' @> to_jsonb(p.id) OR e.after -> 'payment_ids' @> to_jsonb(p.id::text))
+  );
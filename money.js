@@ -0,0 +1,108 @@
+// money.js — Montos y monedas para CobranzaBot
+// Cada deuda lleva su moneda ("300 dólares", "USD 300"); si el texto no dice nada se usa
+// la moneda del usuario. Los totales se agrupan por moneda: nunca se suman pesos con dólares.
+
+const { stripAccents } = require("./dates");
+
+const DEFAULT_CURRENCY = String(process.env.DEFAULT_CURRENCY || "MXN").toUpperCase();
+const LOCALE = "es-MX";
+
+const SUPPORTED_CURRENCIES = ["MXN", "USD", "EUR"];
+
+// Cómo se escribe cada moneda en un mensaje (sin acentos, en minúsculas)
+const CURRENCY_WORDS = {
+  MXN: ["mxn", "mn", "peso", "pesos", "pesos mexicanos"],
+  USD: ["usd", "us$", "dolar", "dolares", "dlls", "dls", "dll", "dolar americano", "dolares americanos"],
+  EUR: ["eur", "euro", "euros", "€"],
+};
+
+const CURRENCY_LABELS = {
+  MXN: "pesos (MXN)",
+  USD: "dólares (USD)",
+  EUR: "euros (EUR)",
+};
+
+// Para armar regex de montos en otros módulos: "300 dólares", "USD 300", "300 pesos"
+const CURRENCY_TOKEN = "(?:pesos?|mxn|mn|d[oó]lar(?:es)?|usd|us\\$|dlls?|dls|euros?|eur|€)";
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const WORD_TO_CODE = new Map();
+for (const [code, words] of Object.entries(CURRENCY_WORDS)) {
+  for (const w of words) WORD_TO_CODE.set(w, code);
+}
+
+// Palabras más largas primero para que "dolares americanos" gane sobre "dolares"
+const DETECT_RE = new RegExp(
+  `(?:^|[^a-z0-9$€])(${[...WORD_TO_CODE.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRe)
+    .join("|")})(?=$|[^a-z])`,
+  "i"
+);
+
+// "usd", "dólares", "Pesos" -> código ISO soportado, o null
+function normalizeCurrency(raw) {
+  if (!raw) return null;
+  const t = stripAccents(String(raw)).toLowerCase().trim();
+  const upper = t.toUpperCase();
+  if (SUPPORTED_CURRENCIES.includes(upper)) return upper;
+  return WORD_TO_CODE.get(t) || null;
+}
+
+// Moneda mencionada en un texto libre ("Pepe me debe 300 dólares") o null si no dice
+function detectCurrency(text) {
+  const t = stripAccents(String(text || "")).toLowerCase();
+  const m = t.match(DETECT_RE);
+  return m ? WORD_TO_CODE.get(m[1]) : null;
+}
+
+function userCurrency(user) {
+  return normalizeCurrency(user?.currency) || DEFAULT_CURRENCY;
+}
+
+function currencyOf(row, fallback = DEFAULT_CURRENCY) {
+  return normalizeCurrency(row?.currency) || fallback;
+}
+
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const code = normalizeCurrency(currency) || DEFAULT_CURRENCY;
+  return Number(amount || 0).toLocaleString(LOCALE, { style: "currency", currency: code });
+}
+
+/**
+ * Suma por moneda. Devuelve [{ currency, total }] con la moneda `primary` primero
+ * (por lo general la del usuario) y el resto en orden alfabético.
+ */
+function totalsByCurrency(rows, { amountOf = (r) => Number(r.balance ?? r.amount_due ?? 0), primary = DEFAULT_CURRENCY } = {}) {
+  const totals = new Map();
+  for (const r of rows || []) {
+    const code = currencyOf(r, primary);
+    totals.set(code, (totals.get(code) || 0) + amountOf(r));
+  }
+  return [...totals.entries()]
+    .map(([currency, total]) => ({ currency, total }))
+    .sort((a, b) => (a.currency === primary ? -1 : b.currency === primary ? 1 : a.currency.localeCompare(b.currency)));
+}
+
+// "$1,200.00 + USD 300.00"
+function formatTotals(totals, joiner = " + ") {
+  if (!totals || !totals.length) return formatMoney(0);
+  return totals.map((t) => formatMoney(t.total, t.currency)).join(joiner);
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  CURRENCY_LABELS,
+  CURRENCY_TOKEN,
+  normalizeCurrency,
+  detectCurrency,
+  userCurrency,
+  currencyOf,
+  formatMoney,
+  totalsByCurrency,
+  formatTotals,
+};
@@ -0,0 +1,88 @@
+// names.js — Coincidencia de nombres de clientes
+// "Pepe", "pepe", "Pepé" y "Pepe López" deben encontrar al mismo cliente;
+// también se toleran errores de dedo ("Pepw") y apodos guardados como alias.
+
+const { stripAccents } = require("./dates");
+
+const MIN_SCORE = 0.75;
+
+function normalizeName(s) {
+  return stripAccents(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Errores de dedo permitidos según el largo de la palabra
+function typoBudget(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+}
+
+function tokenMatches(q, c) {
+  return q === c || levenshtein(q, c) <= typoBudget(q);
+}
+
+// Qué tanto se parece el texto buscado a un nombre (0..1)
+function scoreName(query, candidate) {
+  const q = normalizeName(query);
+  const c = normalizeName(candidate);
+  if (!q || !c) return 0;
+  if (q === c) return 1;
+
+  const qTokens = q.split(" ");
+  const cTokens = c.split(" ");
+
+  // Todas las palabras buscadas están en el nombre: "pepe" -> "pepe lopez"
+  if (qTokens.every((t) => cTokens.includes(t))) return 0.9;
+
+  // Igual, pero con errores de dedo por palabra: "pepw lopes" -> "pepe lopez"
+  if (qTokens.every((t) => cTokens.some((ct) => tokenMatches(t, ct)))) return 0.85;
+
+  // Nombre completo con errores de dedo
+  const dist = levenshtein(q, c);
+  if (dist <= typoBudget(q)) return 0.8;
+
+  return 0;
+}
+
+/**
+ * Busca `query` entre los clientes (con sus alias).
+ * Devuelve [{ client, score, exact }] ordenado de mejor a peor, solo los que pasan MIN_SCORE.
+ */
+function matchClients(clients, query) {
+  const out = [];
+  for (const client of clients || []) {
+    const names = [client.name, ...(Array.isArray(client.aliases) ? client.aliases : [])].filter(Boolean);
+    let best = 0;
+    for (const n of names) best = Math.max(best, scoreName(query, n));
+    if (best >= MIN_SCORE) out.push({ client, score: best, exact: best === 1 });
+  }
+  return out.sort((a, b) => b.score - a.score || String(a.client.name).localeCompare(String(b.client.name)));
+}
+
+module.exports = {
+  normalizeName,
+  levenshtein,
+  scoreName,
+  matchClients,
+};
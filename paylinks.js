@@ -0,0 +1,44 @@
+// paylinks.js — Links /pagar/<token> que van al final de los recordatorios (el cobro lo hace connect.js)
+// Se crean al mandar el recordatorio, no al armar la vista previa: conversation.js cuando el dueño confirma
+// y cron-reminders.js cuando despacha uno programado. Así un borrador que nunca se mandó no deja links vivos
+// y uno programado a semanas no sale con el link ya vencido.
+//
+// Del token solo se guarda el SHA-256 (como dashboard_links). Este módulo no carga db.js
+// (cron-reminders.js tiene su propio pool): recibe el pool o la transacción.
+
+const crypto = require("crypto");
+
+const { normalizeCurrency } = require("./money");
+
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const STRIPE_CONNECT_WEBHOOK_SECRET = process.env.STRIPE_CONNECT_WEBHOOK_SECRET || "";
+// Lo que puede tardar el deudor en abrir el recordatorio (el monto se calcula al abrirlo)
+const PAY_LINK_TTL_DAYS = Number(process.env.PAY_LINK_TTL_DAYS || 30);
+
+// Sin Stripe o sin el endpoint de Connect no hay quién cobre ni quién registre el pago
+function payLinksConfigured() {
+  return Boolean(process.env.STRIPE_SECRET_KEY && STRIPE_CONNECT_WEBHOOK_SECRET && PUBLIC_BASE_URL);
+}
+
+function hashPayToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Solo si la cuenta del usuario ya cobra; null = el recordatorio sale sin link
+async function issuePayLink(db, user, { clientName, currency }, { now = new Date() } = {}) {
+  const code = normalizeCurrency(currency);
+  if (!payLinksConfigured() || !user?.stripe_account_id || !user.stripe_charges_enabled || !clientName || !code) return null;
+
+  const token = crypto.randomBytes(16).toString("base64url");
+  const expiresAt = new Date(now.getTime() + PAY_LINK_TTL_DAYS * 86400000);
+  await db.query(
+    `
+    INSERT INTO payment_links (user_id, client_name, currency, token_hash, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    `,
+    [user.id, clientName, code, hashPayToken(token), expiresAt]
+  );
+  return `${PUBLIC_BASE_URL}/pagar/${token}`;
+}
+
+module.exports = { payLinksConfigured, hashPayToken, issuePayLink };
@@ -0,0 +1,203 @@
+// priority.js — "¿A quién cobro primero?"
+// Ranking por cliente con pesos configurables por cuenta y una razón corta por cada uno
+// ("3 recordatorios sin respuesta, 92 días").
+
+const { debtAge } = require("./dates");
+const { normalizeName } = require("./names");
+const { DEFAULT_CURRENCY, currencyOf } = require("./money");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cada factor se normaliza a 0..1 y se multiplica por su peso.
+// recent_reminder resta: si le recordaste ayer, conviene esperar antes de insistir.
+const DEFAULT_WEIGHTS = {
+  amount: 0.35,
+  age: 0.3,
+  no_recent_payment: 0.1,
+  unanswered_reminders: 0.1,
+  has_phone: 0.1,
+  recent_reminder: 0.15,
+};
+
+const PRESETS = {
+  equilibrado: DEFAULT_WEIGHTS,
+  antiguedad: {
+    amount: 0.15,
+    age: 0.55,
+    no_recent_payment: 0.1,
+    unanswered_reminders: 0.1,
+    has_phone: 0.1,
+    recent_reminder: 0.15,
+  },
+  monto: {
+    amount: 0.6,
+    age: 0.15,
+    no_recent_payment: 0.1,
+    unanswered_reminders: 0.05,
+    has_phone: 0.1,
+    recent_reminder: 0.15,
+  },
+};
+
+// Nombres en español para los comandos "peso <factor> <0-100>"
+const FACTOR_ALIASES = {
+  monto: "amount",
+  antiguedad: "age",
+  dias: "age",
+  abonos: "no_recent_payment",
+  recordatorios: "unanswered_reminders",
+  telefono: "has_phone",
+  espera: "recent_reminder",
+};
+
+const FACTOR_LABELS = {
+  amount: "monto",
+  age: "antigüedad",
+  no_recent_payment: "sin abonos recientes",
+  unanswered_reminders: "recordatorios sin respuesta",
+  has_phone: "tiene teléfono",
+  recent_reminder: "espera tras recordatorio",
+};
+
+const AGE_CAP_DAYS = 120;
+const RECENT_PAYMENT_DAYS = 30;
+const RECENT_REMINDER_DAYS = 2;
+
+// Pesos guardados en users.priority_weights (parciales o con basura) -> pesos completos
+function normalizeWeights(raw) {
+  const out = { ...DEFAULT_WEIGHTS };
+  if (!raw || typeof raw !== "object") return out;
+  for (const k of Object.keys(DEFAULT_WEIGHTS)) {
+    const v = Number(raw[k]);
+    if (Number.isFinite(v) && v >= 0 && v <= 1) out[k] = v;
+  }
+  return out;
+}
+
+function pluralize(n, one, many) {
+  return `${n} ${n === 1 ? one : many}`;
+}
+
+/**
+ * Agrupa las deudas pendientes por cliente y las ordena por prioridad.
+ *  - debts: deudas pendientes con balance (db.listPendingDebts)
+ *  - clients: db.listClients (para saber si hay teléfono)
+ *  - payments: [{ client_name, last_at }] resumen de abonos
+ *  - reminders: [{ client_name, created_at }] recordatorios enviados
+ * Los saldos se llevan por moneda (`balances`: { MXN: 1200, USD: 300 }); el factor de monto
+ * compara cada moneda solo contra esa misma moneda, sin convertir ni sumar entre ellas.
+ * Devuelve [{ client_name, balances, days, score, reason, debts }] (máx. `limit`).
+ */
+function rankClients({
+  debts,
+  clients = [],
+  payments = [],
+  reminders = [],
+  weights,
+  now = new Date(),
+  timeZone,
+  currency = DEFAULT_CURRENCY,
+  limit = 3,
+}) {
+  const w = normalizeWeights(weights);
+
+  const groups = new Map();
+  for (const d of debts || []) {
+    const key = normalizeName(d.client_name);
+    if (!groups.has(key)) groups.set(key, { client_name: d.client_name, balances: {}, days: 0, debts: [] });
+    const g = groups.get(key);
+    const code = currencyOf(d, currency);
+    g.balances[code] = (g.balances[code] || 0) + Number(d.balance ?? d.amount_due ?? 0);
+    g.days = Math.max(g.days, debtAge(d, { now, timeZone }).days);
+    g.debts.push(d);
+  }
+  if (!groups.size) return [];
+
+  // Saldo más alto por moneda, para normalizar el factor de monto
+  const maxByCurrency = {};
+  for (const g of groups.values()) {
+    for (const [code, total] of Object.entries(g.balances)) {
+      maxByCurrency[code] = Math.max(maxByCurrency[code] || 1, total);
+    }
+  }
+  const amountFactor = (g) => Math.max(...Object.entries(g.balances).map(([code, total]) => total / maxByCurrency[code]));
+
+  const phoneByKey = new Map(clients.map((c) => [normalizeName(c.name), Boolean(c.phone)]));
+  const lastPaymentByKey = new Map();
+  for (const p of payments) {
+    const key = normalizeName(p.client_name);
+    const at = new Date(p.last_at || p.created_at).getTime();
+    if (!lastPaymentByKey.has(key) || lastPaymentByKey.get(key) < at) lastPaymentByKey.set(key, at);
+  }
+  const remindersByKey = new Map();
+  for (const r of reminders) {
+    const key = normalizeName(r.client_name);
+    if (!remindersByKey.has(key)) remindersByKey.set(key, []);
+    remindersByKey.get(key).push(new Date(r.created_at).getTime());
+  }
+
+  const nowMs = now.getTime();
+
+  const ranked = [...groups.entries()].map(([key, g]) => {
+    const lastPaymentAt = lastPaymentByKey.get(key) || null;
+    const reminderTimes = remindersByKey.get(key) || [];
+    const unanswered = reminderTimes.filter((t) => !lastPaymentAt || t > lastPaymentAt).length;
+    const lastReminderAt = reminderTimes.length ? Math.max(...reminderTimes) : null;
+    const daysSincePayment = lastPaymentAt ? Math.floor((nowMs - lastPaymentAt) / DAY_MS) : null;
+    const daysSinceReminder = lastReminderAt ? Math.floor((nowMs - lastReminderAt) / DAY_MS) : null;
+    const hasPhone = phoneByKey.get(key) || false;
+
+    const factors = {
+      amount: amountFactor(g),
+      age: Math.min(g.days / AGE_CAP_DAYS, 1),
+      no_recent_payment: daysSincePayment === null || daysSincePayment > RECENT_PAYMENT_DAYS ? 1 : 0,
+      unanswered_reminders: Math.min(unanswered / 3, 1),
+      has_phone: hasPhone ? 1 : 0,
+      recent_reminder: daysSinceReminder !== null && daysSinceReminder < RECENT_REMINDER_DAYS ? -1 : 0,
+    };
+
+    let score = 0;
+    for (const k of Object.keys(factors)) score += factors[k] * w[k];
+
+    // Razón: lo que más pesó, en palabras
+    const parts = [];
+    if (unanswered) parts.push({ weight: factors.unanswered_reminders * w.unanswered_reminders + 0.001, text: `${pluralize(unanswered, "recordatorio", "recordatorios")} sin respuesta` });
+    if (g.days) parts.push({ weight: factors.age * w.age, text: `${g.days} días` });
+    if (factors.amount === 1 && groups.size > 1) parts.push({ weight: w.amount, text: "el monto más alto" });
+    if (daysSincePayment !== null && daysSincePayment <= RECENT_PAYMENT_DAYS) {
+      parts.push({ weight: 0.05, text: `abonó hace ${pluralize(daysSincePayment, "día", "días")}` });
+    } else if (daysSincePayment === null) {
+      parts.push({ weight: w.no_recent_payment * 0.5, text: "sin abonos" });
+    }
+    if (daysSinceReminder !== null && daysSinceReminder < RECENT_REMINDER_DAYS) {
+      parts.push({ weight: w.recent_reminder, text: "ya le recordaste hace poco" });
+    }
+    if (!hasPhone) parts.push({ weight: 0.01, text: "sin teléfono guardado" });
+
+    const reason = parts
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, 2)
+      .map((p) => p.text)
+      .join(", ");
+
+    return { client_name: g.client_name, balances: g.balances, amount: factors.amount, days: g.days, score, reason, debts: g.debts };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score || b.amount - a.amount).slice(0, limit);
+}
+
+function describeWeights(weights) {
+  const w = normalizeWeights(weights);
+  return Object.keys(DEFAULT_WEIGHTS)
+    .map((k) => `• ${FACTOR_LABELS[k]}: ${Math.round(w[k] * 100)}`)
+    .join("\n");
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  PRESETS,
+  FACTOR_ALIASES,
+  normalizeWeights,
+  rankClients,
+  describeWeights,
+};
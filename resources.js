@@ -0,0 +1,113 @@
+// resources.js — Forma pública (JSON) de clientes, deudas, abonos, recordatorios y webhooks
+// La misma para la API REST (api.js) y para los webhooks salientes (webhooks.js): un integrador
+// recibe en un evento exactamente lo que le regresaría GET /api/v1/debts/{id}.
+
+const { formatYmd, toYmdParts } = require("./dates");
+
+const money = (v) => Math.round(Number(v || 0) * 100) / 100;
+const iso = (v) => (v ? new Date(v).toISOString() : null);
+const ymd = (v) => {
+  const parts = toYmdParts(v);
+  return parts ? formatYmd(parts) : null;
+};
+const phone = (v) => (v ? String(v).replace(/^whatsapp:/, "") : null);
+
+function clientJson(c) {
+  return {
+    id: Number(c.id),
+    name: c.name,
+    phone: phone(c.phone),
+    aliases: c.aliases || [],
+    created_at: iso(c.created_at),
+    updated_at: iso(c.updated_at),
+  };
+}
+
+// `d` con amount_paid y balance (DEBT_BALANCE_SELECT de db.js)
+function debtJson(d) {
+  return {
+    id: Number(d.id),
+    client_name: d.client_name,
+    amount_due: money(d.amount_due),
+    amount_paid: money(d.amount_paid),
+    balance: money(d.balance),
+    currency: d.currency,
+    status: d.status,
+    note: d.due_text || null,
+    since_date: ymd(d.since_date),
+    due_date: ymd(d.due_date),
+    created_at: iso(d.created_at),
+    updated_at: iso(d.updated_at),
+  };
+}
+
+function paymentJson(p) {
+  return {
+    id: Number(p.id),
+    debt_id: p.debt_id ? Number(p.debt_id) : null,
+    client_name: p.client_name,
+    amount: money(p.amount),
+    currency: p.currency,
+    note: p.note || null,
+    created_at: iso(p.created_at),
+  };
+}
+
+// Resultado de db.registerPayment: un abono repartido entre una o más deudas
+function paymentResultJson(result) {
+  return {
+    client_name: result.payments[0]?.client_name || null,
+    applied: result.applied,
+    excess: result.excess,
+    remaining: result.remaining,
+    currency: result.currency,
+    paid_debt_ids: result.paidDebtIds.map(Number),
+    payments: result.payments.map(paymentJson),
+  };
+}
+
+function reminderJson(r) {
+  return {
+    id: Number(r.id),
+    client_name: r.client_name,
+    to_phone: phone(r.to_phone),
+    tone: r.tone || null,
+    amount: r.amount === null || r.amount === undefined ? null : money(r.amount),
+    currency: r.currency || null,
+    message: r.message,
+    status: r.status,
+    created_at: iso(r.created_at),
+  };
+}
+
+// Endpoint de webhooks con el resumen de listWebhookEndpoints (el secreto nunca sale aquí)
+function endpointJson(w) {
+  return {
+    id: Number(w.id),
+    url: w.url,
+    events: w.events || null,
+    deliveries: { delivered: w.delivered || 0, failed: w.failed || 0, pending: w.pending || 0 },
+    last_attempt: w.last_attempt_at
+      ? { status: w.last_status, status_code: w.last_status_code ?? null, error: w.last_error || null, at: iso(w.last_attempt_at) }
+      : null,
+    created_at: iso(w.created_at),
+  };
+}
+
+function deliveryJson(d) {
+  return {
+    id: Number(d.id),
+    event_id: `evt_${d.event_id}`,
+    type: d.type,
+    status: d.status,
+    attempts: d.attempts,
+    last_status_code: d.last_status_code ?? null,
+    last_error: d.last_error || null,
+    last_attempt_at: iso(d.last_attempt_at),
+    next_attempt_at: d.status === "pending" ? iso(d.next_attempt_at) : null,
+    delivered_at: iso(d.delivered_at),
+    created_at: iso(d.created_at),
+  };
+}
+
+module.exports = { clientJson, debtJson, paymentJson, paymentResultJson, reminderJson, endpointJson, deliveryJson };
@@ -0,0 +1,507 @@
+// router.js — Texto -> intent sin llamar a OpenAI
+// Comandos fijos y regex ("Pepe me debe 9500", "Ya pagó Pepe", "peso monto 50") más los helpers
+// de texto que comparten los flujos (montos, sí/no, teléfonos). Si nada coincide, localRouter
+// devuelve null y la conversación usa parseMessage (ai.js).
+
+const { stripAccents, resolveWhen } = require("./dates");
+const { FACTOR_ALIASES } = require("./priority");
+const { CURRENCY_TOKEN, normalizeCurrency, detectCurrency } = require("./money");
+
+// -------------------------
+// Utils
+// -------------------------
+function normalizeText(s) {
+  return String(s || "").trim().replace(/\s+/g, " ");
+}
+
+function normalizePhoneToWhatsApp(raw) {
+  if (!raw) return null;
+  let s = String(raw).trim();
+
+  if (s.toLowerCase().startsWith("whatsapp:")) {
+    const num = s.slice("whatsapp:".length).trim();
+    return "whatsapp:" + normalizePhoneToWhatsApp(num).replace("whatsapp:", "");
+  }
+
+  s = s.replace(/[()\s-]/g, "");
+  const hasPlus = s.startsWith("+");
+  s = s.replace(/[^\d+]/g, "");
+  if (!s) return null;
+
+  if (!hasPlus) {
+    if (s.startsWith("52")) s = "+" + s;
+    else if (s.length === 10) s = "+52" + s;
+    else s = "+" + s;
+  }
+  return `whatsapp:${s}`;
+}
+
+// "2k" -> 2000, "9,500" -> 9500, "$1,250.50" -> 1250.5, "3 mil" -> 3000, "mil quinientos" -> 1500
+const CURRENCY_WORD_RE = new RegExp(CURRENCY_TOKEN, "gi");
+const CURRENCY_ONLY_RE = new RegExp(`^${CURRENCY_TOKEN}$`, "i");
+
+const NUMBER_WORDS = {
+  un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+  dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+  veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+  veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+  treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+  cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+  cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500, seiscientos: 600, seiscientas: 600,
+  setecientos: 700, setecientas: 700, ochocientos: 800, ochocientas: 800, novecientos: 900, novecientas: 900,
+};
+
+// "mil quinientos" -> 1500, "tres mil" -> 3000, "2 mil 500" -> 2500, "un millón" -> 1000000
+function wordsToNumber(raw) {
+  const tokens = stripAccents(String(raw || "").toLowerCase())
+    .replace(/\$/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && w !== "y" && !CURRENCY_ONLY_RE.test(w));
+  if (!tokens.length) return null;
+
+  let total = 0;
+  let current = 0;
+  let sawWord = false;
+  for (const w of tokens) {
+    if (/^\d+(\.\d+)?$/.test(w)) {
+      current += Number(w);
+    } else if (w === "mil") {
+      total += (current || 1) * 1000;
+      current = 0;
+      sawWord = true;
+    } else if (w === "millon" || w === "millones") {
+      total = (total + (current || 1)) * 1000000;
+      current = 0;
+      sawWord = true;
+    } else if (NUMBER_WORDS[w] !== undefined) {
+      current += NUMBER_WORDS[w];
+      sawWord = true;
+    } else {
+      return null;
+    }
+  }
+  const n = total + current;
+  return sawWord && n > 0 ? n : null;
+}
+
+function parseAmount(raw) {
+  let t = String(raw || "").toLowerCase().replace(CURRENCY_WORD_RE, "").replace(/[$\s]/g, "");
+  let mult = 1;
+  if (t.endsWith("k")) {
+    mult = 1000;
+    t = t.slice(0, -1);
+  } else if (t.endsWith("mil")) {
+    mult = 1000;
+    t = t.slice(0, -3);
+  }
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(t)) t = t.replace(/,/g, "");
+  else if (/^\d+,\d{1,2}$/.test(t)) t = t.replace(",", ".");
+  if (!/^\d+(\.\d+)?$/.test(t)) return wordsToNumber(raw);
+  const n = Number(t) * mult;
+  return n > 0 ? n : null;
+}
+
+function isYes(text) {
+  const t = normalizeText(text).toLowerCase();
+  return ["si", "sí", "simon", "ok", "dale", "enviar", "manda", "confirmo", "confirmar"].includes(t);
+}
+function isNo(text) {
+  const t = normalizeText(text).toLowerCase();
+  return ["no", "cancelar", "cancela", "alto", "detener"].includes(t);
+}
+
+function parseTone(text) {
+  const t = normalizeText(text).toLowerCase();
+  if (t.includes("urgente")) return "urgente";
+  if (t.includes("firme") || t.includes("formal")) return "firme";
+  if (t.includes("amable")) return "amable";
+  return null;
+}
+
+// "Pepe mañana en tono firme" -> { text: "Pepe mañana", tone: "firme" }
+const TONE_PHRASE_RE = /[,\s]+(?:(?:en|con)\s+)?(?:(?:un\s+)?tono\s+|de\s+(?:forma|manera)\s+)?(amable|firme|formal|urgente)\b/i;
+
+function extractTone(text) {
+  const t = normalizeText(text);
+  const m = ` ${t}`.match(TONE_PHRASE_RE);
+  if (!m) return { text: t, tone: null };
+  const tone = m[1].toLowerCase() === "formal" ? "firme" : m[1].toLowerCase();
+  return { text: normalizeText(` ${t}`.replace(m[0], " ")), tone };
+}
+
+function parseCycle(text) {
+  const t = normalizeText(text).toLowerCase();
+  if (t === "1" || t.includes("mensual") || t === "mes") return "mensual";
+  if (t === "2" || t.includes("anual") || t === "año" || t === "ano") return "anual";
+  return null;
+}
+
+function isDeleteConfirm(text) {
+  const t = normalizeText(text).toLowerCase();
+  return t === "borrar" || t === "confirmar" || t === "si borrar" || t === "sí borrar";
+}
+
+
+function looksLikeNewCommand(text) {
+  const t = normalizeText(text).toLowerCase();
+  if (t.length < 2) return false;
+  if (t === "ayuda" || t === "help") return true;
+  if (t === "precio" || t === "precios") return true;
+  if (t === "pagar" || t === "pago") return true;
+  if (t === "reportar" || t.startsWith("reportar ")) return true;
+  if (t.includes("me debe") || t.includes("me deben") || t.includes("quedó a deber")) return true;
+  if (t.includes("quien me debe") || t.includes("quién me debe")) return true;
+  if (t.includes("estado de cuenta")) return true;
+  if (t.startsWith("exporta")) return true;
+  if (t === "panel" || t === "mi panel") return true;
+  if (t.includes("api key")) return true;
+  if (t.includes("webhook")) return true;
+  if (t.includes("conectar stripe")) return true;
+  if (t.includes("a quien cobro primero") || t.includes("a quién cobro primero")) return true;
+  if (t.includes("manda recordatorio") || t.includes("envia recordatorio") || t.includes("envía recordatorio")) return true;
+  if (t.startsWith("recuérdale") || t.startsWith("recuerdale")) return true;
+  if (t.includes("mis recordatorios") || t.includes("cancelar recordatorio") || t.includes("cancela recordatorio")) return true;
+  if (t.includes("guarda teléfono") || t.includes("guarda telefono")) return true;
+  if (t.includes("ya pagó") || t.includes("ya pago")) return true;
+  if (t.includes("abonó") || t.includes("abono")) return true;
+  if (t.startsWith("corrige ") || t.startsWith("borra ") || t === "deshacer") return true;
+  return false;
+}
+
+// -------------------------
+// Local router (hard commands + regex)
+// -------------------------
+function localParseSavePhone(body) {
+  const t = normalizeText(body);
+  const re = /^guarda(?:\s+el)?\s+tel(?:e|é)fono\s+de\s+(.+?)\s+(\+?\d[\d()\s-]{7,}\d)\s*$/i;
+  const m = t.match(re);
+  if (!m) return null;
+  const clientName = normalizeText(m[1]).replace(/[:\-]+$/, "").trim();
+  const phone = m[2];
+  if (!clientName || !phone) return null;
+  return { intent: "save_phone", client_name: clientName, phone };
+}
+
+// "2000", "$2,000", "2k", "3 mil", "300 dólares", "USD 300"
+const AMOUNT_TOKEN = `(?:${CURRENCY_TOKEN}\\s?)?\\$?\\s?\\d[\\d.,]*\\s?(?:k|mil)?(?:\\s?${CURRENCY_TOKEN})?`;
+
+function localParseRegisterPayment(body) {
+  const t = normalizeText(body).replace(/[.!]+$/, "");
+  const verbs = "abon[oó]|dio|deposit[oó]|transfiri[oó]|pag[oó]";
+  const patterns = [
+    // "Pepe me abonó 2000", "Pepe ya me dio 500"
+    { re: new RegExp(`^(.+?)\\s+(?:ya\\s+)?me\\s+(?:${verbs})\\s+(${AMOUNT_TOKEN})$`, "i"), name: 1, amount: 2 },
+    // "Pepe abonó 2000", "Pepe pagó 500"
+    { re: new RegExp(`^(.+?)\\s+(?:abon[oó]|pag[oó])\\s+(${AMOUNT_TOKEN})$`, "i"), name: 1, amount: 2 },
+    // "abonó Pepe 2000"
+    { re: new RegExp(`^(?:abon[oó])\\s+(.+?)\\s+(${AMOUNT_TOKEN})$`, "i"), name: 1, amount: 2 },
+    // "abono de 2000 de Pepe"
+    { re: new RegExp(`^abono\\s+de\\s+(${AMOUNT_TOKEN})\\s+de\\s+(.+)$`, "i"), name: 2, amount: 1 },
+  ];
+  for (const p of patterns) {
+    const m = t.match(p.re);
+    if (!m) continue;
+    const clientName = normalizeText(m[p.name]);
+    const amount = parseAmount(m[p.amount]);
+    if (!clientName || /^ya$/i.test(clientName)) continue;
+    return { intent: "register_payment", client_name: clientName, amount_paid: amount, currency: detectCurrency(m[p.amount]) };
+  }
+  return null;
+}
+
+// Correcciones: "corrige la deuda de Pepe a 9000", "cambia el nombre de Pepe a José",
+// "borra la última deuda", "borra la deuda de Pepe", "deshacer", "Pepe no pagó"
+function localParseDebtCorrection(body) {
+  const t = normalizeText(body).replace(/[.!]+$/, "");
+  const low = t.toLowerCase();
+
+  if (/^(deshacer|deshaz(lo)?|undo)$/.test(low)) return { intent: "undo" };
+
+  let m = t.match(new RegExp(`^(?:corrige|corregir|cambia|cambiar)\\s+(?:la\\s+)?deuda\\s+de\\s+(.+?)\\s+(?:a|por)\\s+(${AMOUNT_TOKEN})$`, "i"));
+  if (m) return { intent: "edit_debt", client_name: normalizeText(m[1]), amount_due: parseAmount(m[2]), currency: detectCurrency(m[2]) };
+
+  m = t.match(/^(?:corrige|corregir|cambia|cambiar)\s+(?:el\s+)?nombre\s+(?:de\s+)?(.+?)\s+(?:a|por)\s+(.+)$/i);
+  if (m) return { intent: "rename_debt", client_name: normalizeText(m[1]), new_client_name: normalizeText(m[2]) };
+
+  if (/^(?:borra|borrar|elimina|eliminar)\s+(?:la\s+)?[uú]ltima\s+deuda$/i.test(t)) return { intent: "delete_debt", client_name: null };
+
+  m = t.match(/^(?:borra|borrar|elimina|eliminar)\s+(?:la\s+)?deuda\s+de\s+(.+)$/i);
+  if (m) return { intent: "delete_debt", client_name: normalizeText(m[1]) };
+
+  m = t.match(/^(.+?)\s+(?:siempre\s+)?no\s+(?:me\s+)?(?:ha\s+pagado|pag[oó])$/i);
+  if (m) return { intent: "reopen_debt", client_name: normalizeText(m[1]) };
+
+  return null;
+}
+
+function localParseMarkPaid(body) {
+  const t = normalizeText(body).toLowerCase();
+  let m = t.match(/^ya\s+pag[oó]\s+(.+)\s*$/i);
+  if (m) return { intent: "mark_paid", client_name: normalizeText(m[1]) };
+  m = t.match(/^(.+)\s+ya\s+pag[oó]\s*$/i);
+  if (m) return { intent: "mark_paid", client_name: normalizeText(m[1]) };
+  return null;
+}
+
+function localParseListDebts(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t.includes("quien me debe") || t.includes("quién me debe")) {
+    return { intent: "list_debts" };
+  }
+  return null;
+}
+
+function localParseAlias(body) {
+  const t = normalizeText(body).replace(/[.!]+$/, "");
+  let m = t.match(/^(?:alias|apodo)\s+(?:de\s+)?(.+?)\s*[:=]\s*(.+)$/i);
+  if (m) return { intent: "add_alias", client_name: normalizeText(m[1]), alias: normalizeText(m[2]) };
+  m = t.match(/^a\s+(.+?)\s+(?:tambi[eé]n\s+)?(?:le\s+dicen|dile)\s+(.+)$/i);
+  if (m) return { intent: "add_alias", client_name: normalizeText(m[1]), alias: normalizeText(m[2]) };
+  m = t.match(/^([^=]+?)\s*=\s*([^=]+)$/);
+  if (m) return { intent: "add_alias", client_name: normalizeText(m[2]), alias: normalizeText(m[1]) };
+  return null;
+}
+
+function localParseStatement(body) {
+  const t = normalizeText(body).replace(/[¿?]/g, "").trim();
+  let m = t.match(/^cu[aá]nto\s+me\s+debe\s+(.+)$/i);
+  if (!m) m = t.match(/^estado\s+de\s+cuenta\s+(?:de\s+)?(.+)$/i);
+  if (!m) return null;
+  const clientName = normalizeText(m[1]);
+  if (!clientName) return null;
+  return { intent: "client_statement", client_name: clientName };
+}
+
+// "exportar", "exportar csv", "exporta mis deudas a excel"; PDF por cliente: "estado de cuenta pdf de Pepe",
+// "exportar pdf Pepe", "estado de cuenta de Pepe en PDF"
+function localParseExport(body) {
+  const t = stripAccents(normalizeText(body).replace(/[¿?!.]+$/g, "")).toLowerCase();
+  const original = normalizeText(body).replace(/[¿?!.]+$/g, "");
+
+  let m = t.match(/^exporta(?:r)?(?:\s+(?:mis\s+|las\s+|la\s+)?(?:deudas|lista|clientes|deudores))?(?:\s+(?:en|a|como))?(?:\s+(excel|xlsx|csv))?$/);
+  if (m) return { intent: "export_debts", format: m[1] === "csv" ? "csv" : "xlsx" };
+
+  // Mismo largo con y sin acentos: el nombre se toma del texto original
+  const nameAt = (match) => normalizeText(original.slice(t.length - match.length)) || null;
+  m = t.match(/^(?:exporta(?:r)?\s+(?:el\s+)?(?:estado\s+de\s+cuenta\s+)?(?:en\s+)?pdf|estado\s+de\s+cuenta\s+(?:en\s+)?pdf|pdf)(?:\s+(?:de|del|para)\b)?(?:\s+(.+))?$/);
+  if (m) return { intent: "export_statement", client_name: m[1] ? nameAt(m[1]) : null };
+
+  m = t.match(/^estado\s+de\s+cuenta\s+(?:de\s+)?(.+?)\s+(?:en\s+)?pdf$/);
+  if (m) return { intent: "export_statement", client_name: normalizeText(original.slice(t.indexOf(m[1]), t.indexOf(m[1]) + m[1].length)) };
+
+  return null;
+}
+
+function localParsePrioritize(body) {
+  const t = normalizeText(body).toLowerCase().replace(/[¿?]/g, "");
+  if (t.includes("a quien cobro primero") || t.includes("a quién cobro primero")) return { intent: "prioritize" };
+  return null;
+}
+
+// "Pepe mañana" -> { name: "Pepe", when: "mañana" } (solo si la fecha se entiende)
+const WHEN_TAIL_RE =
+  /\s+((?:hoy|ma[nñ]ana|pasado\s+ma[nñ]ana|el\s|este\s|pr[oó]xim[oa]\s|la\s+pr[oó]xima\s|en\s|fin\s+de\s+mes|a\s+fin\s+de\s+mes|a\s+las?\s).*)$/i;
+
+function splitNameAndWhen(rest) {
+  const text = normalizeText(rest).replace(/[¿?!.]+$/, "");
+  const m = text.match(WHEN_TAIL_RE);
+  if (m && resolveWhen(m[1])) {
+    const name = normalizeText(text.slice(0, m.index));
+    if (name) return { name, when: normalizeText(m[1]) };
+  }
+  return { name: text, when: null };
+}
+
+function localParseRemind(body) {
+  const t = normalizeText(body);
+  const m =
+    t.match(/^(?:manda|envia|envía)\s+(?:un\s+)?recordatorio\s+a\s+(.+)\s*$/i) ||
+    t.match(/^recu[eé]rda(?:le|les)\s+a\s+(.+)\s*$/i);
+  if (!m) return null;
+  const { name, when, tone } = parseRemindTarget(m[1]);
+  if (!name) return null;
+  return { intent: "remind", client_name: name, remind_when_text: when, tone };
+}
+
+// "Pepe mañana en tono firme" / "a Pepe que me debe" -> { name, when, tone }
+function parseRemindTarget(rest) {
+  const { text, tone } = extractTone(rest);
+  const target = text.replace(/\s+que\s+(?:me\s+)?(?:debe|pague|pagu[eé]|tiene\s+que\s+pagar)\b.*$/i, "");
+  return { ...splitNameAndWhen(target), tone };
+}
+
+function localParseScheduledReminders(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "mis recordatorios" || t === "recordatorios" || t === "recordatorios programados" || t === "ver recordatorios") {
+    return { intent: "list_scheduled" };
+  }
+  const m = t.match(/^cancela(?:r)?\s+(?:el\s+)?recordatorio\s+#?(\d+)$/);
+  if (m) return { intent: "cancel_scheduled", id: Number(m[1]) };
+  return null;
+}
+
+function localParsePriorityConfig(body) {
+  const t = stripAccents(normalizeText(body).toLowerCase());
+  if (t === "pesos" || t === "ver pesos" || t === "ver prioridad" || t === "prioridad") return { intent: "priority_show" };
+
+  let m = t.match(/^prioridad\s+(antiguedad|vieja|viejas|monto|grande|grandes|normal|equilibrada|equilibrado)$/);
+  if (m) {
+    const word = m[1];
+    const preset = word.startsWith("vieja") || word === "antiguedad" ? "antiguedad" : word.startsWith("grande") || word === "monto" ? "monto" : "equilibrado";
+    return { intent: "priority_preset", preset };
+  }
+
+  m = t.match(/^peso\s+([a-z]+)\s+(\d{1,3})$/);
+  if (m && FACTOR_ALIASES[m[1]] && Number(m[2]) <= 100) {
+    return { intent: "priority_weight", factor: FACTOR_ALIASES[m[1]], value: Number(m[2]) / 100 };
+  }
+  return null;
+}
+
+// "moneda", "moneda usd", "mi moneda es dólares"
+function localParseCurrency(body) {
+  const t = normalizeText(body).replace(/[.!]+$/, "");
+  const m = t.match(/^(?:mi\s+)?moneda(?:\s+(?:es|por\s+defecto|:))?(?:\s+(?:en\s+)?(.+))?$/i);
+  if (!m) return null;
+  if (!m[1]) return { intent: "currency_show" };
+  return { intent: "currency_set", currency: normalizeCurrency(m[1]) };
+}
+
+function localParseHelp(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "ayuda" || t === "help" || t === "menu" || t === "menú") return { intent: "help" };
+  return null;
+}
+
+function localParsePrice(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "precio" || t === "precios" || t.includes("cuanto cuesta") || t.includes("cuánto cuesta")) return { intent: "pricing" };
+  return null;
+}
+
+function localParseWantPro(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "quiero pro" || t === "pro" || t.includes("activar pro") || t.includes("suscrib")) return { intent: "want_pro" };
+  return null;
+}
+
+function localParseDashboard(body) {
+  const t = stripAccents(normalizeText(body).toLowerCase()).replace(/[.!]+$/, "");
+  if (t === "panel" || t === "mi panel" || t === "dashboard" || t === "ver panel" || t === "panel web") return { intent: "dashboard_link" };
+  return null;
+}
+
+// Solo por comando exacto (no pasa por la IA): crea y revoca credenciales
+function localParseApiKeys(body) {
+  const raw = normalizeText(body).replace(/[.!]+$/, "");
+  const t = stripAccents(raw.toLowerCase());
+  if (t === "mis api keys" || t === "api keys" || t === "mis llaves") return { intent: "api_key_list" };
+  const revoke = raw.match(/^(?:revocar|revoca|borrar|borra|desactivar|desactiva)\s+(?:la\s+)?api\s*key(?:\s+(\S+))?$/i);
+  if (revoke) return { intent: "api_key_revoke", key_prefix: revoke[1] || null };
+  const create = raw.match(/^(?:(?:crear|crea|nueva|generar|genera)\s+)?(?:una\s+)?api\s*key(?:\s+(.+))?$/i);
+  if (create) return { intent: "api_key_create", key_name: create[1] ? create[1].trim().slice(0, 40) : null };
+  return null;
+}
+
+// Igual que API KEY: solo por comando exacto. La URL se toma tal cual (distingue mayúsculas)
+function localParseWebhooks(body) {
+  const raw = normalizeText(body).replace(/[.!]+$/, "");
+  const t = stripAccents(raw.toLowerCase());
+  if (t === "mis webhooks" || t === "webhooks") return { intent: "webhook_list" };
+  const del = raw.match(/^(?:borrar|borra|eliminar|elimina|desactivar|desactiva)\s+(?:el\s+)?webhook(?:\s+#?(\S+))?$/i);
+  if (del) return { intent: "webhook_delete", webhook_id: del[1] || null };
+  const create = raw.match(/^(?:(?:crear|crea|nuevo|agregar|agrega)\s+)?(?:un\s+)?webhook(?:\s+(\S+))?$/i);
+  if (create) return { intent: "webhook_create", webhook_url: create[1] || null };
+  return null;
+}
+
+function localParseStripeConnect(body) {
+  const t = stripAccents(normalizeText(body).toLowerCase()).replace(/[.!]+$/, "");
+  if (t === "conectar stripe" || t === "conecta stripe" || t === "cobrar con tarjeta" || t === "cobrar con stripe") return { intent: "stripe_connect" };
+  if (t === "desconectar stripe" || t === "desconecta stripe") return { intent: "stripe_disconnect" };
+  return null;
+}
+
+function localParsePay(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "pagar" || t === "pago" || t.includes("link de pago")) return { intent: "pay" };
+  return null;
+}
+
+function localParseReport(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "reportar" || t === "reporte" || t === "soporte") return { intent: "support_start" };
+  if (t.startsWith("reportar ")) return { intent: "support_inline", message: normalizeText(body).slice(8).trim() };
+  return null;
+}
+
+
+function localParseDeleteAccount(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (
+    t === "borrar mi cuenta" ||
+    t === "borrar cuenta" ||
+    t === "eliminar mi cuenta" ||
+    t === "eliminar cuenta" ||
+    t === "borra mi cuenta" ||
+    t === "borra cuenta"
+  ) {
+    return { intent: "delete_account_start" };
+  }
+  return null;
+}
+
+function localParseAdminTickets(body) {
+  const t = normalizeText(body).toLowerCase();
+  if (t === "tickets hoy") return { intent: "admin_tickets_today" };
+  if (t === "tickets abiertos") return { intent: "admin_tickets_open" };
+  return null;
+}
+
+function localRouter(body) {
+  return (
+    localParseAdminTickets(body) ||
+    // Antes que el de apodos: una URL con "?x=1" parecería "Pepe = José"
+    localParseWebhooks(body) ||
+    localParseDeleteAccount(body) ||
+    localParseReport(body) ||
+    localParseSavePhone(body) ||
+    localParseAlias(body) ||
+    localParseDebtCorrection(body) ||
+    localParseRegisterPayment(body) ||
+    localParseMarkPaid(body) ||
+    localParseExport(body) ||
+    localParseStatement(body) ||
+    localParseListDebts(body) ||
+    localParsePrioritize(body) ||
+    localParsePriorityConfig(body) ||
+    localParseCurrency(body) ||
+    localParseScheduledReminders(body) ||
+    localParseRemind(body) ||
+    localParseHelp(body) ||
+    localParsePrice(body) ||
+    localParseWantPro(body) ||
+    localParsePay(body) ||
+    localParseDashboard(body) ||
+    localParseApiKeys(body) ||
+    localParseStripeConnect(body) ||
+    null
+  );
+}
+
+module.exports = {
+  normalizeText,
+  normalizePhoneToWhatsApp,
+  parseAmount,
+  wordsToNumber,
+  isYes,
+  isNo,
+  parseTone,
+  parseCycle,
+  isDeleteConfirm,
+  looksLikeNewCommand,
+  parseRemindTarget,
+  NUMBER_WORDS,
+  localRouter,
+};
@@ -0,0 +1,241 @@
+// rules.js — Parser por reglas (español), sin red
+// Cubre lo que antes solo entendía OpenAI: deudas en lenguaje libre ("Pepe me debe mil quinientos desde
+// agosto", "le fié 2k a Juan"), abonos con montos en palabras, recordatorios con tono y fecha, y variantes
+// de las preguntas comunes. Devuelve el mismo shape que parseMessage (ai.js) más una confianza 0..1:
+//   ruleParse("Pepe me debe 9,500 desde agosto") -> { parsed: { intent: "add_debt", ... }, confidence: 0.95 }
+//
+// La conversación usa la confianza para decidir (ver parseIntent en conversation.js):
+//  - >= RULES_CONFIDENT: se usa tal cual y no se llama a OpenAI
+//  - >= RULES_USABLE: solo si OpenAI no está, falla o no entiende
+//  - menos: se ignora
+
+const { stripAccents } = require("./dates");
+const { detectCurrency } = require("./money");
+const { normalizeText, parseAmount, parseRemindTarget, NUMBER_WORDS } = require("./router");
+
+const RULES_CONFIDENT = Number(process.env.RULES_MIN_CONFIDENCE || 0.8);
+const RULES_USABLE = 0.5;
+
+const NONE = { parsed: null, confidence: 0 };
+
+// Mismos campos que devuelve OpenAI, para que los handlers no distingan la fuente
+function shape(intent, fields = {}) {
+  return {
+    intent,
+    client_name: null,
+    amount_due: null,
+    amount_paid: null,
+    currency: null,
+    since_text: null,
+    due_when_text: null,
+    remind_when_text: null,
+    tone: null,
+    ...fields,
+  };
+}
+
+function clamp(n) {
+  return Math.max(0, Math.min(1, Math.round(n * 100) / 100));
+}
+
+// "oye, Pepe me debe 500!!" -> "Pepe me debe 500"
+function cleanInput(text) {
+  return normalizeText(text)
+    .replace(/^(?:oye|oiga|hola|buenas|buen\s+d[ií]a)[,!.\s]+/i, "")
+    .replace(/^[¿¡]+/, "")
+    .replace(/[?!.]+$/, "")
+    // "500, vence el 15": la coma de la frase, no la de miles ("9,500")
+    .replace(/,(?=\s)/g, "")
+    .trim();
+}
+
+// Nombre de cliente creíble: 1 a 4 palabras, sin números ni palabras de la frase
+// ("la" sola no, pero "la señora Martha" sí)
+const NAME_STOPWORDS = new Set(["ya", "me", "le", "les", "no", "que", "quien", "yo", "se", "lo", "la"]);
+const NAME_ARTICLES = new Set(["el", "la"]);
+
+function isPlausibleName(name) {
+  const words = normalizeText(name).split(" ").filter(Boolean).map((w) => stripAccents(w.toLowerCase()));
+  if (!words.length || words.length > 4) return false;
+  if (/\d/.test(name)) return false;
+  const first = words.length > 1 && NAME_ARTICLES.has(words[0]) ? words[1] : words[0];
+  return !NAME_STOPWORDS.has(first);
+}
+
+// Con un nombre poco creíble la frase queda abajo de RULES_USABLE: sin modelo no se registra nada a nombre de "2" o "ya"
+const IMPLAUSIBLE_NAME_MAX = RULES_USABLE - 0.1;
+
+// -------------------------
+// Montos dentro de una frase
+// -------------------------
+function isAmountStart(word) {
+  const w = stripAccents(String(word || "").toLowerCase());
+  return /^(?:\$|\d)/.test(w) || w === "mil" || NUMBER_WORDS[w] !== undefined || /^(?:usd|us\$|mxn|eur|€)$/.test(w);
+}
+
+// Toma el prefijo más largo que sea un monto: "mil quinientos desde agosto" -> { amount: 1500, rest: "desde agosto" }
+function takeAmount(text) {
+  const words = normalizeText(text).split(" ");
+  for (let n = Math.min(words.length, 6); n > 0; n--) {
+    const head = words.slice(0, n).join(" ");
+    const amount = parseAmount(head);
+    if (amount) return { amount, amountText: head, rest: words.slice(n).join(" ") };
+  }
+  return { amount: null, amountText: "", rest: normalizeText(text) };
+}
+
+// Lo que sigue al monto: "desde agosto", "de hace 2 semanas", "vence el viernes", "de la renta"
+const TAIL_SPLIT_RE =
+  /(?<!\b(?:desde|de|y|me|se))\s+(?=(?:y\s+)?(?:desde|(?:de\s+)?hace|vence|se\s+vence|me\s+paga|paga|pagar[aá]|me\s+va\s+a\s+pagar|qued[oó]\s+de\s+pagar(?:me)?|promet[ií][oó]\s+pagar(?:me)?)\b)/i;
+
+function parseTail(tail) {
+  const out = { since_text: null, due_when_text: null, unknown: 0 };
+  const parts = normalizeText(tail) ? normalizeText(tail).split(TAIL_SPLIT_RE) : [];
+
+  parts.forEach((raw, i) => {
+    const seg = raw.replace(/^y(?:\s+|$)/i, "").trim();
+    if (!seg) return;
+    let m;
+    if ((m = seg.match(/^desde\s+(?:el\s+|la\s+)?(.+)$/i))) out.since_text = m[1];
+    else if ((m = seg.match(/^(?:de\s+)?(hace\s+.+)$/i))) out.since_text = m[1];
+    else if (
+      (m = seg.match(
+        /^(?:se\s+)?(?:vence|me\s+paga|paga|pagar[aá]|me\s+va\s+a\s+pagar|qued[oó]\s+de\s+pagar(?:me)?|promet[ií][oó]\s+pagar(?:me)?)\s+(.+)$/i
+      ))
+    )
+      out.due_when_text = m[1];
+    // Concepto justo después del monto ("de la renta", "por la comida"): no se guarda, pero tampoco estorba
+    else if (i === 0 && /^(?:de|del|por|en)\s+\S/i.test(seg)) return;
+    else out.unknown++;
+  });
+  return out;
+}
+
+// -------------------------
+// add_debt
+// -------------------------
+const DEBT_VERB = "(?:ya\\s+)?(?:me\\s+debe(?:n)?|me\\s+qued[oó]\\s+(?:a\\s+deber|debiendo)|qued[oó]\\s+a\\s+deber(?:me)?|(?:tiene|trae)\\s+(?:una\\s+)?deuda\\s+(?:conmigo\\s+)?de)";
+
+function debtResult({ name, rest, base, tone }) {
+  const { amount, amountText, rest: tail } = takeAmount(rest);
+  const extra = parseTail(tail);
+
+  let confidence = base;
+  if (!amount) confidence = Math.min(confidence, 0.6);
+  confidence -= 0.25 * extra.unknown;
+  if (name && !isPlausibleName(name)) confidence = Math.min(confidence, IMPLAUSIBLE_NAME_MAX);
+
+  return {
+    parsed: shape("add_debt", {
+      client_name: name || null,
+      amount_due: amount,
+      currency: detectCurrency(amountText),
+      since_text: extra.since_text,
+      due_when_text: extra.due_when_text,
+      tone,
+    }),
+    confidence: clamp(confidence),
+  };
+}
+
+function ruleAddDebt(t) {
+  // "Pepe me debe 9500 desde agosto", "Juan Pérez quedó a deber 2k", "Ana tiene una deuda de 300 dólares"
+  let m = t.match(new RegExp(`^(.+?)\\s+${DEBT_VERB}\\s+(.+)$`, "i"));
+  if (m && !/^me\s+deben?$/i.test(m[1])) return debtResult({ name: normalizeText(m[1]), rest: m[2], base: 0.95 });
+
+  // "Me debe Pepe 500", "me deben los García mil quinientos"
+  m = t.match(/^me\s+deben?\s+(.+)$/i);
+  if (m) {
+    const words = normalizeText(m[1]).split(" ");
+    const i = words.findIndex(isAmountStart);
+    if (i > 0) return debtResult({ name: words.slice(0, i).join(" "), rest: words.slice(i).join(" "), base: 0.9 });
+    // "me deben 2k": hay deuda pero no de quién
+    if (i === 0) return debtResult({ name: null, rest: m[1], base: 0.55 });
+  }
+
+  // "Le fié 500 a Pepe", "le presté 2 mil a Juan desde ayer"
+  m = t.match(/^(?:le\s+)?(?:fi[eé]|prest[eé]|vend[ií]\s+(?:fiado\s+)?(?:en\s+)?)\s*(.+?)\s+a\s+(.+)$/i);
+  if (m) {
+    const [name, ...tail] = m[2].split(TAIL_SPLIT_RE);
+    const amount = takeAmount(m[1]);
+    if (amount.amount && !amount.rest) return debtResult({ name: normalizeText(name), rest: [m[1], ...tail].join(" "), base: 0.9 });
+  }
+
+  return null;
+}
+
+// -------------------------
+// register_payment (montos en palabras; los de dígitos ya los cubre localRouter)
+// -------------------------
+function ruleRegisterPayment(t) {
+  const m = t.match(/^(.+?)\s+(?:ya\s+)?(?:me\s+)?(?:abon[oó]|dio|deposit[oó]|transfiri[oó]|pag[oó])\s+(.+)$/i);
+  if (!m) return null;
+  const { amount, amountText, rest } = takeAmount(m[2]);
+  if (!amount) return null;
+
+  let confidence = 0.9;
+  if (rest) confidence -= 0.25;
+  if (!isPlausibleName(m[1])) confidence = Math.min(confidence, IMPLAUSIBLE_NAME_MAX);
+  return {
+    parsed: shape("register_payment", { client_name: normalizeText(m[1]), amount_paid: amount, currency: detectCurrency(amountText) }),
+    confidence: clamp(confidence),
+  };
+}
+
+// -------------------------
+// remind ("cóbrale a Pepe mañana", "mándale un mensaje a Juan el viernes, firme")
+// -------------------------
+function ruleRemind(t) {
+  const m =
+    t.match(/^(?:m[aá]nda(?:le|les)?|env[ií]a(?:le|les)?)\s+(?:un\s+)?(?:recordatorio|mensaje|whats(?:app)?)\s+a\s+(.+)$/i) ||
+    t.match(/^(?:c[oó]bra(?:le|les)|recu[eé]rda(?:le|les)|escr[ií]be(?:le|les))\s+(?:a\s+)?(.+)$/i);
+  if (!m) return null;
+
+  const { name, when, tone } = parseRemindTarget(m[1]);
+  if (!name) return null;
+
+  return {
+    parsed: shape("remind", { client_name: name, remind_when_text: when, tone }),
+    confidence: clamp(isPlausibleName(name) ? 0.9 : IMPLAUSIBLE_NAME_MAX),
+  };
+}
+
+// -------------------------
+// Preguntas comunes con otras palabras
+// -------------------------
+const FIXED = [
+  {
+    intent: "list_debts",
+    re: /^(?:quien(?:es)?\s+me\s+deben?|mis\s+deudores|(?:ver\s+)?(?:mis\s+)?deudas|lista(?:\s+de)?\s+(?:deudas|deudores)|cuanto\s+me\s+deben(?:\s+en\s+total)?|quien\s+me\s+falta\s+por\s+pagar|quienes\s+no\s+me\s+han\s+pagado)$/,
+  },
+  {
+    intent: "prioritize",
+    re: /^(?:a\s+quien\s+(?:le\s+)?cobro(?:\s+primero|\s+hoy)?|a\s+quien\s+le\s+cobro\s+primero|quien\s+(?:es\s+)?(?:mas\s+urgente|me\s+urge\s+cobrar)|por\s+quien\s+empiezo(?:\s+a\s+cobrar)?)$/,
+  },
+  {
+    intent: "help",
+    re: /^(?:que\s+(?:puedes|sabes)\s+hacer|como\s+(?:funciona(?:s)?|te\s+uso|se\s+usa)|instrucciones|comandos|opciones)$/,
+  },
+];
+
+function ruleFixed(t) {
+  const low = stripAccents(t.toLowerCase());
+  for (const { intent, re } of FIXED) {
+    if (re.test(low)) return { parsed: shape(intent), confidence: 0.9 };
+  }
+  // "¿Qué me debe Pepe?", "saldo de Pepe", "cuánto debe Pepe"
+  const m = t.match(/^(?:qu[eé]\s+me\s+debe|cu[aá]nto\s+debe|saldo\s+de|deuda\s+de)\s+(.+)$/i);
+  if (m) {
+    const name = normalizeText(m[1]);
+    return { parsed: shape("client_statement", { client_name: name }), confidence: clamp(isPlausibleName(name) ? 0.85 : IMPLAUSIBLE_NAME_MAX) };
+  }
+  return null;
+}
+
+function ruleParse(text) {
+  const t = cleanInput(text);
+  if (!t) return NONE;
+  return ruleFixed(t) || ruleAddDebt(t) || ruleRegisterPayment(t) || ruleRemind(t) || NONE;
+}
+
+module.exports = { ruleParse, RULES_CONFIDENT, RULES_USABLE };
@@ -0,0 +1,106 @@
+// ai.js con un proveedor de prueba (registerProvider): caché, reintentos y circuit breaker. Sin base ni red.
+// ai.js lee la configuración al cargarse
+Object.assign(process.env, {
+  AI_MODE: "live",
+  AI_PROVIDER: "prueba",
+  AI_MAX_RETRIES: "1",
+  AI_BREAKER_THRESHOLD: "2",
+  AI_BREAKER_COOLDOWN_MS: "200",
+});
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseMessage, registerProvider } = require("../ai");
+
+// Contesta add_debt con el mensaje tal cual como client_name, o lo que diga `next`
+const provider = { calls: [], next: [] };
+registerProvider("prueba", () => ({
+  name: "prueba",
+  model: "stub",
+  configured: () => true,
+  async complete({ user }) {
+    const text = user.replace(/^Mensaje: /, "");
+    provider.calls.push(text);
+    const step = provider.next.shift();
+    if (step instanceof Error) throw step;
+    return { text: step ?? JSON.stringify({ intent: "add_debt", client_name: text }), usage: null };
+  },
+}));
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe("parseMessage con proveedor", () => {
+  beforeEach(() => {
+    provider.calls.length = 0;
+    provider.next.length = 0;
+  });
+
+  it("la caché junta mayúsculas y signos, pero no acentos ni dígitos distintos", async () => {
+    const first = await parseMessage("Peña me debe 500");
+    assert.equal(first.client_name, "Peña me debe 500");
+    assert.equal((await parseMessage("  ¿peña me debe 500? ")).client_name, "Peña me debe 500");
+    assert.equal(provider.calls.length, 1);
+
+    assert.equal((await parseMessage("Pena me debe 500")).client_name, "Pena me debe 500");
+    await parseMessage("Pepe me debe 300 desde 15/03");
+    assert.equal((await parseMessage("Pepe me debe 300 desde 1503")).client_name, "Pepe me debe 300 desde 1503");
+    assert.equal(provider.calls.length, 4);
+  });
+
+  it("reintenta una vez los 5xx y no los 4xx", async () => {
+    provider.next.push(httpError(503));
+    assert.equal((await parseMessage("Rosa me debe 100")).client_name, "Rosa me debe 100");
+    assert.deepEqual(provider.calls, ["Rosa me debe 100", "Rosa me debe 100"]);
+
+    provider.calls.length = 0;
+    provider.next.push(httpError(400));
+    // Sin modelo contesta el parser por reglas
+    const parsed = await parseMessage("Chuy me debe 200");
+    assert.deepEqual(provider.calls, ["Chuy me debe 200"]);
+    assert.equal(parsed.intent, "add_debt");
+    assert.equal(parsed.amount_due, 200);
+  });
+
+  it("lo que no valida o viene del respaldo no se cachea", async () => {
+    provider.next.push("esto no es json");
+    assert.equal((await parseMessage("algo raro 1")).intent, "unknown");
+    assert.equal((await parseMessage("algo raro 1")).client_name, "algo raro 1");
+    assert.equal(provider.calls.length, 2);
+  });
+
+  it("el breaker se abre tras fallas seguidas y deja pasar una prueba al enfriarse", async () => {
+    provider.next.push(httpError(500), httpError(500), httpError(500), httpError(500));
+    await parseMessage("falla 1");
+    await parseMessage("falla 2");
+    assert.equal(provider.calls.length, 4);
+
+    // Abierto: contesta el parser por reglas sin llamar al proveedor
+    const parsed = await parseMessage("Lalo me debe 700");
+    assert.equal(parsed.amount_due, 700);
+    assert.equal(provider.calls.length, 4);
+
+    // Medio abierto: una llamada de prueba; si sale bien se cierra
+    await sleep(250);
+    assert.equal((await parseMessage("prueba 1")).client_name, "prueba 1");
+    assert.equal((await parseMessage("prueba 2")).client_name, "prueba 2");
+    assert.equal(provider.calls.length, 6);
+  });
+
+  it("si la llamada de prueba falla se vuelve a abrir", async () => {
+    provider.next.push(httpError(500), httpError(500), httpError(500), httpError(500));
+    await parseMessage("falla 3");
+    await parseMessage("falla 4");
+    await sleep(250);
+
+    provider.next.push(httpError(401));
+    await parseMessage("falla 5");
+    assert.equal(provider.calls.length, 5);
+    await parseMessage("otra 1");
+    assert.equal(provider.calls.length, 5);
+  });
+});
@@ -0,0 +1,199 @@
+// API REST (/api/v1): llave de API KEY, CRUD sobre las mismas deudas del chat, paginación e idempotencia
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SKIP, createTestDatabase, startApp, seedUser } = require("./helpers/harness");
+
+describe("API REST", { skip: SKIP }, () => {
+  let db;
+  let bot;
+
+  before(async () => {
+    db = await createTestDatabase();
+    bot = await startApp({ databaseUrl: db.url });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await db?.drop();
+  });
+
+  async function apiKey(from) {
+    const r = await bot.whatsapp("API KEY caja", { from });
+    const key = r.replies[0].match(/cbk_[0-9a-f]{48}/);
+    assert.ok(key, r.replies[0]);
+    return key[0];
+  }
+
+  function api(key) {
+    return async (method, path, body, headers = {}) => {
+      const res = await fetch(`${bot.base}/api/v1${path}`, {
+        method,
+        headers: {
+          authorization: `Bearer ${key}`,
+          ...(body !== undefined && { "content-type": "application/json" }),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      return { status: res.status, headers: res.headers, json: text ? JSON.parse(text) : null };
+    };
+  }
+
+  it("registra deudas y abonos con idempotencia y los ve el chat", async () => {
+    const from = "whatsapp:+5215511130001";
+    await seedUser(db, from);
+    const call = api(await apiKey(from));
+
+    const first = await call("POST", "/debts", { client_name: "Pepe", amount_due: 9500, since_date: "2025-08-01" }, { "Idempotency-Key": "pos-1" });
+    assert.equal(first.status, 201);
+    assert.equal(first.json.data.balance, 9500);
+    assert.equal(first.json.data.since_date, "2025-08-01");
+
+    // El reintento del POS no duplica la deuda
+    const retry = await call("POST", "/debts", { client_name: "Pepe", amount_due: 9500, since_date: "2025-08-01" }, { "Idempotency-Key": "pos-1" });
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal(retry.json.data.id, first.json.data.id);
+
+    const reused = await call("POST", "/debts", { client_name: "Pepe", amount_due: 1 }, { "Idempotency-Key": "pos-1" });
+    assert.equal(reused.status, 422);
+    assert.equal(reused.json.error.code, "idempotency_key_reused");
+
+    await call("POST", "/debts", { client_name: "Juan", amount_due: 3000 });
+    const pay = await call("POST", "/payments", { client_name: "pepe", amount: 500 });
+    assert.equal(pay.status, 201);
+    assert.equal(pay.json.data.remaining, 9000);
+
+    const r = await bot.whatsapp("¿Cuánto me debe Pepe?", { from });
+    assert.match(r.replies.join("\n"), /9,000/);
+
+    const paid = await call("PATCH", `/debts/${first.json.data.id}`, { status: "paid" });
+    assert.equal(paid.json.data.status, "paid");
+    assert.equal(paid.json.data.balance, 0);
+
+    const payments = await call("GET", `/payments?debt_id=${first.json.data.id}`);
+    assert.deepEqual(payments.json.data.map((p) => p.note), ["liquidado", null]);
+  });
+
+  it("un PATCH que falla a medias no deja cambios y el reintento lo aplica completo", async () => {
+    const from = "whatsapp:+5215511130005";
+    await seedUser(db, from);
+    const call = api(await apiKey(from));
+    const { json } = await call("POST", "/debts", { client_name: "Pepe", amount_due: 9500 });
+    const patch = { amount_due: 8000, client_name: "José", status: "paid" };
+
+    // Falla de la base al registrar el pago de liquidación (después del monto y el cliente)
+    await db.query(`alter table payments add constraint payments_offline check (note is distinct from 'liquidado') not valid`);
+    let res;
+    try {
+      res = await call("PATCH", `/debts/${json.data.id}`, patch);
+    } finally {
+      await db.query(`alter table payments drop constraint payments_offline`);
+    }
+    assert.equal(res.status, 500);
+    const { rows } = await db.query(`select client_name, amount_due::float as amount_due, status from debts where id = $1`, [json.data.id]);
+    assert.deepEqual(rows, [{ client_name: "Pepe", amount_due: 9500, status: "pending" }]);
+
+    res = await call("PATCH", `/debts/${json.data.id}`, patch);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.data.client_name, "José");
+    assert.equal(res.json.data.amount_due, 8000);
+    assert.equal(res.json.data.status, "paid");
+  });
+
+  it("reabrir o deshacer la liquidación no se lleva un abono con nota \"liquidado\"", async () => {
+    const from = "whatsapp:+5215511130006";
+    await seedUser(db, from);
+    const call = api(await apiKey(from));
+    const { json } = await call("POST", "/debts", { client_name: "Pepe", amount_due: 1000 });
+    await call("POST", "/payments", { client_name: "Pepe", amount: 400, note: "liquidado" });
+    const paymentsOf = async () =>
+      (await call("GET", `/payments?debt_id=${json.data.id}`)).json.data.map((p) => [p.amount, p.note]).sort((a, b) => a[0] - b[0]);
+
+    await call("PATCH", `/debts/${json.data.id}`, { status: "paid" });
+    assert.deepEqual(await paymentsOf(), [
+      [400, "liquidado"],
+      [600, "liquidado"],
+    ]);
+
+    const reopened = await call("PATCH", `/debts/${json.data.id}`, { status: "pending" });
+    assert.equal(reopened.json.data.balance, 600);
+    assert.deepEqual(await paymentsOf(), [[400, "liquidado"]]);
+
+    // Deshacer el "no pagó" y luego la liquidación tampoco toca el abono
+    await bot.whatsapp("deshacer", { from });
+    await bot.whatsapp("deshacer", { from });
+    assert.deepEqual(await paymentsOf(), [[400, "liquidado"]]);
+    assert.equal((await call("GET", `/debts/${json.data.id}`)).json.data.balance, 600);
+  });
+
+  it("no reabre una deuda que se pagó solo con abonos", async () => {
+    const from = "whatsapp:+5215511130007";
+    await seedUser(db, from);
+    const call = api(await apiKey(from));
+    const { json } = await call("POST", "/debts", { client_name: "Pepe", amount_due: 1000 });
+    await call("POST", "/payments", { client_name: "Pepe", amount: 1000 });
+
+    const res = await call("PATCH", `/debts/${json.data.id}`, { status: "pending", amount_due: 1200 });
+    assert.equal(res.status, 409);
+    assert.equal(res.json.error.code, "debt_paid_by_payments");
+    const debt = (await call("GET", `/debts/${json.data.id}`)).json.data;
+    assert.deepEqual([debt.status, debt.amount_due, debt.balance], ["paid", 1000, 0]);
+  });
+
+  it("pagina, filtra y responde errores en JSON", async () => {
+    const from = "whatsapp:+5215511130002";
+    await seedUser(db, from);
+    const call = api(await apiKey(from));
+    for (const client_name of ["Ana", "Beto", "Chuy"]) await call("POST", "/debts", { client_name, amount_due: 100 });
+
+    const page1 = await call("GET", "/debts?limit=2");
+    assert.deepEqual(page1.json.data.map((d) => d.client_name), ["Chuy", "Beto"]);
+    const page2 = await call("GET", `/debts?limit=2&cursor=${page1.json.next_cursor}`);
+    assert.deepEqual(page2.json.data.map((d) => d.client_name), ["Ana"]);
+    assert.equal(page2.json.next_cursor, null);
+
+    const byClient = await call("GET", "/debts?client=beto&status=pending");
+    assert.equal(byClient.json.data.length, 1);
+    const old = await call("GET", "/debts?to=2000-01-01");
+    assert.equal(old.json.data.length, 0);
+
+    const bad = await call("POST", "/debts", { client_name: "Ana", amount_due: -5 });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.json.error.details.map((d) => d.field), ["amount_due"]);
+
+    const res = await fetch(`${bot.base}/api/v1/debts`);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error.code, "unauthorized");
+  });
+
+  it("cada llave solo ve lo de su usuario y al revocarla deja de servir", async () => {
+    const owner = "whatsapp:+5215511130003";
+    const other = "whatsapp:+5215511130004";
+    await seedUser(db, owner);
+    await seedUser(db, other);
+    const ownerKey = await apiKey(owner);
+    const created = await api(ownerKey)("POST", "/debts", { client_name: "Rosa", amount_due: 700 });
+
+    const otherCall = api(await apiKey(other));
+    assert.equal((await otherCall("GET", `/debts/${created.json.data.id}`)).status, 404);
+    assert.equal((await otherCall("GET", "/debts")).json.data.length, 0);
+
+    let r = await bot.whatsapp("MIS API KEYS", { from: owner });
+    assert.match(r.replies[0], new RegExp(`${ownerKey.slice(0, 12)}… "caja"`));
+    r = await bot.whatsapp(`REVOCAR API KEY ${ownerKey.slice(0, 12)}`, { from: owner });
+    assert.match(r.replies[0], /desactivada/);
+    assert.equal((await api(ownerKey)("GET", "/debts")).status, 401);
+  });
+
+  it("publica el documento OpenAPI sin llave", async () => {
+    const res = await fetch(`${bot.base}/api/v1/openapi.json`);
+    assert.equal(res.status, 200);
+    const doc = await res.json();
+    assert.equal(doc.openapi, "3.1.0");
+    assert.deepEqual(doc.servers, [{ url: "https://bot.test/api/v1" }]);
+    assert.ok(doc.paths["/debts/{id}"].patch);
+  });
+});
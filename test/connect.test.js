@@ -0,0 +1,147 @@
+// Stripe Connect (connect.js): alta de la cuenta del usuario y cobro a sus deudores con el link del recordatorio
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SKIP, createTestDatabase, startApp, stripeFixture, seedUser } = require("./helpers/harness");
+
+describe("Stripe Connect", { skip: SKIP }, () => {
+  let db;
+  let bot;
+
+  before(async () => {
+    db = await createTestDatabase();
+    bot = await startApp({ databaseUrl: db.url });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await db?.drop();
+  });
+
+  async function userRow(phone) {
+    const { rows } = await db.query(`select id, stripe_account_id, stripe_charges_enabled from users where phone = $1`, [phone]);
+    return rows[0];
+  }
+
+  it("CONECTAR STRIPE crea la cuenta y account.updated la activa", async () => {
+    const from = "whatsapp:+5215511150001";
+    await seedUser(db, from);
+
+    const r = await bot.whatsapp("CONECTAR STRIPE", { from });
+    assert.match(r.replies[0], /https:\/\/connect\.stripe\.test\/setup\/acct_test_\d+/);
+
+    let u = await userRow(from);
+    assert.match(u.stripe_account_id, /^acct_test_/);
+    assert.equal(u.stripe_charges_enabled, false);
+
+    // Los eventos de cuentas conectadas se firman con su propio secreto
+    const event = stripeFixture("account.updated", { account: u.stripe_account_id, charges_enabled: true });
+    const res = await bot.stripeEvent(event, { connect: true });
+    assert.equal(res.status, 200);
+
+    u = await userRow(from);
+    assert.equal(u.stripe_charges_enabled, true);
+    assert.match(bot.sent.filter((m) => m.to === from).at(-1).text, /Stripe activó/);
+  });
+
+  it("el deudor paga desde el link del recordatorio y se registra el abono", async () => {
+    const from = "whatsapp:+5215511150002";
+    const account = "acct_test_ready";
+    const user = await seedUser(db, from, { stripe_account_id: account, stripe_charges_enabled: true });
+
+    await bot.whatsapp("Pepe me debe 9500", { from });
+    await bot.whatsapp("Manda recordatorio a Pepe", { from });
+    await bot.whatsapp("amable", { from });
+    const r = await bot.whatsapp("5512345678", { from });
+    // La vista previa solo avisa del link: se crea al confirmar, no por cada borrador
+    assert.match(r.replies[0], /el link se agrega al enviarlo/);
+    const { rows: drafts } = await db.query(`select count(*)::int as n from payment_links where user_id = $1`, [user.id]);
+    assert.equal(drafts[0].n, 0);
+
+    await bot.whatsapp("si", { from });
+    const reminder = bot.sent.filter((m) => m.to !== from).at(-1).text;
+    const url = reminder.match(/https:\/\/bot\.test\/pagar\/[\w-]+/)?.[0];
+    assert.ok(url, "el recordatorio trae el link de pago");
+    // En la bitácora queda sin el token
+    const { rows: logged } = await db.query(`select message from reminders where user_id = $1`, [user.id]);
+    assert.doesNotMatch(logged[0].message, /\/pagar\//);
+    const path = new URL(url).pathname;
+
+    // GET solo muestra el saldo (las vistas previas de WhatsApp no crean sesiones)
+    const page = await fetch(`${bot.base}${path}`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /\$9,500\.00/);
+    assert.equal(bot.stripeApi.requests.filter((q) => q.path === "/v1/checkout/sessions").length, 0);
+
+    const post = await fetch(`${bot.base}${path}`, { method: "POST", redirect: "manual" });
+    assert.equal(post.status, 303);
+    assert.match(post.headers.get("location"), /checkout\.stripe\.test/);
+    const checkout = bot.stripeApi.requests.filter((q) => q.path === "/v1/checkout/sessions").at(-1);
+    assert.equal(checkout.account, account);
+
+    const { rows: links } = await db.query(`select id from payment_links where user_id = $1`, [user.id]);
+    const event = stripeFixture("checkout.session.completed.connect", {
+      account,
+      user_id: String(user.id),
+      client_name: "Pepe",
+      amount_total: 950000,
+      payment_link_id: String(links[0].id),
+    });
+    const res = await bot.stripeEvent(event, { connect: true });
+    assert.equal(res.status, 200);
+
+    const { rows: debts } = await db.query(`select status from debts where user_id = $1`, [user.id]);
+    assert.deepEqual(debts.map((d) => d.status), ["paid"]);
+    const { rows: paid } = await db.query(`select paid_at from payment_links where id = $1`, [links[0].id]);
+    assert.ok(paid[0].paid_at);
+    assert.match(bot.sent.filter((m) => m.to === from).at(-1).text, /💰 Pepe pagó \$9,500/);
+  });
+
+  it("ignora pagos con metadata de otro usuario", async () => {
+    const from = "whatsapp:+5215511150003";
+    const user = await seedUser(db, from, { stripe_account_id: "acct_test_owner", stripe_charges_enabled: true });
+    await bot.whatsapp("Pepe me debe 9500", { from });
+
+    const event = stripeFixture("checkout.session.completed.connect", {
+      account: "acct_test_other",
+      user_id: String(user.id),
+      client_name: "Pepe",
+      amount_total: 950000,
+      payment_link_id: "0",
+    });
+    await bot.stripeEvent(event, { connect: true });
+
+    const { rows } = await db.query(`select status from debts where user_id = $1`, [user.id]);
+    assert.deepEqual(rows.map((d) => d.status), ["pending"]);
+  });
+
+  it("si el registro del pago falla, el reintento de Stripe lo procesa", async () => {
+    const from = "whatsapp:+5215511150004";
+    const account = "acct_test_retry";
+    const user = await seedUser(db, from, { stripe_account_id: account, stripe_charges_enabled: true });
+    await bot.whatsapp("Pepe me debe 9500", { from });
+
+    const event = stripeFixture("checkout.session.completed.connect", {
+      account,
+      user_id: String(user.id),
+      client_name: "Pepe",
+      amount_total: 950000,
+      payment_link_id: "0",
+    });
+
+    // Falla de la base mientras se registra el abono
+    await db.query(`alter table payments rename to payments_offline`);
+    let res;
+    try {
+      res = await bot.stripeEvent(event, { connect: true });
+    } finally {
+      await db.query(`alter table payments_offline rename to payments`);
+    }
+    assert.equal(res.status, 500);
+
+    res = await bot.stripeEvent(event, { connect: true });
+    assert.deepEqual(res.json, { received: true });
+    const { rows } = await db.query(`select status from debts where user_id = $1`, [user.id]);
+    assert.deepEqual(rows.map((d) => d.status), ["paid"]);
+  });
+});
@@ -0,0 +1,290 @@
+// Conversaciones completas por /webhook/whatsapp: TwiML de respuesta + estado en la base
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SKIP, createTestDatabase, startApp, seedUser } = require("./helpers/harness");
+
+describe("conversación por WhatsApp", { skip: SKIP }, () => {
+  let db;
+  let bot;
+
+  before(async () => {
+    db = await createTestDatabase();
+    bot = await startApp({ databaseUrl: db.url });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await db?.drop();
+  });
+
+  async function pendingDebts(phone) {
+    const { rows } = await db.query(
+      `select d.client_name, d.amount_due::float as amount_due, d.status, d.due_text
+       from debts d join users u on u.id = d.user_id
+       where u.phone = $1
+       order by d.id`,
+      [phone]
+    );
+    return rows;
+  }
+
+  it("da la bienvenida al usuario nuevo y marca el onboarding", async () => {
+    const from = "whatsapp:+5215511110001";
+    const r = await bot.whatsapp("hola", { from });
+
+    assert.equal(r.status, 200);
+    assert.equal(r.replies.length, 1);
+    assert.match(r.replies[0], /Hola, soy \*CobranzaBot\*/);
+
+    const { rows } = await db.query(`select seen_onboarding, plan from users where phone = $1`, [from]);
+    assert.deepEqual(rows, [{ seen_onboarding: true, plan: "free" }]);
+  });
+
+  it("registra, lista, prioriza y marca como pagado", async () => {
+    const from = "whatsapp:+5215511110002";
+    await seedUser(db, from);
+
+    let r = await bot.whatsapp("Pepe me debe 9500 desde agosto", { from });
+    assert.match(r.replies[0], /^Registrado ✅/);
+    assert.match(r.replies[0], /Cliente: Pepe/);
+    assert.match(r.replies[0], /\$9,500\.00/);
+
+    r = await bot.whatsapp("Juan me debe 3000", { from });
+    assert.match(r.replies[0], /Cliente: Juan/);
+
+    assert.deepEqual(await pendingDebts(from), [
+      { client_name: "Pepe", amount_due: 9500, status: "pending", due_text: "agosto" },
+      { client_name: "Juan", amount_due: 3000, status: "pending", due_text: null },
+    ]);
+
+    r = await bot.whatsapp("¿Quién me debe?", { from });
+    assert.match(r.replies[0], /^📌 Te deben:/);
+    assert.match(r.replies[0], /Pepe: \$9,500\.00/);
+    assert.match(r.replies[0], /Juan: \$3,000\.00/);
+    assert.match(r.replies[0], /Total: \*\$12,500\.00/);
+
+    r = await bot.whatsapp("¿A quién cobro primero?", { from });
+    assert.match(r.replies[0], /Recomendación de cobranza/);
+    assert.match(r.replies[0], /1\) \*Pepe\*/);
+
+    r = await bot.whatsapp("ya pagó Pepe", { from });
+    assert.match(r.replies[0], /Marcado como pagado: \*Pepe\*/);
+
+    const debts = await pendingDebts(from);
+    assert.equal(debts.find((d) => d.client_name === "Pepe").status, "paid");
+    const { rows: payments } = await db.query(
+      `select p.client_name, p.amount::float as amount, p.note
+       from payments p join users u on u.id = p.user_id where u.phone = $1`,
+      [from]
+    );
+    assert.deepEqual(payments, [{ client_name: "Pepe", amount: 9500, note: "liquidado" }]);
+
+    r = await bot.whatsapp("¿Quién me debe?", { from });
+    assert.doesNotMatch(r.replies[0], /Pepe/);
+    assert.match(r.replies[0], /Juan: \$3,000\.00/);
+
+    // 4 acciones con cobro (2 deudas, prioridad, pago); listar no cuenta
+    const { rows } = await db.query(`select daily_count from users where phone = $1`, [from]);
+    assert.equal(rows[0].daily_count, 4);
+  });
+
+  it("deshace dos veces seguidas: pagada → no pagó → deshacer → deshacer", async () => {
+    const from = "whatsapp:+5215511110008";
+    await seedUser(db, from);
+
+    await bot.whatsapp("Pepe me debe 9500", { from });
+    await bot.whatsapp("ya pagó Pepe", { from });
+    let r = await bot.whatsapp("Pepe no pagó", { from });
+    assert.match(r.replies[0], /volvió a pendiente/);
+
+    r = await bot.whatsapp("deshacer", { from });
+    assert.match(r.replies[0], /quedó pagada otra vez/);
+    r = await bot.whatsapp("deshacer", { from });
+    assert.match(r.replies[0], /volvió a pendiente/);
+
+    // Pendiente y sin el pago de liquidación que reinsertó el primer deshacer
+    assert.deepEqual((await pendingDebts(from)).map((d) => d.status), ["pending"]);
+    const { rows } = await db.query(`select count(*)::int as n from payments p join users u on u.id = p.user_id where u.phone = $1`, [from]);
+    assert.equal(rows[0].n, 0);
+  });
+
+  it("\"no pagó\" no reabre una deuda pagada con abonos", async () => {
+    const from = "whatsapp:+5215511110012";
+    await seedUser(db, from);
+
+    await bot.whatsapp("Pepe me debe 500", { from });
+    await bot.whatsapp("Pepe ya me abonó 500", { from });
+    const r = await bot.whatsapp("Pepe no pagó", { from });
+    assert.match(r.replies[0], /se pagó con abonos y siguen registrados/);
+
+    const { rows } = await db.query(
+      `select d.status, (select sum(amount)::float from payments p where p.debt_id = d.id) as paid
+       from debts d join users u on u.id = d.user_id where u.phone = $1`,
+      [from]
+    );
+    assert.deepEqual(rows, [{ status: "paid", paid: 500 }]);
+  });
+
+  it("manda el link de pago de Stripe con PAGAR", async () => {
+    const from = "whatsapp:+5215511110003";
+    await seedUser(db, from);
+
+    const r = await bot.whatsapp("PAGAR", { from });
+    assert.match(r.replies[0], /Activar CobranzaBot Pro/);
+    assert.match(r.replies[0], /https:\/\/checkout\.stripe\.test\/cs_test_\d+/);
+
+    const call = bot.stripeApi.requests.find((q) => q.path.startsWith("/v1/checkout/sessions"));
+    assert.equal(call.body.metadata.phone, from);
+
+    const { rows } = await db.query(`select pro_lead_status from users where phone = $1`, [from]);
+    assert.equal(rows[0].pro_lead_status, "payment_link_sent");
+  });
+
+  it("importa clientes y deudas de un CSV adjunto con vista previa", async () => {
+    const from = "whatsapp:+5215511110006";
+    await seedUser(db, from);
+    await bot.whatsapp("Pepe me debe 9500", { from });
+
+    let r = await bot.whatsapp("", { from, media: "deudores.csv" });
+    assert.match(r.replies[0], /Importar deudores\.csv/);
+    assert.match(r.replies[0], /Encontré \*3 clientes\*, 1 fila con errores/);
+    assert.match(r.replies[0], /1 ya estaba registrada/);
+    assert.match(r.replies[0], /Fila 4: monto "abc" no válido/);
+    assert.equal((await pendingDebts(from)).length, 1);
+
+    r = await bot.whatsapp("si", { from });
+    assert.match(r.replies[0], /Importación lista/);
+    assert.match(r.replies[0], /Deudas nuevas: 2/);
+
+    assert.deepEqual(
+      (await pendingDebts(from)).map((d) => [d.client_name, d.amount_due]),
+      [["Pepe", 9500], ["Ana López", 1200], ["Chuy", 300]]
+    );
+    const { rows } = await db.query(
+      `select c.name, c.phone from clients c join users u on u.id = c.user_id where u.phone = $1 and c.phone is not null order by c.name`,
+      [from]
+    );
+    assert.deepEqual(rows, [
+      { name: "Ana López", phone: "whatsapp:+525512345678" },
+      { name: "Chuy", phone: "whatsapp:+525598765432" },
+    ]);
+  });
+
+  it("si la importación falla a media lista no deja nada registrado", async () => {
+    const from = "whatsapp:+5215511110011";
+    await seedUser(db, from);
+    await bot.whatsapp("", { from, media: "deudores.csv" });
+
+    // Falla de la base después de crear el primer cliente y su deuda
+    await db.query(`alter table debt_events rename to debt_events_offline`);
+    let r;
+    try {
+      r = await bot.whatsapp("si", { from });
+    } finally {
+      await db.query(`alter table debt_events_offline rename to debt_events`);
+    }
+    assert.match(r.replies[0], /problema temporal/);
+    assert.deepEqual(await pendingDebts(from), []);
+    const { rows } = await db.query(`select count(*)::int as n from clients c join users u on u.id = c.user_id where u.phone = $1`, [from]);
+    assert.equal(rows[0].n, 0);
+
+    await bot.whatsapp("", { from, media: "deudores.csv" });
+    r = await bot.whatsapp("si", { from });
+    assert.match(r.replies[0], /Deudas nuevas: 3/);
+    assert.equal((await pendingDebts(from)).length, 3);
+  });
+
+  it("exporta las deudas a CSV por un link firmado", async () => {
+    const from = "whatsapp:+5215511110007";
+    await seedUser(db, from);
+    await bot.whatsapp("Pepe me debe 9500 desde agosto", { from });
+    await bot.whatsapp("Ana me debe 300 dólares", { from });
+    await bot.whatsapp("Pepe me abonó 500", { from });
+
+    const r = await bot.whatsapp("exportar csv", { from });
+    assert.deepEqual(r.replies, []);
+
+    const out = bot.sent.find((m) => m.to === from && m.media);
+    assert.match(out.text, /Tus deudas: 2 registros/);
+    assert.match(out.media.url, /^https:\/\/bot\.test\/exports\/[\w-]+\.[\w-]+\/deudas-\d{4}-\d{2}-\d{2}\.csv$/);
+
+    const path = new URL(out.media.url).pathname;
+    const res = await fetch(`${bot.base}${path}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    const lines = (await res.text()).replace(/^\ufeff/, "").trim().split("\r\n");
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^ID,Cliente,Teléfono,Monto,Abonado,Saldo,Moneda,Estado/);
+    assert.match(lines[1], /,Pepe,,9500\.00,500\.00,9000\.00,MXN,pendiente,/);
+    assert.match(lines[2], /,Ana,,300\.00,0\.00,300\.00,USD,pendiente,/);
+
+    const [token] = path.split("/").slice(2);
+    const tampered = await fetch(`${bot.base}/exports/${token.slice(0, -2)}xx/deudas.csv`);
+    assert.equal(tampered.status, 404);
+  });
+
+  it("el CSV no deja fórmulas de Excel en nombres y notas", async () => {
+    const from = "whatsapp:+5215511110010";
+    const user = await seedUser(db, from);
+    // Como llegarían de un archivo importado o de la API
+    await db.query(
+      `insert into debts (user_id, client_name, amount_due, due_text) values ($1, '=HYPERLINK("http://x.test","ver")', 100, '@SUM(1+1)')`,
+      [user.id]
+    );
+    await db.query(`insert into clients (user_id, name, phone) values ($1, '=HYPERLINK("http://x.test","ver")', 'whatsapp:+525512345678')`, [
+      user.id,
+    ]);
+
+    await bot.whatsapp("exportar csv", { from });
+    const out = bot.sent.filter((m) => m.to === from && m.media).at(-1);
+    const res = await fetch(`${bot.base}${new URL(out.media.url).pathname}`);
+    const row = (await res.text()).replace(/^\ufeff/, "").trim().split("\r\n")[1];
+    assert.match(row, /^\d+,"'=HYPERLINK\(""http:\/\/x\.test"",""ver""\)",\+525512345678,100\.00,/);
+    assert.match(row, /,'@SUM\(1\+1\),/);
+  });
+
+  it("ignora un MessageSid repetido (reintento de Twilio)", async () => {
+    const from = "whatsapp:+5215511110004";
+    await seedUser(db, from);
+
+    const first = await bot.whatsapp("Pepe me debe 9500 desde agosto", { from });
+    const again = await bot.whatsapp("Pepe me debe 9500 desde agosto", { from, messageSid: first.messageSid });
+
+    assert.equal(first.replies.length, 1);
+    assert.equal(again.status, 200);
+    assert.deepEqual(again.replies, []);
+    assert.equal((await pendingDebts(from)).length, 1);
+  });
+
+  it("procesa el reintento de un mensaje que falló", async () => {
+    const from = "whatsapp:+5215511110009";
+    await seedUser(db, from);
+
+    // Falla de la base a medio mensaje
+    await db.query(`alter table debts rename to debts_offline`);
+    let first;
+    try {
+      first = await bot.whatsapp("Pepe me debe 9500 desde agosto", { from });
+    } finally {
+      await db.query(`alter table debts_offline rename to debts`);
+    }
+    assert.match(first.replies[0], /problema temporal/);
+
+    const again = await bot.whatsapp("Pepe me debe 9500 desde agosto", { from, messageSid: first.messageSid });
+    assert.equal(again.replies.length, 1);
+    assert.equal((await pendingDebts(from)).length, 1);
+  });
+
+  it("rechaza mensajes sin firma válida de Twilio", async () => {
+    const res = await fetch(`${bot.base}/webhook/whatsapp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": "nope" },
+      body: new URLSearchParams({ MessageSid: `SM${"0".repeat(32)}`, From: "whatsapp:+5215511110005", Body: "hola" }).toString(),
+    });
+    assert.equal(res.status, 403);
+
+    const { rows } = await db.query(`select count(*)::int as n from users where phone = $1`, ["whatsapp:+5215511110005"]);
+    assert.equal(rows[0].n, 0);
+  });
+});
@@ -0,0 +1,268 @@
+// cron-reminders.js con reloj congelado (CRON_NOW): downgrades, recordatorios programados y resumen diario.
+// Corre el cron como proceso aparte, igual que en Render, con el canal de consola: lo enviado sale en stdout.
+// (Con CHANNEL=twilio sin credenciales, los envíos fallan: así se prueban los reintentos.)
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const path = require("path");
+
+const { SKIP, ROOT, createTestDatabase, seedUser } = require("./helpers/harness");
+
+const TODAY = "2026-03-10T15:00:00Z";
+const TOMORROW = "2026-03-11T15:00:00Z";
+
+function runCron(databaseUrl, now, env = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [path.join(ROOT, "cron-reminders.js")],
+      {
+        env: { PATH: process.env.PATH, DATABASE_URL: databaseUrl, DATABASE_SSL: "false", CHANNEL: "console", CRON_NOW: now, ADMIN_PHONES: "", ...env },
+        timeout: 60_000,
+      },
+      (err, stdout, stderr) => (err ? reject(new Error(`${err.message}\n${stderr}`)) : resolve(parseOutbox(stdout)))
+    );
+  });
+}
+
+// "[OUTBOX] → to\ntexto..." hasta la siguiente línea de log
+function parseOutbox(stdout) {
+  const sent = [];
+  let current = null;
+  for (const line of stdout.split("\n")) {
+    const m = line.match(/^\[OUTBOX\] → (.+)$/);
+    if (m) {
+      current = { to: m[1], lines: [] };
+      sent.push(current);
+    } else if (/^\[METRIC:|^(Cron|Downgrade) done\./.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  return sent.map(({ to, lines }) => ({ to, text: lines.join("\n").trim() }));
+}
+
+describe("cron-reminders con reloj congelado", { skip: SKIP }, () => {
+  let db;
+  const phones = {
+    trialExpired: "whatsapp:+5215533330001",
+    trialActive: "whatsapp:+5215533330002",
+    stripeLapsed: "whatsapp:+5215533330003",
+    stripeGrace: "whatsapp:+5215533330004",
+    withDebts: "whatsapp:+5215533330005",
+    debtor: "whatsapp:+5215599990001",
+  };
+
+  before(async () => {
+    db = await createTestDatabase();
+
+    // Fechas relativas a TODAY, no al reloj real: con now() de Postgres todas estarían vencidas
+    await seedUser(db, phones.trialExpired, { plan: "pro", pro_source: "trial", pro_until: "2026-03-09T12:00:00Z" });
+    await seedUser(db, phones.trialActive, { plan: "pro", pro_source: "trial", pro_until: "2026-03-20T12:00:00Z" });
+    await seedUser(db, phones.stripeLapsed, {
+      plan: "pro",
+      pro_source: "stripe",
+      stripe_status: "past_due",
+      stripe_current_period_end: "2026-03-01T00:00:00Z",
+    });
+    await seedUser(db, phones.stripeGrace, {
+      plan: "pro",
+      pro_source: "stripe",
+      stripe_status: "past_due",
+      stripe_current_period_end: "2026-03-15T00:00:00Z",
+    });
+
+    const owner = await seedUser(db, phones.withDebts);
+    await db.query(
+      `insert into debts (user_id, client_name, amount_due, due_text, since_date, created_at)
+       values ($1, 'Pepe', 9500, 'enero', '2026-01-10', '2026-01-10T18:00:00Z'),
+              ($1, 'Juan', 3000, null, null, '2026-03-05T18:00:00Z')`,
+      [owner.id]
+    );
+    await db.query(
+      `insert into scheduled_reminders (user_id, client_name, to_phone, tone, amount, message, send_at)
+       values ($1, 'Pepe', $2, 'amable', 9500, 'Hola Pepe, te recuerdo tu saldo pendiente.', '2026-03-10T14:00:00Z'),
+              ($1, 'Pepe', $2, 'amable', 9500, 'Recordatorio del jueves', '2026-03-12T16:00:00Z')`,
+      [owner.id, phones.debtor]
+    );
+  });
+
+  after(async () => {
+    await db?.drop();
+  });
+
+  async function plan(phone) {
+    const { rows } = await db.query(`select plan from users where phone = $1`, [phone]);
+    return rows[0].plan;
+  }
+
+  it("baja a gratis solo lo vencido a la fecha del cron y avisa", async () => {
+    const sent = await runCron(db.url, TODAY);
+
+    assert.equal(await plan(phones.trialExpired), "free");
+    assert.equal(await plan(phones.trialActive), "pro");
+    assert.equal(await plan(phones.stripeLapsed), "free");
+    assert.equal(await plan(phones.stripeGrace), "pro");
+
+    assert.match(sent.find((m) => m.to === phones.trialExpired).text, /Tu prueba de \*FlowSense Pro\* terminó/);
+    assert.match(sent.find((m) => m.to === phones.stripeLapsed).text, /ya no está activa/);
+    assert.equal(sent.filter((m) => m.to === phones.trialActive || m.to === phones.stripeGrace).length, 0);
+
+    // Recordatorio programado: sale el que ya tocaba, el del jueves sigue en cola
+    const toDebtor = sent.filter((m) => m.to === phones.debtor);
+    assert.equal(toDebtor.length, 1);
+    assert.match(toDebtor[0].text, /^Hola Pepe 👋\nTe escribo para recordarte un pago pendiente/);
+    assert.match(toDebtor[0].text, /Monto pendiente: \$9,500\.00$/);
+    const { rows: scheduled } = await db.query(`select status from scheduled_reminders order by send_at`);
+    assert.deepEqual(scheduled.map((r) => r.status), ["sent", "queued"]);
+
+    // Resumen del día con antigüedad calculada contra el reloj congelado
+    const summary = sent.find((m) => m.to === phones.withDebts).text;
+    assert.match(summary, /Resumen de cobranza — 2026-03-10/);
+    assert.match(summary, /Pendientes: \*2\* · Total: \*\$12,500\.00\*/);
+    assert.match(summary, /1\) Pepe: \$9,500\.00 \(desde enero\) · 59 días/);
+    assert.match(summary, /2\) Juan: \$3,000\.00 · 5 días/);
+
+    const { rows: notes } = await db.query(`select dedupe_key from notifications where type = 'daily_summary' and phone = $1`, [
+      phones.withDebts,
+    ]);
+    assert.deepEqual(notes, [{ dedupe_key: "2026-03-10" }]);
+  });
+
+  it("no repite nada si vuelve a correr el mismo día", async () => {
+    const sent = await runCron(db.url, TODAY);
+    assert.deepEqual(sent, []);
+  });
+
+  it("al día siguiente manda el nuevo resumen", async () => {
+    const sent = await runCron(db.url, TOMORROW);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, phones.withDebts);
+    assert.match(sent[0].text, /Resumen de cobranza — 2026-03-11/);
+    assert.match(sent[0].text, /Pepe: \$9,500\.00 \(desde enero\) · 60 días/);
+  });
+});
+
+describe("recordatorio programado con Stripe conectado", { skip: SKIP }, () => {
+  let db;
+  const owner = "whatsapp:+5215533330101";
+  const debtor = "whatsapp:+5215599990101";
+  // Lo mínimo para que paylinks.js cree links (el cron no llama a Stripe)
+  const connectEnv = { STRIPE_SECRET_KEY: "sk_test_cron", STRIPE_CONNECT_WEBHOOK_SECRET: "whsec_test_connect", PUBLIC_BASE_URL: "https://bot.test" };
+
+  before(async () => {
+    db = await createTestDatabase();
+    const user = await seedUser(db, owner, { stripe_account_id: "acct_test_cron", stripe_charges_enabled: true });
+    await db.query(`insert into debts (user_id, client_name, amount_due, currency) values ($1, 'Pepe', 9500, 'MXN')`, [user.id]);
+    // Programado con más de PAY_LINK_TTL_DAYS de anticipación: el link no puede venir de cuando se programó
+    await db.query(
+      `insert into scheduled_reminders (user_id, client_name, to_phone, tone, amount, currency, message, send_at, created_at)
+       values ($1, 'Pepe', $2, 'amable', 9500, 'MXN', 'Hola Pepe, te recuerdo tu saldo pendiente.', '2026-03-10T14:00:00Z', '2026-01-01T00:00:00Z')`,
+      [user.id, debtor]
+    );
+  });
+
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("crea el link de pago al despacharlo", async () => {
+    const sent = await runCron(db.url, TODAY, connectEnv);
+    const reminder = sent.find((m) => m.to === debtor).text;
+    assert.match(reminder, /Puedes pagar aquí con tarjeta:\nhttps:\/\/bot\.test\/pagar\/[\w-]+$/);
+
+    const { rows } = await db.query(`select currency, expires_at from payment_links`);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].currency, "MXN");
+    assert.ok(rows[0].expires_at > new Date());
+  });
+});
+
+describe("recordatorio programado para un nombre con otro acento", { skip: SKIP }, () => {
+  let db;
+  const owner = "whatsapp:+5215533330301";
+  const debtor = "whatsapp:+5215599990301";
+
+  before(async () => {
+    db = await createTestDatabase();
+    const user = await seedUser(db, owner);
+    // La API y las importaciones guardan el nombre tal como lo escribieron
+    await db.query(`insert into debts (user_id, client_name, amount_due, currency) values ($1, 'Pepé', 800, 'MXN')`, [user.id]);
+    await db.query(
+      `insert into scheduled_reminders (user_id, client_name, to_phone, tone, amount, currency, message, send_at)
+       values ($1, 'Pepe', $2, 'amable', 800, 'MXN', 'Hola Pepe.', '2026-03-10T14:00:00Z')`,
+      [user.id, debtor]
+    );
+  });
+
+  after(async () => {
+    await db?.drop();
+  });
+
+  it("encuentra el saldo y lo manda", async () => {
+    const sent = await runCron(db.url, TODAY);
+    const toDebtor = sent.filter((m) => m.to === debtor);
+    assert.equal(toDebtor.length, 1);
+    assert.match(toDebtor[0].text, /Monto pendiente: \$800\.00$/);
+  });
+});
+
+describe("recordatorio programado: saldo al enviarlo y reintentos", { skip: SKIP }, () => {
+  let db;
+  const owner = "whatsapp:+5215533330201";
+  const debtor = "whatsapp:+5215599990201";
+
+  before(async () => {
+    db = await createTestDatabase();
+    const user = await seedUser(db, owner);
+    const { rows } = await db.query(
+      `insert into debts (user_id, client_name, amount_due, currency) values ($1, 'Pepe', 9500, 'MXN') returning id`,
+      [user.id]
+    );
+    // Abonó después de programarlo: el mensaje guardado trae el saldo viejo
+    await db.query(`insert into payments (user_id, debt_id, client_name, amount, currency) values ($1, $2, 'Pepe', 2000, 'MXN')`, [
+      user.id,
+      rows[0].id,
+    ]);
+    await db.query(
+      `insert into scheduled_reminders (user_id, client_name, to_phone, tone, amount, currency, message, send_at)
+       values ($1, 'Pepe', $2, 'firme', 9500, 'MXN', 'Hola Pepe.\n\nMonto pendiente: $9,500.00', '2026-03-10T14:00:00Z')`,
+      [user.id, debtor]
+    );
+  });
+
+  after(async () => {
+    await db?.drop();
+  });
+
+  async function scheduled() {
+    const { rows } = await db.query(`select status, attempts, last_error from scheduled_reminders`);
+    return rows[0];
+  }
+
+  it("si el canal falla lo deja en cola y lo manda en la siguiente corrida con el saldo actual", async () => {
+    // Twilio sin credenciales: el envío falla
+    await runCron(db.url, TODAY, { CHANNEL: "twilio" });
+    assert.deepEqual(await scheduled(), { status: "queued", attempts: 1, last_error: "channel_not_configured" });
+
+    const sent = await runCron(db.url, TODAY);
+    const toDebtor = sent.filter((m) => m.to === debtor);
+    assert.equal(toDebtor.length, 1);
+    assert.match(toDebtor[0].text, /^Hola Pepe\.\nTe escribo para solicitar el pago pendiente/);
+    assert.match(toDebtor[0].text, /Monto pendiente: \$7,500\.00$/);
+    assert.equal((await scheduled()).status, "sent");
+
+    const { rows } = await db.query(`select amount::float as amount, status from reminders`);
+    assert.deepEqual(rows, [{ amount: 7500, status: "sent" }]);
+  });
+
+  it("deja de intentar después de SCHEDULED_REMINDER_MAX_ATTEMPTS", async () => {
+    await db.query(`update scheduled_reminders set status = 'queued', attempts = 0`);
+    await db.query(`delete from notifications where type = 'scheduled_reminder'`);
+
+    await runCron(db.url, TODAY, { CHANNEL: "twilio", SCHEDULED_REMINDER_MAX_ATTEMPTS: "2" });
+    await runCron(db.url, TODAY, { CHANNEL: "twilio", SCHEDULED_REMINDER_MAX_ATTEMPTS: "2" });
+    assert.deepEqual(await scheduled(), { status: "failed", attempts: 2, last_error: "channel_not_configured" });
+  });
+});
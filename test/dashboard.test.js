@@ -0,0 +1,99 @@
+// Panel web (/panel): link mágico de PANEL, sesión por cookie y páginas de solo lectura
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SKIP, createTestDatabase, startApp, seedUser } = require("./helpers/harness");
+
+describe("panel web", { skip: SKIP }, () => {
+  let db;
+  let bot;
+
+  before(async () => {
+    db = await createTestDatabase();
+    bot = await startApp({ databaseUrl: db.url });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await db?.drop();
+  });
+
+  // El link llega como https://bot.test/panel/entrar/<token>; se abre contra la app local
+  async function panelLink(from) {
+    const r = await bot.whatsapp("PANEL", { from });
+    assert.match(r.replies[0], /Tu panel de CobranzaBot/);
+    const url = r.replies[0].match(/https:\/\/bot\.test(\/panel\/entrar\/[\w-]+)/);
+    assert.ok(url, r.replies[0]);
+    return url[1];
+  }
+
+  async function login(from) {
+    const path = await panelLink(from);
+    const res = await fetch(`${bot.base}${path}`, { method: "POST", redirect: "manual" });
+    assert.equal(res.status, 303);
+    return res.headers.get("set-cookie").split(";")[0];
+  }
+
+  it("entra con el link de un solo uso y muestra resumen, deudores e historial", async () => {
+    const from = "whatsapp:+5215511120001";
+    await seedUser(db, from, { business_name: "Abarrotes Lupita" });
+    await bot.whatsapp("Pepe me debe 9500 desde agosto", { from });
+    await bot.whatsapp("Juan me debe 3000", { from });
+    await bot.whatsapp("Pepe me abonó 500", { from });
+
+    const path = await panelLink(from);
+
+    // Abrir el link (vista previa, antivirus) no lo gasta
+    let res = await fetch(`${bot.base}${path}`);
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /<form method="post"/);
+
+    res = await fetch(`${bot.base}${path}`, { method: "POST", redirect: "manual" });
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.get("location"), "/panel");
+    const setCookie = res.headers.get("set-cookie");
+    assert.match(setCookie, /^cb_panel=[\w-]+; Path=\/panel; HttpOnly; SameSite=Lax/);
+    const cookie = setCookie.split(";")[0];
+
+    res = await fetch(`${bot.base}${path}`, { method: "POST", redirect: "manual" });
+    assert.equal(res.status, 410);
+
+    res = await fetch(`${bot.base}/panel`, { headers: { cookie } });
+    assert.equal(res.status, 200);
+    let html = await res.text();
+    assert.match(html, /Abarrotes Lupita/);
+    assert.match(html, /Te deben<b>\$12,000\.00<\/b>/);
+    assert.match(html, /Cobrado en [a-z]+<b>\$500\.00<\/b>/);
+
+    res = await fetch(`${bot.base}/panel/deudores?q=pep`, { headers: { cookie } });
+    html = await res.text();
+    assert.match(html, /1 de 2 deudores/);
+    assert.match(html, /<a href="\/panel\/cliente\?nombre=Pepe">Pepe<\/a>/);
+    assert.doesNotMatch(html, />Juan</);
+
+    res = await fetch(`${bot.base}/panel/cliente?nombre=Pepe`, { headers: { cookie } });
+    html = await res.text();
+    assert.match(html, /Saldo pendiente<b>\$9,000\.00<\/b>/);
+    assert.match(html, /Abono/);
+  });
+
+  it("cada usuario solo ve lo suyo y sin sesión no hay panel", async () => {
+    const owner = "whatsapp:+5215511120002";
+    const other = "whatsapp:+5215511120003";
+    await seedUser(db, owner);
+    await seedUser(db, other);
+    await bot.whatsapp("Rosa me debe 700", { from: owner });
+
+    let res = await fetch(`${bot.base}/panel`);
+    assert.equal(res.status, 401);
+
+    const cookie = await login(other);
+    res = await fetch(`${bot.base}/panel/cliente?nombre=Rosa`, { headers: { cookie } });
+    assert.equal(res.status, 404);
+
+    res = await fetch(`${bot.base}/panel/salir`, { method: "POST", headers: { cookie } });
+    assert.match(res.headers.get("set-cookie"), /Max-Age=0/);
+    res = await fetch(`${bot.base}/panel`, { headers: { cookie } });
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,76 @@
+// dates.js: fechas en español ("mañana a las 5", "desde agosto") en la hora local del usuario. Sin base.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveWhen, parsePastDate, parseDebtDates, debtAge } = require("../dates");
+
+// Miércoles 4 de marzo de 2026, 12:00 en Ciudad de México
+const now = new Date("2026-03-04T18:00:00Z");
+const timeZone = "America/Mexico_City";
+
+function when(text) {
+  return resolveWhen(text, { now, timeZone })?.sendAt.toISOString() ?? null;
+}
+
+describe("resolveWhen (recordatorios programados)", () => {
+  it("días relativos a las 10:00 locales si no dice hora", () => {
+    assert.equal(when("mañana"), "2026-03-05T16:00:00.000Z");
+    assert.equal(when("pasado mañana"), "2026-03-06T16:00:00.000Z");
+    assert.equal(when("en 3 días"), "2026-03-07T16:00:00.000Z");
+    assert.equal(when("en 2 semanas"), "2026-03-18T16:00:00.000Z");
+  });
+
+  it("día de la semana, día del mes y fin de mes", () => {
+    assert.equal(when("el viernes"), "2026-03-06T16:00:00.000Z");
+    assert.equal(when("el próximo lunes"), "2026-03-09T16:00:00.000Z");
+    assert.equal(when("el 15"), "2026-03-15T16:00:00.000Z");
+    assert.equal(when("el 15 de marzo"), "2026-03-15T16:00:00.000Z");
+    // El 2 ya pasó este mes: es el del siguiente
+    assert.equal(when("el 2"), "2026-04-02T16:00:00.000Z");
+    assert.equal(when("fin de mes"), "2026-03-31T16:00:00.000Z");
+  });
+
+  it("con hora o en horas", () => {
+    assert.equal(when("mañana a las 5"), "2026-03-05T23:00:00.000Z");
+    assert.equal(when("el viernes 10am"), "2026-03-06T16:00:00.000Z");
+    assert.equal(when("en 2 horas"), "2026-03-04T20:00:00.000Z");
+  });
+
+  it("una hora fuera de rango no se manda a la hora por defecto", () => {
+    assert.equal(when("mañana a las 25"), null);
+    assert.equal(when("el viernes a las 10:75"), null);
+    assert.equal(when("mañana 25pm"), null);
+  });
+
+  it("devuelve el texto original y null si no lo entiende", () => {
+    assert.deepEqual(resolveWhen("mañana", { now, timeZone }).text, "mañana");
+    assert.equal(when("cuando pueda"), null);
+    assert.equal(when("ayer"), null);
+  });
+});
+
+describe("parsePastDate y parseDebtDates (desde cuándo se debe)", () => {
+  it("mes, fecha y expresiones relativas hacia atrás", () => {
+    assert.deepEqual(parsePastDate("agosto", { now, timeZone }), { year: 2025, month: 8, day: 1 });
+    assert.deepEqual(parsePastDate("marzo", { now, timeZone }), { year: 2026, month: 3, day: 1 });
+    assert.deepEqual(parsePastDate("hace 2 semanas", { now, timeZone }), { year: 2026, month: 2, day: 18 });
+    assert.deepEqual(parsePastDate("ayer", { now, timeZone }), { year: 2026, month: 3, day: 3 });
+    assert.deepEqual(parsePastDate("el 3 de febrero", { now, timeZone }), { year: 2026, month: 2, day: 3 });
+  });
+
+  it("una fecha sin año que todavía no llega es del año pasado", () => {
+    assert.deepEqual(parsePastDate("15/03", { now, timeZone }), { year: 2025, month: 3, day: 15 });
+    assert.equal(parsePastDate("1503", { now, timeZone }), null);
+  });
+
+  it("desde y vencimiento juntos como YYYY-MM-DD", () => {
+    assert.deepEqual(parseDebtDates({ sinceText: "agosto", dueText: "el viernes", recordedAt: now, timeZone }), {
+      since_date: "2025-08-01",
+      due_date: "2026-03-06",
+    });
+  });
+
+  it("la antigüedad cuenta desde since_date y cae en su rango", () => {
+    assert.deepEqual(debtAge({ since_date: "2025-12-01", created_at: now }, { now, timeZone }), { days: 93, dueInDays: 0, bucket: "90+" });
+  });
+});
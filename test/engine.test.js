@@ -0,0 +1,267 @@
+// Motor de conversación (engine.js): flujos, transiciones, expiración y flujos que se abandonan con otro comando.
+// La primera parte usa el motor solo (sin base); la segunda, conversation.js con handleMessage(user, text).
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createEngine, DEFAULT_FLOW_TIMEOUT_MS } = require("../engine");
+const { SKIP, createTestDatabase, startConversation, seedUser } = require("./helpers/harness");
+
+// Motor con el estado en memoria (en vez de users.pending_action/pending_payload) y reloj manual
+function testEngine(options = {}) {
+  const clock = { ms: Date.parse("2026-03-01T12:00:00Z") };
+  const metrics = [];
+  const user = { id: 1, phone: "whatsapp:+5215500000001", pending_action: null, pending_payload: null };
+
+  const engine = createEngine({
+    parse: (ctx) => ({ intent: ctx.body.startsWith("/") ? ctx.body.slice(1) : "echo" }),
+    saveState: (ctx, { action, payload, patch }) => Object.assign(user, patch, { pending_action: action, pending_payload: payload }),
+    isNewCommand: (text) => text.startsWith("/"),
+    fallback: (ctx) => ctx.reply(`no entendí: ${ctx.body}`),
+    metric: (event, data) => metrics.push({ event, ...data }),
+    now: () => clock.ms,
+    ...options,
+  });
+  engine.registerIntent("echo", (ctx) => ctx.reply(`eco: ${ctx.body}`));
+
+  return { engine, user, clock, metrics, say: (text) => engine.handleMessage({ ...user }, text) };
+}
+
+// Pedido de dos pasos: producto -> cantidad
+function registerOrderFlow(engine, flow = {}) {
+  engine.registerFlow({
+    name: "order",
+    start: ["order_item"],
+    states: {
+      order_item: {
+        next: ["order_qty"],
+        async handle(ctx, payload) {
+          await ctx.goto("order_qty", { ...payload, item: ctx.body });
+          ctx.reply(`¿Cuántos ${ctx.body}?`);
+        },
+      },
+      order_qty: {
+        async handle(ctx, payload) {
+          await ctx.endFlow();
+          ctx.reply(`Listo: ${ctx.body} ${payload.item}`);
+        },
+      },
+    },
+    ...flow,
+  });
+  engine.registerIntent("pedido", async (ctx) => {
+    await ctx.goto("order_item", {});
+    ctx.reply("¿Qué producto?");
+  });
+}
+
+describe("motor de conversación", () => {
+  it("sin flujo manda el texto al intent que devuelve parse", async () => {
+    const t = testEngine();
+    assert.deepEqual(await t.say("hola"), ["eco: hola"]);
+    assert.deepEqual(await t.say("/nada"), ["no entendí: /nada"]);
+    assert.equal(t.metrics.filter((m) => m.event === "RESPONSE_SENT").length, 2);
+  });
+
+  it("avanza por los estados del flujo y lo cierra", async () => {
+    const t = testEngine();
+    registerOrderFlow(t.engine);
+
+    assert.deepEqual(await t.say("/pedido"), ["¿Qué producto?"]);
+    assert.equal(t.user.pending_action, "order_item");
+    assert.deepEqual(await t.say("tacos"), ["¿Cuántos tacos?"]);
+    assert.equal(t.user.pending_action, "order_qty");
+    assert.equal(t.user.pending_payload.item, "tacos");
+    assert.equal(t.user.pending_payload.state_at, new Date(t.clock.ms).toISOString());
+
+    assert.deepEqual(await t.say("3"), ["Listo: 3 tacos"]);
+    assert.equal(t.user.pending_action, null);
+    assert.deepEqual(await t.say("3"), ["eco: 3"]);
+  });
+
+  it("rechaza transiciones que el flujo no declaró", async () => {
+    const t = testEngine();
+    registerOrderFlow(t.engine);
+    t.engine.registerIntent("salto", (ctx) => ctx.goto("order_qty", {}));
+
+    // order_qty no es estado inicial
+    await assert.rejects(t.say("/salto"), /order_qty no es un estado inicial de order/);
+
+    // Ni se pasa a un estado que no está en `next`
+    t.engine.registerFlow({
+      name: "back",
+      start: ["back_a"],
+      states: {
+        back_a: { next: ["back_b"], handle: (ctx) => ctx.goto("back_b") },
+        back_b: { handle: (ctx) => ctx.goto("back_a") },
+      },
+    });
+    t.engine.registerIntent("back", (ctx) => ctx.goto("back_a"));
+    await t.say("/back");
+    await t.say("x");
+    assert.equal(t.user.pending_action, "back_b");
+    await assert.rejects(t.say("y"), /Transición no declarada: back_b -> back_a/);
+  });
+
+  it("valida los flujos e intents al registrarlos", () => {
+    const { engine } = testEngine();
+    registerOrderFlow(engine);
+    assert.throws(() => registerOrderFlow(engine), /Flujo duplicado: order/);
+    assert.throws(() => engine.registerIntent("echo", () => {}), /Intent duplicado: echo/);
+    assert.throws(
+      () => engine.registerFlow({ name: "x", start: ["x1"], states: { x1: { next: ["x9"], handle() {} } } }),
+      /Transición a estado desconocido en x: x9/
+    );
+    assert.throws(() => engine.registerFlow({ name: "y", start: ["y0"], states: { y1: { handle() {} } } }), /Estado inicial desconocido/);
+    assert.throws(() => engine.registerFlow({ name: "z", states: { z1: {} } }), /Estado sin handler: z1/);
+  });
+
+  it("un flujo vencido se suelta y el mensaje se procesa normal", async () => {
+    const t = testEngine();
+    registerOrderFlow(t.engine, { timeoutMs: 10 * 60 * 1000 });
+
+    await t.say("/pedido");
+    t.clock.ms += 9 * 60 * 1000;
+    assert.deepEqual(await t.say("tacos"), ["¿Cuántos tacos?"]);
+
+    t.clock.ms += 11 * 60 * 1000;
+    assert.deepEqual(await t.say("3"), ["eco: 3"]);
+    assert.equal(t.user.pending_action, null);
+    assert.ok(t.metrics.some((m) => m.event === "FLOW_TIMEOUT" && m.flow === "order" && m.state === "order_qty"));
+  });
+
+  it("usa 30 minutos si el flujo no dice cuánto dura", async () => {
+    const t = testEngine();
+    registerOrderFlow(t.engine);
+    await t.say("/pedido");
+    t.clock.ms += DEFAULT_FLOW_TIMEOUT_MS + 1;
+    assert.deepEqual(await t.say("tacos"), ["eco: tacos"]);
+  });
+
+  it("otro comando abandona un flujo escapable pero no uno que no lo es", async () => {
+    const escapable = testEngine();
+    registerOrderFlow(escapable.engine, { escapable: true });
+    await escapable.say("/pedido");
+    assert.deepEqual(await escapable.say("/nada"), ["no entendí: /nada"]);
+    assert.equal(escapable.user.pending_action, null);
+    assert.ok(escapable.metrics.some((m) => m.event === "FLOW_ESCAPED" && m.flow === "order"));
+
+    const strict = testEngine();
+    registerOrderFlow(strict.engine);
+    await strict.say("/pedido");
+    assert.deepEqual(await strict.say("/nada"), ["¿Cuántos /nada?"]);
+    assert.equal(strict.user.pending_action, "order_qty");
+  });
+
+  it("continueWith sigue con el intent elegido dentro del flujo", async () => {
+    const t = testEngine();
+    t.engine.registerFlow({
+      name: "choose",
+      start: ["choose_one"],
+      states: {
+        choose_one: {
+          async handle(ctx, payload) {
+            await ctx.endFlow();
+            return { continueWith: { intent: payload.intent, pick: ctx.body } };
+          },
+        },
+      },
+    });
+    t.engine.registerIntent("elegir", (ctx) => ctx.goto("choose_one", { intent: "saludar" }));
+    t.engine.registerIntent("saludar", (ctx, parsed) => ctx.reply(`hola ${parsed.pick}`));
+
+    await t.say("/elegir");
+    assert.deepEqual(await t.say("Pepe"), ["hola Pepe"]);
+    assert.equal(t.user.pending_action, null);
+  });
+
+  it("los pasos previos y de intent pueden cortar el mensaje", async () => {
+    const t = testEngine({ formatReply: (text, { loud } = {}) => (loud ? text.toUpperCase() : text) });
+    t.engine.use("before", (ctx) => {
+      if (ctx.body !== "cancelar") return false;
+      ctx.reply("Cancelado ✅");
+      return true;
+    });
+    t.engine.registerIntent("pro", { billable: true }, (ctx) => ctx.reply("hecho"));
+    t.engine.use("intent", (ctx, entry) => {
+      if (!entry.options.billable) return false;
+      ctx.reply("límite alcanzado", { loud: true });
+      return true;
+    });
+
+    assert.deepEqual(await t.say("cancelar"), ["Cancelado ✅"]);
+    assert.deepEqual(await t.say("/pro"), ["LÍMITE ALCANZADO"]);
+    assert.deepEqual(await t.say("hola"), ["eco: hola"]);
+  });
+});
+
+describe("conversación con handleMessage (sin Express ni Twilio)", { skip: SKIP }, () => {
+  let db;
+  let chat;
+
+  before(async () => {
+    db = await createTestDatabase();
+    chat = startConversation({ databaseUrl: db.url });
+  });
+
+  after(async () => {
+    await chat?.stop();
+    await db?.drop();
+  });
+
+  async function pendingAction(phone) {
+    const { rows } = await db.query(`select pending_action from users where phone = $1`, [phone]);
+    return rows[0].pending_action;
+  }
+
+  it("recordatorio: tono -> teléfono -> vista previa -> envío", async () => {
+    const from = "whatsapp:+5215511160001";
+    await seedUser(db, from);
+    await chat.say(from, "Pepe me debe 9500");
+
+    await chat.say(from, "Manda recordatorio a Pepe");
+    assert.equal(await pendingAction(from), "remind_choose_tone");
+    await chat.say(from, "amable");
+    assert.equal(await pendingAction(from), "remind_ask_phone");
+    const preview = await chat.say(from, "5512345678");
+    assert.equal(await pendingAction(from), "remind_confirm");
+    assert.match(preview[0], /\$9,500\.00/);
+
+    await chat.say(from, "si");
+    assert.equal(await pendingAction(from), null);
+    const reminder = chat.sent.at(-1);
+    assert.equal(reminder.to, "whatsapp:+525512345678");
+    assert.match(reminder.text, /Pepe/);
+  });
+
+  it("otro comando a medio recordatorio lo abandona", async () => {
+    const from = "whatsapp:+5215511160002";
+    await seedUser(db, from);
+    await chat.say(from, "Pepe me debe 9500");
+    await chat.say(from, "Manda recordatorio a Pepe");
+
+    const replies = await chat.say(from, "Juan me debe 3000");
+    assert.match(replies[0], /Cliente: Juan/);
+    assert.equal(await pendingAction(from), null);
+  });
+
+  it("REPORTAR no se abandona con otro comando, pero vence a las 2 horas", async () => {
+    const from = "whatsapp:+5215511160003";
+    await seedUser(db, from);
+    await chat.say(from, "Pepe me debe 9500");
+
+    await chat.say(from, "REPORTAR");
+    assert.equal(await pendingAction(from), "support_collect");
+    await chat.say(from, "¿Quién me debe? no me sale la lista");
+    const { rows } = await db.query(`select message from support_tickets t join users u on u.id = t.user_id where u.phone = $1`, [from]);
+    assert.deepEqual(rows.map((r) => r.message), ["¿Quién me debe? no me sale la lista"]);
+
+    await chat.say(from, "REPORTAR");
+    await db.query(
+      `update users set pending_payload = pending_payload || jsonb_build_object('state_at', now() - interval '3 hours') where phone = $1`,
+      [from]
+    );
+    const replies = await chat.say(from, "¿Quién me debe?");
+    assert.match(replies[0], /Pepe: \$9,500\.00/);
+    assert.equal(await pendingAction(from), null);
+  });
+});
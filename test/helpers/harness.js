@@ -0,0 +1,326 @@
+// test/helpers/harness.js — Entorno desechable para las pruebas end-to-end
+//  - createTestDatabase(): base nueva en el Postgres de TEST_DATABASE_URL, con migrations/ aplicadas
+//  - startApp(): Stripe falso (HTTP) + la app de index.js en un puerto libre, con Twilio en modo firma real
+//  - whatsapp(): manda un mensaje firmado como Twilio y devuelve las respuestas del TwiML
+//    (con { media: "archivo.csv" } adjunta un archivo de test/fixtures/media)
+//  - stripeEvent(): manda un fixture de test/fixtures/stripe firmado como Stripe
+//    (con { connect: true }, con el secreto del endpoint de cuentas conectadas)
+//  - sent: lo que el bot mandó fuera del webhook (avisos de Stripe, recordatorios, archivos de EXPORTAR)
+//  - startConversation(): solo conversation.js, handleMessage(user, text) sin Express ni Twilio
+//
+// OpenAI no se llama: AI_MODE=replay con test/fixtures/ai-recordings.json (ver ai.js).
+//
+// Uso (el usuario debe poder crear bases; cada archivo de prueba crea y borra la suya):
+//   TEST_DATABASE_URL=postgres://postgres@localhost/postgres npm test
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { Client } = require("pg");
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || "";
+// Para `describe(..., { skip: SKIP })`: sin Postgres solo corren las pruebas que no usan la base
+// (dates, money, names, priority, importer, rules, engine, ai, firma de webhooks, evaluación de intents)
+const SKIP = TEST_DATABASE_URL ? false : "TEST_DATABASE_URL no está configurada";
+
+const TWILIO_AUTH_TOKEN = "test_twilio_token";
+const PUBLIC_BASE_URL = "https://bot.test";
+const STRIPE_WEBHOOK_SECRET = "whsec_test_secret";
+const STRIPE_CONNECT_WEBHOOK_SECRET = "whsec_test_connect_secret";
+
+// -------------------------
+// Base de datos desechable
+// -------------------------
+async function createTestDatabase() {
+  const name = `cobranzabot_test_${process.pid}_${Date.now()}`;
+  const admin = new Client({ connectionString: TEST_DATABASE_URL });
+  await admin.connect();
+  await admin.query(`CREATE DATABASE ${name}`);
+  await admin.end();
+
+  const url = new URL(TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+
+  const client = new Client({ connectionString: url.toString() });
+  await client.connect();
+  const { up } = require(path.join(ROOT, "migrate"));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await up(client);
+  } finally {
+    console.log = log;
+  }
+
+  return {
+    url: url.toString(),
+    query: (text, params) => client.query(text, params),
+    async drop() {
+      await client.end();
+      const a = new Client({ connectionString: TEST_DATABASE_URL });
+      await a.connect();
+      await a.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+      await a.end();
+    },
+  };
+}
+
+// -------------------------
+// Stripe falso: lo mínimo que usa index.js (checkout + subscriptions) y connect.js (accounts + account_links)
+// -------------------------
+function startFakeStripe() {
+  const subscriptions = new Map();
+  const accounts = new Map();
+  const requests = [];
+
+  function subscription(id) {
+    if (!subscriptions.has(id)) {
+      subscriptions.set(id, {
+        id,
+        object: "subscription",
+        status: "active",
+        current_period_end: Math.floor(Date.now() / 1000) + 30 * 86400,
+        metadata: {},
+      });
+    }
+    return subscriptions.get(id);
+  }
+
+  // metadata[phone]=... -> { metadata: { phone } }
+  function parseForm(raw) {
+    const out = {};
+    for (const [key, value] of new URLSearchParams(raw)) {
+      const m = key.match(/^(\w+)\[(\w+)\]$/);
+      if (m) out[m[1]] = { ...(out[m[1]] || {}), [m[2]]: value };
+      else out[key] = value;
+    }
+    return out;
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (d) => (raw += d));
+    req.on("end", () => {
+      const body = parseForm(raw);
+      requests.push({ method: req.method, path: req.url, body, account: req.headers["stripe-account"] || null });
+      const send = (status, json) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+
+      const sub = req.url.match(/^\/v1\/subscriptions\/([\w-]+)/);
+      if (sub && req.method === "GET") return send(200, subscription(sub[1]));
+      if (sub && req.method === "POST") {
+        const s = subscription(sub[1]);
+        Object.assign(s.metadata, body.metadata || {});
+        return send(200, s);
+      }
+      const account = req.url.match(/^\/v1\/accounts\/([\w-]+)/);
+      if (account && req.method === "GET") return send(200, accounts.get(account[1]) || { id: account[1], object: "account", charges_enabled: false });
+      if (req.url === "/v1/accounts" && req.method === "POST") {
+        const id = `acct_test_${requests.length}`;
+        accounts.set(id, { id, object: "account", charges_enabled: false, metadata: body.metadata || {} });
+        return send(200, accounts.get(id));
+      }
+      if (req.url === "/v1/account_links" && req.method === "POST") {
+        return send(200, { object: "account_link", url: `https://connect.stripe.test/setup/${body.account}` });
+      }
+      if (req.url.startsWith("/v1/checkout/sessions") && req.method === "POST") {
+        const id = `cs_test_${requests.length}`;
+        return send(200, { id, object: "checkout.session", url: `https://checkout.stripe.test/${id}`, metadata: body.metadata || {} });
+      }
+      return send(404, { error: { type: "invalid_request_error", message: `Fake Stripe: ${req.method} ${req.url}` } });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, subscriptions, subscription, accounts, requests, server });
+    });
+  });
+}
+
+// -------------------------
+// App completa
+// -------------------------
+async function startApp({ databaseUrl }) {
+  const stripeApi = await startFakeStripe();
+
+  // index.js lee la configuración al cargarse
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    DATABASE_URL: databaseUrl,
+    DATABASE_SSL: "false",
+    CHANNEL: "twilio",
+    TWILIO_AUTH_TOKEN,
+    PUBLIC_BASE_URL,
+    STRIPE_SECRET_KEY: "sk_test_fake",
+    STRIPE_WEBHOOK_SECRET,
+    STRIPE_CONNECT_WEBHOOK_SECRET,
+    STRIPE_PRICE_MONTHLY: "price_test_monthly",
+    STRIPE_PRICE_ANNUAL: "price_test_annual",
+    STRIPE_API_URL: stripeApi.url,
+    EXPORT_SIGNING_SECRET: "test_export_secret",
+    AI_MODE: "replay",
+    AI_RECORDINGS_FILE: path.join(FIXTURES, "ai-recordings.json"),
+  });
+  delete process.env.TWILIO_ACCOUNT_SID;
+  delete process.env.ADMIN_PHONES;
+
+  const { app } = require(path.join(ROOT, "index"));
+  const { getChannel } = require(path.join(ROOT, "channels"));
+  const { pool } = require(path.join(ROOT, "db"));
+  const twilio = require("twilio");
+
+  // Twilio falso para lo que sale fuera del TwiML
+  const sent = [];
+  getChannel().send = async (to, text) => {
+    sent.push({ to, text });
+    return `SM${crypto.randomBytes(16).toString("hex")}`;
+  };
+  getChannel().sendMedia = async (to, media) => {
+    sent.push({ to, text: media.caption, media });
+    return `MM${crypto.randomBytes(16).toString("hex")}`;
+  };
+  // Los MediaUrl apuntan a test/fixtures/media en vez de a api.twilio.com
+  getChannel().downloadMedia = async (media) => {
+    const filename = path.basename(new URL(media.url).pathname);
+    return { buffer: fs.readFileSync(path.join(FIXTURES, "media", filename)), contentType: media.contentType, filename };
+  };
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function whatsapp(text, { from = "whatsapp:+5215500000001", messageSid, media, contentType = "text/csv" } = {}) {
+    const params = {
+      MessageSid: messageSid || `SM${crypto.randomBytes(16).toString("hex")}`,
+      AccountSid: "ACtest",
+      From: from,
+      To: "whatsapp:+14155238886",
+      Body: text,
+      NumMedia: media ? "1" : "0",
+    };
+    if (media) {
+      params.MediaUrl0 = `https://api.twilio.test/media/${media}`;
+      params.MediaContentType0 = contentType;
+    }
+    const signature = twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, `${PUBLIC_BASE_URL}/webhook/whatsapp`, params);
+    const res = await fetch(`${base}/webhook/whatsapp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": signature },
+      body: new URLSearchParams(params).toString(),
+    });
+    const xml = await res.text();
+    return { status: res.status, xml, replies: twimlMessages(xml), messageSid: params.MessageSid };
+  }
+
+  async function stripeEvent(event, { connect = false, secret = connect ? STRIPE_CONNECT_WEBHOOK_SECRET : STRIPE_WEBHOOK_SECRET } = {}) {
+    const payload = JSON.stringify(event);
+    const res = await fetch(`${base}/webhook/stripe`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Stripe-Signature": stripeSignature(payload, secret) },
+      body: payload,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (_) {}
+    return { status: res.status, json, text };
+  }
+
+  async function stop() {
+    await new Promise((r) => server.close(r));
+    await new Promise((r) => stripeApi.server.close(r));
+    await pool.end();
+  }
+
+  return { base, sent, stripeApi, whatsapp, stripeEvent, stop };
+}
+
+// -------------------------
+// Firmas y fixtures
+// -------------------------
+function stripeSignature(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+function twimlMessages(xml) {
+  const decode = (s) =>
+    s
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  return [...String(xml).matchAll(/<Message>([\s\S]*?)<\/Message>/g)].map((m) => decode(m[1]));
+}
+
+// Fixture de test/fixtures/stripe con {{phone}}, {{event_id}}, etc. reemplazados
+function stripeFixture(name, vars = {}) {
+  const raw = fs.readFileSync(path.join(FIXTURES, "stripe", `${name}.json`), "utf8");
+  const all = { event_id: `evt_test_${crypto.randomBytes(8).toString("hex")}`, now: Math.floor(Date.now() / 1000), ...vars };
+  // "{{x}}" se reemplaza por el valor JSON (string o número); {{x}} suelto, por el texto tal cual
+  const filled = raw.replace(/"\{\{(\w+)\}\}"|\{\{(\w+)\}\}/g, (_m, quoted, bare) => {
+    const key = quoted || bare;
+    if (!(key in all)) throw new Error(`Fixture ${name}: falta {{${key}}}`);
+    return quoted ? JSON.stringify(all[key]) : String(all[key]);
+  });
+  return JSON.parse(filled);
+}
+
+// -------------------------
+// Solo el motor de conversación: handleMessage(user, text) -> replies[], con sendMessage falso
+// (env cambia la configuración, p. ej. { AI_MODE: "live", AI_PROVIDER } con un proveedor de prueba)
+// -------------------------
+function startConversation({ databaseUrl, env = {} }) {
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    DATABASE_URL: databaseUrl,
+    DATABASE_SSL: "false",
+    AI_MODE: "replay",
+    AI_RECORDINGS_FILE: path.join(FIXTURES, "ai-recordings.json"),
+    ...env,
+  });
+
+  const { createConversation } = require(path.join(ROOT, "conversation"));
+  const { pool, getOrCreateUser } = require(path.join(ROOT, "db"));
+
+  const sent = [];
+  const conversation = createConversation({
+    sendMessage: async (to, text) => {
+      sent.push({ to, text });
+      return `SM${crypto.randomBytes(16).toString("hex")}`;
+    },
+  });
+
+  return {
+    sent,
+    // Como index.js: el usuario se lee de la base en cada mensaje (ahí vive el estado del flujo)
+    async say(phone, text) {
+      const user = await getOrCreateUser(phone);
+      return conversation.handleMessage(user, text, { reqId: "test" });
+    },
+    stop: () => pool.end(),
+  };
+}
+
+// Usuario que ya vio el onboarding (para que el primer mensaje no se lo coma la bienvenida)
+async function seedUser(db, phone, patch = {}) {
+  const cols = { phone, seen_onboarding: true, ...patch };
+  const keys = Object.keys(cols);
+  const { rows } = await db.query(
+    `INSERT INTO users (${keys.join(", ")}) VALUES (${keys.map((_, i) => `$${i + 1}`).join(", ")}) RETURNING *`,
+    keys.map((k) => cols[k])
+  );
+  return rows[0];
+}
+
+module.exports = { SKIP, ROOT, createTestDatabase, startApp, startConversation, stripeFixture, stripeSignature, seedUser };
@@ -0,0 +1,74 @@
+// importer.js: lectura del CSV/Excel adjunto, detección de columnas y duplicados. Sin base.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { readTable, parseImport, markDuplicates, describeColumns } = require("../importer");
+
+const DEUDORES = fs.readFileSync(path.join(__dirname, "fixtures", "media", "deudores.csv"));
+
+describe("importación de archivos", () => {
+  it("lee el CSV con encabezados y reporta las filas con errores", () => {
+    const { rows } = readTable(DEUDORES, { contentType: "text/csv", filename: "deudores.csv" });
+    const parsed = parseImport(rows);
+
+    assert.deepEqual(parsed.columns, { name: 0, phone: 1, amount: 2, date: 3 });
+    assert.equal(describeColumns(rows, parsed), "Nombre → cliente · Teléfono → teléfono · Monto → monto · Desde → fecha");
+    assert.deepEqual(
+      parsed.items.map((it) => [it.row, it.name, it.phone, it.amount, it.sinceDate]),
+      [
+        [2, "Pepe", null, 9500, null],
+        [3, "Ana López", "whatsapp:+525512345678", 1200, "2026-01-15"],
+        [5, "Chuy", "whatsapp:+525598765432", 300, null],
+      ]
+    );
+    assert.deepEqual(parsed.errors, [{ row: 4, reason: 'monto "abc" no válido' }]);
+  });
+
+  it("sin encabezados adivina las columnas por contenido (y la moneda del monto)", () => {
+    const { rows } = readTable(Buffer.from("Pepe;5512345678;300 dólares\nJuan;;1,500\n"));
+    const parsed = parseImport(rows);
+    assert.equal(parsed.headerRow, -1);
+    assert.deepEqual(
+      parsed.items.map((it) => [it.name, it.phone, it.amount, it.currency]),
+      [
+        ["Pepe", "whatsapp:+525512345678", 300, "USD"],
+        ["Juan", null, 1500, null],
+      ]
+    );
+  });
+
+  it("entiende comillas del CSV y archivos guardados en Windows-1252", () => {
+    assert.deepEqual(readTable(Buffer.from('a,"b ""c"", d"\r\n1,2')).rows, [
+      ["a", 'b "c", d'],
+      ["1", "2"],
+    ]);
+    assert.deepEqual(readTable(Buffer.from("Nombre,Monto\nJos\xe9,100\n", "latin1")).rows, [
+      ["Nombre", "Monto"],
+      ["José", "100"],
+    ]);
+  });
+
+  it("rechaza lo que no es una lista", () => {
+    assert.deepEqual(readTable(Buffer.alloc(0)), { error: "empty" });
+    assert.deepEqual(readTable(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0])), { error: "legacy_xls" });
+    assert.deepEqual(readTable(Buffer.from("x"), { contentType: "image/jpeg" }), { error: "unsupported" });
+    assert.equal(parseImport([["Cliente", "Notas"], ["Pepe", "x"]]).missingColumns, true);
+  });
+
+  it("marca como duplicadas las deudas ya registradas o repetidas en el archivo", () => {
+    const items = [
+      { name: "Pepé", amount: 9500, currency: null },
+      { name: "Ana", amount: 1200, currency: null },
+      { name: "ana", amount: 1200, currency: null },
+      { name: "Ana", amount: 1200, currency: "USD" },
+      { name: "Chuy", amount: null },
+    ];
+    const pending = [{ client_name: "pepe", amount_due: "9500.00", currency: "MXN" }];
+    assert.deepEqual(
+      markDuplicates(items, pending, { currency: "MXN" }).map((it) => it.duplicate),
+      [true, false, true, false, false]
+    );
+  });
+});
@@ -0,0 +1,32 @@
+// Corpus de intents (fixtures/intent-eval.jsonl) contra la línea base: ninguna frase que salía bien puede dejar de salir.
+// Si el cambio es a propósito (o mejora), actualiza la línea base con `npm run eval:baseline`.
+process.env.AI_MODE = "replay";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runEval, diffBaseline, loadBaseline } = require("../eval-intents");
+
+describe("evaluación de intents", () => {
+  it("no hay regresiones contra la línea base", async () => {
+    const baseline = loadBaseline();
+    assert.ok(baseline, "falta fixtures/intent-eval-baseline.json");
+
+    const diff = diffBaseline(await runEval(), baseline);
+    for (const [parser, d] of Object.entries(diff)) {
+      assert.deepEqual(
+        d.regressions.map((r) => `${r.text} (${r.wrong.join(", ")})`),
+        [],
+        `${parser}: frases que antes salían bien`
+      );
+    }
+  });
+
+  it("cuenta las frases que no tienen grabación (las contesta el parser por reglas)", async () => {
+    const report = await runEval([
+      { text: "¿Quién me debe?", expected: { intent: "list_debts" } },
+      { text: "Pepe me debe 300 del gas", expected: { intent: "add_debt" } },
+    ]);
+    assert.equal(report.replay_misses, 1);
+  });
+});
@@ -0,0 +1,72 @@
+// money.js y names.js: monedas, totales sin mezclar pesos con dólares y búsqueda de clientes por nombre. Sin base.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeCurrency, detectCurrency, formatMoney, totalsByCurrency, formatTotals } = require("../money");
+const { normalizeName, levenshtein, scoreName, matchClients } = require("../names");
+
+describe("monedas", () => {
+  it("reconoce códigos y palabras, con o sin acentos", () => {
+    assert.equal(normalizeCurrency("usd"), "USD");
+    assert.equal(normalizeCurrency("Dólares"), "USD");
+    assert.equal(normalizeCurrency("yen"), null);
+    assert.equal(normalizeCurrency(null), null);
+  });
+
+  it("detecta la moneda en el texto libre", () => {
+    assert.equal(detectCurrency("Pepe me debe 300 dólares"), "USD");
+    assert.equal(detectCurrency("USD 300"), "USD");
+    assert.equal(detectCurrency("me pagó 20 dlls"), "USD");
+    assert.equal(detectCurrency("300 pesos"), "MXN");
+    assert.equal(detectCurrency("Pepe me debe 300"), null);
+  });
+
+  // Intl separa el código de la cantidad con un espacio duro (U+00A0)
+  it("formatea con el símbolo de pesos y el código de las demás", () => {
+    assert.equal(formatMoney(1200), "$1,200.00");
+    assert.equal(formatMoney("9500.5"), "$9,500.50");
+    assert.equal(formatMoney(300, "USD"), "USD\u00a0300.00");
+    assert.equal(formatMoney(5, "EUR"), "EUR\u00a05.00");
+  });
+
+  it("suma por moneda con la principal primero y nunca las mezcla", () => {
+    const totals = totalsByCurrency([
+      { balance: "100", currency: "USD" },
+      { balance: 1200 },
+      { balance: 50, currency: "EUR" },
+      { balance: "300.5", currency: "MXN" },
+    ]);
+    assert.deepEqual(totals, [
+      { currency: "MXN", total: 1500.5 },
+      { currency: "EUR", total: 50 },
+      { currency: "USD", total: 100 },
+    ]);
+    assert.equal(formatTotals(totals), "$1,500.50 + EUR\u00a050.00 + USD\u00a0100.00");
+    assert.equal(formatTotals([]), "$0.00");
+  });
+});
+
+describe("nombres de clientes", () => {
+  it("normaliza acentos, mayúsculas y signos", () => {
+    assert.equal(normalizeName("  Pepé  López! "), "pepe lopez");
+    assert.equal(levenshtein("pepe", "pepw"), 1);
+  });
+
+  it("califica nombre exacto, palabras contenidas y errores de dedo", () => {
+    assert.equal(scoreName("pepe", "Pepé"), 1);
+    assert.equal(scoreName("pepe", "Pepe López"), 0.9);
+    assert.equal(scoreName("pepw lopes", "Pepe López"), 0.85);
+    assert.equal(scoreName("jose", "Pepe"), 0);
+  });
+
+  it("busca también en los alias y ordena del mejor al peor", () => {
+    const clients = [{ name: "Pepe López" }, { name: "José", aliases: ["Pepe"] }, { name: "Juan" }];
+    assert.deepEqual(
+      matchClients(clients, "pepe").map((m) => [m.client.name, m.score, m.exact]),
+      [
+        ["José", 1, true],
+        ["Pepe López", 0.9, false],
+      ]
+    );
+  });
+});
@@ -0,0 +1,55 @@
+// priority.js: "¿A quién cobro primero?" con pesos por cuenta y la razón de cada lugar. Sin base.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_WEIGHTS, PRESETS, normalizeWeights, rankClients, describeWeights } = require("../priority");
+
+const now = new Date("2026-03-04T18:00:00Z");
+const timeZone = "America/Mexico_City";
+
+// Pepe debe más (en pesos y en dólares); Ana debe menos pero desde hace 4 meses
+const debts = [
+  { client_name: "Pepe", balance: 9500, created_at: "2026-02-20T00:00:00Z" },
+  { client_name: "Ana", balance: 1000, since_date: "2025-11-01", created_at: "2026-02-01T00:00:00Z" },
+  { client_name: "pepe", balance: 500, currency: "USD", created_at: "2026-03-01T00:00:00Z" },
+];
+
+describe("prioridad de cobranza", () => {
+  it("completa los pesos guardados e ignora los que no valen", () => {
+    assert.deepEqual(normalizeWeights({ amount: 0.5, age: "x", has_phone: 2, bogus: 1 }), { ...DEFAULT_WEIGHTS, amount: 0.5 });
+    assert.deepEqual(normalizeWeights(null), DEFAULT_WEIGHTS);
+  });
+
+  it("agrupa por cliente sin mezclar monedas y explica el orden", () => {
+    const ranked = rankClients({ debts, now, timeZone });
+    assert.deepEqual(
+      ranked.map((r) => [r.client_name, r.balances, r.days, r.reason]),
+      [
+        ["Pepe", { MXN: 9500, USD: 500 }, 13, "el monto más alto, sin abonos"],
+        ["Ana", { MXN: 1000 }, 123, "123 días, sin abonos"],
+      ]
+    );
+  });
+
+  it("con el preset de antigüedad gana la deuda más vieja", () => {
+    const ranked = rankClients({ debts, now, timeZone, weights: PRESETS.antiguedad });
+    assert.deepEqual(
+      ranked.map((r) => r.client_name),
+      ["Ana", "Pepe"]
+    );
+  });
+
+  it("un recordatorio de ayer baja al cliente y lo dice", () => {
+    const reminders = [{ client_name: "Pepe", created_at: "2026-03-04T00:00:00Z" }];
+    const ranked = rankClients({ debts, now, timeZone, weights: PRESETS.antiguedad, reminders });
+    const pepe = ranked.find((r) => r.client_name === "Pepe");
+    assert.match(pepe.reason, /ya le recordaste hace poco/);
+    assert.ok(pepe.score < rankClients({ debts, now, timeZone, weights: PRESETS.antiguedad }).find((r) => r.client_name === "Pepe").score);
+  });
+
+  it("respeta el límite y describe los pesos en palabras", () => {
+    assert.equal(rankClients({ debts, now, timeZone, limit: 1 }).length, 1);
+    assert.deepEqual(rankClients({ debts: [], now }), []);
+    assert.match(describeWeights({ amount: 0.5 }), /^• monto: 50\n• antigüedad: 30/);
+  });
+});
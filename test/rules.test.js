@@ -0,0 +1,142 @@
+// rules.js: parser por reglas con su confianza, y cuándo la conversación se queda con las reglas o pregunta al modelo
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ruleParse, RULES_CONFIDENT, RULES_USABLE } = require("../rules");
+const { SKIP, createTestDatabase, startConversation, seedUser } = require("./helpers/harness");
+
+// Solo los campos con valor, para comparar sin la lista completa de vacíos
+function parse(text) {
+  const { parsed, confidence } = ruleParse(text);
+  const fields = parsed ? Object.fromEntries(Object.entries(parsed).filter(([, v]) => v != null)) : null;
+  return { fields, confidence };
+}
+
+describe("parser por reglas", () => {
+  it("umbrales: seguro desde 0.8, usable desde 0.5", () => {
+    assert.equal(RULES_CONFIDENT, 0.8);
+    assert.equal(RULES_USABLE, 0.5);
+  });
+
+  it("frases claras salen con confianza de sobra (no se llama al modelo)", () => {
+    const cases = [
+      ["oye, Pepe me debe 9,500 desde agosto!!", { intent: "add_debt", client_name: "Pepe", amount_due: 9500, since_text: "agosto" }, 0.95],
+      ["Ana tiene una deuda de 300 dólares", { intent: "add_debt", client_name: "Ana", amount_due: 300, currency: "USD" }, 0.95],
+      ["Pepe me debe 500 de la renta", { intent: "add_debt", client_name: "Pepe", amount_due: 500 }, 0.95],
+      ["Me debe Pepe mil quinientos", { intent: "add_debt", client_name: "Pepe", amount_due: 1500 }, 0.9],
+      ["le fié 2k a Juan desde ayer", { intent: "add_debt", client_name: "Juan", amount_due: 2000, since_text: "ayer" }, 0.9],
+      ["Pepe ya me abonó mil", { intent: "register_payment", client_name: "Pepe", amount_paid: 1000 }, 0.9],
+      ["mándale un mensaje a Juan el viernes, firme", { intent: "remind", client_name: "Juan", remind_when_text: "el viernes", tone: "firme" }, 0.9],
+      ["¿Quién me debe?", { intent: "list_debts" }, 0.9],
+      ["a quién le cobro primero", { intent: "prioritize" }, 0.9],
+      ["¿Qué me debe Pepe?", { intent: "client_statement", client_name: "Pepe" }, 0.85],
+    ];
+    for (const [text, fields, confidence] of cases) {
+      assert.deepEqual(parse(text), { fields, confidence }, text);
+      assert.ok(confidence >= RULES_CONFIDENT);
+    }
+  });
+
+  it("lo que sobra o falta baja la confianza a solo usable", () => {
+    // Palabras que no se entienden después del monto
+    assert.deepEqual(parse("Pepe me debe 500 porque sí"), { fields: { intent: "add_debt", client_name: "Pepe", amount_due: 500 }, confidence: 0.7 });
+    assert.deepEqual(parse("Pepe ya me abonó mil ayer"), {
+      fields: { intent: "register_payment", client_name: "Pepe", amount_paid: 1000 },
+      confidence: 0.65,
+    });
+    // Hay deuda pero no de quién
+    assert.deepEqual(parse("me deben 2k"), { fields: { intent: "add_debt", amount_due: 2000 }, confidence: 0.55 });
+  });
+
+  it("nombres poco creíbles quedan abajo de usable y lo que no reconoce no devuelve nada", () => {
+    // Sin modelo no se registra nada a nombre de "2" o "ya"
+    for (const text of ["2 me debe 500", "ya me abono 200 Pepe", "2 me abonó mil", "cóbrale a 2 mañana", "saldo de 123"]) {
+      assert.equal(parse(text).confidence, 0.4, text);
+      assert.ok(parse(text).confidence < RULES_USABLE);
+    }
+    assert.deepEqual(parse("hola"), { fields: null, confidence: 0 });
+    assert.deepEqual(parse("Pepe me debe"), { fields: null, confidence: 0 });
+  });
+});
+
+describe("reglas y modelo en la conversación", { skip: SKIP }, () => {
+  const provider = { calls: [], answers: new Map() };
+  let db;
+  let chat;
+
+  before(async () => {
+    db = await createTestDatabase();
+    chat = startConversation({ databaseUrl: db.url, env: { AI_MODE: "live", AI_PROVIDER: "prueba" } });
+    // Contesta lo que diga `answers` para ese texto, o unknown
+    require("../ai").registerProvider("prueba", () => ({
+      name: "prueba",
+      model: "stub",
+      configured: () => true,
+      async complete({ user }) {
+        const text = user.replace(/^Mensaje: /, "");
+        provider.calls.push(text);
+        return { text: JSON.stringify(provider.answers.get(text) || { intent: "unknown" }), usage: null };
+      },
+    }));
+  });
+
+  after(async () => {
+    await chat?.stop();
+    await db?.drop();
+  });
+
+  async function ledger(phone) {
+    const { rows } = await db.query(
+      `select 'debt' as kind, client_name, amount_due::float as amount from debts d join users u on u.id = d.user_id where u.phone = $1
+       union all
+       select 'payment', client_name, amount::float from payments p join users u on u.id = p.user_id where u.phone = $1
+       order by 1, 3`,
+      [phone]
+    );
+    return rows.map((r) => [r.kind, r.client_name, r.amount]);
+  }
+
+  it("con confianza de sobra no llama al modelo", async () => {
+    const from = "whatsapp:+5215511170001";
+    await seedUser(db, from);
+    await chat.say(from, "Pepe me debe 9500");
+    assert.deepEqual(provider.calls, []);
+    assert.deepEqual(await ledger(from), [["debt", "Pepe", 9500]]);
+  });
+
+  it("solo usable: pregunta al modelo y se queda con su respuesta", async () => {
+    const from = "whatsapp:+5215511170002";
+    await seedUser(db, from);
+    provider.answers.set("Pepe me debe 500 porque sí", { intent: "add_debt", client_name: "Pepe", amount_due: 800 });
+
+    await chat.say(from, "Pepe me debe 500 porque sí");
+    assert.ok(provider.calls.includes("Pepe me debe 500 porque sí"));
+    assert.deepEqual(await ledger(from), [["debt", "Pepe", 800]]);
+  });
+
+  it("solo usable y el modelo no entiende: se usan las reglas", async () => {
+    const from = "whatsapp:+5215511170003";
+    await seedUser(db, from);
+    await chat.say(from, "Pepe me debe 9500");
+
+    await chat.say(from, "Pepe ya me abonó mil ayer");
+    assert.ok(provider.calls.includes("Pepe ya me abonó mil ayer"));
+    assert.deepEqual(await ledger(from), [
+      ["debt", "Pepe", 9500],
+      ["payment", "Pepe", 1000],
+    ]);
+  });
+
+  it("abajo de usable y el modelo no entiende: no registra nada", async () => {
+    const from = "whatsapp:+5215511170004";
+    await seedUser(db, from);
+    await chat.say(from, "Pepe me debe 9500");
+
+    for (const text of ["ya me abono 200 Pepe", "2 me debe 500"]) {
+      const replies = await chat.say(from, text);
+      assert.ok(provider.calls.includes(text));
+      assert.match(replies[0], /^Te leo\. Prueba:/);
+    }
+    assert.deepEqual(await ledger(from), [["debt", "Pepe", 9500]]);
+  });
+});
@@ -0,0 +1,131 @@
+// Webhooks de Stripe firmados (fixtures en test/fixtures/stripe): cambios de plan y dedupe en stripe_events
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SKIP, createTestDatabase, startApp, stripeFixture, seedUser } = require("./helpers/harness");
+
+describe("webhook de Stripe", { skip: SKIP }, () => {
+  let db;
+  let bot;
+
+  before(async () => {
+    db = await createTestDatabase();
+    bot = await startApp({ databaseUrl: db.url });
+  });
+
+  after(async () => {
+    await bot?.stop();
+    await db?.drop();
+  });
+
+  async function userRow(phone) {
+    const { rows } = await db.query(
+      `select plan, pro_source, stripe_customer_id, stripe_subscription_id, stripe_status, stripe_current_period_end
+       from users where phone = $1`,
+      [phone]
+    );
+    return rows[0];
+  }
+
+  function sentTo(phone) {
+    return bot.sent.filter((m) => m.to === phone).map((m) => m.text);
+  }
+
+  it("checkout.session.completed activa Pro y avisa por WhatsApp", async () => {
+    const phone = "whatsapp:+5215522220001";
+    const user = await seedUser(db, phone);
+    const event = stripeFixture("checkout.session.completed", { phone, user_id: String(user.id), subscription_id: "sub_test_checkout" });
+
+    const r = await bot.stripeEvent(event);
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.json, { received: true });
+
+    const u = await userRow(phone);
+    assert.equal(u.plan, "pro");
+    assert.equal(u.pro_source, "stripe");
+    assert.equal(u.stripe_customer_id, "cus_test_123");
+    assert.equal(u.stripe_subscription_id, "sub_test_checkout");
+    assert.equal(u.stripe_status, "active");
+    assert.ok(u.stripe_current_period_end > new Date());
+
+    // La suscripción queda etiquetada con el teléfono para los eventos siguientes
+    assert.equal(bot.stripeApi.subscriptions.get("sub_test_checkout").metadata.phone, phone);
+    assert.match(sentTo(phone).at(-1), /Pago confirmado/);
+  });
+
+  it("ignora el mismo evento entregado dos veces", async () => {
+    const phone = "whatsapp:+5215522220002";
+    const user = await seedUser(db, phone);
+    const event = stripeFixture("checkout.session.completed", { phone, user_id: String(user.id), subscription_id: "sub_test_dupe" });
+
+    const first = await bot.stripeEvent(event);
+    const second = await bot.stripeEvent(event);
+
+    assert.deepEqual(first.json, { received: true });
+    assert.deepEqual(second.json, { received: true, deduped: true });
+    assert.equal(sentTo(phone).length, 1);
+
+    const { rows } = await db.query(`select type, processed_at from stripe_events where event_id = $1`, [event.id]);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].type, "checkout.session.completed");
+    assert.ok(rows[0].processed_at);
+  });
+
+  it("invoice.paid mantiene Pro con el estado de la suscripción", async () => {
+    const phone = "whatsapp:+5215522220003";
+    const user = await seedUser(db, phone, { plan: "free" });
+    bot.stripeApi.subscription("sub_test_paid").metadata.phone = phone;
+
+    const r = await bot.stripeEvent(stripeFixture("invoice.paid", { phone, user_id: String(user.id), subscription_id: "sub_test_paid" }));
+    assert.deepEqual(r.json, { received: true });
+
+    const u = await userRow(phone);
+    assert.equal(u.plan, "pro");
+    assert.equal(u.stripe_subscription_id, "sub_test_paid");
+    assert.equal(u.stripe_status, "active");
+  });
+
+  it("invoice.payment_failed avisa sin quitar Pro", async () => {
+    const phone = "whatsapp:+5215522220004";
+    const user = await seedUser(db, phone, { plan: "pro", pro_source: "stripe", stripe_status: "active" });
+
+    const r = await bot.stripeEvent(
+      stripeFixture("invoice.payment_failed", { phone, user_id: String(user.id), subscription_id: "sub_test_failed" })
+    );
+    assert.deepEqual(r.json, { received: true });
+
+    assert.equal((await userRow(phone)).plan, "pro");
+    assert.match(sentTo(phone).at(-1), /Pago no realizado/);
+  });
+
+  it("customer.subscription.deleted regresa al plan gratis", async () => {
+    const phone = "whatsapp:+5215522220005";
+    const user = await seedUser(db, phone, {
+      plan: "pro",
+      pro_source: "stripe",
+      stripe_status: "active",
+      stripe_subscription_id: "sub_test_deleted",
+    });
+
+    const r = await bot.stripeEvent(
+      stripeFixture("customer.subscription.deleted", { phone, user_id: String(user.id), subscription_id: "sub_test_deleted" })
+    );
+    assert.deepEqual(r.json, { received: true });
+
+    const u = await userRow(phone);
+    assert.equal(u.plan, "free");
+    assert.equal(u.pro_source, null);
+    assert.equal(u.stripe_status, "canceled");
+    assert.equal(u.stripe_current_period_end, null);
+    assert.match(sentTo(phone).at(-1), /Tu suscripción Pro terminó/);
+  });
+
+  it("rechaza eventos con firma inválida sin registrarlos", async () => {
+    const event = stripeFixture("invoice.paid", { phone: "whatsapp:+5215522220006", user_id: "", subscription_id: "sub_x" });
+    const r = await bot.stripeEvent(event, { secret: "whsec_otro" });
+    assert.equal(r.status, 400);
+
+    const { rows } = await db.query(`select count(*)::int as n from stripe_events where event_id = $1`, [event.id]);
+    assert.equal(rows[0].n, 0);
+  });
+});
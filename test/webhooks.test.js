@@ -0,0 +1,207 @@
+// Webhooks salientes: outbox en la misma transacción, firma tipo Stripe, reintentos y bitácora
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+// El receptor de prueba escucha en http://127.0.0.1 (webhooks.js lo lee al cargarse)
+process.env.WEBHOOK_ALLOW_INSECURE = "true";
+
+const { SKIP, createTestDatabase, startApp, seedUser } = require("./helpers/harness");
+const { deliverDueWebhooks, signPayload, verifyWebhookSignature, lookupPublicAddress, parseEventTypes } = require("../webhooks");
+
+// Receptor: guarda lo que llega y responde con el status que diga `reply`
+function startReceiver() {
+  const received = [];
+  const receiver = { received, reply: 200 };
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (d) => (raw += d));
+    req.on("end", () => {
+      received.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+      res.writeHead(receiver.reply).end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(Object.assign(receiver, { url: `http://127.0.0.1:${server.address().port}/hook`, server })));
+  });
+}
+
+describe("Webhooks salientes", { skip: SKIP }, () => {
+  let db;
+  let bot;
+  let receiver;
+
+  before(async () => {
+    db = await createTestDatabase();
+    bot = await startApp({ databaseUrl: db.url });
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await new Promise((r) => receiver?.server.close(r));
+    await bot?.stop();
+    await db?.drop();
+  });
+
+  async function apiFor(from) {
+    const r = await bot.whatsapp("API KEY", { from });
+    const key = r.replies[0].match(/cbk_[0-9a-f]{48}/)[0];
+    return async (method, path, body) => {
+      const res = await fetch(`${bot.base}/api/v1${path}`, {
+        method,
+        headers: { authorization: `Bearer ${key}`, "content-type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      return { status: res.status, json: text ? JSON.parse(text) : null };
+    };
+  }
+
+  it("manda los eventos firmados y los deja en la bitácora", async () => {
+    const from = "whatsapp:+5215511140001";
+    await seedUser(db, from);
+    const call = await apiFor(from);
+
+    const hook = await call("POST", "/webhooks", { url: receiver.url });
+    assert.equal(hook.status, 201);
+    const { id, secret } = hook.json.data;
+    assert.match(secret, /^whsec_/);
+
+    const debt = await call("POST", "/debts", { client_name: "Pepe", amount_due: 9500 });
+    await call("POST", "/payments", { client_name: "Pepe", amount: 9500 });
+
+    receiver.received.length = 0;
+    const stats = await deliverDueWebhooks(db);
+    assert.equal(stats.delivered, 3);
+
+    const types = receiver.received.map((r) => r.body.type).sort();
+    assert.deepEqual(types, ["debt.created", "debt.paid", "payment.recorded"]);
+    for (const r of receiver.received) {
+      assert.ok(verifyWebhookSignature(r.raw, r.headers["cobranzabot-signature"], secret));
+      assert.equal(r.headers["cobranzabot-event"], r.body.type);
+    }
+    const paid = receiver.received.find((r) => r.body.type === "debt.paid").body.data;
+    assert.equal(paid.id, debt.json.data.id);
+    assert.equal(paid.balance, 0);
+
+    const log = await call("GET", `/webhooks/${id}/deliveries`);
+    assert.deepEqual(log.json.data.map((d) => d.status), ["delivered", "delivered", "delivered"]);
+    // El secreto solo se mostró al crearlo
+    assert.equal((await call("GET", "/webhooks")).json.data[0].secret, undefined);
+  });
+
+  it("reintenta lo que falla, respeta el filtro de eventos y se borra por WhatsApp", async () => {
+    const from = "whatsapp:+5215511140002";
+    await seedUser(db, from);
+    const call = await apiFor(from);
+
+    const hook = await call("POST", "/webhooks", { url: receiver.url, events: ["debt.paid"] });
+    const { id } = hook.json.data;
+    const debt = await call("POST", "/debts", { client_name: "Rosa", amount_due: 700 });
+    await call("PATCH", `/debts/${debt.json.data.id}`, { status: "paid" });
+
+    receiver.received.length = 0;
+    receiver.reply = 500;
+    await deliverDueWebhooks(db);
+    assert.deepEqual(receiver.received.map((r) => r.body.type), ["debt.paid"]);
+
+    let log = await call("GET", `/webhooks/${id}/deliveries`);
+    assert.equal(log.json.data[0].status, "pending");
+    assert.equal(log.json.data[0].last_status_code, 500);
+
+    let r = await bot.whatsapp("MIS WEBHOOKS", { from });
+    assert.match(r.replies[0], /HTTP 500/);
+
+    // El reintento ya está programado (backoff); se adelanta para no esperar
+    receiver.reply = 200;
+    await db.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE endpoint_id = $1`, [id]);
+    await deliverDueWebhooks(db);
+    log = await call("GET", `/webhooks/${id}/deliveries`);
+    assert.equal(log.json.data[0].status, "delivered");
+    assert.equal(log.json.data[0].attempts, 2);
+
+    r = await bot.whatsapp(`BORRAR WEBHOOK ${id}`, { from });
+    assert.match(r.replies[0], /desactivado/);
+    await call("POST", "/debts", { client_name: "Rosa", amount_due: 100 });
+    const { rows } = await db.query(`SELECT COUNT(*)::int AS n FROM webhook_deliveries WHERE endpoint_id = $1 AND status = 'pending'`, [id]);
+    assert.equal(rows[0].n, 0);
+  });
+
+  it("avisa de correcciones, reaperturas, borrados y deshacer", async () => {
+    const from = "whatsapp:+5215511140003";
+    await seedUser(db, from);
+    const call = await apiFor(from);
+    await call("POST", "/webhooks", { url: receiver.url, events: ["debt.updated", "debt.deleted"] });
+
+    const debt = await call("POST", "/debts", { client_name: "Rosa", amount_due: 700 });
+    const { id } = debt.json.data;
+    await call("PATCH", `/debts/${id}`, { amount_due: 900 });
+    await bot.whatsapp("ya pagó Rosa", { from });
+    await bot.whatsapp("Rosa no pagó", { from });
+    await call("DELETE", `/debts/${id}`);
+    await bot.whatsapp("deshacer", { from });
+
+    receiver.received.length = 0;
+    await deliverDueWebhooks(db);
+    const events = receiver.received.map((r) => r.body).sort((a, b) => a.id.localeCompare(b.id, "en", { numeric: true }));
+    assert.deepEqual(
+      events.map((e) => [e.type, e.data.status, e.data.amount_due, e.data.balance]),
+      [
+        ["debt.updated", "pending", 900, 900],
+        ["debt.updated", "pending", 900, 900],
+        ["debt.deleted", "deleted", 900, 900],
+        ["debt.updated", "pending", 900, 900],
+      ]
+    );
+    assert.ok(events.every((e) => e.data.id === id));
+  });
+});
+
+// Sin base: la IP se revisa al conectar, no solo la URL al registrarla
+describe("firma de los webhooks", () => {
+  const secret = "whsec_unit";
+  const body = JSON.stringify({ type: "debt.created", data: { id: 1 } });
+  const t = 1772647200;
+
+  it("firma t=<unix>,v1=<hmac> y la verifica dentro de la tolerancia", () => {
+    const header = signPayload(secret, body, t);
+    assert.match(header, /^t=1772647200,v1=[0-9a-f]{64}$/);
+    assert.equal(verifyWebhookSignature(body, header, secret, { now: t * 1000 }), true);
+    assert.equal(verifyWebhookSignature(body, header, secret, { now: (t + 299) * 1000 }), true);
+    assert.equal(verifyWebhookSignature(body, header, secret, { now: (t + 301) * 1000 }), false);
+  });
+
+  it("rechaza otro cuerpo, otro secreto o un encabezado mal formado", () => {
+    const header = signPayload(secret, body, t);
+    const opts = { now: t * 1000 };
+    assert.equal(verifyWebhookSignature(`${body} `, header, secret, opts), false);
+    assert.equal(verifyWebhookSignature(body, header, "whsec_otro", opts), false);
+    assert.equal(verifyWebhookSignature(body, `t=${t}`, secret, opts), false);
+    assert.equal(verifyWebhookSignature(body, null, secret, opts), false);
+    // Con varias v1 (rotación de secreto) basta con que una coincida
+    assert.equal(verifyWebhookSignature(body, `${header},v1=${"0".repeat(64)}`, secret, opts), true);
+  });
+
+  it("valida los tipos de evento de la suscripción", () => {
+    assert.deepEqual(parseEventTypes(undefined), { events: null });
+    assert.deepEqual(parseEventTypes([]), { events: null });
+    assert.deepEqual(parseEventTypes(["debt.paid", "debt.paid", "client.updated"]), { events: ["debt.paid", "client.updated"] });
+    assert.deepEqual(parseEventTypes(["debt.paid", "debt.nope"]), { error: "invalid_event", event: "debt.nope" });
+    assert.deepEqual(parseEventTypes("debt.paid"), { error: "invalid_event", event: "debt.paid" });
+  });
+});
+
+describe("destino de los webhooks", () => {
+  const lookup = (hostname, options = {}) =>
+    new Promise((resolve) => lookupPublicAddress(hostname, options, (err, address) => resolve(err || address)));
+
+  it("no conecta a un nombre que resuelve a una IP privada", async () => {
+    // localhost pasa por el resolvedor del sistema igual que un dominio re-apuntado
+    const err = await lookup("localhost");
+    assert.equal(err.code, "EPRIVATE");
+    assert.match(err.message, /localhost apunta a una dirección privada/);
+
+    const all = await lookup("localhost", { all: true });
+    assert.equal(all.code, "EPRIVATE");
+  });
+});
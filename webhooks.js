@@ -0,0 +1,331 @@
+// webhooks.js — Webhooks salientes: avisos firmados a los endpoints HTTPS del usuario
+// Eventos: debt.created, debt.updated, debt.paid, debt.deleted, payment.recorded, reminder.sent, client.updated.
+// debt.updated sale con cualquier otro cambio de la deuda (monto, cliente, "no pagó", deshacer); trae la deuda completa.
+//
+// Outbox: db.js (y cron-reminders.js) llaman enqueueWebhookEvent(tx, ...) dentro de la misma transacción
+// que el cambio; si el cambio se revierte, el evento también. El worker (startWebhookWorker, lo arranca
+// index.js) toma las entregas vencidas con FOR UPDATE SKIP LOCKED, las manda y reintenta con backoff
+// exponencial hasta WEBHOOK_MAX_ATTEMPTS. Cada entrega queda en webhook_deliveries: es la bitácora
+// que el usuario ve con MIS WEBHOOKS y en GET /api/v1/webhooks/{id}/deliveries.
+//
+// Firma igual que la de Stripe que verificamos en /webhook/stripe:
+//   CobranzaBot-Signature: t=<unix>,v1=<HMAC-SHA256(secreto, "<t>.<cuerpo>") en hex>
+// El receptor recalcula el HMAC con el cuerpo crudo y rechaza timestamps viejos (verifyWebhookSignature).
+//
+// Este módulo no carga db.js (db.js lo usa): todo lo que toca la base recibe el pool o la transacción.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const { metric } = require("./log");
+
+const EVENT_TYPES = ["debt.created", "debt.updated", "debt.paid", "debt.deleted", "payment.recorded", "reminder.sent", "client.updated"];
+
+// http:// y hosts locales solo en desarrollo y pruebas
+const WEBHOOK_ALLOW_INSECURE = process.env.WEBHOOK_ALLOW_INSECURE === "true";
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10);
+const WEBHOOK_WORKER_INTERVAL_MS = Number(process.env.WEBHOOK_WORKER_INTERVAL_MS || 15000);
+const WEBHOOK_LOG_DAYS = Number(process.env.WEBHOOK_LOG_DAYS || 30);
+
+// 30 s, 1 min, 2 min, 4 min... hasta 6 h entre intentos (10 intentos ≈ 8 h y media)
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+const SIGNATURE_HEADER = "CobranzaBot-Signature";
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// -------------------------
+// Firma
+// -------------------------
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+// Para el lado que recibe (y las pruebas): mismo criterio que stripe.webhooks.constructEvent
+function verifyWebhookSignature(body, header, secret, { toleranceSec = SIGNATURE_TOLERANCE_SEC, now = Date.now() } = {}) {
+  const parts = String(header || "").split(",").map((p) => p.split("="));
+  const t = Number(parts.find(([k]) => k === "t")?.[1]);
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v || "");
+  if (!t || !signatures.length) return false;
+  if (Math.abs(Math.floor(now / 1000) - t) > toleranceSec) return false;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex"));
+  return signatures.some((s) => s.length === expected.length && crypto.timingSafeEqual(Buffer.from(s), expected));
+}
+
+// -------------------------
+// Registro de endpoints
+// -------------------------
+function isPrivateHost(hostname) {
+  const h = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (h === "localhost" || /\.(localhost|local|internal)$/.test(h)) return true;
+  if (net.isIPv4(h)) {
+    const [a, b] = h.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (net.isIPv6(h)) return h === "::" || h === "::1" || /^(fc|fd|fe80|::ffff:)/.test(h);
+  return false;
+}
+
+// -> { url } o { error: "invalid" | "insecure" | "private" }
+function validateEndpointUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw || "").trim());
+  } catch (_) {
+    return { error: "invalid" };
+  }
+  if (u.username || u.password || u.href.length > 500) return { error: "invalid" };
+  if (u.protocol !== "https:" && !(WEBHOOK_ALLOW_INSECURE && u.protocol === "http:")) return { error: "insecure" };
+  if (!WEBHOOK_ALLOW_INSECURE && isPrivateHost(u.hostname)) return { error: "private" };
+  return { url: u.href };
+}
+
+// null/vacío = todos; -> { events } (null = todos) o { error: "invalid_event", event }
+function parseEventTypes(list) {
+  if (list === undefined || list === null || (Array.isArray(list) && !list.length)) return { events: null };
+  if (!Array.isArray(list)) return { error: "invalid_event", event: String(list) };
+  const bad = list.find((e) => !EVENT_TYPES.includes(e));
+  if (bad !== undefined) return { error: "invalid_event", event: String(bad) };
+  return { events: [...new Set(list)] };
+}
+
+// -------------------------
+// Outbox
+// -------------------------
+/**
+ * Encola un evento para los endpoints activos del usuario suscritos a `type`.
+ * `db` es la transacción del cambio (o el pool); una sola sentencia, y nada si no hay endpoints.
+ * Devuelve cuántas entregas quedaron pendientes.
+ */
+async function enqueueWebhookEvent(db, userId, type, data) {
+  const { rows } = await db.query(
+    `
+    WITH ep AS (
+      SELECT id FROM webhook_endpoints
+      WHERE user_id = $1 AND disabled_at IS NULL AND (events IS NULL OR $2 = ANY(events))
+    ), ev AS (
+      INSERT INTO webhook_events (user_id, type, data)
+      SELECT $1, $2, $3 WHERE EXISTS (SELECT 1 FROM ep)
+      RETURNING id
+    )
+    INSERT INTO webhook_deliveries (event_id, endpoint_id, user_id)
+    SELECT ev.id, ep.id, $1 FROM ev CROSS JOIN ep
+    RETURNING id
+    `,
+    [userId, type, data]
+  );
+  return rows.length;
+}
+
+// -------------------------
+// Envío
+// -------------------------
+function privateAddressError(hostname, address) {
+  return Object.assign(new Error(`${hostname} apunta a una dirección privada (${address})`), { code: "EPRIVATE" });
+}
+
+// `lookup` para http(s).request: la IP con la que se conecta es la misma que se revisa. Validar la URL al
+// registrarla no basta: un nombre público puede resolver (o re-apuntarse después) a 127.0.0.1, 10.x o 169.254.169.254.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => isPrivateHost(a.address));
+    if (bad) return callback(privateAddressError(hostname, bad.address));
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST sin seguir redirecciones (un 3xx no cuenta como entregado); resuelve con el status HTTP
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    // Una IP literal no pasa por lookup
+    if (!WEBHOOK_ALLOW_INSECURE && isPrivateHost(u.hostname)) return reject(privateAddressError(u.hostname, u.hostname));
+
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: WEBHOOK_ALLOW_INSECURE ? undefined : lookupPublicAddress,
+        timeout: WEBHOOK_TIMEOUT_MS,
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on("timeout", () => req.destroy(Object.assign(new Error(`timeout (${WEBHOOK_TIMEOUT_MS} ms)`), { code: "ETIMEDOUT" })));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+async function sendDelivery(d) {
+  const body = eventBody(d);
+  const startedAt = Date.now();
+  try {
+    const statusCode = await postWebhook(
+      d.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "CobranzaBot-Webhooks/1",
+        "CobranzaBot-Event": d.type,
+        "CobranzaBot-Delivery": String(d.id),
+        [SIGNATURE_HEADER]: signPayload(d.secret, body),
+      },
+      body
+    );
+    const ok = statusCode >= 200 && statusCode < 300;
+    return { ok, statusCode, error: ok ? null : `HTTP ${statusCode}`, ms: Date.now() - startedAt };
+  } catch (err) {
+    const error = err?.code === "EPRIVATE" || err?.code === "ETIMEDOUT" ? err.message : err?.code || err?.message || "error";
+    return { ok: false, statusCode: null, error: String(error).slice(0, 200), ms: Date.now() - startedAt };
+  }
+}
+
+// -------------------------
+// Worker
+// -------------------------
+function backoffMs(attempts) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+  // ±20% para que los reintentos de muchos eventos no lleguen todos juntos
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function eventBody(d) {
+  return JSON.stringify({ id: `evt_${d.event_id}`, type: d.type, created_at: new Date(d.event_created_at).toISOString(), data: d.data });
+}
+
+/**
+ * Una pasada del worker: toma hasta `limit` entregas vencidas y las intenta.
+ * Al tomarlas se recorre next_attempt_at (lease) para que otro worker no las repita si este se cae.
+ */
+async function deliverDueWebhooks(db, { limit = BATCH_SIZE } = {}) {
+  const leaseSec = Math.ceil(WEBHOOK_TIMEOUT_MS / 1000) + 60;
+  const { rows } = await db.query(
+    `
+    WITH due AS (
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    ), taken AS (
+      UPDATE webhook_deliveries d
+      SET attempts = d.attempts + 1, last_attempt_at = NOW(), next_attempt_at = NOW() + make_interval(secs => $2)
+      FROM due WHERE d.id = due.id
+      RETURNING d.*
+    )
+    SELECT t.id, t.attempts, t.event_id, t.endpoint_id, t.user_id,
+           e.type, e.data, e.created_at AS event_created_at,
+           w.url, w.secret, w.disabled_at
+    FROM taken t
+    JOIN webhook_events e ON e.id = t.event_id
+    JOIN webhook_endpoints w ON w.id = t.endpoint_id
+    `,
+    [limit, leaseSec]
+  );
+
+  const stats = { attempted: rows.length, delivered: 0, failed: 0, retrying: 0 };
+  for (const d of rows) {
+    if (d.disabled_at) {
+      await db.query(`UPDATE webhook_deliveries SET status = 'canceled', last_error = 'endpoint desactivado' WHERE id = $1`, [d.id]);
+      continue;
+    }
+
+    const out = await sendDelivery(d);
+    const meta = { user_id: d.user_id, endpoint_id: d.endpoint_id, delivery_id: d.id, type: d.type, attempts: d.attempts, status_code: out.statusCode, ms: out.ms };
+
+    if (out.ok) {
+      await db.query(
+        `UPDATE webhook_deliveries SET status = 'delivered', delivered_at = NOW(), last_status_code = $2, last_error = NULL WHERE id = $1`,
+        [d.id, out.statusCode]
+      );
+      stats.delivered++;
+      metric("WEBHOOK_DELIVERED", meta);
+      continue;
+    }
+
+    const final = d.attempts >= WEBHOOK_MAX_ATTEMPTS;
+    await db.query(
+      `
+      UPDATE webhook_deliveries
+      SET status = $2, last_status_code = $3, last_error = $4,
+          next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $5) ELSE next_attempt_at END
+      WHERE id = $1
+      `,
+      [d.id, final ? "failed" : "pending", out.statusCode, out.error, backoffMs(d.attempts) / 1000]
+    );
+    if (final) stats.failed++;
+    else stats.retrying++;
+    metric("WEBHOOK_DELIVERY_FAILED", { ...meta, error: out.error, final });
+  }
+  return stats;
+}
+
+// La bitácora se guarda WEBHOOK_LOG_DAYS días (las entregas se borran en cascada con su evento)
+async function pruneWebhookLog(db) {
+  const { rowCount } = await db.query(`DELETE FROM webhook_events WHERE created_at < NOW() - make_interval(days => $1)`, [
+    WEBHOOK_LOG_DAYS,
+  ]);
+  if (rowCount) metric("WEBHOOK_LOG_PRUNED", { events: rowCount });
+}
+
+// Corre en el proceso web; con varias instancias cada entrega la toma solo una (SKIP LOCKED)
+function startWebhookWorker(db, { intervalMs = WEBHOOK_WORKER_INTERVAL_MS } = {}) {
+  let running = false;
+  let lastPrune = 0;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      // Si el lote salió lleno hay más esperando: se sigue sin esperar al siguiente intervalo
+      let stats;
+      do stats = await deliverDueWebhooks(db);
+      while (stats.attempted === BATCH_SIZE);
+
+      if (Date.now() - lastPrune > PRUNE_EVERY_MS) {
+        lastPrune = Date.now();
+        await pruneWebhookLog(db);
+      }
+    } catch (err) {
+      metric("ERROR", { stage: "webhook_worker", message: err?.message || "unknown" });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  SIGNATURE_HEADER,
+  WEBHOOK_MAX_ATTEMPTS,
+  newWebhookSecret,
+  signPayload,
+  verifyWebhookSignature,
+  validateEndpointUrl,
+  lookupPublicAddress,
+  parseEventTypes,
+  enqueueWebhookEvent,
+  deliverDueWebhooks,
+  startWebhookWorker,
+};